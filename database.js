@@ -1,108 +1,342 @@
 // database.js - Database setup and configuration
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { computeWorkedHours } = require('./middleware/hours');
+const Migrator = require('./middleware/migrator');
+const { httpError } = require('./middleware/errors');
+
+// The transaction (if any) the current async call chain belongs to — see Database.transaction()
+const txContext = new AsyncLocalStorage();
+
+// New hires with counts over their current documents. Overall status: rejected if any current
+// document is, received while any still awaits review, else approved.
+const NEW_HIRE_SELECT = `
+    SELECT * FROM (
+        SELECT h.*,
+               SUM(CASE WHEN d.status = 'received' THEN 1 ELSE 0 END) AS received_count,
+               SUM(CASE WHEN d.status = 'approved' THEN 1 ELSE 0 END) AS approved_count,
+               SUM(CASE WHEN d.status = 'rejected' THEN 1 ELSE 0 END) AS rejected_count,
+               SUM(CASE WHEN d.form_check IN ('flagged', 'unverified') THEN 1 ELSE 0 END) AS flagged_count,
+               GROUP_CONCAT(d.doc_type) AS doc_types,
+               GROUP_CONCAT(CASE WHEN d.status = 'rejected' THEN d.doc_type END) AS rejected_types,
+               CASE WHEN SUM(CASE WHEN d.status = 'rejected' THEN 1 ELSE 0 END) > 0 THEN 'rejected'
+                    WHEN SUM(CASE WHEN d.status = 'received' THEN 1 ELSE 0 END) > 0 THEN 'received'
+                    ELSE 'approved' END AS status
+        FROM new_hires h
+        LEFT JOIN new_hire_documents d ON d.new_hire_id = h.id AND d.superseded_by IS NULL
+        GROUP BY h.id
+    ) nh`;
 
 class Database {
-    constructor() {
+    // autoMigrate: false lets scripts/init-database.js drive migrations itself
+    constructor({ autoMigrate = true } = {}) {
         // Create database file in project root
         this.dbPath = process.env.DB_PATH || path.join(__dirname, 'timeclock.db');
         this.db = new sqlite3.Database(this.dbPath);
-        this.initializeTables();
+        this.tx = null;                    // the open transaction: { waiting: [statements held back] }
+        this.txQueue = Promise.resolve();  // transactions waiting for their turn
+        this.gateConnection();
+        // Resolves once the schema is current; background jobs wait on this
+        this.ready = autoMigrate ? this.migrate() : Promise.resolve();
+    }
+
+    // Brings the schema up to the latest migration (see migrations/ and `npm run init-db`)
+    async migrate() {
+        const migrator = new Migrator(this);
+        await migrator.up();
+        console.log(`✅ Database schema up to date (v${await migrator.currentVersion()})`);
+    }
+
+    // Every request shares this one connection, so while transaction() has BEGIN open, statements from
+    // outside it are held back until it commits or rolls back instead of landing inside it
+    gateConnection() {
+        const conn = this.db;
+        for (const method of ['run', 'get', 'all', 'exec']) {
+            const direct = conn[method].bind(conn);
+            conn[method] = (...args) => {
+                // sqlite3 callbacks lose the async context; keep the caller's so nested statements stay on its side
+                const last = args.length - 1;
+                if (typeof args[last] === 'function') args[last] = AsyncResource.bind(args[last]);
+                if (this.tx && txContext.getStore() !== this.tx) this.tx.waiting.push(() => direct(...args));
+                else direct(...args);
+                return conn;
+            };
+        }
+    }
+
+    // Runs fn() between BEGIN and COMMIT, or ROLLBACK if it throws. One transaction at a time; a call
+    // from inside fn() just joins the open one.
+    async transaction(fn) {
+        if (this.tx && txContext.getStore() === this.tx) return fn();
+        const turn = this.txQueue.then(() => this.runTransaction(fn));
+        this.txQueue = turn.catch(() => {});
+        return turn;
+    }
+
+    async runTransaction(fn) {
+        const tx = { waiting: [] };
+        this.tx = tx;
+        try {
+            return await txContext.run(tx, async () => {
+                await this.run('BEGIN');
+                try {
+                    const result = await fn();
+                    await this.run('COMMIT');
+                    return result;
+                } catch (e) {
+                    await this.run('ROLLBACK').catch(() => {});
+                    throw e;
+                }
+            });
+        } finally {
+            this.tx = null;
+            this.db.serialize(() => tx.waiting.forEach(send => send()));
+        }
+    }
+
+    // Promise helpers used by migrations and scripts
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err); else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+    }
+
+    // Idempotent ALTERs for migrations (CREATE TABLE IF NOT EXISTS never touches an existing table)
+    async columnNames(table) {
+        return (await this.all(`PRAGMA table_info(${table})`)).map(r => r.name);
+    }
+
+    async ensureColumn(table, column, definition) {
+        if ((await this.columnNames(table)).includes(column)) return false;
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        return true;
+    }
+
+    async dropColumn(table, column) {
+        if (!(await this.columnNames(table)).includes(column)) return false;
+        await this.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+        return true;
+    }
+
+    // Upload queue methods
+    async enqueueUpload({ kind, refId = null, localPath, remoteName, subPath = '' }) {
+        return new Promise((resolve, reject) => {
+            const nextAttemptAt = new Date().toISOString();
+            this.db.run(`
+                INSERT INTO upload_queue (kind, ref_id, local_path, remote_name, sub_path, next_attempt_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [kind, refId, localPath, remoteName, subPath, nextAttemptAt], function(err) {
+                if (err) reject(err);
+                else resolve({ id: this.lastID, kind, refId, localPath, remoteName, subPath, nextAttemptAt });
+            });
+        });
+    }
+
+    async getUploadQueueItem(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM upload_queue WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err); else resolve(row);
+            });
+        });
+    }
+
+    async listUploadQueue(status = null, limit = 100) {
+        return new Promise((resolve, reject) => {
+            let query = 'SELECT * FROM upload_queue';
+            const params = [];
+            if (status) {
+                query += ' WHERE status = ?';
+                params.push(status);
+            }
+            query += ' ORDER BY id DESC LIMIT ?';
+            params.push(limit);
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+    }
+
+    async countUploadQueueByStatus() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT status, COUNT(*) AS cnt FROM upload_queue GROUP BY status', (err, rows) => {
+                if (err) return reject(err);
+                const counts = {};
+                rows.forEach(r => { counts[r.status] = r.cnt; });
+                resolve(counts);
+            });
+        });
     }
 
-    initializeTables() {
-        this.db.serialize(() => {
-            // Users table - stores employee information
+    // Atomically claim the oldest due item so two workers never upload the same file
+    async claimNextUpload() {
+        return new Promise((resolve, reject) => {
+            const now = new Date().toISOString();
+            const db = this.db;
+            db.get(`
+                SELECT * FROM upload_queue
+                WHERE status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+                ORDER BY next_attempt_at, id
+                LIMIT 1
+            `, [now], (err, row) => {
+                if (err) return reject(err);
+                if (!row) return resolve(null);
+
+                db.run(`
+                    UPDATE upload_queue
+                    SET status = 'uploading', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND status = 'pending'
+                `, [row.id], function(err) {
+                    if (err) return reject(err);
+                    if (this.changes === 0) return resolve(null); // someone else got it
+                    resolve({ ...row, status: 'uploading', attempts: row.attempts + 1 });
+                });
+            });
+        });
+    }
+
+    async completeUpload(id, oneDriveId, oneDriveUrl) {
+        return new Promise((resolve, reject) => {
             this.db.run(`
-                CREATE TABLE IF NOT EXISTS users (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    email TEXT UNIQUE NOT NULL,
-                    first_name TEXT,
-                    last_name TEXT,
-                    employee_id TEXT,
-                    department TEXT,
-                    is_active BOOLEAN DEFAULT 1,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Time records table - stores all clock in/out events
+                UPDATE upload_queue
+                SET status = 'done', onedrive_id = ?, onedrive_url = ?, last_error = NULL,
+                    completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [oneDriveId, oneDriveUrl, id], function(err) {
+                if (err) reject(err); else resolve(true);
+            });
+        });
+    }
+
+    // status is 'pending' (will retry at nextAttemptAt) or 'failed' (gave up)
+    async failUpload(id, status, lastError, nextAttemptAt = null) {
+        return new Promise((resolve, reject) => {
             this.db.run(`
-                CREATE TABLE IF NOT EXISTS time_records (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id INTEGER NOT NULL,
-                    email TEXT NOT NULL,
-                    clock_in_time DATETIME NOT NULL,
-                    clock_out_time DATETIME,
-                    total_hours DECIMAL(5,2),
-                    status TEXT DEFAULT 'active',
-                    photo_url TEXT,
-                    notes TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users (id)
-                )
-            `);
-
-            // Active sessions table - tracks who's currently clocked in
+                UPDATE upload_queue
+                SET status = ?, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [status, lastError, nextAttemptAt, id], function(err) {
+                if (err) reject(err); else resolve(true);
+            });
+        });
+    }
+
+    async retryUpload(id) {
+        return new Promise((resolve, reject) => {
             this.db.run(`
-                CREATE TABLE IF NOT EXISTS active_sessions (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id INTEGER NOT NULL,
-                    email TEXT NOT NULL,
-                    time_record_id INTEGER NOT NULL,
-                    clock_in_time DATETIME NOT NULL,
-                    photo_url TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users (id),
-                    FOREIGN KEY (time_record_id) REFERENCES time_records (id)
-                )
-            `);
-
-            // Photo uploads table - tracks all uploaded images
+                UPDATE upload_queue
+                SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status IN ('failed', 'pending')
+            `, [new Date().toISOString(), id], function(err) {
+                if (err) reject(err); else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    // Items left 'uploading' by a crash/restart go back to the queue
+    async resetStuckUploads() {
+        return new Promise((resolve, reject) => {
             this.db.run(`
-                CREATE TABLE IF NOT EXISTS photo_uploads (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    time_record_id INTEGER NOT NULL,
-                    user_email TEXT NOT NULL,
-                    original_filename TEXT,
-                    stored_filename TEXT,
-                    onedrive_url TEXT,
-                    file_size INTEGER,
-                    upload_status TEXT DEFAULT 'pending',
-                    upload_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (time_record_id) REFERENCES time_records (id)
-                )
-            `);
-
-            console.log('✅ Database tables initialized successfully');
-        });
-        this.db.run(`
-            CREATE TABLE IF NOT EXISTS location_uploads (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                code TEXT NOT NULL,
-                location TEXT NOT NULL,
-                original_filename TEXT,
-                stored_filename TEXT,
-                onedrive_url TEXT,
-                file_size INTEGER,
-                submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-            `);
-    }
-    async recordLocationUpload(code, location, original, stored, size, onedriveUrl=null) {
+                UPDATE upload_queue
+                SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+                WHERE status = 'uploading'
+            `, function(err) {
+                if (err) reject(err); else resolve(this.changes);
+            });
+        });
+    }
+
+    async deleteUploadQueueItems(ids) {
+        if (!ids.length) return 0;
+        return new Promise((resolve, reject) => {
+            const placeholders = ids.map(() => '?').join(',');
+            this.db.run(`DELETE FROM upload_queue WHERE id IN (${placeholders})`, ids, function(err) {
+                if (err) reject(err); else resolve(this.changes);
+            });
+        });
+    }
+
+    async setPhotoUploadStatus(photoId, status) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE photo_uploads SET upload_status = ? WHERE id = ?', [status, photoId], function(err) {
+                if (err) reject(err); else resolve(true);
+            });
+        });
+    }
+    // geo = { latitude, longitude, accuracy, status, distanceMeters } from middleware/geofence
+    // location = the locations row (its current name is stored alongside the id as history)
+    // uploader = { type, id, name } from middleware/uploaders; `code` only records the uploader kind (never a secret)
+    // onedrive = what the storage backend's upload() returned ({ id, webUrl, driveId, parentPath });
+    // the onedrive_* columns hold the item for whichever backend is configured
+    async recordLocationUpload(uploader, location, original, stored, size, onedrive=null, geo=null, jobsite=null) {
         return new Promise((resolve, reject) => {
             this.db.run(`
-            INSERT INTO location_uploads (code, location, original_filename, stored_filename, file_size, onedrive_url)
-            VALUES (?, ?, ?, ?, ?, ?)
-            `, [code, location, original, stored, size, onedriveUrl], function(err) {
+            INSERT INTO location_uploads (code, uploader_type, uploader_id, uploader_name,
+                                          location, location_id, original_filename, stored_filename, file_size,
+                                          onedrive_url, onedrive_id, onedrive_drive_id, onedrive_path,
+                                          latitude, longitude, accuracy, geofence_status, geofence_distance_m, jobsite, jobsite_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [uploader.id ? `${uploader.type}:${uploader.id}` : uploader.type, uploader.type, uploader.id, uploader.name,
+                location.name, location.id, original, stored, size,
+                onedrive?.webUrl ?? null, onedrive?.id ?? null, onedrive?.driveId ?? null, onedrive?.parentPath ?? null,
+                geo?.latitude ?? null, geo?.longitude ?? null, geo?.accuracy ?? null,
+                geo?.status ?? null, geo?.distanceMeters ?? null,
+                jobsite?.name ?? null, jobsite?.id ?? null], function(err) {
             if (err) reject(err);
             else resolve({ id: this.lastID });
             });
         });
     }
 
+    // A row recorded before its file reached storage (see UploaderService.reserve) gets the drive item here
+    async completeLocationUpload(id, onedrive) {
+        await this.run(`
+            UPDATE location_uploads
+            SET onedrive_url = ?, onedrive_id = ?, onedrive_drive_id = ?, onedrive_path = ?
+            WHERE id = ?
+        `, [onedrive?.webUrl ?? null, onedrive?.id ?? null, onedrive?.driveId ?? null, onedrive?.parentPath ?? null, id]);
+    }
+
+    async deleteLocationUploads(ids) {
+        if (!ids.length) return;
+        await this.run(`DELETE FROM location_uploads WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+    }
+
+    // locationId matches every upload for the row, including ones submitted under an earlier name
+    async listLocationUploads({ locationId = null, geofence = null, startDate = null, endDate = null, locations = null, limit = 200 } = {}) {
+        return new Promise((resolve, reject) => {
+            let query = `SELECT lu.*, l.name AS current_location_name FROM location_uploads lu
+                         LEFT JOIN locations l ON l.id = lu.location_id`;
+            const where = [];
+            const params = [];
+            if (locationId) { where.push('lu.location_id = ?'); params.push(locationId); }
+            if (geofence) { where.push('lu.geofence_status = ?'); params.push(geofence); }
+            if (startDate && endDate) { where.push('lu.submitted_at BETWEEN ? AND ?'); params.push(startDate, endDate); }
+            if (locations) {
+                where.push(`COALESCE(l.name, lu.location) COLLATE NOCASE IN (${locations.map(() => '?').join(',') || 'NULL'})`);
+                params.push(...locations);
+            }
+            if (where.length) query += ' WHERE ' + where.join(' AND ');
+            query += ' ORDER BY lu.submitted_at DESC LIMIT ?';
+            params.push(limit);
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+    }
+
     async setLocationUploadUrl(id, url) {
         return new Promise((resolve, reject) => {
             this.db.run(`UPDATE location_uploads SET onedrive_url = ? WHERE id = ?`,
@@ -112,37 +346,669 @@ class Database {
         });
     }
 
-    async countLocationUploadsToday(code, location) {
+    // Rows to match against OneDrive files (submissions browser); from/to are ISO timestamps
+    async listLocationUploadsBetween(locationId, from, to) {
+        return this.all(`
+            SELECT * FROM location_uploads
+            WHERE location_id = ? AND submitted_at BETWEEN DATETIME(?) AND DATETIME(?)
+            ORDER BY submitted_at
+        `, [locationId, from, to]);
+    }
+
+    // By location id so a rename mid-day doesn't reset the count; every uploader together
+    async countLocationUploadsToday(locationId) {
         return new Promise((resolve, reject) => {
             this.db.get(`
             SELECT COUNT(*) AS cnt
             FROM location_uploads
-            WHERE code = ?
-                AND location = ?
+            WHERE location_id = ?
                 AND DATE(submitted_at, 'localtime') = DATE('now', 'localtime')
-            `, [code, location], (err, row) => {
+            `, [locationId], (err, row) => {
             if (err) reject(err); else resolve(row?.cnt || 0);
             });
         });
     }
 
 
+    async countUploaderUploadsToday(uploaderType, uploaderId, locationId) {
+        const [row] = await this.all(`
+            SELECT COUNT(*) AS cnt
+            FROM location_uploads
+            WHERE uploader_type = ? AND uploader_id IS ? AND location_id = ?
+                AND DATE(submitted_at, 'localtime') = DATE('now', 'localtime')
+        `, [uploaderType, uploaderId, locationId]);
+        return row.cnt;
+    }
+
+    // Drive reconciliation methods (source: 'photo' = photo_uploads, 'location' = location_uploads)
+    async listDriveRecords() {
+        return this.all(`
+            SELECT 'photo' AS source, id, onedrive_id, onedrive_drive_id, onedrive_path, onedrive_url, drive_status
+            FROM photo_uploads WHERE onedrive_id IS NOT NULL OR onedrive_url IS NOT NULL
+            UNION ALL
+            SELECT 'location' AS source, id, onedrive_id, onedrive_drive_id, onedrive_path, onedrive_url, drive_status
+            FROM location_uploads WHERE onedrive_id IS NOT NULL OR onedrive_url IS NOT NULL
+        `);
+    }
+
+    // Everything reconciliation found moved or missing (or couldn't check), newest first
+    async listDriveProblems(limit = 200) {
+        return this.all(`
+            SELECT * FROM (
+                SELECT 'photo' AS source, id, user_email AS owner, original_filename, onedrive_id, onedrive_path,
+                       onedrive_url, drive_status, drive_checked_at, upload_timestamp AS uploaded_at
+                FROM photo_uploads WHERE drive_status IN ('moved', 'missing', 'unknown')
+                UNION ALL
+                SELECT 'location' AS source, id, location AS owner, original_filename, onedrive_id, onedrive_path,
+                       onedrive_url, drive_status, drive_checked_at, submitted_at AS uploaded_at
+                FROM location_uploads WHERE drive_status IN ('moved', 'missing', 'unknown')
+            ) ORDER BY uploaded_at DESC LIMIT ?
+        `, [limit]);
+    }
+
+    // changes = { status, onedriveId?, driveId?, url?, path? }; ids/urls only fill in what was missing or
+    // changed, and path only the first time (it is where we uploaded the file, used to spot moves)
+    async setDriveStatus(source, id, { status, onedriveId = null, driveId = null, url = null, path = null }) {
+        const table = { photo: 'photo_uploads', location: 'location_uploads' }[source];
+        if (!table) throw new Error(`Unknown upload source "${source}"`);
+        await this.run(`
+            UPDATE ${table}
+            SET drive_status = ?, drive_checked_at = CURRENT_TIMESTAMP,
+                onedrive_id = COALESCE(?, onedrive_id), onedrive_drive_id = COALESCE(?, onedrive_drive_id),
+                onedrive_url = COALESCE(?, onedrive_url), onedrive_path = COALESCE(onedrive_path, ?)
+            WHERE id = ?
+        `, [status, onedriveId, driveId, url, path, id]);
+    }
+
+    async startDriveReconciliation(trigger) {
+        return (await this.run('INSERT INTO drive_reconciliations (trigger) VALUES (?)', [trigger])).lastID;
+    }
+
+    async finishDriveReconciliation(id, report) {
+        await this.run(`
+            UPDATE drive_reconciliations
+            SET status = ?, checked = ?, present = ?, moved = ?, missing = ?, unknown = ?, backfilled = ?,
+                drive_files = ?, orphan_count = ?, orphans = ?, truncated = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [report.status, report.checked || 0, report.present || 0, report.moved || 0, report.missing || 0,
+            report.unknown || 0, report.backfilled || 0, report.driveFiles || 0, report.orphanCount || 0,
+            JSON.stringify(report.orphans || []), report.truncated ? 1 : 0, report.error || null, id]);
+    }
+
+    async getLatestDriveReconciliation() {
+        const [row] = await this.all('SELECT * FROM drive_reconciliations ORDER BY id DESC LIMIT 1');
+        return row || null;
+    }
+
+    // Uploader code methods
+    async listUploaderCodes() {
+        return this.all(`
+            SELECT c.*, l.name AS location_name
+            FROM uploader_codes c LEFT JOIN locations l ON l.id = c.location_id
+            ORDER BY c.is_active DESC, c.label COLLATE NOCASE
+        `);
+    }
+
+    async getUploaderCodeById(id) {
+        return (await this.all(`
+            SELECT c.*, l.name AS location_name
+            FROM uploader_codes c LEFT JOIN locations l ON l.id = c.location_id
+            WHERE c.id = ?
+        `, [id]))[0];
+    }
+
+    async findUploaderCodeByHash(codeHash) {
+        return (await this.all('SELECT * FROM uploader_codes WHERE code_hash = ?', [codeHash]))[0];
+    }
+
+    async createUploaderCode({ label, codeHash, locationId = null, dailyLimit = null, createdBy = null }) {
+        const { lastID } = await this.run(`
+            INSERT INTO uploader_codes (label, code_hash, location_id, daily_limit, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `, [label, codeHash, locationId, dailyLimit, createdBy]);
+        return this.getUploaderCodeById(lastID);
+    }
+
+    async updateUploaderCode(id, { label, codeHash, locationId, dailyLimit, isActive }) {
+        const sets = [];
+        const params = [];
+        const set = (col, val) => { sets.push(`${col} = ?`); params.push(val); };
+        if (label !== undefined) set('label', label);
+        if (codeHash !== undefined) set('code_hash', codeHash);
+        if (locationId !== undefined) set('location_id', locationId);
+        if (dailyLimit !== undefined) set('daily_limit', dailyLimit);
+        if (isActive !== undefined) set('is_active', isActive ? 1 : 0);
+        if (sets.length) {
+            sets.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+            await this.run(`UPDATE uploader_codes SET ${sets.join(', ')} WHERE id = ?`, params);
+        }
+        return this.getUploaderCodeById(id);
+    }
+
+    async touchUploaderCode(id) {
+        await this.run('UPDATE uploader_codes SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    // New-hire document methods (only current documents count towards a new hire's status)
+    // location: the row whose checklist was used (null = the default one); requiredTypes: its required keys
+    async createNewHire({ firstName, lastName, referenceHash, location = null, requiredTypes = [] }) {
+        const { lastID } = await this.run(`
+            INSERT INTO new_hires (first_name, last_name, reference_hash, location_id, location, required_types)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [firstName, lastName, referenceHash, location?.id ?? null, location?.name ?? null, requiredTypes.join(',')]);
+        return this.getNewHireById(lastID);
+    }
+
+    async setNewHireEmail(id, email) {
+        await this.run('UPDATE new_hires SET email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [email, id]);
+        return this.getNewHireById(id);
+    }
+
+    async getNewHireById(id) {
+        return (await this.all(`${NEW_HIRE_SELECT} WHERE nh.id = ?`, [id]))[0];
+    }
+
+    async findNewHireByReference(referenceHash) {
+        return (await this.all(`${NEW_HIRE_SELECT} WHERE nh.reference_hash = ?`, [referenceHash]))[0];
+    }
+
+    // q matches first/last name; location: a location name; newest submissions first
+    async listNewHires({ status = null, q = null, location = null, limit = 200 } = {}) {
+        const where = [];
+        const params = [];
+        if (status) { where.push('nh.status = ?'); params.push(status); }
+        if (location) {
+            // By the location as it is named now, or the name it had when the new hire submitted
+            where.push('(nh.location_id = (SELECT id FROM locations WHERE name = ? COLLATE NOCASE) OR nh.location = ? COLLATE NOCASE)');
+            params.push(location, location);
+        }
+        if (q) {
+            where.push(`(nh.first_name || ' ' || nh.last_name) LIKE ? ESCAPE '\\'`);
+            params.push(`%${q.replace(/[\\%_]/g, c => '\\' + c)}%`);
+        }
+        return this.all(`
+            ${NEW_HIRE_SELECT}
+            ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+            ORDER BY nh.submitted_at DESC, nh.id DESC
+            LIMIT ?
+        `, [...params, limit]);
+    }
+
+    async touchNewHire(id) {
+        await this.run('UPDATE new_hires SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    // form: what middleware/w9.js read out of a W-9 ({ check, flags, revision, fields }), null otherwise
+    async addNewHireDocument({ newHireId, docType, fileName, originalFilename = null, mimeType = null, fileSize = null, onedrive = null, form = null, expiresOn = null }) {
+        const f = form?.fields || {};
+        const { lastID } = await this.run(`
+            INSERT INTO new_hire_documents (new_hire_id, doc_type, file_name, original_filename, mime_type, file_size, expires_on,
+                                            onedrive_id, onedrive_drive_id, onedrive_url, onedrive_path,
+                                            form_check, form_flags, form_revision, w9_name, w9_business_name,
+                                            w9_tax_classification, w9_tin_type, w9_tin_last4, w9_signature_date)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [newHireId, docType, fileName, originalFilename, mimeType, fileSize, expiresOn,
+            onedrive?.id ?? null, onedrive?.driveId ?? null, onedrive?.webUrl ?? null, onedrive?.parentPath ?? null,
+            form?.check ?? null, form?.flags?.length ? form.flags.join(',') : null, form?.revision ?? null,
+            f.name ?? null, f.businessName ?? null, f.taxClassification ?? null, f.tinType ?? null, f.tinLast4 ?? null,
+            f.signatureDate ?? null]);
+        return this.getNewHireDocumentById(lastID);
+    }
+
+    async getNewHireDocumentById(id) {
+        return (await this.all('SELECT * FROM new_hire_documents WHERE id = ?', [id]))[0];
+    }
+
+    // Current documents only unless includeSuperseded (the detail view shows the history too)
+    async listNewHireDocuments(newHireId, { includeSuperseded = false } = {}) {
+        return this.all(`
+            SELECT * FROM new_hire_documents
+            WHERE new_hire_id = ? ${includeSuperseded ? '' : 'AND superseded_by IS NULL'}
+            ORDER BY doc_type, submitted_at DESC, id DESC
+        `, [newHireId]);
+    }
+
+    async supersedeNewHireDocument(id, replacementId) {
+        await this.run('UPDATE new_hire_documents SET superseded_by = ? WHERE id = ?', [replacementId, id]);
+    }
+
+    async reviewNewHireDocument(id, { status, rejectReason = null, reviewedBy }) {
+        await this.run(`
+            UPDATE new_hire_documents
+            SET status = ?, reject_reason = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [status, rejectReason, reviewedBy, id]);
+        return this.getNewHireDocumentById(id);
+    }
+
+    // A new date starts the reminders over
+    async setNewHireDocumentExpiry(id, expiresOn) {
+        await this.run('UPDATE new_hire_documents SET expires_on = ?, expiry_notice = NULL WHERE id = ?', [expiresOn, id]);
+        return this.getNewHireDocumentById(id);
+    }
+
+    async setNewHireDocumentExpiryNotice(id, notice) {
+        await this.run('UPDATE new_hire_documents SET expiry_notice = ? WHERE id = ?', [notice, id]);
+    }
+
+    // Current documents expiring on or before `through` (YYYY-MM-DD), soonest first, with the new hire,
+    // the catalog label and the worker account the new hire's email belongs to.
+    // locations: names matched against the new hire's location or the worker's (null = all)
+    async listExpiringDocuments({ through, locations = null } = {}) {
+        const params = [through];
+        let scope = '';
+        if (locations) {
+            const marks = locations.map(() => '?').join(',') || 'NULL';
+            scope = `AND (h.location COLLATE NOCASE IN (${marks}) OR u.location COLLATE NOCASE IN (${marks}))`;
+            params.push(...locations, ...locations);
+        }
+        return this.all(`
+            SELECT d.*, h.first_name, h.last_name, h.email, h.location AS hire_location,
+                   t.label AS doc_label,
+                   (',' || COALESCE(h.required_types, '') || ',') LIKE ('%,' || d.doc_type || ',%') AS is_required,
+                   u.id AS user_id, u.location AS user_location, u.is_active AS user_active
+            FROM new_hire_documents d
+            JOIN new_hires h ON h.id = d.new_hire_id
+            LEFT JOIN document_types t ON t.key = d.doc_type
+            LEFT JOIN users u ON u.email = h.email COLLATE NOCASE
+            WHERE d.superseded_by IS NULL AND d.expires_on IS NOT NULL AND d.expires_on <= ? ${scope}
+            ORDER BY d.expires_on, h.last_name COLLATE NOCASE, h.first_name COLLATE NOCASE, d.id
+        `, params);
+    }
+
+    // A worker's current required documents that expired before `today` (YYYY-MM-DD)
+    async listExpiredRequiredDocuments(email, today) {
+        return this.all(`
+            SELECT d.*, t.label AS doc_label
+            FROM new_hire_documents d
+            JOIN new_hires h ON h.id = d.new_hire_id
+            LEFT JOIN document_types t ON t.key = d.doc_type
+            WHERE h.email = ? COLLATE NOCASE AND d.superseded_by IS NULL AND d.expires_on < ?
+              AND (',' || COALESCE(h.required_types, '') || ',') LIKE ('%,' || d.doc_type || ',%')
+            ORDER BY d.expires_on
+        `, [email, today]);
+    }
+
+    // Document type methods (the new-hire document catalog and per-location checklists)
+    async listDocumentTypes({ includeInactive = false } = {}) {
+        return this.all(`
+            SELECT * FROM document_types
+            ${includeInactive ? '' : 'WHERE is_active = 1'}
+            ORDER BY sort_order, label COLLATE NOCASE
+        `);
+    }
+
+    async getDocumentTypeById(id) {
+        return (await this.all('SELECT * FROM document_types WHERE id = ?', [id]))[0];
+    }
+
+    async findDocumentTypeByKey(key) {
+        return (await this.all('SELECT * FROM document_types WHERE key = ?', [key]))[0];
+    }
+
+    async createDocumentType({ key, label, fileLabel, mimeTypes, tracksExpiry = false, isDefault = false, required = true, sortOrder = 0 }) {
+        const { lastID } = await this.run(`
+            INSERT INTO document_types (key, label, file_label, mime_types, tracks_expiry, is_default, required, sort_order)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [key, label, fileLabel, mimeTypes.join(','), tracksExpiry ? 1 : 0, isDefault ? 1 : 0, required ? 1 : 0, sortOrder]);
+        return this.getDocumentTypeById(lastID);
+    }
+
+    // Only the keys present are changed; key itself never is
+    async updateDocumentType(id, { label, fileLabel, mimeTypes, tracksExpiry, isDefault, required, isActive, sortOrder }) {
+        const sets = [];
+        const params = [];
+        const set = (col, val) => { sets.push(`${col} = ?`); params.push(val); };
+        if (label !== undefined) set('label', label);
+        if (fileLabel !== undefined) set('file_label', fileLabel);
+        if (mimeTypes !== undefined) set('mime_types', mimeTypes.join(','));
+        if (tracksExpiry !== undefined) set('tracks_expiry', tracksExpiry ? 1 : 0);
+        if (isDefault !== undefined) set('is_default', isDefault ? 1 : 0);
+        if (required !== undefined) set('required', required ? 1 : 0);
+        if (isActive !== undefined) set('is_active', isActive ? 1 : 0);
+        if (sortOrder !== undefined) set('sort_order', sortOrder);
+        if (!sets.length) return this.getDocumentTypeById(id);
+        sets.push('updated_at = CURRENT_TIMESTAMP');
+        params.push(id);
+        await this.run(`UPDATE document_types SET ${sets.join(', ')} WHERE id = ?`, params);
+        return this.getDocumentTypeById(id);
+    }
+
+    // A location's own checklist, inactive types included (no rows = it uses the default checklist)
+    async listLocationDocumentTypes(locationId) {
+        return this.all(`
+            SELECT t.*, ldt.required AS location_required
+            FROM location_document_types ldt
+            JOIN document_types t ON t.id = ldt.document_type_id
+            WHERE ldt.location_id = ?
+            ORDER BY t.sort_order, t.label COLLATE NOCASE
+        `, [locationId]);
+    }
+
+    async addLocationDocumentType(locationId, documentTypeId, required) {
+        await this.run(`
+            INSERT OR REPLACE INTO location_document_types (location_id, document_type_id, required) VALUES (?, ?, ?)
+        `, [locationId, documentTypeId, required ? 1 : 0]);
+    }
+
+    async clearLocationDocumentTypes(locationId) {
+        await this.run('DELETE FROM location_document_types WHERE location_id = ?', [locationId]);
+    }
+
+    // Location methods
+    async listLocations({ includeInactive = false } = {}) {
+        return this.all(`
+            SELECT l.*,
+                   (SELECT COUNT(*) FROM location_uploads lu WHERE lu.location_id = l.id) AS upload_count
+            FROM locations l
+            ${includeInactive ? '' : 'WHERE l.is_active = 1'}
+            ORDER BY l.name COLLATE NOCASE
+        `);
+    }
+
+    async getLocationById(id) {
+        return (await this.all('SELECT * FROM locations WHERE id = ?', [id]))[0];
+    }
+
+    async findLocationByName(name) {
+        return (await this.all('SELECT * FROM locations WHERE name = ? COLLATE NOCASE', [name]))[0];
+    }
+
+    async countLocations() {
+        return (await this.all('SELECT COUNT(*) AS cnt FROM locations'))[0].cnt;
+    }
+
+    async createLocation({ name, folderName, isActive = true, address = null, dailyUploadLimit = null, geofence = null, allowNewJobsites = true }) {
+        const { lastID } = await this.run(`
+            INSERT INTO locations (name, folder_name, is_active, address, daily_upload_limit,
+                                   geofence_lat, geofence_lng, geofence_radius_m, allow_new_jobsites)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [name, folderName || name, isActive ? 1 : 0, address, dailyUploadLimit,
+            geofence?.lat ?? null, geofence?.lng ?? null, geofence?.radiusMeters ?? null, allowNewJobsites ? 1 : 0]);
+        // Uploads recorded before the table existed only carry the name
+        await this.run('UPDATE location_uploads SET location_id = ? WHERE location_id IS NULL AND location = ? COLLATE NOCASE', [lastID, name]);
+        return this.getLocationById(lastID);
+    }
+
+    // Only the keys present are changed; geofence: null clears the fence
+    async updateLocation(id, { name, folderName, isActive, address, dailyUploadLimit, geofence, allowNewJobsites }) {
+        const sets = [];
+        const params = [];
+        const set = (col, val) => { sets.push(`${col} = ?`); params.push(val); };
+        if (name !== undefined) set('name', name);
+        if (folderName !== undefined) set('folder_name', folderName);
+        if (isActive !== undefined) set('is_active', isActive ? 1 : 0);
+        if (address !== undefined) set('address', address);
+        if (dailyUploadLimit !== undefined) set('daily_upload_limit', dailyUploadLimit);
+        if (allowNewJobsites !== undefined) set('allow_new_jobsites', allowNewJobsites ? 1 : 0);
+        if (geofence !== undefined) {
+            set('geofence_lat', geofence?.lat ?? null);
+            set('geofence_lng', geofence?.lng ?? null);
+            set('geofence_radius_m', geofence?.radiusMeters ?? null);
+        }
+        if (!sets.length) return this.getLocationById(id);
+        sets.push('updated_at = CURRENT_TIMESTAMP');
+        params.push(id);
+        await this.run(`UPDATE locations SET ${sets.join(', ')} WHERE id = ?`, params);
+        return this.getLocationById(id);
+    }
+
+    // Current assignments follow a rename; location_uploads keeps the historical name
+    async renameLocationReferences(oldName, newName) {
+        await this.run('UPDATE users SET location = ?, updated_at = CURRENT_TIMESTAMP WHERE location = ? COLLATE NOCASE', [newName, oldName]);
+        await this.run('UPDATE OR IGNORE supervisor_locations SET location = ? WHERE location = ? COLLATE NOCASE', [newName, oldName]);
+        await this.run('DELETE FROM supervisor_locations WHERE location = ? COLLATE NOCASE', [oldName]);
+    }
+
+    async countLocationReferences(location) {
+        const [row] = await this.all(`
+            SELECT (SELECT COUNT(*) FROM location_uploads WHERE location_id = ?) AS uploads,
+                   (SELECT COUNT(*) FROM users WHERE location = ? COLLATE NOCASE) AS users
+        `, [location.id, location.name]);
+        return row;
+    }
+
+    async deleteLocation(id) {
+        await this.run("DELETE FROM jobsites WHERE location_id = ?", [id]);
+        await this.clearLocationDocumentTypes(id);
+        const location = await this.getLocationById(id);
+        await this.run('DELETE FROM supervisor_locations WHERE location = ? COLLATE NOCASE', [location.name]);
+        await this.run('DELETE FROM locations WHERE id = ?', [id]);
+    }
+
+    // Jobsite methods
+    async listJobsites(locationId, statuses = ['active']) {
+        return this.all(`
+            SELECT j.*, (SELECT COUNT(*) FROM location_uploads lu WHERE lu.jobsite_id = j.id) AS upload_count
+            FROM jobsites j
+            WHERE j.location_id = ? AND j.status IN (${statuses.map(() => '?').join(',')})
+            ORDER BY j.name COLLATE NOCASE
+        `, [locationId, ...statuses]);
+    }
+
+    // Pending requests across locations (names = supervisor scope, null = all)
+    async listPendingJobsites(locationNames = null) {
+        const params = [];
+        let scope = '';
+        if (locationNames) {
+            scope = `AND l.name IN (${locationNames.map(() => '?').join(',') || 'NULL'})`;
+            params.push(...locationNames);
+        }
+        return this.all(`
+            SELECT j.*, l.name AS location_name,
+                   (SELECT COUNT(*) FROM location_uploads lu WHERE lu.jobsite_id = j.id) AS upload_count
+            FROM jobsites j JOIN locations l ON l.id = j.location_id
+            WHERE j.status = 'pending' ${scope}
+            ORDER BY j.created_at
+        `, params);
+    }
+
+    async getJobsiteById(id) {
+        return (await this.all(`
+            SELECT j.*, l.name AS location_name
+            FROM jobsites j JOIN locations l ON l.id = j.location_id
+            WHERE j.id = ?
+        `, [id]))[0];
+    }
+
+    async findJobsiteByKey(locationId, nameKey) {
+        return (await this.all('SELECT * FROM jobsites WHERE location_id = ? AND name_key = ?', [locationId, nameKey]))[0];
+    }
+
+    async createJobsite({ locationId, name, nameKey, folderName, status = 'active', requestedBy = null, approvedBy = null }) {
+        const { lastID } = await this.run(`
+            INSERT INTO jobsites (location_id, name, name_key, folder_name, status, requested_by, approved_by, approved_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [locationId, name, nameKey, folderName || name, status, requestedBy, approvedBy,
+            approvedBy ? new Date().toISOString() : null]);
+        return this.getJobsiteById(lastID);
+    }
+
+    async updateJobsite(id, { name, nameKey, folderName, status, approvedBy }) {
+        const sets = [];
+        const params = [];
+        const set = (col, val) => { sets.push(`${col} = ?`); params.push(val); };
+        if (name !== undefined) set('name', name);
+        if (nameKey !== undefined) set('name_key', nameKey);
+        if (folderName !== undefined) set('folder_name', folderName);
+        if (status !== undefined) set('status', status);
+        if (approvedBy !== undefined) {
+            set('approved_by', approvedBy);
+            set('approved_at', new Date().toISOString());
+        }
+        if (sets.length) {
+            sets.push('updated_at = CURRENT_TIMESTAMP');
+            params.push(id);
+            await this.run(`UPDATE jobsites SET ${sets.join(', ')} WHERE id = ?`, params);
+        }
+        return this.getJobsiteById(id);
+    }
+
+    async countJobsiteUploads(id) {
+        return (await this.all('SELECT COUNT(*) AS cnt FROM location_uploads WHERE jobsite_id = ?', [id]))[0].cnt;
+    }
+
+    // Merging a duplicate: its uploads now belong to the surviving jobsite (jobsite text keeps the submitted name)
+    async reassignJobsiteUploads(fromId, toId) {
+        return (await this.run('UPDATE location_uploads SET jobsite_id = ? WHERE jobsite_id = ?', [toId, fromId])).changes;
+    }
+
+    async deleteJobsite(id) {
+        await this.run('DELETE FROM jobsites WHERE id = ?', [id]);
+    }
+
     // User management methods
     async createUser(email, firstName = null, lastName = null, employeeId = null, department = null) {
         return new Promise((resolve, reject) => {
-            const stmt = this.db.prepare(`
+            this.db.run(`
                 INSERT INTO users (email, first_name, last_name, employee_id, department)
                 VALUES (?, ?, ?, ?, ?)
-            `);
-            
-            stmt.run([email, firstName, lastName, employeeId, department], function(err) {
+            `, [email, firstName, lastName, employeeId, department], function(err) {
                 if (err) {
                     reject(err);
                 } else {
                     resolve({ id: this.lastID, email, firstName, lastName, employeeId, department });
                 }
             });
-            stmt.finalize();
+        });
+    }
+
+    async getUserById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM users WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err); else resolve(row);
+            });
+        });
+    }
+
+    // Includes inactive users (admin views); getUserByEmail only returns active ones
+    async findUserByEmail(email) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM users WHERE email = ? COLLATE NOCASE', [email], (err, row) => {
+                if (err) reject(err); else resolve(row);
+            });
+        });
+    }
+
+    async listUsers() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT u.id, u.email, u.first_name, u.last_name, u.employee_id, u.department, u.location,
+                       u.role, u.is_active, u.password_hash IS NOT NULL AS has_password, u.last_login_at,
+                       u.created_at, u.updated_at, GROUP_CONCAT(sl.location, '|') AS managed_locations
+                FROM users u
+                LEFT JOIN supervisor_locations sl ON sl.user_id = u.id
+                GROUP BY u.id
+                ORDER BY u.email
+            `, (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows.map(r => ({ ...r, managed_locations: r.managed_locations ? r.managed_locations.split('|') : [] })));
+            });
+        });
+    }
+
+    async updateUser(id, { firstName, lastName, employeeId, department, location, role, isActive, passwordHash }) {
+        const sets = [];
+        const params = [];
+        const add = (col, val) => { if (val !== undefined) { sets.push(`${col} = ?`); params.push(val); } };
+        add('first_name', firstName);
+        add('last_name', lastName);
+        add('employee_id', employeeId);
+        add('department', department);
+        add('location', location);
+        add('role', role);
+        add('is_active', isActive === undefined ? undefined : (isActive ? 1 : 0));
+        add('password_hash', passwordHash);
+        if (!sets.length) return false;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(`UPDATE users SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...params, id], function(err) {
+                if (err) reject(err); else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    // Session methods
+    async createSession(id, userId, expiresAt, ip = null, userAgent = null) {
+        return new Promise((resolve, reject) => {
+            const db = this.db;
+            db.run(`
+                INSERT INTO user_sessions (id, user_id, expires_at, ip, user_agent)
+                VALUES (?, ?, ?, ?, ?)
+            `, [id, userId, expiresAt, ip, userAgent], function(err) {
+                if (err) return reject(err);
+                db.run('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [userId], (err) => {
+                    if (err) reject(err); else resolve({ id, userId, expiresAt });
+                });
+            });
+        });
+    }
+
+    // Only active users with an unexpired session
+    async getSessionUser(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT u.id, u.email, u.first_name, u.last_name, u.employee_id, u.department, u.location,
+                       COALESCE(u.role, 'employee') AS role, s.expires_at
+                FROM user_sessions s
+                JOIN users u ON u.id = s.user_id
+                WHERE s.id = ? AND s.expires_at > ? AND u.is_active = 1
+            `, [id, new Date().toISOString()], (err, row) => {
+                if (err) reject(err); else resolve(row);
+            });
+        });
+    }
+
+    // Role scoping
+    async getSupervisorLocations(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT location FROM supervisor_locations WHERE user_id = ? ORDER BY location', [userId], (err, rows) => {
+                if (err) reject(err); else resolve(rows.map(r => r.location));
+            });
+        });
+    }
+
+    async setSupervisorLocations(userId, locations) {
+        await this.transaction(async () => {
+            await this.run('DELETE FROM supervisor_locations WHERE user_id = ?', [userId]);
+            for (const loc of locations) {
+                await this.run('INSERT OR IGNORE INTO supervisor_locations (user_id, location) VALUES (?, ?)', [userId, loc]);
+            }
+        });
+        return locations;
+    }
+
+    async countAdmins() {
+        return new Promise((resolve, reject) => {
+            this.db.get("SELECT COUNT(*) AS cnt FROM users WHERE role = 'admin' AND is_active = 1", (err, row) => {
+                if (err) reject(err); else resolve(row?.cnt || 0);
+            });
+        });
+    }
+
+    async deleteSession(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM user_sessions WHERE id = ?', [id], function(err) {
+                if (err) reject(err); else resolve(this.changes);
+            });
+        });
+    }
+
+    async deleteUserSessions(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM user_sessions WHERE user_id = ?', [userId], function(err) {
+                if (err) reject(err); else resolve(this.changes);
+            });
+        });
+    }
+
+    async deleteExpiredSessions() {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM user_sessions WHERE expires_at <= ?', [new Date().toISOString()], function(err) {
+                if (err) reject(err); else resolve(this.changes);
+            });
         });
     }
 
@@ -159,23 +1025,26 @@ class Database {
     }
 
     // Time tracking methods
-    async clockIn(userEmail, photoUrl = null) {
+    async clockIn(userEmail, photoUrl = null, geo = null) {
     return new Promise(async (resolve, reject) => {
         try {
         let user = await this.getUserByEmail(userEmail);
         if (!user) user = await this.createUser(userEmail);
 
         const activeSession = await this.getActiveSession(userEmail);
-        if (activeSession) return reject(new Error('User is already clocked in'));
+        if (activeSession) return reject(httpError(409, 'User is already clocked in', 'ALREADY_CLOCKED_IN'));
 
         const clockInTime = new Date().toISOString();
 
         const db = this.db; // <— capture it
 
         db.run(`
-            INSERT INTO time_records (user_id, email, clock_in_time, photo_url, status)
-            VALUES (?, ?, ?, ?, 'active')
-        `, [user.id, userEmail, clockInTime, photoUrl], function (err) {
+            INSERT INTO time_records (user_id, email, clock_in_time, photo_url, status,
+                                      clock_in_latitude, clock_in_longitude, clock_in_accuracy, clock_in_geofence, clock_in_distance_m)
+            VALUES (?, ?, ?, ?, 'active', ?, ?, ?, ?, ?)
+        `, [user.id, userEmail, clockInTime, photoUrl,
+            geo?.latitude ?? null, geo?.longitude ?? null, geo?.accuracy ?? null,
+            geo?.status ?? null, geo?.distanceMeters ?? null], function (err) {
             if (err) return reject(err);
 
             const timeRecordId = this.lastID; // ok: "this" here is the statement for THIS run
@@ -202,23 +1071,31 @@ class Database {
     }
 
 
-    async clockOut(userEmail) {
+    async clockOut(userEmail, geo = null) {
     return new Promise(async (resolve, reject) => {
         try {
         const activeSession = await this.getActiveSession(userEmail);
-        if (!activeSession) return reject(new Error('No active session found for this user'));
+        if (!activeSession) return reject(httpError(404, 'No active session found for this user', 'NOT_CLOCKED_IN'));
 
         const clockOutTime = new Date().toISOString();
-        const clockInTime = new Date(activeSession.clock_in_time);
-        const totalHours = (new Date(clockOutTime) - clockInTime) / 36e5;
+
+        // Clocking out ends any break still running, then unpaid break time is deducted
+        await this.endOpenBreak(activeSession.time_record_id, clockOutTime);
+        const breaks = await this.getBreaksForRecord(activeSession.time_record_id);
+        const worked = computeWorkedHours(activeSession.clock_in_time, clockOutTime, breaks);
 
         const db = this.db; // <— capture
 
         db.run(`
             UPDATE time_records
-            SET clock_out_time = ?, total_hours = ?, status = 'completed', updated_at = CURRENT_TIMESTAMP
+            SET clock_out_time = ?, total_hours = ?, unpaid_break_minutes = ?, status = 'completed',
+                clock_out_latitude = ?, clock_out_longitude = ?, clock_out_accuracy = ?,
+                clock_out_geofence = ?, clock_out_distance_m = ?, updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
-        `, [clockOutTime, totalHours.toFixed(2), activeSession.time_record_id], function (err) {
+        `, [clockOutTime, worked.totalHours, worked.unpaidBreakMinutes,
+            geo?.latitude ?? null, geo?.longitude ?? null, geo?.accuracy ?? null,
+            geo?.status ?? null, geo?.distanceMeters ?? null,
+            activeSession.time_record_id], function (err) {
             if (err) return reject(err);
 
             db.run('DELETE FROM active_sessions WHERE id = ?', [activeSession.id], function (err) {
@@ -228,7 +1105,9 @@ class Database {
                 timeRecordId: activeSession.time_record_id,
                 clockInTime: activeSession.clock_in_time,
                 clockOutTime,
-                totalHours: totalHours.toFixed(2),
+                totalHours: worked.totalHours,
+                unpaidBreakMinutes: worked.unpaidBreakMinutes,
+                autoDeductedMinutes: worked.autoDeductedMinutes,
                 userEmail
             });
             });
@@ -240,6 +1119,67 @@ class Database {
     }
 
 
+    // Break methods
+    async getOpenBreak(timeRecordId) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM breaks WHERE time_record_id = ? AND end_time IS NULL', [timeRecordId], (err, row) => {
+                if (err) reject(err); else resolve(row);
+            });
+        });
+    }
+
+    async getBreaksForRecord(timeRecordId) {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM breaks WHERE time_record_id = ? ORDER BY start_time', [timeRecordId], (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+    }
+
+    async startBreak(userEmail, breakType = 'meal', isPaid = false) {
+        const session = await this.getActiveSession(userEmail);
+        if (!session) throw httpError(404, 'No active session found for this user', 'NOT_CLOCKED_IN');
+        if (await this.getOpenBreak(session.time_record_id)) throw httpError(409, 'User is already on break', 'ALREADY_ON_BREAK');
+
+        // Breaks may not overlap one another (only possible with back-dated/edited breaks)
+        const startTime = new Date().toISOString();
+        const overlap = (await this.getBreaksForRecord(session.time_record_id))
+            .some(b => b.start_time <= startTime && (!b.end_time || b.end_time > startTime));
+        if (overlap) throw httpError(409, 'Break overlaps an existing break', 'BREAK_OVERLAP');
+
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO breaks (time_record_id, user_id, email, break_type, is_paid, start_time)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [session.time_record_id, session.user_id, userEmail, breakType, isPaid ? 1 : 0, startTime], function(err) {
+                if (err) reject(err);
+                else resolve({ breakId: this.lastID, timeRecordId: session.time_record_id, breakType, isPaid: !!isPaid, startTime });
+            });
+        });
+    }
+
+    async endBreak(userEmail) {
+        const session = await this.getActiveSession(userEmail);
+        if (!session) throw httpError(404, 'No active session found for this user', 'NOT_CLOCKED_IN');
+        const open = await this.getOpenBreak(session.time_record_id);
+        if (!open) throw httpError(409, 'User is not on break', 'NOT_ON_BREAK');
+
+        const endTime = new Date().toISOString();
+        await this.endOpenBreak(session.time_record_id, endTime);
+        const minutes = Math.round((new Date(endTime) - new Date(open.start_time)) / 60000);
+        return { breakId: open.id, timeRecordId: session.time_record_id, breakType: open.break_type, startTime: open.start_time, endTime, minutes };
+    }
+
+    async endOpenBreak(timeRecordId, endTime) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE breaks SET end_time = ? WHERE time_record_id = ? AND end_time IS NULL',
+            [endTime, timeRecordId], function(err) {
+                if (err) reject(err); else resolve(this.changes);
+            });
+        });
+    }
+
+
     async getActiveSession(userEmail) {
         return new Promise((resolve, reject) => {
             this.db.get('SELECT * FROM active_sessions WHERE email = ?', [userEmail], (err, row) => {
@@ -252,13 +1192,179 @@ class Database {
         });
     }
 
+    // Manager edits
+    async getTimeRecordById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT tr.*, u.location, u.first_name, u.last_name
+                FROM time_records tr
+                LEFT JOIN users u ON tr.user_id = u.id
+                WHERE tr.id = ?
+            `, [id], (err, row) => {
+                if (err) reject(err); else resolve(row);
+            });
+        });
+    }
+
+    async updateTimeRecord(id, { clockInTime, clockOutTime, totalHours, unpaidBreakMinutes, status, notes, needsReview, reviewReason }) {
+        const sets = [];
+        const params = [];
+        const add = (col, val) => { if (val !== undefined) { sets.push(`${col} = ?`); params.push(val); } };
+        add('clock_in_time', clockInTime);
+        add('clock_out_time', clockOutTime);
+        add('total_hours', totalHours);
+        add('unpaid_break_minutes', unpaidBreakMinutes);
+        add('status', status);
+        add('notes', notes);
+        add('needs_review', needsReview === undefined ? undefined : (needsReview ? 1 : 0));
+        add('review_reason', reviewReason);
+        if (!sets.length) return false;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(`UPDATE time_records SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...params, id], function(err) {
+                if (err) reject(err); else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    async insertTimeRecord({ userId, email, clockInTime, clockOutTime, totalHours, unpaidBreakMinutes = 0, status = 'completed', notes = null }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO time_records (user_id, email, clock_in_time, clock_out_time, total_hours, unpaid_break_minutes, status, notes)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [userId, email, clockInTime, clockOutTime, totalHours, unpaidBreakMinutes, status, notes], function(err) {
+                if (err) reject(err); else resolve({ id: this.lastID });
+            });
+        });
+    }
+
+    // Used when a manager closes or voids a record that is still clocked in
+    async deleteActiveSessionForRecord(timeRecordId) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM active_sessions WHERE time_record_id = ?', [timeRecordId], function(err) {
+                if (err) reject(err); else resolve(this.changes);
+            });
+        });
+    }
+
+    // Still-open shifts that started before the cutoff (ISO)
+    async getStaleSessions(cutoff) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT a.id AS session_id, a.time_record_id, a.email, a.clock_in_time,
+                       tr.needs_review, u.location, u.first_name, u.last_name
+                FROM active_sessions a
+                JOIN time_records tr ON tr.id = a.time_record_id
+                LEFT JOIN users u ON u.id = a.user_id
+                WHERE a.clock_in_time < ?
+                ORDER BY a.clock_in_time
+            `, [cutoff], (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+    }
+
+    async listNeedsReview(locations = null) {
+        return new Promise((resolve, reject) => {
+            const params = locations || [];
+            const scope  = locations ? `AND u.location COLLATE NOCASE IN (${locations.map(() => '?').join(',') || 'NULL'})` : '';
+            this.db.all(`
+                SELECT tr.*, u.first_name, u.last_name, u.department, u.location
+                FROM time_records tr
+                LEFT JOIN users u ON tr.user_id = u.id
+                WHERE tr.needs_review = 1 ${scope}
+                ORDER BY tr.clock_in_time DESC
+            `, params, (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+    }
+
+    async addTimeRecordAudit({ timeRecordId, action, userId = null, email = null, before = null, after = null, reason }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO time_record_audit (time_record_id, action, changed_by_user_id, changed_by_email, before_json, after_json, reason)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [timeRecordId, action, userId, email,
+                before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, reason], function(err) {
+                if (err) reject(err); else resolve({ id: this.lastID });
+            });
+        });
+    }
+
+    async getTimeRecordAudit(timeRecordId) {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM time_record_audit WHERE time_record_id = ? ORDER BY id', [timeRecordId], (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows.map(({ before_json, after_json, ...r }) => ({
+                    ...r,
+                    before: before_json ? JSON.parse(before_json) : null,
+                    after: after_json ? JSON.parse(after_json) : null,
+                })));
+            });
+        });
+    }
+
+    // Pay periods (weeks without a row are implicitly 'pending')
+    async getPayPeriod(weekStart) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM pay_periods WHERE week_start = ?', [weekStart], (err, row) => {
+                if (err) reject(err); else resolve(row);
+            });
+        });
+    }
+
+    async listPayPeriods(fromWeek = null, toWeek = null) {
+        return new Promise((resolve, reject) => {
+            let query = 'SELECT * FROM pay_periods';
+            const params = [];
+            if (fromWeek && toWeek) {
+                query += ' WHERE week_start BETWEEN ? AND ?';
+                params.push(fromWeek, toWeek);
+            }
+            query += ' ORDER BY week_start DESC';
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+    }
+
+    async setPayPeriodStatus(weekStart, weekEnd, status, byEmail) {
+        return new Promise((resolve, reject) => {
+            const now = new Date().toISOString();
+            const approved = status === 'approved' ? [byEmail, now] : [null, null];
+            const locked   = status === 'locked' ? [byEmail, now] : [null, null];
+            this.db.run(`
+                INSERT INTO pay_periods (week_start, week_end, status, approved_by, approved_at, locked_by, locked_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(week_start) DO UPDATE SET
+                    status = excluded.status,
+                    approved_by = COALESCE(excluded.approved_by, CASE WHEN excluded.status = 'pending' THEN NULL ELSE pay_periods.approved_by END),
+                    approved_at = COALESCE(excluded.approved_at, CASE WHEN excluded.status = 'pending' THEN NULL ELSE pay_periods.approved_at END),
+                    locked_by = excluded.locked_by,
+                    locked_at = excluded.locked_at,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [weekStart, weekEnd, status, ...approved, ...locked], function(err) {
+                if (err) reject(err); else resolve(true);
+            });
+        });
+    }
+
     // Photo management
-    async savePhotoRecord(timeRecordId, userEmail, originalFilename, storedFilename, fileSize) {
+    // meta = { exif, check, skewMinutes } from middleware/exif
+    async savePhotoRecord(timeRecordId, userEmail, originalFilename, storedFilename, fileSize, meta = null) {
+        const exif = meta?.exif || {};
         return new Promise((resolve, reject) => {
             this.db.run(`
-                INSERT INTO photo_uploads (time_record_id, user_email, original_filename, stored_filename, file_size)
-                VALUES (?, ?, ?, ?, ?)
-            `, [timeRecordId, userEmail, originalFilename, storedFilename, fileSize], function(err) {
+                INSERT INTO photo_uploads (time_record_id, user_email, original_filename, stored_filename, file_size,
+                                           taken_at, latitude, longitude, camera_make, camera_model,
+                                           capture_skew_minutes, capture_check)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [timeRecordId, userEmail, originalFilename, storedFilename, fileSize,
+                exif.takenAt ? exif.takenAt.toISOString() : null, exif.latitude ?? null, exif.longitude ?? null,
+                exif.make ?? null, exif.model ?? null,
+                meta?.skewMinutes ?? null, meta?.check ?? null], function(err) {
                 if (err) {
                     reject(err);
                 } else {
@@ -268,13 +1374,16 @@ class Database {
         });
     }
 
-    async updatePhotoOneDriveUrl(photoId, oneDriveUrl) {
+    // item = { id, driveId, parentPath } from the storage backend's upload() (optional for old callers)
+    async updatePhotoOneDriveUrl(photoId, oneDriveUrl, item = null) {
         return new Promise((resolve, reject) => {
             this.db.run(`
                 UPDATE photo_uploads 
-                SET onedrive_url = ?, upload_status = 'uploaded'
+                SET onedrive_url = ?, upload_status = 'uploaded',
+                    onedrive_id = COALESCE(?, onedrive_id), onedrive_drive_id = COALESCE(?, onedrive_drive_id),
+                    onedrive_path = COALESCE(?, onedrive_path)
                 WHERE id = ?
-            `, [oneDriveUrl, photoId], function(err) {
+            `, [oneDriveUrl, item?.id ?? null, item?.driveId ?? null, item?.parentPath ?? null, photoId], function(err) {
                 if (err) {
                     reject(err);
                 } else {
@@ -307,15 +1416,32 @@ class Database {
         });
     }
 
-    async getAllTimeRecords(startDate = null, endDate = null) {
+    // locations: null = everyone (admin); an array limits to employees assigned there (supervisor)
+    async getAllTimeRecords(startDate = null, endDate = null, locations = null, { geofence = null, photoCheck = null } = {}) {
         return new Promise((resolve, reject) => {
-            let query = 'SELECT tr.*, u.first_name, u.last_name, u.department FROM time_records tr LEFT JOIN users u ON tr.user_id = u.id';
+            let query = `SELECT tr.*, u.first_name, u.last_name, u.department, u.location,
+                                (SELECT capture_check FROM photo_uploads p WHERE p.time_record_id = tr.id ORDER BY p.id LIMIT 1) AS photo_check
+                         FROM time_records tr LEFT JOIN users u ON tr.user_id = u.id`;
             let params = [];
+            const where = [];
 
             if (startDate && endDate) {
-                query += ' WHERE tr.clock_in_time BETWEEN ? AND ?';
+                where.push('tr.clock_in_time BETWEEN ? AND ?');
                 params.push(startDate, endDate);
             }
+            if (locations) {
+                where.push(`u.location COLLATE NOCASE IN (${locations.map(() => '?').join(',') || 'NULL'})`);
+                params.push(...locations);
+            }
+            if (geofence) {
+                where.push('(tr.clock_in_geofence = ? OR tr.clock_out_geofence = ?)');
+                params.push(geofence, geofence);
+            }
+            if (photoCheck) {
+                where.push('EXISTS (SELECT 1 FROM photo_uploads p WHERE p.time_record_id = tr.id AND p.capture_check = ?)');
+                params.push(photoCheck);
+            }
+            if (where.length) query += ' WHERE ' + where.join(' AND ');
 
             query += ' ORDER BY tr.clock_in_time DESC';
 
@@ -329,14 +1455,48 @@ class Database {
         });
     }
 
-    async getCurrentlyLoggedInUsers() {
+    // Completed shifts for payroll; from/to are ISO timestamps, the rest optional filters
+    async getTimesheetRecords({ from, to, department = null, email = null, locations = null }) {
+        return new Promise((resolve, reject) => {
+            let query = `
+                SELECT tr.id, tr.email, tr.clock_in_time, tr.clock_out_time, tr.total_hours,
+                       u.first_name, u.last_name, u.department, u.location
+                FROM time_records tr
+                LEFT JOIN users u ON tr.user_id = u.id
+                WHERE tr.status = 'completed' AND tr.clock_in_time >= ? AND tr.clock_in_time < ?`;
+            const params = [from, to];
+
+            if (department) {
+                query += ' AND u.department = ? COLLATE NOCASE';
+                params.push(department);
+            }
+            if (email) {
+                query += ' AND tr.email = ? COLLATE NOCASE';
+                params.push(email);
+            }
+            if (locations) {
+                query += ` AND u.location COLLATE NOCASE IN (${locations.map(() => '?').join(',') || 'NULL'})`;
+                params.push(...locations);
+            }
+            query += ' ORDER BY tr.email, tr.clock_in_time';
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+    }
+
+    async getCurrentlyLoggedInUsers(locations = null) {
         return new Promise((resolve, reject) => {
+            const params = locations || [];
+            const scope  = locations ? `WHERE u.location COLLATE NOCASE IN (${locations.map(() => '?').join(',') || 'NULL'})` : '';
             this.db.all(`
-                SELECT a.*, u.first_name, u.last_name, u.department
+                SELECT a.*, u.first_name, u.last_name, u.department, u.location
                 FROM active_sessions a
                 LEFT JOIN users u ON a.user_id = u.id
+                ${scope}
                 ORDER BY a.clock_in_time DESC
-            `, (err, rows) => {
+            `, params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -348,12 +1508,15 @@ class Database {
 
     // Database maintenance
     close() {
-        this.db.close((err) => {
-            if (err) {
-                console.error('Error closing database:', err);
-            } else {
-                console.log('Database connection closed.');
-            }
+        return new Promise((resolve) => {
+            this.db.close((err) => {
+                if (err) {
+                    console.error('Error closing database:', err);
+                } else {
+                    console.log('Database connection closed.');
+                }
+                resolve();
+            });
         });
     }
 }
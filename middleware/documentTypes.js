@@ -0,0 +1,175 @@
+// middleware/documentTypes.js — the new-hire document catalog (W-9, driver's license, I-9, insurance
+// certificates, safety cards, …) and the checklist each location asks its new hires for
+const { httpError } = require('./errors');
+
+// What uploadDocs (server.js) lets through at all; each type accepts some of these
+const DOCUMENT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/jpg'];
+const MIME_NAMES = { 'application/pdf': 'PDF', 'image/jpeg': 'JPG', 'image/jpg': 'JPG', 'image/png': 'PNG' };
+
+// ['application/pdf', 'image/jpeg', 'image/png'] → "PDF, JPG or PNG"
+function describeMimeTypes(mimeTypes) {
+  const names = [...new Set(mimeTypes.map(t => MIME_NAMES[t] || t))];
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : (names[0] || '');
+}
+
+// "Safety Training Card" → "safety_training_card" (the form field name; never changes once created)
+const keyOf = s => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+
+// "Driver’s License" → "DriversLicense" (what stored file names say)
+const fileLabelOf = s => String(s || '').replace(/[^A-Za-z0-9]/g, '');
+
+const splitList = s => (s ? String(s).split(',') : []);
+
+function parseMimeTypes(list) {
+  const types = [...new Set(list || [])];
+  if (!types.length) throw httpError(400, 'mimeTypes needs at least one file type', 'VALIDATION_FAILED');
+  return types;
+}
+
+// Row → API shape (the catalog)
+function present(row) {
+  if (!row) return row;
+  return {
+    id: row.id,
+    key: row.key,
+    label: row.label,
+    fileLabel: row.file_label,
+    mimeTypes: splitList(row.mime_types),
+    tracksExpiry: !!row.tracks_expiry,
+    isDefault: !!row.is_default,
+    required: !!row.required,
+    isActive: !!row.is_active,
+    sortOrder: row.sort_order,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Row → one line of a checklist
+function entry(row, required) {
+  const mimeTypes = splitList(row.mime_types);
+  return {
+    key: row.key,
+    label: row.label,
+    fileLabel: row.file_label,
+    mimeTypes,
+    accepts: describeMimeTypes(mimeTypes),
+    tracksExpiry: !!row.tracks_expiry,
+    required,
+  };
+}
+
+class DocumentTypeService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async list({ includeInactive = false } = {}) {
+    return (await this.db.listDocumentTypes({ includeInactive })).map(present);
+  }
+
+  async get(id) {
+    const row = await this.db.getDocumentTypeById(id);
+    if (!row) throw httpError(404, 'Document type not found');
+    return row;
+  }
+
+  // Form field names uploadDocs accepts (one file each)
+  async uploadFields() {
+    return (await this.db.listDocumentTypes()).map(row => row.key);
+  }
+
+  async create(body = {}) {
+    const label = String(body.label || '').trim();
+    if (!label) throw httpError(400, 'label is required');
+    const key = keyOf(body.key || label);
+    if (!key) throw httpError(400, 'key needs at least one letter or digit');
+    if (await this.db.findDocumentTypeByKey(key)) throw httpError(409, `Document type ${key} already exists`, 'DOCUMENT_TYPE_EXISTS');
+
+    const last = Math.max(0, ...(await this.db.listDocumentTypes({ includeInactive: true })).map(r => r.sort_order || 0));
+    const row = await this.db.createDocumentType({
+      key,
+      label,
+      fileLabel: fileLabelOf(body.fileLabel || label) || key,
+      mimeTypes: parseMimeTypes(body.mimeTypes),
+      tracksExpiry: !!body.tracksExpiry,
+      isDefault: !!body.isDefault,
+      required: body.required === undefined ? true : !!body.required,
+      sortOrder: body.sortOrder ?? last + 1,                          // listed after the others unless given
+    });
+    console.log(`🗂️ Document type added: ${row.label} (${row.key})`);
+    return present(row);
+  }
+
+  async update(id, body = {}) {
+    const current = await this.get(id);
+    const changes = {};
+    if (body.label !== undefined) {
+      changes.label = String(body.label).trim();
+      if (!changes.label) throw httpError(400, 'label cannot be empty');
+    }
+    if (body.fileLabel !== undefined) {
+      changes.fileLabel = fileLabelOf(body.fileLabel);
+      if (!changes.fileLabel) throw httpError(400, 'fileLabel needs at least one letter or digit');
+    }
+    if (body.mimeTypes !== undefined) {
+      changes.mimeTypes = parseMimeTypes(body.mimeTypes);
+      // W-9s are read as PDFs (middleware/w9.js)
+      if (current.key === 'w9' && changes.mimeTypes.some(t => t !== 'application/pdf')) {
+        throw httpError(400, 'The W-9 can only be a PDF', 'VALIDATION_FAILED');
+      }
+    }
+    for (const flag of ['tracksExpiry', 'isDefault', 'required', 'isActive']) {
+      if (body[flag] !== undefined) changes[flag] = !!body[flag];
+    }
+    if (body.sortOrder !== undefined) changes.sortOrder = body.sortOrder;
+    return present(await this.db.updateDocumentType(id, changes));
+  }
+
+  // What a new hire at this location (a locations row; null = none given) sends: the location's own
+  // checklist if it has one, otherwise the default one. Retired types are left out.
+  async checklistFor(location) {
+    const own = location ? await this.db.listLocationDocumentTypes(location.id) : [];
+    if (own.length) return own.filter(row => row.is_active).map(row => entry(row, !!row.location_required));
+    return (await this.db.listDocumentTypes()).filter(row => row.is_default).map(row => entry(row, !!row.required));
+  }
+
+  // → { custom, documents } for the admin page; custom: false means the default checklist applies
+  async locationChecklist(location) {
+    const own = await this.db.listLocationDocumentTypes(location.id);
+    return {
+      custom: own.length > 0,
+      documents: own.length ? own.map(row => ({ ...entry(row, !!row.location_required), isActive: !!row.is_active })) : await this.checklistFor(null),
+    };
+  }
+
+  // items: [{ key, required }] replaces the location's checklist
+  async setLocationChecklist(location, items) {
+    if (!items.length) {
+      throw httpError(400, 'A checklist needs at least one document; delete it to use the default checklist', 'VALIDATION_FAILED');
+    }
+    const rows = [];
+    for (const item of items) {
+      const row = await this.db.findDocumentTypeByKey(item.key);
+      if (!row || !row.is_active) throw httpError(400, `Unknown document type ${item.key}`, 'UNKNOWN_DOCUMENT_TYPE', { key: item.key });
+      if (rows.some(r => r.row.id === row.id)) throw httpError(400, `${row.label} is listed twice`, 'VALIDATION_FAILED');
+      rows.push({ row, required: item.required === undefined ? true : !!item.required });
+    }
+
+    await this.db.transaction(async () => {
+      await this.db.clearLocationDocumentTypes(location.id);
+      for (const { row, required } of rows) await this.db.addLocationDocumentType(location.id, row.id, required);
+    });
+    console.log(`🗂️ Document checklist for ${location.name}: ${rows.map(r => r.row.key).join(', ')}`);
+    return this.locationChecklist(location);
+  }
+
+  async clearLocationChecklist(location) {
+    await this.db.clearLocationDocumentTypes(location.id);
+    return this.locationChecklist(location);
+  }
+}
+
+module.exports = DocumentTypeService;
+module.exports.DOCUMENT_MIME_TYPES = DOCUMENT_MIME_TYPES;
+module.exports.describeMimeTypes = describeMimeTypes;
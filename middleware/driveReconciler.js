@@ -0,0 +1,113 @@
+// middleware/driveReconciler.js — checks every recorded upload against the storage backend (present /
+// moved / missing / unknown) and lists stored files under the base folder that no upload row points at
+const { httpError } = require('./errors');
+
+// Orphans kept in the stored report; the count is always exact
+const MAX_ORPHANS_STORED = 500;
+
+class DriveReconciler {
+  constructor({ db, storage, opts = {} }) {
+    this.db      = db;
+    this.storage = storage;
+
+    // 0 = only when an admin asks for it
+    const hours      = opts.intervalHours ?? parseFloat(process.env.DRIVE_RECONCILE_INTERVAL_HOURS ?? '24');
+    this.intervalMs  = Number.isFinite(hours) && hours > 0 ? hours * 36e5 : 0;
+    // Stops the orphan walk on very large trees (the report says truncated)
+    this.maxFiles    = opts.maxFiles || parseInt(process.env.DRIVE_RECONCILE_MAX_FILES, 10) || 20000;
+
+    this.timer   = null;
+    this.running = false;
+  }
+
+  // Graph-heavy, so the first scheduled run waits one interval instead of running at boot
+  async start() {
+    await this.db.ready;
+    if (!this.intervalMs) return;
+    this.timer = setInterval(() => this.run({ trigger: 'schedule' }).catch(e => console.error('Drive reconcile error:', e.message)), this.intervalMs);
+    this.timer.unref?.();
+    console.log(`🔎 Drive reconciliation every ${this.intervalMs / 36e5}h`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run({ trigger = 'manual' } = {}) {
+    if (this.running) throw httpError(409, 'A reconciliation is already running', 'RECONCILE_RUNNING');
+    this.running = true;
+    const runId = await this.db.startDriveReconciliation(trigger);
+    try {
+      const report = await this.reconcile();
+      await this.db.finishDriveReconciliation(runId, { status: 'done', ...report });
+      console.log(`🔎 Drive reconciliation #${runId}: ${report.checked} checked, ${report.moved} moved, ${report.missing} missing, ${report.unknown} unknown, ${report.orphanCount} orphan(s)`);
+      return { id: runId, ...report };
+    } catch (e) {
+      await this.db.finishDriveReconciliation(runId, { status: 'failed', error: e?.response?.data?.error?.message || e.message });
+      throw e;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async reconcile() {
+    // Everything under the base folder (clock-in photos and timesheet submissions)
+    const { files, truncated } = await this.storage.walk({ maxFiles: this.maxFiles });
+    const inTree = new Map(files.map(f => [f.id, f]));
+    const byUrl  = new Map(files.map(f => [f.webUrl, f]));
+
+    const report = { checked: 0, present: 0, moved: 0, missing: 0, unknown: 0, backfilled: 0, driveFiles: files.length, truncated, orphans: [] };
+    const known = new Set();
+
+    for (const row of await this.db.listDriveRecords()) {
+      report.checked++;
+
+      // Rows from before item ids were stored: find the file by its webUrl (OneDrive can also resolve
+      // a webUrl outside the tree)
+      let item = row.onedrive_id ? inTree.get(row.onedrive_id) : byUrl.get(row.onedrive_url);
+      if (!item && row.onedrive_id) item = await this.storage.getItem(row.onedrive_id, row.onedrive_drive_id);
+      // A share we aren't allowed to open can't tell us whether the file is gone
+      let lookedUp = !!this.storage.getItemByUrl;
+      if (!item && !row.onedrive_id && lookedUp) {
+        try {
+          item = await this.storage.getItemByUrl(row.onedrive_url);
+        } catch (e) {
+          if (e.response?.status !== 403) throw e;
+          lookedUp = false;
+        }
+      }
+      if (item && !row.onedrive_id) report.backfilled++;
+
+      const status = this.statusOf(row, item, {
+        inTree: !!item && inTree.has(item.id), complete: !truncated, byUrl: lookedUp,
+      });
+      report[status]++;
+      if (item) known.add(item.id);
+
+      await this.db.setDriveStatus(row.source, row.id, {
+        status,
+        onedriveId: item?.id ?? null,
+        driveId:    item?.driveId ?? null,
+        url:        item?.webUrl ?? null,
+        path:       item?.parentPath ?? null,
+      });
+    }
+
+    const orphans = files.filter(f => !known.has(f.id));
+    report.orphanCount = orphans.length;
+    report.orphans = orphans.slice(0, MAX_ORPHANS_STORED)
+      .map(f => ({ id: f.id, name: f.name, path: f.path.join('/'), size: f.size, createdDateTime: f.createdDateTime, webUrl: f.webUrl }));
+    return report;
+  }
+
+  // present: where we put it; moved: still exists but in another folder (or outside the base folder); missing: deleted;
+  // unknown: a row with only a webUrl that wasn't in the (partial) walk and can't be looked up directly
+  statusOf(row, item, { inTree, complete, byUrl = false }) {
+    if (!item) return row.onedrive_id || (complete && byUrl) ? 'missing' : 'unknown';
+    if (row.onedrive_path && item.parentPath) return item.parentPath === row.onedrive_path ? 'present' : 'moved';
+    return inTree || !complete ? 'present' : 'moved';
+  }
+}
+
+module.exports = DriveReconciler;
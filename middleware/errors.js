@@ -0,0 +1,114 @@
+// middleware/errors.js — the one error shape the API answers with:
+//   { error: "message for people", code: "MACHINE_CODE", details?: {...} }
+// Services throw httpError(status, message, code?, details?); multer, storage (Graph / S3 over axios)
+// and SQLite errors are mapped onto the same shape here. Anything else is logged and becomes a 500
+// whose message never includes the underlying error.
+const fs = require('fs');
+
+// Code used when an httpError() doesn't name one
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'STORAGE_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+// Errors carry an HTTP status (and a code) so route handlers can pass them straight through
+function httpError(status, message, code, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code || DEFAULT_CODES[status] || 'ERROR';
+  if (details) err.details = details;
+  err.expose = true;
+  return err;
+}
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE:       [413, 'File too large', 'FILE_TOO_LARGE'],
+  LIMIT_FILE_COUNT:      [400, 'Too many files', 'TOO_MANY_FILES'],
+  LIMIT_UNEXPECTED_FILE: [400, 'Unexpected file field', 'UNEXPECTED_FILE'],
+};
+
+// Graph / S3 answers worth telling the caller about; everything else is a generic storage failure
+function storageError(e) {
+  const upstream = e.response.status;
+  if (upstream === 429 || upstream === 503) {
+    const err = httpError(503, 'File storage is busy, please try again shortly', 'STORAGE_BUSY');
+    const retryAfter = e.response.headers?.['retry-after'];
+    if (retryAfter) err.details = { retryAfter: Number(retryAfter) || retryAfter };
+    return err;
+  }
+  if (upstream === 401 || upstream === 403) return httpError(502, 'File storage rejected our credentials', 'STORAGE_AUTH_FAILED');
+  if (upstream === 404) return httpError(502, 'File storage could not find the file or folder', 'STORAGE_NOT_FOUND');
+  if (upstream === 507) return httpError(502, 'File storage is out of space', 'STORAGE_FULL');
+  return httpError(502, 'File storage request failed', 'STORAGE_ERROR');
+}
+
+function sqliteError(e) {
+  if (e.code === 'SQLITE_CONSTRAINT') return httpError(409, 'That conflicts with an existing record', 'CONSTRAINT_VIOLATION');
+  if (e.code === 'SQLITE_BUSY' || e.code === 'SQLITE_LOCKED') {
+    return httpError(503, 'The database is busy, please try again', 'DATABASE_BUSY');
+  }
+  return null;
+}
+
+// → an httpError for anything we know how to describe, or null
+function toHttpError(e) {
+  if (!e) return null;
+  if (e.name === 'MulterError') {
+    const [status, message, code] = MULTER_ERRORS[e.code] || [400, 'File upload error', 'UPLOAD_ERROR'];
+    return httpError(status, message, code, e.field ? { field: e.field } : undefined);
+  }
+  // body-parser: malformed JSON, oversized bodies
+  if (e.type === 'entity.parse.failed') return httpError(400, 'Request body is not valid JSON', 'INVALID_JSON');
+  if (e.type === 'entity.too.large') return httpError(413, 'Request body too large', 'PAYLOAD_TOO_LARGE');
+  if (e.status >= 400 && e.status < 500 && e.type) return httpError(e.status, e.message);
+  if (e.expose && e.status) return e;
+  if (e.isAxiosError && e.response) return storageError(e);
+  if (e.isAxiosError) return httpError(502, 'File storage could not be reached', 'STORAGE_UNREACHABLE');
+  if (typeof e.code === 'string' && e.code.startsWith('SQLITE_')) return sqliteError(e);
+  return null;
+}
+
+function errorBody(err) {
+  return { error: err.message, code: err.code, ...(err.details ? { details: err.details } : {}) };
+}
+
+// Multer's temp files for a request that failed (the routes clean up after themselves on success)
+function removeUploadedFiles(req) {
+  const files = [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())];
+  for (const f of files) {
+    try { f?.path && fs.existsSync(f.path) && fs.unlinkSync(f.path); } catch {}
+  }
+}
+
+// For handlers that answer failures themselves; `fallback` is the 500 message
+function sendServiceError(res, e, fallback) {
+  const known = toHttpError(e);
+  if (known) {
+    if (known.status >= 500) console.error(`${fallback}:`, e?.response?.data || e.message);
+    return res.status(known.status).json(errorBody(known));
+  }
+  console.error(`${fallback}:`, e);
+  res.status(500).json(errorBody(httpError(500, fallback)));
+}
+
+function notFound(_req, res) {
+  res.status(404).json(errorBody(httpError(404, 'Endpoint not found')));
+}
+
+// Last in the chain: everything the routes threw or passed to next()
+function errorHandler(error, req, res, next) {
+  removeUploadedFiles(req);
+  if (res.headersSent) return next(error);
+  sendServiceError(res, error, 'Internal server error');
+}
+
+module.exports = { httpError, toHttpError, errorBody, removeUploadedFiles, sendServiceError, notFound, errorHandler };
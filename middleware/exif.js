@@ -0,0 +1,161 @@
+// middleware/exif.js — minimal pure-JS EXIF reader for JPEGs (capture time, GPS, camera)
+// and the multer-side middleware that attaches it to req.file / req.files.
+const fs = require('fs');
+
+// Capture time more than this far from the punch marks the photo as stale
+const PHOTO_MAX_SKEW_MINUTES = parseFloat(process.env.PHOTO_MAX_SKEW_MINUTES) || 10;
+
+// Only the APP1 segment is needed and it sits at the start of the file (≤ 64 KB + headers)
+const HEAD_BYTES = 128 * 1024;
+
+const TAGS = {
+  Make: 0x010f, Model: 0x0110, DateTime: 0x0132,
+  ExifIFD: 0x8769, GpsIFD: 0x8825,
+  DateTimeOriginal: 0x9003, DateTimeDigitized: 0x9004, OffsetTimeOriginal: 0x9011,
+  GPSLatitudeRef: 0x0001, GPSLatitude: 0x0002, GPSLongitudeRef: 0x0003, GPSLongitude: 0x0004,
+};
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Parsing
+// ───────────────────────────────────────────────────────────────────────────────
+
+// Offset of the TIFF header inside the Exif APP1 segment, or -1
+function findTiffStart(buf) {
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return -1;   // not a JPEG
+  let pos = 2;
+  while (pos + 4 <= buf.length) {
+    if (buf[pos] !== 0xff) return -1;
+    const marker = buf[pos + 1];
+    if (marker === 0xda || marker === 0xd9) return -1;                   // image data: no EXIF before it
+    const len = buf.readUInt16BE(pos + 2);
+    if (marker === 0xe1 && buf.toString('latin1', pos + 4, pos + 10) === 'Exif\0\0') return pos + 10;
+    pos += 2 + len;
+  }
+  return -1;
+}
+
+function readIfd(buf, tiff, offset, le) {
+  const u16 = o => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = o => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const entries = new Map();
+  const start = tiff + offset;
+  if (start + 2 > buf.length) return entries;
+
+  const count = u16(start);
+  for (let i = 0; i < count; i++) {
+    const e = start + 2 + i * 12;
+    if (e + 12 > buf.length) break;
+    const tag = u16(e), type = u16(e + 2), n = u32(e + 4);
+    const size = (TYPE_SIZES[type] || 0) * n;
+    if (!size) continue;
+    const at = size <= 4 ? e + 8 : tiff + u32(e + 8);
+    if (at + size > buf.length) continue;
+
+    let value;
+    if (type === 2) {
+      value = buf.toString('latin1', at, at + n).replace(/\0+$/, '').trim();
+    } else if (type === 3) {
+      value = u16(at);
+    } else if (type === 4) {
+      value = u32(at);
+    } else if (type === 5) {
+      value = [];
+      for (let k = 0; k < n; k++) {
+        const den = u32(at + k * 8 + 4);
+        value.push(den ? u32(at + k * 8) / den : 0);
+      }
+    } else {
+      continue;
+    }
+    entries.set(tag, value);
+  }
+  return entries;
+}
+
+// "2025:03:14 09:26:53" (+ optional "+02:00") → Date. Without an offset the camera's
+// wall clock is read in the server's timezone (TZ), which is where the crews work.
+function parseExifDate(str, offset) {
+  const m = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(str || '');
+  if (!m) return null;
+  const iso = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+  const d = new Date(/^[+-]\d{2}:\d{2}$/.test(offset || '') ? iso + offset : iso);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function gpsCoord(parts, ref) {
+  if (!Array.isArray(parts) || parts.length < 3) return null;
+  const v = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return Math.round((ref === 'S' || ref === 'W' ? -v : v) * 1e6) / 1e6;
+}
+
+// → { takenAt: Date|null, latitude, longitude, make, model } or null when there is no EXIF
+function parseExif(buf) {
+  try {
+    const tiff = findTiffStart(buf);
+    if (tiff < 0 || tiff + 8 > buf.length) return null;
+    const order = buf.toString('latin1', tiff, tiff + 2);
+    if (order !== 'II' && order !== 'MM') return null;
+    const le = order === 'II';
+    const ifd0Offset = le ? buf.readUInt32LE(tiff + 4) : buf.readUInt32BE(tiff + 4);
+
+    const ifd0 = readIfd(buf, tiff, ifd0Offset, le);
+    const exif = ifd0.has(TAGS.ExifIFD) ? readIfd(buf, tiff, ifd0.get(TAGS.ExifIFD), le) : new Map();
+    const gps  = ifd0.has(TAGS.GpsIFD)  ? readIfd(buf, tiff, ifd0.get(TAGS.GpsIFD), le)  : new Map();
+
+    const takenAt = parseExifDate(exif.get(TAGS.DateTimeOriginal), exif.get(TAGS.OffsetTimeOriginal))
+      || parseExifDate(exif.get(TAGS.DateTimeDigitized))
+      || parseExifDate(ifd0.get(TAGS.DateTime));
+
+    return {
+      takenAt,
+      latitude:  gpsCoord(gps.get(TAGS.GPSLatitude),  gps.get(TAGS.GPSLatitudeRef)),
+      longitude: gpsCoord(gps.get(TAGS.GPSLongitude), gps.get(TAGS.GPSLongitudeRef)),
+      make:  ifd0.get(TAGS.Make)  || null,
+      model: ifd0.get(TAGS.Model) || null,
+    };
+  } catch {
+    return null;   // truncated/corrupt segment — treat as "no EXIF"
+  }
+}
+
+async function readExifFromFile(filePath) {
+  const fh = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(HEAD_BYTES), 0, HEAD_BYTES, 0);
+    return parseExif(buffer.subarray(0, bytesRead));
+  } finally {
+    await fh.close();
+  }
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Verification
+// ───────────────────────────────────────────────────────────────────────────────
+
+// → { check: 'ok'|'stale'|'no_exif', skewMinutes }
+function verifyCaptureTime(exif, punchTime, maxSkewMinutes = PHOTO_MAX_SKEW_MINUTES) {
+  if (!exif?.takenAt) return { check: 'no_exif', skewMinutes: null };
+  const skewMinutes = Math.round((new Date(punchTime) - exif.takenAt) / 60000);
+  return { check: Math.abs(skewMinutes) > maxSkewMinutes ? 'stale' : 'ok', skewMinutes };
+}
+
+// Runs after multer: attaches `exif` to every uploaded file (null when absent). Never fails the request.
+async function extractExif(req, _res, next) {
+  const files = [
+    ...(req.file ? [req.file] : []),
+    ...Object.values(req.files || {}).flat(),
+  ];
+  for (const f of files) {
+    try {
+      f.exif = await readExifFromFile(f.path);
+    } catch (e) {
+      console.warn('⚠️  EXIF read failed for', f.originalname, e.message);
+      f.exif = null;
+    }
+  }
+  next();
+}
+
+module.exports = { PHOTO_MAX_SKEW_MINUTES, parseExif, readExifFromFile, verifyCaptureTime, extractExif };
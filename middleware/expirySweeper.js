@@ -0,0 +1,52 @@
+// middleware/expirySweeper.js — once a day, finds new-hire documents expiring soon or already expired
+// and sends one renewal reminder per stage (expiring, then expired)
+class ExpirySweeper {
+  constructor({ db, newHireService, notify = null, opts = {} }) {
+    this.db             = db;
+    this.newHireService = newHireService;
+
+    // notify(event, document) — falls back to the server log when no hook is wired up
+    this.notify = notify || ((event, d) => {
+      const when = d.state === 'expired' ? `expired ${d.expiresOn}` : `expires ${d.expiresOn} (${d.daysLeft} day(s))`;
+      console.warn(`📅 ${event}: ${d.label} for ${d.worker.name}${d.worker.location ? ` (${d.worker.location})` : ''} ${when} (document #${d.documentId})`);
+    });
+
+    this.warnDays   = opts.warnDays ?? newHireService.expiryWarnDays;
+    this.intervalMs = opts.intervalMs || parseInt(process.env.DOCUMENT_EXPIRY_SWEEP_INTERVAL_MS, 10) || 24 * 60 * 60 * 1000;
+    this.timer = null;
+  }
+
+  async start() {
+    await this.db.ready;
+    this.timer = setInterval(() => this.sweep().catch(e => console.error('Expiry sweep error:', e.message)), this.intervalMs);
+    this.timer.unref?.();
+    console.log(`📅 Document expiry sweeper: reminders ${this.warnDays} day(s) ahead, clock-in policy=${this.newHireService.expiredPolicy}`);
+    return this.sweep();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // → { expiring, expired, notified }; a document is only reminded about again when its stage changes
+  async sweep(now = new Date()) {
+    const documents = await this.newHireService.expiring({ days: this.warnDays, now });
+    const result = { expiring: [], expired: [], notified: [] };
+
+    for (const d of documents) {
+      result[d.state].push(d);
+      if (d.notice === d.state) continue;
+      try {
+        await this.notify(`document_${d.state}`, d);
+        await this.db.setNewHireDocumentExpiryNotice(d.documentId, d.state);
+        result.notified.push(d);
+      } catch (e) {
+        console.error(`Expiry sweep: document #${d.documentId} skipped:`, e.message);
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = ExpirySweeper;
@@ -0,0 +1,156 @@
+// middleware/fileStorage.js — local-disk storage backend (STORAGE_BACKEND=local) for dev/test
+// without Azure credentials. Item ids are paths relative to STORAGE_LOCAL_DIR.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const { StorageBackend } = require('./storage');
+
+// Download links stay valid this long (OneDrive's pre-authenticated URLs last about an hour)
+const DOWNLOAD_TTL_MS = 15 * 60 * 1000;
+
+// Signs links when neither STORAGE_LOCAL_SECRET nor SESSION_SECRET is set. One per process, so a link
+// from the documents store verifies with the photo store that routes/storage.js checks it against.
+const FALLBACK_SECRET = crypto.randomBytes(32).toString('hex');
+
+class FileStorage extends StorageBackend {
+  constructor(opts = {}) {
+    super({ name: 'local', folderPath: opts.folderPath || process.env.ONEDRIVE_FOLDER_PATH || 'TimeClock_Photos' });
+    this.root = path.resolve(opts.root || process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'storage'));
+
+    // Files are served by server.js at this prefix: signed links for anyone, plain links for supervisors
+    this.publicUrl = (opts.publicUrl || '/api/storage/local').replace(/\/+$/, '');
+    this.secret    = opts.secret || process.env.STORAGE_LOCAL_SECRET || process.env.SESSION_SECRET || FALLBACK_SECRET;
+  }
+
+  // Absolute path for an id, refusing anything that escapes the storage root
+  resolveId(id) {
+    const abs = path.resolve(this.root, String(id || ''));
+    if (abs !== this.root && !abs.startsWith(this.root + path.sep)) throw new Error('Invalid storage id');
+    return abs;
+  }
+
+  idFor(abs) {
+    return path.relative(this.root, abs).split(path.sep).join('/');
+  }
+
+  baseDir(relPath = '') {
+    const rel = this.cleanSubPath(relPath);
+    return this.resolveId([this.cleanSubPath(this.folderPath), rel].filter(Boolean).join('/'));
+  }
+
+  toItem(abs, stats) {
+    const id = this.idFor(abs);
+    const isFolder = stats.isDirectory();
+    const type = isFolder ? null : (mime.lookup(abs) || 'application/octet-stream');
+    const webUrl = `${this.publicUrl}/${id.split('/').map(encodeURIComponent).join('/')}`;
+    return {
+      id,
+      name: path.basename(abs),
+      size: isFolder ? 0 : stats.size,
+      isFolder,
+      childCount: isFolder ? fs.readdirSync(abs).length : null,
+      mimeType: type,
+      createdDateTime: stats.birthtime.toISOString(),
+      lastModifiedDateTime: stats.mtime.toISOString(),
+      webUrl,
+      driveId: null,
+      parentPath: path.posix.dirname(id),
+      thumbnailUrl: type && type.startsWith('image/') ? webUrl : null,
+    };
+  }
+
+  async ensurePath(subPath = '') {
+    await fs.promises.mkdir(this.baseDir(subPath), { recursive: true });
+  }
+
+  // Copied (not moved) so the caller's cleanupLocalFile() works the same as with OneDrive
+  async upload(filePath, fileName, subPath = '') {
+    const finalName = this.uniqueName(fileName);
+    const dir = this.baseDir(subPath);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const dest = path.join(dir, finalName);
+    await fs.promises.copyFile(filePath, dest);
+    const item = this.toItem(dest, await fs.promises.stat(dest));
+
+    console.log('📤 Local storage upload →', item.id);
+    return {
+      id: item.id,
+      webUrl: item.webUrl,
+      driveId: null,
+      parentPath: item.parentPath,
+      fileName: finalName,
+      size: item.size,
+      uploadedAt: new Date().toISOString(),
+    };
+  }
+
+  async list({ relPath = '', itemId = null, only = null } = {}) {
+    const dir = itemId ? this.resolveId(itemId) : this.baseDir(relPath);
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const items = [];
+    for (const name of names.sort()) {
+      const abs = path.join(dir, name);
+      items.push(this.toItem(abs, await fs.promises.stat(abs)));
+    }
+    if (only === 'folders') return items.filter(i => i.isFolder);
+    if (only === 'files')   return items.filter(i => !i.isFolder);
+    return items;
+  }
+
+  async getItem(id) {
+    try {
+      const abs = this.resolveId(id);
+      return this.toItem(abs, await fs.promises.stat(abs));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async getDownloadUrl(id) {
+    const expires = Date.now() + DOWNLOAD_TTL_MS;
+    const item = await this.getItem(id);
+    if (!item) throw new Error('File not found');
+    return `${item.webUrl}?expires=${expires}&sig=${this.sign(item.id, expires)}`;
+  }
+
+  sign(id, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${id}\n${expires}`).digest('base64url');
+  }
+
+  // For the route that serves files: true if ?expires=&sig= is a valid, unexpired link for id
+  verifyDownload(id, expires, sig) {
+    const exp = parseInt(expires, 10);
+    if (!Number.isFinite(exp) || exp < Date.now() || !sig) return false;
+    const expected = Buffer.from(this.sign(id, exp));
+    const given    = Buffer.from(String(sig));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  async delete(id) {
+    try {
+      await fs.promises.unlink(this.resolveId(id));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  async check() {
+    const dir = this.baseDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.access(dir, fs.constants.W_OK);
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,58 @@
+// middleware/geofence.js — punch/upload coordinates vs. per-location geofences (center + radius)
+const { httpError } = require('./errors');
+
+// 'flag' records outside punches but accepts them; 'strict' rejects them
+const GEOFENCE_POLICY = (process.env.GEOFENCE_POLICY || 'flag').toLowerCase() === 'strict' ? 'strict' : 'flag';
+
+// GPS accuracy we give the benefit of the doubt for (a phone reporting ±2 km proves nothing)
+const MAX_ACCURACY_SLACK_M = parseFloat(process.env.GEOFENCE_MAX_ACCURACY_SLACK_M) || 100;
+
+function haversineMeters(lat1, lng1, lat2, lng2) {
+  const R = 6371000;
+  const rad = d => d * Math.PI / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+// { latitude, longitude, accuracy } from a request body, or null if absent/invalid
+function parseCoords(body = {}) {
+  const lat = parseFloat(body.latitude ?? body.lat);
+  const lng = parseFloat(body.longitude ?? body.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  const acc = parseFloat(body.accuracy);
+  return { latitude: lat, longitude: lng, accuracy: Number.isFinite(acc) && acc >= 0 ? acc : null };
+}
+
+function validFence(fence) {
+  return fence
+    && Number.isFinite(+fence.lat) && Number.isFinite(+fence.lng)
+    && Number.isFinite(+fence.radiusMeters) && +fence.radiusMeters > 0;
+}
+
+// → { status: 'inside'|'outside'|'no_location'|'no_fence', distanceMeters, allowed }
+function checkGeofence(fence, coords, policy = GEOFENCE_POLICY) {
+  if (!validFence(fence)) return { status: 'no_fence', distanceMeters: null, allowed: true };
+  if (!coords) return { status: 'no_location', distanceMeters: null, allowed: policy !== 'strict' };
+
+  const distance = haversineMeters(coords.latitude, coords.longitude, +fence.lat, +fence.lng);
+  const slack = Math.min(coords.accuracy || 0, MAX_ACCURACY_SLACK_M);
+  const inside = distance <= +fence.radiusMeters + slack;
+  return {
+    status: inside ? 'inside' : 'outside',
+    distanceMeters: Math.round(distance),
+    allowed: inside || policy !== 'strict',
+  };
+}
+
+// What a rejected punch/upload is told (checkGeofence said allowed: false)
+function rejectionError(geo, location) {
+  const details = { geofence: geo.status, distanceMeters: geo.distanceMeters };
+  return geo.status === 'no_location'
+    ? httpError(403, `Location services must be enabled to submit for ${location}`, 'LOCATION_REQUIRED', details)
+    : httpError(403, `You are ${geo.distanceMeters} m outside the ${location} geofence`, 'OUTSIDE_GEOFENCE', details);
+}
+
+module.exports = { GEOFENCE_POLICY, haversineMeters, parseCoords, validFence, checkGeofence, rejectionError };
@@ -0,0 +1,63 @@
+// middleware/hours.js — worked-hours math: shift length minus unpaid breaks (+ auto meal deduction)
+
+// AUTO_BREAK_RULES="6:30,12:60" → after 6h on the clock at least 30 unpaid minutes,
+// after 12h at least 60. Empty/unset disables auto-deduction.
+function parseBreakRules(spec = process.env.AUTO_BREAK_RULES || '') {
+  return String(spec).split(',')
+    .map(s => s.trim()).filter(Boolean)
+    .map(s => {
+      const [h, m] = s.split(':').map(Number);
+      return { afterHours: h, minutes: m };
+    })
+    .filter(r => Number.isFinite(r.afterHours) && Number.isFinite(r.minutes) && r.minutes > 0)
+    .sort((a, b) => a.afterHours - b.afterHours);
+}
+
+const DEFAULT_RULES = parseBreakRules();
+
+// Unpaid break time inside [clockIn, clockOut], in ms. Open breaks end at clock-out and
+// overlapping intervals are merged so nothing is deducted twice.
+function unpaidBreakMs(clockIn, clockOut, breaks) {
+  const lo = new Date(clockIn).getTime();
+  const hi = new Date(clockOut).getTime();
+  const spans = breaks
+    .filter(b => !b.is_paid)
+    .map(b => [
+      Math.max(lo, new Date(b.start_time).getTime()),
+      Math.min(hi, b.end_time ? new Date(b.end_time).getTime() : hi),
+    ])
+    .filter(([s, e]) => e > s)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0, curS = null, curE = null;
+  for (const [s, e] of spans) {
+    if (curE === null || s > curE) {
+      if (curE !== null) total += curE - curS;
+      curS = s; curE = e;
+    } else {
+      curE = Math.max(curE, e);
+    }
+  }
+  if (curE !== null) total += curE - curS;
+  return total;
+}
+
+function computeWorkedHours(clockIn, clockOut, breaks = [], rules = DEFAULT_RULES) {
+  const shiftMs  = new Date(clockOut) - new Date(clockIn);
+  const breakMs  = unpaidBreakMs(clockIn, clockOut, breaks);
+  const shiftHrs = shiftMs / 36e5;
+
+  // Auto-deduction only tops up what the employee didn't already take
+  const rule = rules.filter(r => shiftHrs > r.afterHours).pop();
+  const requiredMs = rule ? rule.minutes * 60 * 1000 : 0;
+  const autoMs = Math.max(0, requiredMs - breakMs);
+
+  const workedMs = Math.max(0, shiftMs - breakMs - autoMs);
+  return {
+    totalHours: (workedMs / 36e5).toFixed(2),
+    unpaidBreakMinutes: Math.round((breakMs + autoMs) / 60000),
+    autoDeductedMinutes: Math.round(autoMs / 60000),
+  };
+}
+
+module.exports = { parseBreakRules, unpaidBreakMs, computeWorkedHours };
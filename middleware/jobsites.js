@@ -0,0 +1,206 @@
+// middleware/jobsites.js — managed jobsites per location, near-duplicate suggestions and the approval queue
+const { httpError } = require('./errors');
+
+// Display names follow the upload page: UPPERCASE, OneDrive-safe, single spaces
+function normalizeName(s) {
+  return String(s || '').toUpperCase().replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Comparison key: "Acme, Inc.", "ACME " and "acme" are the same jobsite
+const SUFFIXES = /\b(inc|incorporated|llc|l l c|ltd|co|corp|corporation|company)\b/g;
+function nameKey(s) {
+  return String(s || '').toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0..1 — edit-distance similarity of the keys, boosted when one contains the other ("ACME" / "ACME TOWER")
+function similarity(a, b) {
+  const ka = nameKey(a), kb = nameKey(b);
+  if (!ka || !kb) return 0;
+  const edit = 1 - levenshtein(ka, kb) / Math.max(ka.length, kb.length);
+  const contains = ka.includes(kb) || kb.includes(ka) ? 0.8 : 0;
+  return Math.max(edit, contains);
+}
+
+// Scores at or above this are offered as "did you mean"
+const SUGGEST_THRESHOLD = parseFloat(process.env.JOBSITE_SUGGEST_THRESHOLD) || 0.75;
+
+function present(row) {
+  if (!row) return row;
+  return {
+    id: row.id,
+    locationId: row.location_id,
+    location: row.location_name,
+    name: row.name,
+    folderName: row.folder_name,
+    status: row.status,
+    requestedBy: row.requested_by,
+    approvedBy: row.approved_by,
+    approvedAt: row.approved_at,
+    uploadCount: row.upload_count,
+    createdAt: row.created_at,
+  };
+}
+
+class JobsiteService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async list(locationId, { statuses = ['active'] } = {}) {
+    return (await this.db.listJobsites(locationId, statuses)).map(present);
+  }
+
+  async listPending(locationNames = null) {
+    return (await this.db.listPendingJobsites(locationNames)).map(present);
+  }
+
+  async get(id) {
+    const row = await this.db.getJobsiteById(id);
+    if (!row) throw httpError(404, 'Jobsite not found');
+    return row;
+  }
+
+  // Active jobsites at the location that look like `name`, best match first
+  async suggest(locationId, name, limit = 5) {
+    const rows = await this.db.listJobsites(locationId, ['active']);
+    return rows
+      .map(r => ({ id: r.id, name: r.name, score: Math.round(similarity(name, r.name) * 100) / 100 }))
+      .filter(s => s.score >= SUGGEST_THRESHOLD)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Admin-created jobsites are active immediately. Near-duplicates need force: true.
+  async create(location, { name, force = false } = {}, actor = null) {
+    const clean = normalizeName(name);
+    const key = nameKey(clean);
+    if (!key) throw httpError(400, 'name is required');
+
+    const existing = await this.db.findJobsiteByKey(location.id, key);
+    if (existing) {
+      throw httpError(409, `${location.name} already has jobsite ${existing.name} (${existing.status})`,
+        'JOBSITE_EXISTS', { existing: present(existing) });
+    }
+    if (!force) {
+      const suggestions = await this.suggest(location.id, clean);
+      if (suggestions.length) {
+        throw httpError(409, `${clean} looks like an existing jobsite; resend with force: true to add it anyway`,
+          'JOBSITE_SIMILAR', { suggestions });
+      }
+    }
+    return present(await this.db.createJobsite({
+      locationId: location.id, name: clean, nameKey: key, folderName: clean,
+      status: 'active', approvedBy: actor?.email || null,
+    }));
+  }
+
+  // Renames keep folder_name so existing OneDrive folders keep filling up
+  async update(id, { name, isActive } = {}) {
+    const row = await this.get(id);
+    const changes = {};
+    if (name !== undefined) {
+      const clean = normalizeName(name);
+      const key = nameKey(clean);
+      if (!key) throw httpError(400, 'name cannot be empty');
+      const clash = await this.db.findJobsiteByKey(row.location_id, key);
+      if (clash && clash.id !== row.id) throw httpError(409, `${row.location_name} already has jobsite ${clash.name}`, 'JOBSITE_EXISTS');
+      Object.assign(changes, { name: clean, nameKey: key });
+    }
+    if (isActive !== undefined) {
+      if (row.status === 'pending') throw httpError(409, 'Approve or merge a pending jobsite first');
+      changes.status = isActive ? 'active' : 'inactive';
+    }
+    return present(await this.db.updateJobsite(id, changes));
+  }
+
+  async approve(id, actor) {
+    const row = await this.get(id);
+    if (row.status !== 'pending') throw httpError(409, `Jobsite is ${row.status}, not pending`);
+    return present(await this.db.updateJobsite(id, { status: 'active', approvedBy: actor.email }));
+  }
+
+  // Folds a duplicate (usually a pending request) into an existing jobsite at the same location
+  async merge(id, intoId) {
+    const row = await this.get(id);
+    const into = await this.get(intoId);
+    if (row.id === into.id) throw httpError(400, 'Cannot merge a jobsite into itself');
+    if (row.location_id !== into.location_id) throw httpError(400, 'Jobsites must belong to the same location');
+    if (into.status !== 'active') throw httpError(409, `${into.name} is not active`);
+
+    // Both or neither: a jobsite left behind with no uploads, or uploads pointing at a deleted row
+    const moved = await this.db.transaction(async () => {
+      const count = await this.db.reassignJobsiteUploads(row.id, into.id);
+      await this.db.deleteJobsite(row.id);
+      return count;
+    });
+    console.log(`🏗️  Jobsite ${row.name} merged into ${into.name} (${moved} upload(s))`);
+    return { merged: present(row), into: present(into), uploadsMoved: moved };
+  }
+
+  async remove(id) {
+    const row = await this.get(id);
+    const uploads = await this.db.countJobsiteUploads(id);
+    if (uploads) throw httpError(409, `${row.name} has ${uploads} upload(s); deactivate or merge it instead`, 'JOBSITE_IN_USE');
+    await this.db.deleteJobsite(id);
+    return present(row);
+  }
+
+  // For /api/submit: the jobsite row to file under, by id (dropdown) or name (typed).
+  // Unknown names become pending requests when the location allows it, unless they look
+  // like an existing jobsite and the uploader hasn't confirmed it's really new.
+  async resolveForSubmit(location, { jobsiteId, jobsite, confirmNew = false, requestedBy = null }) {
+    if (jobsiteId) {
+      const row = await this.db.getJobsiteById(jobsiteId);
+      if (!row || row.location_id !== location.id || row.status === 'inactive') {
+        throw httpError(400, 'Unknown jobsite for this location', 'UNKNOWN_JOBSITE');
+      }
+      return row;
+    }
+
+    const clean = normalizeName(jobsite);
+    const key = nameKey(clean);
+    if (!key) throw httpError(400, 'Jobsite is required');
+
+    const existing = await this.db.findJobsiteByKey(location.id, key);
+    if (existing && existing.status !== 'inactive') return existing;
+    if (existing) throw httpError(400, `Jobsite ${existing.name} is no longer active`, 'JOBSITE_INACTIVE');
+
+    const suggestions = await this.suggest(location.id, clean);
+    if (!location.allow_new_jobsites) {
+      throw httpError(400, `Unknown jobsite for ${location.name}; pick one from the list`, 'UNKNOWN_JOBSITE', { suggestions });
+    }
+    if (suggestions.length && !confirmNew) {
+      throw httpError(409, `Did you mean ${suggestions[0].name}? Resubmit with confirmNewJobsite to add ${clean}`,
+        'JOBSITE_CONFIRMATION_REQUIRED', { suggestions });
+    }
+
+    const row = await this.db.createJobsite({
+      locationId: location.id, name: clean, nameKey: key, folderName: clean,
+      status: 'pending', requestedBy,
+    });
+    console.log(`🏗️  New jobsite ${clean} at ${location.name} queued for approval`);
+    return row;
+  }
+}
+
+module.exports = JobsiteService;
+module.exports.nameKey = nameKey;
+module.exports.similarity = similarity;
@@ -0,0 +1,175 @@
+// middleware/locations.js — client locations: CRUD, renames, geofences and the locations.json import
+const fs = require('fs');
+const { httpError } = require('./errors');
+const geofence = require('./geofence');
+
+// Same rule the admin page always enforced: UPPERCASE, OneDrive-safe, single spaces
+function normalizeName(s) {
+  return String(s || '').toUpperCase().replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Folder names keep their case — they are what already exists in OneDrive
+function cleanFolderName(s) {
+  return String(s || '').replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function parseLimit(value) {
+  if (value === null || value === '') return null;                   // fall back to LOCATION_DAILY_UPLOAD_LIMIT
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n) || n < 0) throw httpError(400, 'dailyUploadLimit must be a whole number ≥ 0');
+  return n;
+}
+
+function parseFence(value) {
+  if (value === null) return null;
+  const fence = { lat: parseFloat(value?.lat), lng: parseFloat(value?.lng), radiusMeters: parseFloat(value?.radiusMeters) };
+  if (!geofence.validFence(fence) || Math.abs(fence.lat) > 90 || Math.abs(fence.lng) > 180) {
+    throw httpError(400, 'geofence needs lat, lng and a positive radiusMeters');
+  }
+  return fence;
+}
+
+// Row → API shape
+function present(row) {
+  if (!row) return row;
+  return {
+    id: row.id,
+    name: row.name,
+    folderName: row.folder_name,
+    isActive: !!row.is_active,
+    address: row.address,
+    dailyUploadLimit: row.daily_upload_limit,
+    allowNewJobsites: !!row.allow_new_jobsites,
+    geofence: fenceOf(row),
+    uploadCount: row.upload_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function fenceOf(row) {
+  if (!row || row.geofence_radius_m === null || row.geofence_radius_m === undefined) return null;
+  return { lat: row.geofence_lat, lng: row.geofence_lng, radiusMeters: row.geofence_radius_m };
+}
+
+class LocationService {
+  // defaultDailyLimit: cap on all uploads per location per day when the row has none (null = no cap)
+  constructor(db, { defaultDailyLimit = null } = {}) {
+    this.db = db;
+    this.defaultDailyLimit = defaultDailyLimit;
+  }
+
+  async list({ includeInactive = false } = {}) {
+    return (await this.db.listLocations({ includeInactive })).map(present);
+  }
+
+  async get(id) {
+    const row = await this.db.getLocationById(id);
+    if (!row) throw httpError(404, 'Location not found');
+    return row;
+  }
+
+  // The row a submission/punch is for, or null if unknown or retired
+  async findActive(name) {
+    const row = name ? await this.db.findLocationByName(normalizeName(name)) : null;
+    return row && row.is_active ? row : null;
+  }
+
+  // Total per day across every uploader; each uploader also has their own limit (middleware/uploaders.js)
+  dailyLimit(row) {
+    return row.daily_upload_limit ?? this.defaultDailyLimit;
+  }
+
+  async fenceFor(name) {
+    const row = name ? await this.db.findLocationByName(normalizeName(name)) : null;
+    return fenceOf(row);
+  }
+
+  // A request's coordinates (body.latitude/longitude/accuracy) against the location's geofence
+  async checkFence(name, body) {
+    const coords = geofence.parseCoords(body);
+    return { ...coords, ...geofence.checkGeofence(await this.fenceFor(name), coords) };
+  }
+
+  async create(body = {}) {
+    const name = normalizeName(body.name);
+    if (!name) throw httpError(400, 'name is required');
+    if (await this.db.findLocationByName(name)) throw httpError(409, `Location ${name} already exists`, 'LOCATION_EXISTS');
+
+    const row = await this.db.createLocation({
+      name,
+      folderName: cleanFolderName(body.folderName) || name,
+      isActive: body.isActive === undefined ? true : !!body.isActive,
+      address: body.address ? String(body.address).trim() : null,
+      dailyUploadLimit: body.dailyUploadLimit === undefined ? null : parseLimit(body.dailyUploadLimit),
+      geofence: body.geofence === undefined ? null : parseFence(body.geofence),
+      allowNewJobsites: body.allowNewJobsites === undefined ? true : !!body.allowNewJobsites,
+    });
+    return present(row);
+  }
+
+  // Renaming keeps folder_name (so the OneDrive tree isn't split) unless folderName is sent too
+  async update(id, body = {}) {
+    const current = await this.get(id);
+    const changes = {};
+
+    if (body.name !== undefined) {
+      const name = normalizeName(body.name);
+      if (!name) throw httpError(400, 'name cannot be empty');
+      const clash = await this.db.findLocationByName(name);
+      if (clash && clash.id !== current.id) throw httpError(409, `Location ${name} already exists`, 'LOCATION_EXISTS');
+      changes.name = name;
+    }
+    if (body.folderName !== undefined) {
+      const folderName = cleanFolderName(body.folderName);
+      if (!folderName) throw httpError(400, 'folderName cannot be empty');
+      changes.folderName = folderName;
+    }
+    if (body.isActive !== undefined) changes.isActive = !!body.isActive;
+    if (body.address !== undefined) changes.address = body.address ? String(body.address).trim() : null;
+    if (body.dailyUploadLimit !== undefined) changes.dailyUploadLimit = parseLimit(body.dailyUploadLimit);
+    if (body.geofence !== undefined) changes.geofence = parseFence(body.geofence);
+    if (body.allowNewJobsites !== undefined) changes.allowNewJobsites = !!body.allowNewJobsites;
+
+    const renamed = changes.name !== undefined && changes.name !== current.name;
+    await this.db.transaction(async () => {
+      await this.db.updateLocation(id, changes);
+      if (renamed) await this.db.renameLocationReferences(current.name, changes.name);
+    });
+    if (renamed) console.log(`📍 Location renamed: ${current.name} → ${changes.name}`);
+    return present(await this.db.getLocationById(id));
+  }
+
+  // Hard delete only for locations nothing points at; otherwise deactivate
+  async remove(id) {
+    const row = await this.get(id);
+    const refs = await this.db.countLocationReferences(row);
+    if (refs.uploads || refs.users) {
+      throw httpError(409, `${row.name} has ${refs.uploads} upload(s) and ${refs.users} employee(s); deactivate it instead`, 'LOCATION_IN_USE');
+    }
+    await this.db.deleteLocation(id);
+    return present(row);
+  }
+
+  // One-time import of config/locations.json ({ locations: [...], geofences: {...} } or a bare array).
+  // Names already in the table are skipped, so running it twice is harmless.
+  async importFromJson(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const names = Array.isArray(data) ? data : (data.locations || []);
+    const fences = (!Array.isArray(data) && data.geofences) || {};
+
+    const result = { imported: [], skipped: [] };
+    for (const raw of names) {
+      const name = normalizeName(raw);
+      if (!name || await this.db.findLocationByName(name)) { result.skipped.push(raw); continue; }
+      const fence = fences[name] || fences[raw];
+      await this.db.createLocation({ name, folderName: cleanFolderName(raw) || name, geofence: geofence.validFence(fence) ? fence : null });
+      result.imported.push(name);
+    }
+    return result;
+  }
+}
+
+module.exports = LocationService;
+module.exports.normalizeName = normalizeName;
+module.exports.fenceOf = fenceOf;
@@ -0,0 +1,98 @@
+// middleware/migrator.js — versioned schema migrations (migrations/NNN_name.js with up/down)
+const fs   = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+class Migrator {
+  // db: the Database instance (run / all / ensureColumn / dropColumn are handed to each migration)
+  constructor(db, { dir = MIGRATIONS_DIR } = {}) {
+    this.db  = db;
+    this.dir = dir;
+  }
+
+  // Migration files sorted by version; the number prefix is the version
+  list() {
+    return fs.readdirSync(this.dir)
+      .map(file => /^(\d+)_([\w-]+)\.js$/.exec(file))
+      .filter(Boolean)
+      .map(([file, num, name]) => ({ version: parseInt(num, 10), name, file: path.join(this.dir, file) }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureTable() {
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async applied() {
+    await this.ensureTable();
+    return this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  async currentVersion() {
+    const rows = await this.applied();
+    return rows.length ? rows[rows.length - 1].version : 0;
+  }
+
+  async status() {
+    const done = new Map((await this.applied()).map(r => [r.version, r]));
+    return this.list().map(m => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: done.get(m.version)?.applied_at || null,
+    }));
+  }
+
+  // Each migration runs in its own transaction together with its schema_migrations row
+  async step(migration, direction) {
+    const mod = require(migration.file);
+    if (typeof mod[direction] !== 'function') {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no ${direction}()`);
+    }
+    try {
+      await this.db.transaction(async () => {
+        await mod[direction](this.db);
+        if (direction === 'up') {
+          await this.db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+          await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+      });
+    } catch (e) {
+      e.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${e.message}`;
+      throw e;
+    }
+  }
+
+  // Applies every pending migration up to `target` (default: latest); returns what ran
+  async up(target = Infinity) {
+    const done = new Set((await this.applied()).map(r => r.version));
+    const pending = this.list().filter(m => !done.has(m.version) && m.version <= target);
+    for (const m of pending) {
+      await this.step(m, 'up');
+      console.log(`⬆️  Migrated ${String(m.version).padStart(3, '0')}_${m.name}`);
+    }
+    return pending;
+  }
+
+  // Rolls back the last `steps` applied migrations
+  async down(steps = 1) {
+    const byVersion = new Map(this.list().map(m => [m.version, m]));
+    const applied = (await this.applied()).reverse().slice(0, steps);
+    for (const row of applied) {
+      const m = byVersion.get(row.version);
+      if (!m) throw new Error(`Migration file for applied version ${row.version} (${row.name}) is missing`);
+      await this.step(m, 'down');
+      console.log(`⬇️  Rolled back ${String(m.version).padStart(3, '0')}_${m.name}`);
+    }
+    return applied;
+  }
+}
+
+module.exports = Migrator;
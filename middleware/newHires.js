@@ -0,0 +1,429 @@
+// middleware/newHires.js — new-hire paperwork: stores each submission and its files against the
+// location's checklist (middleware/documentTypes.js), HR review (received → approved / rejected with
+// a reason), resubmitting a rejected or expiring document on its own, and expiry compliance
+const path = require('path');
+const fs   = require('fs');
+const os   = require('os');
+const { httpError } = require('./errors');
+const DocumentTypeService = require('./documentTypes');
+const { normalizeName } = require('./locations');
+const { generateCode, hashCode } = require('./uploaders');
+const { inspectW9, assessW9, fillW9 } = require('./w9');
+const { ymd } = require('./weeks');
+
+const REVIEW_STATUSES = ['approved', 'rejected'];
+// What clock-in does for a worker with an expired required document (EXPIRED_DOCUMENTS_POLICY)
+const EXPIRED_POLICIES = ['allow', 'flag', 'block'];
+
+const splitList = s => (s ? String(s).split(',') : []);
+
+// YYYY-MM-DD `days` after `date` (local time, like the dates people type)
+function addDays(date, days) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  return ymd(d);
+}
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 864e5);
+
+// What was read out of a W-9 (null for other documents, and for W-9s from before the check existed)
+function presentForm(row) {
+  if (!row.form_check) return null;
+  return {
+    check: row.form_check,
+    flags: splitList(row.form_flags),
+    revision: row.form_revision,
+    name: row.w9_name,
+    businessName: row.w9_business_name,
+    taxClassification: row.w9_tax_classification,
+    tinType: row.w9_tin_type,
+    tinLast4: row.w9_tin_last4,
+    signatureDate: row.w9_signature_date,
+  };
+}
+
+function presentDocument(row) {
+  if (!row) return row;
+  return {
+    id: row.id,
+    newHireId: row.new_hire_id,
+    type: row.doc_type,
+    fileName: row.file_name,
+    originalFilename: row.original_filename,
+    mimeType: row.mime_type,
+    size: row.file_size,
+    status: row.status,
+    rejectReason: row.reject_reason,
+    expiresOn: row.expires_on,
+    form: presentForm(row),
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    current: !row.superseded_by,
+    supersededBy: row.superseded_by,
+    onedriveId: row.onedrive_id,
+    url: row.onedrive_url,
+    submittedAt: row.submitted_at,
+  };
+}
+
+function presentNewHire(row) {
+  if (!row) return row;
+  const docTypes = splitList(row.doc_types);
+  const rejected = splitList(row.rejected_types);
+  return {
+    id: row.id,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    email: row.email,
+    location: row.location,
+    status: row.status,
+    // Required types HR is still waiting on: never received, or the current one was rejected
+    missing: splitList(row.required_types).filter(t => !docTypes.includes(t) || rejected.includes(t)),
+    counts: {
+      received: row.received_count || 0, approved: row.approved_count || 0, rejected: row.rejected_count || 0,
+      flagged: row.flagged_count || 0,
+    },
+    submittedAt: row.submitted_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+class NewHireService {
+  // storage: where the files go (the documents store); subFolder under its base folder.
+  // documentTypes: the catalog and checklists (DocumentTypeService).
+  // w9Template: the fillable W-9 (W9_FILE) the online form fills in; tmpDir: where that PDF waits for upload
+  // expiryWarnDays: how far ahead a document counts as expiring; expiredPolicy: see EXPIRED_POLICIES
+  constructor(db, storage, { documentTypes = null, subFolder = 'New_Hires', w9Template = null, tmpDir = os.tmpdir(), expiryWarnDays, expiredPolicy } = {}) {
+    this.db = db;
+    this.storage = storage;
+    this.documentTypes = documentTypes || new DocumentTypeService(db);
+    this.expiryWarnDays = expiryWarnDays ?? (parseInt(process.env.DOCUMENT_EXPIRY_WARN_DAYS, 10) || 30);
+    this.expiredPolicy = (expiredPolicy || process.env.EXPIRED_DOCUMENTS_POLICY || 'allow').toLowerCase();
+    if (!EXPIRED_POLICIES.includes(this.expiredPolicy)) {
+      console.warn(`⚠️  Unknown EXPIRED_DOCUMENTS_POLICY "${this.expiredPolicy}" — using "allow".`);
+      this.expiredPolicy = 'allow';
+    }
+    this.subFolder = subFolder;
+    this.w9Template = w9Template;
+    this.tmpDir = tmpDir;
+  }
+
+  // Whether the online W-9 can be offered (W9_FILE is there)
+  hasW9Template() {
+    return !!this.w9Template && fs.existsSync(this.w9Template);
+  }
+
+  // values: the online W-9 form → { pdf (Buffer, flattened), form } — form as checkForm would store it,
+  // read before flattening since the flattened PDF has no fields left
+  async generateW9(values) {
+    if (!this.hasW9Template()) {
+      throw httpError(503, 'The online W-9 is not available right now', 'W9_TEMPLATE_MISSING');
+    }
+    if (!values.ssn === !values.ein) throw httpError(400, 'Enter either an SSN or an EIN', 'TIN_REQUIRED');
+    if (values.taxClassification === 'llc' && !values.llcClassification) {
+      throw httpError(400, 'llcClassification is required for an LLC', 'VALIDATION_FAILED');
+    }
+
+    const { pdf, result } = await fillW9(this.w9Template, values);
+    const verdict = assessW9(result);
+    return { pdf, form: { check: verdict.check, flags: verdict.flags, revision: result.revision, fields: result.fields } };
+  }
+
+  // Runs fn(file) with the generated W-9 as if it had been uploaded; the temp file is gone afterwards
+  async withGeneratedW9(values, fn) {
+    const { pdf, form } = await this.generateW9(values);
+    const tmp = path.join(this.tmpDir, `w9-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.pdf`);
+    await fs.promises.writeFile(tmp, pdf);
+    try {
+      return await fn({ path: tmp, originalname: 'W9.pdf', mimetype: 'application/pdf', size: pdf.length, form });
+    } finally {
+      try { fs.existsSync(tmp) && fs.unlinkSync(tmp); } catch {}
+    }
+  }
+
+  // The location a new hire is joining, by name (null = none given: the default checklist)
+  async resolveLocation(name) {
+    if (!name) return null;
+    const row = await this.db.findLocationByName(normalizeName(name));
+    if (!row || !row.is_active) throw httpError(400, `Unknown location ${name}`, 'UNKNOWN_LOCATION');
+    return row;
+  }
+
+  // What documents.html renders for a location → { location, documents: checklist entries }
+  async checklist(locationName = null) {
+    const location = await this.resolveLocation(locationName);
+    return { location: location?.name || null, documents: await this.documentTypes.checklistFor(location) };
+  }
+
+  // spec: a checklist entry
+  assertFile(spec, file) {
+    if (!file) throw httpError(400, `${spec.label} is required`, 'DOCUMENT_REQUIRED', { type: spec.key });
+    if (!spec.mimeTypes.includes(file.mimetype)) {
+      throw httpError(400, `${spec.label} must be a ${spec.accepts}`, 'UNSUPPORTED_FILE_TYPE', { type: spec.key });
+    }
+  }
+
+  // W-9s are read before anything is stored: not a PDF, not a W-9 or left blank is a 400;
+  // otherwise → { check, flags, revision, fields } for the row. Other types → null.
+  async checkForm(type, file) {
+    if (type !== 'w9') return null;
+    if (file.form) return file.form;                                    // generated by withGeneratedW9
+    const result = await inspectW9(file.path);
+    const verdict = assessW9(result);
+    if (!verdict.accept) throw httpError(400, verdict.message, verdict.code);
+    return { check: verdict.check, flags: verdict.flags, revision: result.revision || null, fields: result.fields || {} };
+  }
+
+  // "AnaONeil_W9form_2026-…_k3j9x2.pdf" — the same names the New_Hires folder always had
+  fileName(spec, nameBase, file) {
+    const ts   = new Date().toISOString().replace(/[:.]/g, '-');
+    const rand = Math.random().toString(36).slice(2, 8);
+    const ext  = file.mimetype === 'application/pdf' ? '.pdf' : (path.extname(file.originalname || '').toLowerCase() || '.jpg');
+    return `${nameBase}_${spec.fileLabel}_${ts}_${rand}${ext}`;
+  }
+
+  nameBase(hire) {
+    const sanitize = s => (s || '').replace(/[^A-Za-z0-9]/g, '').trim();
+    return (sanitize(hire.firstName) + sanitize(hire.lastName)) || 'Unknown';
+  }
+
+  async store(spec, file, nameBase) {
+    const name = this.fileName(spec, nameBase, file);
+    const info = await this.storage.upload(file.path, name, this.subFolder);
+    try { fs.existsSync(file.path) && fs.unlinkSync(file.path); } catch {}
+    return { name: info.fileName || name, info };                        // the store may make the name unique
+  }
+
+  // Best effort: a submission that failed part way shouldn't leave its files behind
+  async discard(stored) {
+    for (const { name, info } of stored) {
+      try { await this.storage.delete(info.id); } catch (err) { console.error(`❌ Could not delete ${name}:`, err.message); }
+    }
+  }
+
+  async record(newHireId, type, file, { name, info }, form = null, expiresOn = null) {
+    return this.db.addNewHireDocument({
+      newHireId, docType: type, fileName: name, originalFilename: file.originalname,
+      mimeType: file.mimetype, fileSize: file.size, onedrive: info, form, expiresOn,
+    });
+  }
+
+  // The expiry date sent with a document: required for types that track expiry, and not already past
+  checkExpiry(spec, expiresOn, now = new Date()) {
+    if (!expiresOn) {
+      if (spec.tracksExpiry) throw httpError(400, `${spec.label} needs its expiration date`, 'EXPIRY_REQUIRED', { type: spec.key });
+      return null;
+    }
+    if (expiresOn < ymd(now)) {
+      throw httpError(400, `${spec.label} expired on ${expiresOn}; send a current one`, 'DOCUMENT_EXPIRED', { type: spec.key });
+    }
+    return expiresOn;
+  }
+
+  // files: { [type key]: multer file } against the location's checklist (location: its name, or null for
+  // the default checklist); expiresOn: { [type key]: YYYY-MM-DD }; w9Form: the online W-9 instead of
+  // files.w9. The reference is shown once; the submitter needs it to resubmit a rejected document.
+  async submit({ firstName, lastName, location = null, files, expiresOn = {}, w9Form = null }) {
+    if (w9Form) {
+      return this.withGeneratedW9(w9Form, w9 => this.submit({ firstName, lastName, location, files: { ...files, w9 }, expiresOn }));
+    }
+    const site = await this.resolveLocation(location);
+    const checklist = await this.documentTypes.checklistFor(site);
+
+    const unexpected = Object.keys(files).filter(key => files[key] && !checklist.some(d => d.key === key));
+    if (unexpected.length) {
+      throw httpError(400, `Not on this location's checklist: ${unexpected.join(', ')}`, 'UNEXPECTED_DOCUMENT', { types: unexpected });
+    }
+    const specs = checklist.filter(d => d.required || files[d.key]);
+    if (!specs.length) throw httpError(400, 'Send at least one document', 'DOCUMENT_REQUIRED');
+    for (const spec of specs) this.assertFile(spec, files[spec.key]);
+    const expiry = {};
+    for (const spec of specs) expiry[spec.key] = this.checkExpiry(spec, expiresOn?.[spec.key]);
+    const forms = {};
+    for (const spec of specs) forms[spec.key] = await this.checkForm(spec.key, files[spec.key]);
+
+    // Files first, one at a time: a row only exists once its file is in storage, and if a later
+    // file or the rows fail, the files already stored are deleted again
+    const nameBase = this.nameBase({ firstName, lastName });
+    const stored = [];
+    const reference = generateCode();
+    let hire;
+    const documents = {};
+    try {
+      for (const spec of specs) stored.push(await this.store(spec, files[spec.key], nameBase));
+      hire = await this.db.transaction(async () => {
+        const row = await this.db.createNewHire({
+          firstName, lastName, referenceHash: hashCode(reference),
+          location: site, requiredTypes: checklist.filter(d => d.required).map(d => d.key),
+        });
+        for (const [i, spec] of specs.entries()) {
+          const doc = await this.record(row.id, spec.key, files[spec.key], stored[i], forms[spec.key], expiry[spec.key]);
+          documents[spec.key] = presentDocument(doc);
+        }
+        return row;
+      });
+    } catch (err) {
+      await this.discard(stored);
+      throw err;
+    }
+    console.log(`🗂️ New-hire documents received for ${firstName} ${lastName} (#${hire.id})`);
+    return { newHire: presentNewHire(await this.db.getNewHireById(hire.id)), reference, documents };
+  }
+
+  // Replaces one rejected, expired or expiring document; the others are left as they are.
+  // expiresOn: the new document's date; w9Form: the online W-9 instead of a file.
+  async resubmit(reference, type, file, w9Form = null, expiresOn = null) {
+    if (w9Form) return this.withGeneratedW9(w9Form, w9 => this.resubmit(reference, 'w9', w9, null, expiresOn));
+    const hire = await this.db.findNewHireByReference(hashCode(reference));
+    if (!hire) throw httpError(404, 'Unknown submission reference', 'UNKNOWN_REFERENCE');
+    // Only what the hire's location asks for, as on the first submission
+    const site = hire.location_id ? await this.db.getLocationById(hire.location_id) : null;
+    const spec = (await this.documentTypes.checklistFor(site)).find(d => d.key === type);
+    if (!spec) throw httpError(400, `Unknown document type ${type}`, 'UNKNOWN_DOCUMENT_TYPE');
+    this.assertFile(spec, file);
+
+    const current = (await this.db.listNewHireDocuments(hire.id)).find(d => d.doc_type === type);
+    const renewing = current?.expires_on && current.expires_on <= addDays(new Date(), this.expiryWarnDays);
+    if (current && current.status !== 'rejected' && !renewing) {
+      throw httpError(409, `${spec.label} is ${current.status}; only a rejected or expiring document can be resubmitted`,
+        'DOCUMENT_NOT_REJECTED', { status: current.status });
+    }
+    const expiry = this.checkExpiry(spec, expiresOn);
+
+    const form = await this.checkForm(type, file);
+    const stored = await this.store(spec, file, this.nameBase({ firstName: hire.first_name, lastName: hire.last_name }));
+    let replacement;
+    try {
+      replacement = await this.db.transaction(async () => {
+        const row = await this.record(hire.id, type, file, stored, form, expiry);
+        if (current) await this.db.supersedeNewHireDocument(current.id, row.id);
+        await this.db.touchNewHire(hire.id);
+        return row;
+      });
+    } catch (err) {
+      await this.discard([stored]);
+      throw err;
+    }
+    console.log(`🗂️ ${spec.label} resubmitted for new hire #${hire.id}`);
+    return { newHire: presentNewHire(await this.db.getNewHireById(hire.id)), document: presentDocument(replacement) };
+  }
+
+  async list({ status = null, q = null, location = null, limit = 200 } = {}) {
+    return (await this.db.listNewHires({ status, q, location, limit })).map(presentNewHire);
+  }
+
+  // The new hire with every document, including ones a resubmission replaced
+  async get(id) {
+    const hire = await this.db.getNewHireById(id);
+    if (!hire) throw httpError(404, 'New hire not found');
+    const documents = await this.db.listNewHireDocuments(id, { includeSuperseded: true });
+    return { ...presentNewHire(hire), documents: documents.map(presentDocument) };
+  }
+
+  async getDocument(id) {
+    const row = await this.db.getNewHireDocumentById(id);
+    if (!row) throw httpError(404, 'Document not found');
+    return row;
+  }
+
+  // status: approved | rejected (a reason is required to reject — the new hire is told it)
+  async review(id, { status, reason }, actor) {
+    if (!REVIEW_STATUSES.includes(status)) throw httpError(400, 'status must be approved or rejected', 'VALIDATION_FAILED');
+    const row = await this.getDocument(id);
+    if (row.superseded_by) throw httpError(409, 'This document has been replaced by a newer one', 'DOCUMENT_SUPERSEDED');
+    const rejectReason = status === 'rejected' ? String(reason || '').trim() : null;
+    if (status === 'rejected' && !rejectReason) throw httpError(400, 'A reason is required to reject a document', 'REASON_REQUIRED');
+
+    const updated = await this.db.reviewNewHireDocument(id, { status, rejectReason, reviewedBy: actor.email });
+    await this.db.touchNewHire(row.new_hire_id);
+    return presentDocument(updated);
+  }
+
+  // HR correcting or filling in a date (expiresOn: YYYY-MM-DD, or null to clear it)
+  async setExpiry(id, expiresOn) {
+    const row = await this.getDocument(id);
+    if (row.superseded_by) throw httpError(409, 'This document has been replaced by a newer one', 'DOCUMENT_SUPERSEDED');
+    return presentDocument(await this.db.setNewHireDocumentExpiry(id, expiresOn));
+  }
+
+  // Ties the new hire to a worker account (email: their sign-in, or null to untie). Only HR does this:
+  // the link is what lets expired documents stop that worker at clock-in.
+  async setEmail(id, email) {
+    if (!(await this.db.getNewHireById(id))) throw httpError(404, 'New hire not found');
+    const user = email ? await this.db.findUserByEmail(email) : null;
+    if (email && !user) throw httpError(404, 'No worker account uses that email', 'USER_NOT_FOUND');
+    return presentNewHire(await this.db.setNewHireEmail(id, user ? user.email : null));
+  }
+
+  // ─── Expiry ────────────────────────────────────────────────────────────────────
+
+  // Current documents expired or expiring within `days` → [{ …, state: 'expired' | 'expiring', daysLeft }]
+  // locations: names to limit it to (null = all)
+  async expiring({ days = this.expiryWarnDays, locations = null, now = new Date() } = {}) {
+    const today = ymd(now);
+    const rows = await this.db.listExpiringDocuments({ through: addDays(now, days), locations });
+    return rows.map(row => ({
+      documentId: row.id,
+      newHireId: row.new_hire_id,
+      type: row.doc_type,
+      label: row.doc_label || row.doc_type,
+      required: !!row.is_required,
+      status: row.status,
+      expiresOn: row.expires_on,
+      daysLeft: daysBetween(today, row.expires_on),
+      state: row.expires_on < today ? 'expired' : 'expiring',
+      notice: row.expiry_notice,
+      worker: {
+        userId: row.user_id ?? null,
+        email: row.email,
+        name: `${row.first_name} ${row.last_name}`.trim(),
+        location: row.user_location || row.hire_location,
+      },
+    }));
+  }
+
+  // The compliance list: expiring / expired documents grouped by worker (a worker account when the
+  // new hire's email has one, the new hire otherwise); state: expired | expiring | null for both
+  async compliance({ days = this.expiryWarnDays, locations = null, state = null, now = new Date() } = {}) {
+    const documents = (await this.expiring({ days, locations, now })).filter(d => !state || d.state === state);
+    const workers = new Map();
+    for (const { worker, ...doc } of documents) {
+      const key = worker.userId ? `user:${worker.userId}` : `hire:${doc.newHireId}`;
+      if (!workers.has(key)) workers.set(key, { ...worker, newHireIds: [], expired: 0, expiring: 0, documents: [] });
+      const entry = workers.get(key);
+      if (!entry.newHireIds.includes(doc.newHireId)) entry.newHireIds.push(doc.newHireId);
+      entry[doc.state]++;
+      entry.documents.push(doc);
+    }
+    const list = [...workers.values()].sort((a, b) =>
+      (a.location || '').localeCompare(b.location || '') || a.name.localeCompare(b.name));
+    return {
+      through: addDays(now, days),
+      days,
+      counts: {
+        workers: list.length,
+        expired: documents.filter(d => d.state === 'expired').length,
+        expiring: documents.filter(d => d.state === 'expiring').length,
+      },
+      workers: list,
+    };
+  }
+
+  // At clock-in → { policy, expired: [{ documentId, type, label, expiresOn }] } (empty when policy is allow)
+  async clockInCheck(email, now = new Date()) {
+    if (this.expiredPolicy === 'allow' || !email) return { policy: this.expiredPolicy, expired: [] };
+    const rows = await this.db.listExpiredRequiredDocuments(email, ymd(now));
+    return {
+      policy: this.expiredPolicy,
+      expired: rows.map(row => ({ documentId: row.id, type: row.doc_type, label: row.doc_label || row.doc_type, expiresOn: row.expires_on })),
+    };
+  }
+
+  async downloadUrl(id) {
+    const row = await this.getDocument(id);
+    if (!row.onedrive_id) throw httpError(404, 'This document has no stored file', 'FILE_NOT_FOUND');
+    return { name: row.file_name, downloadUrl: await this.storage.getDownloadUrl(row.onedrive_id) };
+  }
+}
+
+module.exports = NewHireService;
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
+module.exports.EXPIRED_POLICIES = EXPIRED_POLICIES;
@@ -1,17 +1,22 @@
 // middleware/onedrive.js — OneDrive integration w/ nested subpaths + shortcut support
+// (the default storage backend, see middleware/storage.js)
 const axios = require('axios');
 const fs = require('fs');
-const path = require('path');
 const mime = require('mime-types');
+const { StorageBackend } = require('./storage');
 
-class OneDriveService {
+class OneDriveService extends StorageBackend {
   constructor(opts = {}) {
+    super({ name: 'onedrive', folderPath: opts.folderPath || process.env.ONEDRIVE_FOLDER_PATH || 'TimeClock_Photos' });
     this.clientId     = process.env.AZURE_CLIENT_ID;
     this.clientSecret = process.env.AZURE_CLIENT_SECRET;
     this.tenantId     = process.env.AZURE_TENANT_ID;
 
-    // Base folder inside the target drive (can be a real folder or a shortcut at root)
-    this.folderPath   = (opts.folderPath || process.env.ONEDRIVE_FOLDER_PATH || 'TimeClock_Photos');
+    // Sovereign clouds (or the fake Graph in test/helpers) live at other hosts
+    this.graphUrl     = (opts.graphUrl || process.env.GRAPH_API_URL || 'https://graph.microsoft.com').replace(/\/+$/, '');
+    this.authorityUrl = (opts.authorityUrl || process.env.AZURE_AUTHORITY_HOST || 'https://login.microsoftonline.com').replace(/\/+$/, '');
+
+    // this.folderPath: base folder inside the target drive (can be a real folder or a shortcut at root)
 
     // App runs as this account, but targets this user's drive/library
     this.serviceUpn   = process.env.ONEDRIVE_SERVICE_UPN;
@@ -25,20 +30,29 @@ class OneDriveService {
 
     this.accessToken  = null;
     this.tokenExpiry  = null;
+
+    // Files above this size use a resumable upload session (Graph caps simple PUTs at 4 MB)
+    this.simpleUploadLimit = parseInt(opts.simpleUploadLimit || process.env.ONEDRIVE_SIMPLE_UPLOAD_LIMIT, 10) || 4 * 1024 * 1024;
+
+    // Session chunks must be a multiple of 320 KiB; default ≈ 5 MB
+    const CHUNK_UNIT  = 320 * 1024;
+    const chunkSize   = parseInt(opts.chunkSize || process.env.ONEDRIVE_CHUNK_SIZE, 10) || 16 * CHUNK_UNIT;
+    this.chunkSize    = Math.max(CHUNK_UNIT, Math.floor(chunkSize / CHUNK_UNIT) * CHUNK_UNIT);
+    this.chunkRetries = parseInt(opts.chunkRetries || process.env.ONEDRIVE_CHUNK_RETRIES, 10) || 5;
   }
 
   // Base REST root: a specific drive (if pinned) or the target user's default drive
   baseDriveRoot() {
     return this.driveId
-      ? `https://graph.microsoft.com/v1.0/drives/${this.driveId}`
-      : `https://graph.microsoft.com/v1.0/users/${encodeURIComponent(this.targetUpn)}/drive`;
+      ? `${this.graphUrl}/v1.0/drives/${this.driveId}`
+      : `${this.graphUrl}/v1.0/users/${encodeURIComponent(this.targetUpn)}/drive`;
   }
 
   async getAccessToken() {
     if (this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
       return this.accessToken;
     }
-    const tokenUrl = `https://login.microsoftonline.com/${this.tenantId}/oauth2/v2.0/token`;
+    const tokenUrl = `${this.authorityUrl}/${this.tenantId}/oauth2/v2.0/token`;
     const params = new URLSearchParams();
     params.append('client_id', this.clientId);
     params.append('client_secret', this.clientSecret);
@@ -80,14 +94,6 @@ class OneDriveService {
     }
   }
 
-  // Sanitize a single segment (NOT the whole path)
-  sanitizeSegment(s) {
-    return String(s || '')
-      .replace(/[\\/:*?"<>|]/g, '')    // remove illegal path chars
-      .replace(/\s+/g, ' ')            // collapse whitespace
-      .trim();
-  }
-
   // Ensure a full path exists under the base folder.
   // targetPath is absolute under the drive root (e.g., "TimeClock_Photos/Companies/…")
   async ensurePathExists(targetPath) {
@@ -153,27 +159,21 @@ class OneDriveService {
     }
   }
 
+  // Storage interface: create base + subPath
+  async ensurePath(subPath = '') {
+    const safeSubPath = this.cleanSubPath(subPath);
+    await this.ensurePathExists(safeSubPath ? `${this.folderPath}/${safeSubPath}` : this.folderPath);
+  }
+
   // Upload a file under base + subPath (subPath can contain multiple segments)
-  async uploadFile(filePath, fileName, subPath = '') {
+  async upload(filePath, fileName, subPath = '') {
     await this.resolveBaseFolderIfNeeded();
-    const token = await this.getAccessToken();
-    const base  = this.baseDriveRoot();
 
     // Sanitize file name but keep real extension
-    const rawName  = String(fileName || 'upload.bin').replace(/[\\/:*?"<>|]/g, '').trim();
-    const ext      = path.extname(rawName);
-    const baseName = ext ? rawName.slice(0, -ext.length) : rawName;
-
-    const ts   = new Date().toISOString().replace(/[:.]/g, '-');
-    const rand = Math.random().toString(36).slice(2, 8);
-    const finalName = `${baseName}_${ts}_${rand}${ext || ''}`;
+    const finalName = this.uniqueName(fileName);
 
     // Build the full destination folder: base folder + subPath (multi-segment)
-    const safeSubPath = String(subPath || '')
-      .split('/')
-      .filter(Boolean)
-      .map(seg => this.sanitizeSegment(seg))
-      .join('/');
+    const safeSubPath = this.cleanSubPath(subPath);
     const finalFolder = safeSubPath
       ? `${this.folderPath}/${safeSubPath}`
       : this.folderPath;
@@ -181,10 +181,39 @@ class OneDriveService {
     // Make sure the path exists
     await this.ensurePathExists(finalFolder);
 
-    // Read file bytes
     const stats = fs.statSync(filePath);
-    const buffer = fs.readFileSync(filePath);
     const contentType = mime.lookup(finalName) || 'application/octet-stream';
+    const itemUrl = this.itemPathUrl(finalFolder, finalName);
+
+    // Helpful server log so you can find the file quickly
+    console.log('📤 OneDrive upload →', {
+      driveId: this.driveId || '(target user default)',
+      baseFolder: this.folderPath,
+      subPath: safeSubPath || '(none)',
+      finalFolder,
+      finalName,
+      mode: stats.size > this.simpleUploadLimit ? 'session' : 'simple'
+    });
+
+    // Graph only accepts small files on the simple PUT; anything larger goes through an upload session
+    const item = stats.size > this.simpleUploadLimit
+      ? await this.uploadLargeFile(filePath, stats.size, itemUrl)
+      : await this.uploadSmallFile(filePath, stats.size, itemUrl, contentType);
+
+    return {
+      id: item.id,
+      webUrl: item.webUrl,
+      driveId: item.parentReference?.driveId || this.driveId,
+      parentPath: item.parentReference?.path || null,
+      fileName: finalName,
+      size: item.size,
+      uploadedAt: new Date().toISOString()
+    };
+  }
+
+  // Graph item-path URL (without the trailing ":/action") for a file under finalFolder
+  itemPathUrl(finalFolder, finalName) {
+    const base = this.baseDriveRoot();
 
     // Build a Graph path where EACH segment is encoded separately
     const encodePath = (p) => p.split('/').filter(Boolean).map(encodeURIComponent).join('/');
@@ -192,48 +221,101 @@ class OneDriveService {
     // Relative path beneath base (if base is a shortcut item)
     const relUnderBase = finalFolder.replace(new RegExp(`^${this.folderPath}/?`, 'i'), '');
 
-    let uploadUrl;
     if (this.rootItemId) {
       const rel = relUnderBase ? `${encodePath(relUnderBase)}/${encodeURIComponent(finalName)}` : encodeURIComponent(finalName);
-      uploadUrl = `${base}/items/${this.rootItemId}:/${rel}:/content?@microsoft.graph.conflictBehavior=replace`;
-    } else {
-      const full = `${encodePath(this.folderPath)}${relUnderBase ? '/' + encodePath(relUnderBase) : ''}/${encodeURIComponent(finalName)}`;
-      uploadUrl = `${base}/root:/${full}:/content?@microsoft.graph.conflictBehavior=replace`;
+      return `${base}/items/${this.rootItemId}:/${rel}`;
     }
+    const full = `${encodePath(this.folderPath)}${relUnderBase ? '/' + encodePath(relUnderBase) : ''}/${encodeURIComponent(finalName)}`;
+    return `${base}/root:/${full}`;
+  }
 
-    // Helpful server log so you can find the file quickly
-    console.log('📤 OneDrive upload →', {
-      driveId: this.driveId || '(target user default)',
-      baseFolder: this.folderPath,
-      subPath: safeSubPath || '(none)',
-      finalFolder,
-      finalName
-    });
-
-    const resp = await axios.put(uploadUrl, buffer, {
+  // Single PUT to :/content (streamed from disk, not buffered)
+  async uploadSmallFile(filePath, size, itemUrl, contentType) {
+    const token = await this.getAccessToken();
+    const resp = await axios.put(`${itemUrl}:/content?@microsoft.graph.conflictBehavior=replace`, fs.createReadStream(filePath), {
       headers: {
         Authorization: `Bearer ${token}`,
         'Content-Type': contentType,
-        'Content-Length': stats.size
+        'Content-Length': size
       },
       maxContentLength: Infinity,
       maxBodyLength: Infinity
     });
+    return resp.data;
+  }
 
-    return {
-      oneDriveId: resp.data.id,
-      oneDriveUrl: resp.data.webUrl,
-      fileName: finalName,
-      size: resp.data.size,
-      uploadedAt: new Date().toISOString()
-    };
+  // Resumable upload session: fixed-size chunks streamed from disk.
+  // A failed chunk asks Graph where to continue (nextExpectedRanges) instead of starting over.
+  async uploadLargeFile(filePath, size, itemUrl) {
+    const token = await this.getAccessToken();
+    const { data: session } = await axios.post(`${itemUrl}:/createUploadSession`,
+      { item: { '@microsoft.graph.conflictBehavior': 'replace' } },
+      { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
+    );
+    const uploadUrl = session.uploadUrl;
+
+    let offset = 0;
+    let failures = 0;
+    try {
+      while (offset < size) {
+        const end = Math.min(offset + this.chunkSize, size) - 1;
+        try {
+          const resp = await this.putChunk(uploadUrl, filePath, offset, end, size);
+          failures = 0;
+          // 200/201 carries the finished driveItem; 202 means "send the next range"
+          if (resp.status === 200 || resp.status === 201) return resp.data;
+          offset = this.nextOffset(resp.data, end + 1);
+        } catch (err) {
+          if (++failures > this.chunkRetries || !this.isRetryableChunkError(err)) throw err;
+          console.warn(`⚠️  Chunk ${offset}-${end} failed (${err?.response?.status || err.message}); resuming (${failures}/${this.chunkRetries})`);
+          await new Promise(r => setTimeout(r, 1000 * 2 ** (failures - 1)));
+          offset = await this.resumeOffset(uploadUrl, offset);
+        }
+      }
+      throw new Error('Upload session ended without a completed item');
+    } catch (err) {
+      // Best effort: free the session so Graph doesn't hold the partial file
+      axios.delete(uploadUrl).catch(() => {});
+      throw err;
+    }
+  }
+
+  // Upload URLs are pre-authenticated — sending Authorization here makes Graph reject the chunk
+  putChunk(uploadUrl, filePath, start, end, total) {
+    return axios.put(uploadUrl, fs.createReadStream(filePath, { start, end }), {
+      headers: {
+        'Content-Length': end - start + 1,
+        'Content-Range': `bytes ${start}-${end}/${total}`
+      },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    });
   }
 
-  async cleanupLocalFile(filePath) {
-    try { if (fs.existsSync(filePath)) fs.unlinkSync(filePath); } catch {}
+  // Ask the session which bytes it still needs
+  async resumeOffset(uploadUrl, fallback) {
+    try {
+      const { data } = await axios.get(uploadUrl);
+      return this.nextOffset(data, fallback);
+    } catch (err) {
+      if (err.response?.status === 404) throw new Error('Upload session expired');
+      return fallback;
+    }
+  }
+
+  nextOffset(sessionData, fallback) {
+    const range = sessionData?.nextExpectedRanges?.[0];
+    const start = range ? parseInt(String(range).split('-')[0], 10) : NaN;
+    return Number.isFinite(start) ? start : fallback;
+  }
+
+  isRetryableChunkError(err) {
+    const status = err?.response?.status;
+    if (!status) return true;                   // network reset / timeout
+    return status === 408 || status === 429 || status >= 500;
   }
 
-  async getFileDownloadUrl(oneDriveId) {
+  async getDownloadUrl(oneDriveId) {
     await this.resolveBaseFolderIfNeeded();
     const token = await this.getAccessToken();
     const base  = this.baseDriveRoot();
@@ -242,24 +324,115 @@ class OneDriveService {
     return res.data['@microsoft.graph.downloadUrl'];
   }
 
-  async listFiles() {
+  // Moves the item to the OneDrive recycle bin
+  async delete(oneDriveId) {
     await this.resolveBaseFolderIfNeeded();
     const token = await this.getAccessToken();
-    const base  = this.baseDriveRoot();
+    try {
+      await axios.delete(`${this.baseDriveRoot()}/items/${encodeURIComponent(oneDriveId)}`, { headers: { Authorization: `Bearer ${token}` } });
+      return true;
+    } catch (err) {
+      if (err.response?.status === 404) return false;
+      throw err;
+    }
+  }
+
+  async check() {
+    await this.getAccessToken();
+    await this.ensurePathExists(this.folderPath);
+  }
 
-    const url = this.rootItemId
-      ? `${base}/items/${this.rootItemId}/children`
-      : `${base}/root:/${this.folderPath}:/children`;
-
-    const res = await axios.get(url, { headers: { Authorization: `Bearer ${token}` } });
-    return res.data.value.map(f => ({
-      id: f.id,
-      name: f.name,
-      size: f.size,
-      createdDateTime: f.createdDateTime,
-      webUrl: f.webUrl
-    }));
+  // Graph URL of a folder under the base folder (relPath like "CQS/10-19 - 10-25"), or of an item by id
+  folderUrl({ relPath = '', itemId = null } = {}) {
+    const base = this.baseDriveRoot();
+    if (itemId) return `${base}/items/${encodeURIComponent(itemId)}`;
+    const rel = String(relPath || '').split('/').filter(Boolean).map(seg => encodeURIComponent(this.sanitizeSegment(seg))).join('/');
+    if (this.rootItemId) return rel ? `${base}/items/${this.rootItemId}:/${rel}:` : `${base}/items/${this.rootItemId}`;
+    const encodedBase = this.folderPath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+    return `${base}/root:/${encodedBase}${rel ? '/' + rel : ''}:`;
   }
+
+  // One page of a folder's children. Pass the returned nextLink back to get the following page.
+  // thumbnails: true adds Graph's small/medium thumbnail URLs to image items.
+  async listChildrenPage({ relPath = '', itemId = null, nextLink = null, top = 200, thumbnails = false } = {}) {
+    await this.resolveBaseFolderIfNeeded();
+    const token = await this.getAccessToken();
+
+    let url = nextLink;
+    if (url) {
+      // Never send our token anywhere but Graph, whatever the caller hands us
+      if (!String(url).startsWith(`${this.graphUrl}/`)) throw new Error('Invalid page link');
+    } else {
+      const qs = new URLSearchParams({ $top: String(top) });
+      if (thumbnails) qs.set('$expand', 'thumbnails');
+      url = `${this.folderUrl({ relPath, itemId })}/children?${qs}`;
+    }
+
+    const { data } = await axios.get(url, { headers: { Authorization: `Bearer ${token}` } });
+    return { items: data.value.map(toItem), nextLink: data['@odata.nextLink'] || null };
+  }
+
+  // Every child of a folder, following @odata.nextLink. only: 'folders' | 'files' | null
+  async list({ relPath = '', itemId = null, only = null, thumbnails = false } = {}) {
+    const items = [];
+    let nextLink = null;
+    do {
+      const page = await this.listChildrenPage({ relPath, itemId, nextLink, thumbnails });
+      items.push(...page.items);
+      nextLink = page.nextLink;
+    } while (nextLink);
+
+    if (only === 'folders') return items.filter(i => i.isFolder);
+    if (only === 'files')   return items.filter(i => !i.isFolder);
+    return items;
+  }
+
+  // A driveItem by id (ids survive renames and moves), or null once it is deleted
+  async getItem(itemId, driveId = null) {
+    await this.resolveBaseFolderIfNeeded();
+    const token = await this.getAccessToken();
+    const root  = driveId ? `${this.graphUrl}/v1.0/drives/${encodeURIComponent(driveId)}` : this.baseDriveRoot();
+    try {
+      const { data } = await axios.get(`${root}/items/${encodeURIComponent(itemId)}`, { headers: { Authorization: `Bearer ${token}` } });
+      return toItem(data);
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+  }
+
+  // Same, for rows that only kept a webUrl (resolved through the /shares API). Only a 404 means
+  // gone: a 403 (no access to the share) says nothing about the file and is thrown like other errors.
+  async getItemByUrl(webUrl) {
+    const token = await this.getAccessToken();
+    const shareId = 'u!' + Buffer.from(String(webUrl)).toString('base64url');
+    try {
+      const { data } = await axios.get(`${this.graphUrl}/v1.0/shares/${shareId}/driveItem`, { headers: { Authorization: `Bearer ${token}` } });
+      return toItem(data);
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+  }
+}
+
+// Graph driveItem → the fields the admin pages use
+function toItem(f) {
+  const thumb = f.thumbnails?.[0];
+  return {
+    id: f.id,
+    name: f.name,
+    size: f.size,
+    isFolder: !!f.folder,
+    childCount: f.folder?.childCount ?? null,
+    mimeType: f.file?.mimeType || null,
+    createdDateTime: f.createdDateTime,
+    lastModifiedDateTime: f.lastModifiedDateTime,
+    webUrl: f.webUrl,
+    driveId: f.parentReference?.driveId || null,
+    parentPath: f.parentReference?.path || null,
+    thumbnailUrl: thumb?.medium?.url || thumb?.small?.url || null,
+  };
 }
 
 module.exports = OneDriveService;
@@ -0,0 +1,243 @@
+// middleware/s3Storage.js — S3-compatible storage backend (STORAGE_BACKEND=s3): AWS S3, MinIO,
+// Backblaze, R2… Plain REST + Signature V4 over axios, like the Graph calls in onedrive.js.
+// Item ids are object keys; "folders" are key prefixes.
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const { StorageBackend } = require('./storage');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac   = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as SigV4 expects (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function xmlDecode(s) {
+  return String(s)
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(+n))
+    .replace(/&amp;/g, '&');
+}
+
+// All <tag>…</tag> bodies inside xml (ListObjectsV2 is flat enough for this)
+function xmlAll(xml, tag) {
+  return [...String(xml).matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(m => m[1]);
+}
+function xmlOne(xml, tag) {
+  const v = xmlAll(xml, tag)[0];
+  return v === undefined ? null : xmlDecode(v);
+}
+
+class S3Storage extends StorageBackend {
+  constructor(opts = {}) {
+    super({ name: 's3', folderPath: opts.folderPath || process.env.ONEDRIVE_FOLDER_PATH || 'TimeClock_Photos' });
+    this.region    = opts.region || process.env.S3_REGION || 'us-east-1';
+    this.endpoint  = (opts.endpoint || process.env.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.bucket    = opts.bucket || process.env.S3_BUCKET;
+    this.accessKey = opts.accessKeyId || process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID;
+    this.secretKey = opts.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY;
+
+    // MinIO and most self-hosted stores want http://host/bucket/key; AWS prefers bucket.host
+    const pathStyle = opts.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE;
+    this.pathStyle  = pathStyle === undefined ? !!(opts.endpoint || process.env.S3_ENDPOINT) : ['1', 'true', true].includes(pathStyle);
+    this.urlExpiresSeconds = opts.urlExpiresSeconds || parseInt(process.env.S3_URL_EXPIRES_SECONDS, 10) || 900;
+
+    if (!this.bucket) console.warn('⚠️  S3_BUCKET is not set — S3 storage calls will fail.');
+  }
+
+  // ─── Keys & URLs ─────────────────────────────────────────────────────────────
+  prefixFor(relPath = '') {
+    return [this.cleanSubPath(this.folderPath), this.cleanSubPath(relPath)].filter(Boolean).join('/');
+  }
+
+  objectUrl(key = '') {
+    const encodedKey = String(key).split('/').map(encodeRfc3986).join('/');
+    const u = new URL(this.endpoint);
+    if (this.pathStyle) return `${u.origin}${u.pathname.replace(/\/+$/, '')}/${this.bucket}${key ? '/' + encodedKey : '/'}`;
+    return `${u.protocol}//${this.bucket}.${u.host}${u.pathname.replace(/\/+$/, '')}/${encodedKey}`;
+  }
+
+  // ─── Signature V4 ────────────────────────────────────────────────────────────
+  signingKey(date) {
+    return hmac(hmac(hmac(hmac(`AWS4${this.secretKey}`, date), this.region), 's3'), 'aws4_request');
+  }
+
+  canonicalQuery(query) {
+    return Object.keys(query).sort()
+      .map(k => `${encodeRfc3986(k)}=${encodeRfc3986(String(query[k]))}`)
+      .join('&');
+  }
+
+  // → headers to send (incl. Authorization) for a request to url
+  signHeaders(method, url, { query = {}, headers = {}, payloadHash = 'UNSIGNED-PAYLOAD', now = new Date() } = {}) {
+    const u       = new URL(url);
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date    = amzDate.slice(0, 8);
+    const scope   = `${date}/${this.region}/s3/aws4_request`;
+
+    const all = { ...headers, host: u.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+    const names = Object.keys(all).map(h => h.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+    const signedHeaders = names.join(';');
+
+    const canonical = [
+      method, u.pathname, this.canonicalQuery(query),
+      names.map(h => `${h}:${lower[h]}\n`).join(''), signedHeaders, payloadHash,
+    ].join('\n');
+    const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+    const signature = crypto.createHmac('sha256', this.signingKey(date)).update(toSign).digest('hex');
+
+    delete all.host;   // axios sets it
+    return {
+      ...all,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  // Query-string signed URL (what getDownloadUrl hands to browsers)
+  presign(method, url, { expiresSeconds = this.urlExpiresSeconds, now = new Date() } = {}) {
+    const u       = new URL(url);
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date    = amzDate.slice(0, 8);
+    const scope   = `${date}/${this.region}/s3/aws4_request`;
+
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKey}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresSeconds),
+      'X-Amz-SignedHeaders': 'host',
+    };
+    const canonical = [method, u.pathname, this.canonicalQuery(query), `host:${u.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+    const signature = crypto.createHmac('sha256', this.signingKey(date)).update(toSign).digest('hex');
+    return `${u.origin}${u.pathname}?${this.canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+
+  async request(method, key, { query = {}, headers = {}, data, responseType } = {}) {
+    const base = this.objectUrl(key);
+    const qs   = this.canonicalQuery(query);
+    return axios({
+      method,
+      url: qs ? `${base}?${qs}` : base,
+      headers: this.signHeaders(method, base, { query, headers }),
+      data,
+      responseType,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+    });
+  }
+
+  toItem(key, { size = 0, lastModified = null, contentType = null } = {}) {
+    const name = path.posix.basename(key);
+    return {
+      id: key,
+      name,
+      size,
+      isFolder: false,
+      childCount: null,
+      mimeType: contentType || mime.lookup(name) || 'application/octet-stream',
+      createdDateTime: lastModified,            // S3 only keeps the last write time
+      lastModifiedDateTime: lastModified,
+      webUrl: this.objectUrl(key),
+      driveId: this.bucket,
+      parentPath: path.posix.dirname(key),
+      thumbnailUrl: null,
+    };
+  }
+
+  folderItem(prefix) {
+    const key = prefix.replace(/\/+$/, '');
+    return {
+      id: key, name: path.posix.basename(key), size: 0, isFolder: true, childCount: null, mimeType: null,
+      createdDateTime: null, lastModifiedDateTime: null, webUrl: this.objectUrl(`${key}/`),
+      driveId: this.bucket, parentPath: path.posix.dirname(key), thumbnailUrl: null,
+    };
+  }
+
+  // ─── Storage interface ───────────────────────────────────────────────────────
+  // Prefixes exist as soon as an object does; nothing to create
+  async ensurePath() {}
+
+  async upload(filePath, fileName, subPath = '') {
+    const finalName = this.uniqueName(fileName);
+    const key   = [this.prefixFor(subPath), finalName].filter(Boolean).join('/');
+    const stats = fs.statSync(filePath);
+
+    console.log('📤 S3 upload →', { bucket: this.bucket, key });
+    await this.request('PUT', key, {
+      headers: { 'Content-Type': mime.lookup(finalName) || 'application/octet-stream', 'Content-Length': stats.size },
+      data: fs.createReadStream(filePath),
+    });
+    const item = this.toItem(key, { size: stats.size, lastModified: new Date().toISOString() });
+    return {
+      id: key,
+      webUrl: item.webUrl,
+      driveId: this.bucket,
+      parentPath: item.parentPath,
+      fileName: finalName,
+      size: stats.size,
+      uploadedAt: item.lastModifiedDateTime,
+    };
+  }
+
+  // ListObjectsV2 with delimiter "/" so each call returns one "folder"; follows continuation tokens
+  async list({ relPath = '', itemId = null, only = null } = {}) {
+    const base   = itemId ? String(itemId).replace(/\/+$/, '') : this.prefixFor(relPath);
+    const prefix = base ? `${base}/` : '';
+    const items  = [];
+    let token = null;
+    do {
+      const query = { 'list-type': '2', delimiter: '/', prefix };
+      if (token) query['continuation-token'] = token;
+      const { data } = await this.request('GET', '', { query, responseType: 'text' });
+
+      for (const p of xmlAll(data, 'CommonPrefixes')) items.push(this.folderItem(xmlOne(p, 'Prefix')));
+      for (const c of xmlAll(data, 'Contents')) {
+        const key = xmlOne(c, 'Key');
+        if (key === prefix) continue;                      // "folder" marker objects
+        items.push(this.toItem(key, { size: parseInt(xmlOne(c, 'Size'), 10) || 0, lastModified: xmlOne(c, 'LastModified') }));
+      }
+      token = xmlOne(data, 'IsTruncated') === 'true' ? xmlOne(data, 'NextContinuationToken') : null;
+    } while (token);
+
+    if (only === 'folders') return items.filter(i => i.isFolder);
+    if (only === 'files')   return items.filter(i => !i.isFolder);
+    return items;
+  }
+
+  async getItem(key) {
+    try {
+      const { headers } = await this.request('HEAD', key);
+      return this.toItem(key, {
+        size: parseInt(headers['content-length'], 10) || 0,
+        lastModified: headers['last-modified'] ? new Date(headers['last-modified']).toISOString() : null,
+        contentType: headers['content-type'],
+      });
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+  }
+
+  async getDownloadUrl(key) {
+    return this.presign('GET', this.objectUrl(key));
+  }
+
+  // S3 answers 204 whether or not the key existed, so look first
+  async delete(key) {
+    if (!(await this.getItem(key))) return false;
+    await this.request('DELETE', key);
+    return true;
+  }
+
+  async check() {
+    await this.request('HEAD', '');
+  }
+}
+
+module.exports = S3Storage;
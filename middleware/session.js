@@ -0,0 +1,202 @@
+// middleware/session.js — employee login: scrypt PIN/password hashes + signed HTTP-only session cookies
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+const COOKIE_NAME = 'cqs_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+let SECRET = (process.env.SESSION_SECRET || '').trim();
+if (!SECRET) {
+  SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  SESSION_SECRET is not set in .env — sessions will not survive a restart.');
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Password / PIN hashing (scrypt, self-describing so params can change later)
+// ───────────────────────────────────────────────────────────────────────────────
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+function hashPassword(plain) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p, keylen } = SCRYPT;
+    crypto.scrypt(String(plain), salt, keylen, { N, r, p }, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`);
+    });
+  });
+}
+
+// Unknown users / unset PINs still pay for a full hash so timing doesn't reveal which emails exist
+const DUMMY_HASH = `scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(SCRYPT.keylen).toString('base64')}`;
+
+function verifyPassword(plain, stored) {
+  return new Promise((resolve) => {
+    const real  = !!stored;
+    const parts = String(stored || DUMMY_HASH).split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return resolve(false);
+    const [, N, r, p, saltB64, keyB64] = parts;
+    const expected = Buffer.from(keyB64, 'base64');
+    crypto.scrypt(String(plain), Buffer.from(saltB64, 'base64'), expected.length, { N: +N, r: +r, p: +p }, (err, key) => {
+      if (err) return resolve(false);
+      resolve(crypto.timingSafeEqual(key, expected) && real);
+    });
+  });
+}
+
+// A 4–8 digit PIN (for the phone keypad) or a password of 8+ characters
+const SECRET_HINT = 'Use a 4–8 digit PIN or a password of at least 8 characters';
+
+function isAcceptableSecret(s) {
+  const v = String(s || '');
+  return /^\d{4,8}$/.test(v) || v.length >= 8;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Cookies: "<token>.<hmac>" — only sha256(token) is stored in the database
+// ───────────────────────────────────────────────────────────────────────────────
+function sign(token) {
+  return crypto.createHmac('sha256', SECRET).update(token).digest('base64url');
+}
+
+function unsign(value) {
+  const i = String(value || '').lastIndexOf('.');
+  if (i <= 0) return null;
+  const token = value.slice(0, i);
+  const mac   = Buffer.from(value.slice(i + 1));
+  const good  = Buffer.from(sign(token));
+  return mac.length === good.length && crypto.timingSafeEqual(mac, good) ? token : null;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    if (part.slice(0, eq).trim() === name) {
+      try { return decodeURIComponent(part.slice(eq + 1).trim()); } catch { return null; }
+    }
+  }
+  return null;
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/'
+  };
+}
+
+// Browsers send the cookie; scripts/integrations may send the same value as "Authorization: Bearer …"
+function readSessionValue(req) {
+  const auth = req.headers.authorization || '';
+  if (/^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, '').trim();
+  return readCookie(req, COOKIE_NAME);
+}
+
+// Creates the DB row + sets the cookie; returns the expiry and the signed token (for Bearer use)
+async function startSession(db, req, res, user) {
+  const token     = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  await db.createSession(hashToken(token), user.id, expiresAt, req.ip, req.get('user-agent') || null);
+  const signed = `${token}.${sign(token)}`;
+  res.cookie(COOKIE_NAME, signed, { ...cookieOptions(), maxAge: SESSION_TTL_MS });
+  return { expiresAt, token: signed };
+}
+
+async function endSession(db, req, res) {
+  const token = unsign(readSessionValue(req));
+  if (token) await db.deleteSession(hashToken(token));
+  res.clearCookie(COOKIE_NAME, cookieOptions());
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Middleware
+// ───────────────────────────────────────────────────────────────────────────────
+
+// Attaches req.user (active users with an unexpired session only) — never rejects
+function loadSession(db) {
+  return async (req, _res, next) => {
+    req.user = null;
+    try {
+      const token = unsign(readSessionValue(req));
+      if (token) {
+        const row = await db.getSessionUser(hashToken(token));
+        if (row) {
+          req.user = row;
+          req.sessionId = hashToken(token);
+        }
+      }
+    } catch (e) {
+      console.error('Session lookup error:', e.message);
+    }
+    next();
+  };
+}
+
+function requireEmployee(req, _res, next) {
+  if (!req.user) return next(httpError(401, 'Please sign in'));
+  next();
+}
+
+// For /:email routes — employees may only see their own data
+function requireSelf(param = 'email') {
+  return (req, _res, next) => {
+    if (!req.user) return next(httpError(401, 'Please sign in'));
+    const wanted = String(req.params[param] || '').trim().toLowerCase();
+    if (wanted !== String(req.user.email).toLowerCase()) {
+      return next(httpError(403, 'You can only access your own records'));
+    }
+    next();
+  };
+}
+
+// Role ladder: employee < supervisor < admin.
+// Sets req.scope = { locations: [...] } for supervisors (null = unrestricted for admins).
+const ROLES = ['employee', 'supervisor', 'admin'];
+
+function requireRole(db, minRole) {
+  const min = ROLES.indexOf(minRole);
+  return async (req, _res, next) => {
+    if (!req.user) return next(httpError(401, 'Please sign in'));
+    if (ROLES.indexOf(req.user.role) < min) {
+      return next(httpError(403, 'You do not have access to this area'));
+    }
+    try {
+      req.scope = req.user.role === 'supervisor'
+        ? { locations: await db.getSupervisorLocations(req.user.id) }
+        : null;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+// Supervisors may only act on their own locations
+function canManageLocation(req, location) {
+  if (!req.scope) return true;
+  return req.scope.locations.some(l => l.toUpperCase() === String(location || '').toUpperCase());
+}
+
+module.exports = {
+  ROLES,
+  COOKIE_NAME,
+  hashPassword,
+  verifyPassword,
+  isAcceptableSecret,
+  SECRET_HINT,
+  startSession,
+  endSession,
+  loadSession,
+  requireEmployee,
+  requireSelf,
+  requireRole,
+  canManageLocation,
+};
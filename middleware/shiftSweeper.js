@@ -0,0 +1,69 @@
+// middleware/shiftSweeper.js — finds forgotten punch-outs and auto-closes or flags them
+class ShiftSweeper {
+  constructor({ db, timeRecords, notify = null, opts = {} }) {
+    this.db          = db;
+    this.timeRecords = timeRecords;
+
+    // notify(event, record) — falls back to the server log when no hook is wired up
+    this.notify = notify || ((event, record) => {
+      console.warn(`⏰ ${event}: ${record.email} clocked in ${record.clock_in_time} (record #${record.id})`);
+    });
+
+    this.maxShiftHours = opts.maxShiftHours || parseFloat(process.env.MAX_SHIFT_HOURS) || 16;
+    // 'flag' leaves the shift open and marks it needs_review; 'close' also punches out at the cap
+    this.policy        = (opts.policy || process.env.STALE_SESSION_POLICY || 'flag').toLowerCase();
+    this.capHours      = opts.capHours || parseFloat(process.env.AUTO_CLOCK_OUT_HOURS) || this.maxShiftHours;
+    this.intervalMs    = opts.intervalMs || parseInt(process.env.SHIFT_SWEEP_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+    if (!['flag', 'close'].includes(this.policy)) {
+      console.warn(`⚠️  Unknown STALE_SESSION_POLICY "${this.policy}" — using "flag".`);
+      this.policy = 'flag';
+    }
+    this.timer = null;
+  }
+
+  async start() {
+    await this.db.ready;
+    this.timer = setInterval(() => this.sweep().catch(e => console.error('Shift sweep error:', e.message)), this.intervalMs);
+    this.timer.unref?.();
+    console.log(`⏰ Shift sweeper: max ${this.maxShiftHours}h, policy=${this.policy}`);
+    return this.sweep();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.maxShiftHours * 36e5).toISOString();
+    const stale  = await this.db.getStaleSessions(cutoff);
+    const result = { closed: [], flagged: [] };
+
+    for (const s of stale) {
+      try {
+        if (this.policy === 'close') {
+          const record = await this.timeRecords.autoClose(s.time_record_id, this.capHours);
+          if (record) {
+            result.closed.push(record);
+            await this.notify('auto_clock_out', record);
+          }
+        } else if (!s.needs_review) {
+          const record = await this.timeRecords.flagForReview(
+            s.time_record_id, `Still clocked in after ${this.maxShiftHours}h`);
+          result.flagged.push(record);
+          await this.notify('needs_review', record);
+        }
+      } catch (e) {
+        console.error(`Shift sweep: record #${s.time_record_id} skipped:`, e.message);
+        // e.g. the week was approved in the meantime — still make sure someone looks at it
+        if (e.status === 409 && !s.needs_review) {
+          result.flagged.push(await this.timeRecords.flagForReview(s.time_record_id, e.message));
+        }
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = ShiftSweeper;
@@ -0,0 +1,100 @@
+// middleware/storage.js — the interface every file store implements (OneDrive, local disk, S3) and
+// the STORAGE_BACKEND switch that picks one
+const fs = require('fs');
+const path = require('path');
+
+const BACKENDS = ['onedrive', 'local', 's3'];
+
+// Items (list / walk / getItem) all look like:
+//   { id, name, size, isFolder, childCount, mimeType, createdDateTime, lastModifiedDateTime,
+//     webUrl, driveId, parentPath, thumbnailUrl }
+// upload() resolves to { id, webUrl, driveId, parentPath, fileName, size, uploadedAt }.
+// `subPath` / `relPath` are always relative to the backend's base folder (folderPath).
+class StorageBackend {
+  constructor({ name, folderPath }) {
+    this.name       = name;
+    this.folderPath = folderPath;
+  }
+
+  async upload(filePath, fileName, subPath = '')            { throw this.notImplemented('upload'); }
+  async ensurePath(subPath = '')                            { throw this.notImplemented('ensurePath'); }
+  // One folder's children: by path under the base folder, or by a folder item's id
+  async list({ relPath = '', itemId = null, only = null, thumbnails = false } = {}) { throw this.notImplemented('list'); }
+  // The item, or null once it no longer exists (driveId: where it was stored, if the backend has several)
+  async getItem(id, driveId = null)                         { throw this.notImplemented('getItem'); }
+  // A short-lived URL the browser can fetch without our credentials
+  async getDownloadUrl(id)                                  { throw this.notImplemented('getDownloadUrl'); }
+  // Resolves true if something was deleted, false if it was already gone
+  async delete(id)                                          { throw this.notImplemented('delete'); }
+  // Throws if the backend can't be reached / written to
+  async check()                                             { throw this.notImplemented('check'); }
+
+  notImplemented(method) {
+    return new Error(`${this.name} storage does not implement ${method}()`);
+  }
+
+  // Depth-first walk below a folder. Each file comes back with `path`: the folder names between
+  // the start folder and the file. enterFolder(item, depth, path) can prune branches; the walk
+  // stops (truncated: true) once maxFiles files are collected.
+  async walk({ relPath = '', itemId = null, maxDepth = Infinity, maxFiles = Infinity, thumbnails = false, enterFolder = null } = {}) {
+    const files = [];
+    let truncated = false;
+
+    const visit = async (ref, depth, trail) => {
+      const children = await this.list({ ...ref, thumbnails });
+      for (const item of children) {
+        if (files.length >= maxFiles) { truncated = true; return; }
+        if (!item.isFolder) { files.push({ ...item, path: trail }); continue; }
+        if (depth >= maxDepth) continue;
+        if (enterFolder && !enterFolder(item, depth, trail)) continue;
+        await visit({ itemId: item.id }, depth + 1, [...trail, item.name]);
+        if (truncated) return;
+      }
+    };
+
+    await visit({ relPath, itemId }, 0, []);
+    return { files, truncated };
+  }
+
+  // Sanitize a single segment (NOT the whole path)
+  sanitizeSegment(s) {
+    return String(s || '')
+      .replace(/[\\/:*?"<>|]/g, '')    // remove illegal path chars
+      .replace(/\s+/g, ' ')            // collapse whitespace
+      .trim();
+  }
+
+  // "a/ b:/c" → "a/b/c" with every segment sanitized
+  cleanSubPath(subPath) {
+    return String(subPath || '').split('/').filter(Boolean).map(seg => this.sanitizeSegment(seg)).filter(Boolean).join('/');
+  }
+
+  // Stored names get a timestamp + random suffix so two uploads never collide
+  uniqueName(fileName) {
+    const rawName  = String(fileName || 'upload.bin').replace(/[\\/:*?"<>|]/g, '').trim();
+    const ext      = path.extname(rawName);
+    const baseName = ext ? rawName.slice(0, -ext.length) : rawName;
+
+    const ts   = new Date().toISOString().replace(/[:.]/g, '-');
+    const rand = Math.random().toString(36).slice(2, 8);
+    return `${baseName}_${ts}_${rand}${ext || ''}`;
+  }
+
+  async cleanupLocalFile(filePath) {
+    try { if (fs.existsSync(filePath)) fs.unlinkSync(filePath); } catch {}
+  }
+}
+
+// STORAGE_BACKEND=onedrive (default) | local | s3. opts.folderPath is the base folder / key prefix.
+function createStorage(opts = {}) {
+  const backend = String(opts.backend || process.env.STORAGE_BACKEND || 'onedrive').toLowerCase();
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use ${BACKENDS.join(', ')})`);
+  }
+  // Required lazily: the backends extend StorageBackend from this file
+  if (backend === 'local') return new (require('./fileStorage'))(opts);
+  if (backend === 's3')    return new (require('./s3Storage'))(opts);
+  return new (require('./onedrive'))(opts);
+}
+
+module.exports = { StorageBackend, createStorage, BACKENDS };
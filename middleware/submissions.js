@@ -0,0 +1,151 @@
+// middleware/submissions.js — admin view of submitted timesheet photos: walks the storage
+// Location / Week / Jobsite / Date tree that /api/submit writes and joins each file to its
+// location_uploads row
+const { httpError } = require('./errors');
+
+// A file counts as a row's upload if OneDrive created it this close to submitted_at
+const MATCH_WINDOW_MS = 5 * 60 * 1000;
+
+const sameName = (a, b) => String(a || '').toUpperCase() === String(b || '').toUpperCase();
+
+// "10-19" → sortable month*100 + day (week folders carry no year)
+function mdKey(s) {
+  const m = /^(\d{1,2})-(\d{1,2})/.exec(String(s || ''));
+  return m ? +m[1] * 100 + +m[2] : -1;
+}
+
+function presentUpload(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    uploaderType: row.uploader_type,
+    uploader: row.uploader_name,
+    originalFilename: row.original_filename,
+    submittedAt: row.submitted_at,
+    geofence: row.geofence_status,
+    jobsiteId: row.jobsite_id,
+  };
+}
+
+class SubmissionBrowser {
+  // rootPath: folder under the storage base folder that holds the location folders ('' or 'TimeClock_Photos')
+  constructor(db, storage, { rootPath = '' } = {}) {
+    this.db = db;
+    this.storage = storage;
+    this.rootPath = rootPath;
+  }
+
+  // → { locations: [{ name, weeks: [{ week, jobsites: [{ name, dates: [{ date, files }] }] }] }], fileCount, truncated }
+  // locations: rows to include (already filtered by scope); week / jobsite narrow the walk by folder name.
+  async browse({ locations, week = null, jobsite = null, maxFiles = 500 }) {
+    if (!locations.length) throw httpError(404, 'No locations to browse');
+
+    const folders = await this.storage.list({ relPath: this.rootPath, only: 'folders' });
+    const result = { locations: [], fileCount: 0, truncated: false };
+
+    for (const site of locations) {
+      const folder = folders.find(f => sameName(f.name, site.folder_name));
+      if (!folder) continue;
+      if (result.fileCount >= maxFiles) { result.truncated = true; break; }
+
+      // Depth 0 = week folders, 1 = jobsite folders, 2 = date folders; photos sit below the date
+      const walked = await this.storage.walk({
+        itemId: folder.id,
+        maxDepth: 3,
+        maxFiles: maxFiles - result.fileCount,
+        thumbnails: true,
+        enterFolder: (item, depth) =>
+          (depth !== 0 || !week || item.name === week) &&
+          (depth !== 1 || !jobsite || sameName(item.name, jobsite)),
+      });
+      const files = walked.files.filter(f => f.path.length === 3);
+
+      result.locations.push(await this.group(site, folder, files));
+      result.fileCount += files.length;
+      result.truncated = result.truncated || walked.truncated;
+    }
+    return result;
+  }
+
+  async group(site, folder, files) {
+    const jobsites = await this.db.listJobsites(site.id, ['active', 'pending', 'inactive']);
+    const uploads  = await this.matchUploads(site, files, jobsites);
+
+    const weeks = new Map();
+    for (const f of files) {
+      const [weekName, jobsiteFolder, date] = f.path;
+      if (!weeks.has(weekName)) weeks.set(weekName, new Map());
+      const byJobsite = weeks.get(weekName);
+      if (!byJobsite.has(jobsiteFolder)) byJobsite.set(jobsiteFolder, new Map());
+      const byDate = byJobsite.get(jobsiteFolder);
+      if (!byDate.has(date)) byDate.set(date, []);
+
+      byDate.get(date).push({
+        id: f.id,
+        name: f.name,
+        size: f.size,
+        createdDateTime: f.createdDateTime,
+        webUrl: f.webUrl,
+        thumbnailUrl: f.thumbnailUrl,
+        upload: presentUpload(uploads.get(f.id)),
+      });
+    }
+
+    return {
+      id: site.id,
+      name: site.name,
+      folderName: folder.name,
+      weeks: [...weeks].sort(([a], [b]) => mdKey(b) - mdKey(a)).map(([weekName, byJobsite]) => ({
+        week: weekName,
+        jobsites: [...byJobsite].sort(([a], [b]) => a.localeCompare(b)).map(([jobsiteFolder, byDate]) => {
+          const row = jobsites.find(j => sameName(j.folder_name, jobsiteFolder));
+          return {
+            name: row?.name || jobsiteFolder,
+            jobsiteId: row?.id || null,
+            status: row?.status || null,
+            folderName: jobsiteFolder,
+            dates: [...byDate].sort(([a], [b]) => mdKey(a) - mdKey(b)).map(([date, list]) => ({
+              date,
+              files: list.sort((a, b) => String(a.createdDateTime).localeCompare(String(b.createdDateTime))),
+            })),
+          };
+        }),
+      })),
+    };
+  }
+
+  // fileId → location_uploads row. An exact onedrive_url wins; otherwise the closest unclaimed row
+  // in time with the same jobsite (older rows were recorded without a URL).
+  async matchUploads(site, files, jobsites) {
+    const matches = new Map();
+    if (!files.length) return matches;
+
+    const times = files.map(f => Date.parse(f.createdDateTime)).filter(Number.isFinite);
+    if (!times.length) return matches;
+    const from = new Date(Math.min(...times) - MATCH_WINDOW_MS).toISOString();
+    const to   = new Date(Math.max(...times) + MATCH_WINDOW_MS).toISOString();
+    const rows = await this.db.listLocationUploadsBetween(site.id, from, to);
+
+    const claimed = new Set();
+    for (const f of files) {
+      const row = rows.find(r => r.onedrive_url && r.onedrive_url === f.webUrl);
+      if (row) { matches.set(f.id, row); claimed.add(row.id); }
+    }
+    for (const f of files) {
+      if (matches.has(f.id)) continue;
+      const created = Date.parse(f.createdDateTime);
+      const jobsite = jobsites.find(j => sameName(j.folder_name, f.path[1]));
+      let best = null;
+      for (const r of rows) {
+        if (claimed.has(r.id) || r.onedrive_url) continue;
+        if (jobsite && r.jobsite_id && r.jobsite_id !== jobsite.id) continue;
+        const gap = Math.abs(Date.parse(`${r.submitted_at.replace(' ', 'T')}Z`) - created);
+        if (gap <= MATCH_WINDOW_MS && (!best || gap < best.gap)) best = { row: r, gap };
+      }
+      if (best) { matches.set(f.id, best.row); claimed.add(best.row.id); }
+    }
+    return matches;
+  }
+}
+
+module.exports = SubmissionBrowser;
@@ -0,0 +1,263 @@
+// middleware/timeRecords.js — manager corrections (edit / missed punch / void), pay-period approval and
+// the employee punches that have to respect it (clock-in, clock-out, breaks)
+const { startOfWeek, endOfWeek, ymd } = require('./weeks');
+const { computeWorkedHours } = require('./hours');
+const { httpError } = require('./errors');
+
+const PERIOD_STATUSES = ['pending', 'approved', 'locked'];
+
+function parseTimestamp(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw httpError(400, `${field} must be a valid date/time`);
+  return d.toISOString();
+}
+
+// Snapshot of the fields an edit can touch (what goes into before/after)
+function snapshot(r) {
+  return {
+    clock_in_time: r.clock_in_time,
+    clock_out_time: r.clock_out_time,
+    total_hours: r.total_hours,
+    unpaid_break_minutes: r.unpaid_break_minutes,
+    status: r.status,
+    notes: r.notes,
+    needs_review: r.needs_review,
+  };
+}
+
+class TimeRecordService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  weekOf(isoTime) {
+    const start = startOfWeek(new Date(isoTime));
+    return { weekStart: ymd(start), weekEnd: ymd(endOfWeek(start)) };
+  }
+
+  async periodStatus(weekStart) {
+    return (await this.db.getPayPeriod(weekStart))?.status || 'pending';
+  }
+
+  // Approved and locked weeks are frozen
+  async assertOpen(...times) {
+    for (const t of times.filter(Boolean)) {
+      const { weekStart } = this.weekOf(t);
+      const status = await this.periodStatus(weekStart);
+      if (status !== 'pending') {
+        throw httpError(409, `Pay period starting ${weekStart} is ${status}; records in it can no longer be changed`, 'PERIOD_CLOSED');
+      }
+    }
+  }
+
+  requireReason(reason) {
+    const r = String(reason || '').trim();
+    if (!r) throw httpError(400, 'A reason is required for every change');
+    return r;
+  }
+
+  async load(id) {
+    const record = await this.db.getTimeRecordById(id);
+    if (!record) throw httpError(404, 'Time record not found');
+    return record;
+  }
+
+  // Always derived from the stored punches and breaks, never trusted from the client
+  async computeWorked(record) {
+    if (!record.clock_out_time) return { totalHours: null, unpaidBreakMinutes: 0 };
+    const breaks = record.id ? await this.db.getBreaksForRecord(record.id) : [];
+    return computeWorkedHours(record.clock_in_time, record.clock_out_time, breaks);
+  }
+
+  async edit(id, changes, actor) {
+    const reason = this.requireReason(changes.reason);
+    const record = await this.load(id);
+    if (record.status === 'void') throw httpError(409, 'Voided records cannot be edited', 'RECORD_VOID');
+
+    const next = { ...record };
+    const clockIn  = parseTimestamp(changes.clockInTime, 'clockInTime');
+    const clockOut = parseTimestamp(changes.clockOutTime, 'clockOutTime');
+    if (clockIn === null) throw httpError(400, 'clockInTime cannot be cleared');
+    if (clockIn !== undefined)  next.clock_in_time  = clockIn;
+    if (clockOut !== undefined) next.clock_out_time = clockOut;
+    if (changes.notes !== undefined) next.notes = changes.notes === null ? null : String(changes.notes);
+
+    if (next.clock_out_time && new Date(next.clock_out_time) <= new Date(next.clock_in_time)) {
+      throw httpError(400, 'Clock-out must be after clock-in');
+    }
+    // A record may only move between weeks that are both still open
+    await this.assertOpen(record.clock_in_time, next.clock_in_time);
+
+    next.status = next.clock_out_time ? 'completed' : 'active';
+    if (record.status === 'active' && next.status === 'completed') {
+      await this.db.endOpenBreak(id, next.clock_out_time);
+    }
+    const worked = await this.computeWorked(next);
+
+    // A manager touching the record counts as reviewing it
+    await this.db.updateTimeRecord(id, {
+      clockInTime: next.clock_in_time,
+      clockOutTime: next.clock_out_time,
+      totalHours: worked.totalHours,
+      unpaidBreakMinutes: worked.unpaidBreakMinutes,
+      status: next.status,
+      notes: next.notes,
+      needsReview: false,
+      reviewReason: null,
+    });
+    if (record.status === 'active' && next.status === 'completed') {
+      await this.db.deleteActiveSessionForRecord(id);   // manager closed a forgotten punch
+    }
+
+    const after = await this.db.getTimeRecordById(id);
+    await this.db.addTimeRecordAudit({
+      timeRecordId: id, action: 'edit', userId: actor.id, email: actor.email,
+      before: snapshot(record), after: snapshot(after), reason,
+    });
+    return after;
+  }
+
+  async addMissedPunch({ email, clockInTime, clockOutTime, notes, reason }, actor) {
+    reason = this.requireReason(reason);
+    const user = await this.db.findUserByEmail(String(email || '').trim());
+    if (!user) throw httpError(404, 'Employee not found');
+
+    const clockIn  = parseTimestamp(clockInTime, 'clockInTime');
+    const clockOut = parseTimestamp(clockOutTime, 'clockOutTime');
+    if (!clockIn || !clockOut) throw httpError(400, 'clockInTime and clockOutTime are required');
+    if (new Date(clockOut) <= new Date(clockIn)) throw httpError(400, 'Clock-out must be after clock-in');
+    await this.assertOpen(clockIn);
+
+    const worked = await this.computeWorked({ clock_in_time: clockIn, clock_out_time: clockOut });
+    const { id } = await this.db.insertTimeRecord({
+      userId: user.id,
+      email: user.email,
+      clockInTime: clockIn,
+      clockOutTime: clockOut,
+      totalHours: worked.totalHours,
+      unpaidBreakMinutes: worked.unpaidBreakMinutes,
+      notes: notes ? String(notes) : null,
+    });
+
+    const after = await this.db.getTimeRecordById(id);
+    await this.db.addTimeRecordAudit({
+      timeRecordId: id, action: 'add', userId: actor.id, email: actor.email,
+      before: null, after: snapshot(after), reason,
+    });
+    return after;
+  }
+
+  async void(id, reasonText, actor) {
+    const reason = this.requireReason(reasonText);
+    const record = await this.load(id);
+    if (record.status === 'void') throw httpError(409, 'Record is already void', 'RECORD_VOID');
+    await this.assertOpen(record.clock_in_time);
+
+    await this.db.updateTimeRecord(id, { status: 'void' });
+    await this.db.deleteActiveSessionForRecord(id);
+
+    const after = await this.db.getTimeRecordById(id);
+    await this.db.addTimeRecordAudit({
+      timeRecordId: id, action: 'void', userId: actor.id, email: actor.email,
+      before: snapshot(record), after: snapshot(after), reason,
+    });
+    return after;
+  }
+
+  // Sweeper: close a forgotten punch at clock-in + capHours and leave it for review
+  async autoClose(timeRecordId, capHours) {
+    const record = await this.load(timeRecordId);
+    if (record.status !== 'active') return null;
+    await this.assertOpen(record.clock_in_time);
+
+    const clockOut = new Date(new Date(record.clock_in_time).getTime() + capHours * 36e5).toISOString();
+    const next = { ...record, clock_out_time: clockOut };
+    const reason = `Auto clock-out after ${capHours}h without a punch-out`;
+
+    await this.db.endOpenBreak(timeRecordId, clockOut);
+    const worked = await this.computeWorked(next);
+    await this.db.updateTimeRecord(timeRecordId, {
+      clockOutTime: clockOut,
+      totalHours: worked.totalHours,
+      unpaidBreakMinutes: worked.unpaidBreakMinutes,
+      status: 'completed',
+      needsReview: true,
+      reviewReason: reason,
+    });
+    await this.db.deleteActiveSessionForRecord(timeRecordId);
+
+    const after = await this.db.getTimeRecordById(timeRecordId);
+    await this.db.addTimeRecordAudit({
+      timeRecordId, action: 'auto_close', email: 'system',
+      before: snapshot(record), after: snapshot(after), reason,
+    });
+    return after;
+  }
+
+  // ─── Employee punches ──────────────────────────────────────────────────────────
+  // The shift's week can be approved or locked while the employee is still on the clock
+
+  async activeShift(email) {
+    const session = await this.db.getActiveSession(email);
+    if (!session) throw httpError(404, 'No active session found for this user', 'NOT_CLOCKED_IN');
+    return session;
+  }
+
+  // No new shifts in a week that is already approved or locked
+  async clockIn(email, photoUrl = null, geo = null) {
+    await this.assertOpen(new Date().toISOString());
+    return this.db.clockIn(email, photoUrl, geo);
+  }
+
+  // In a closed week the record is left as approved: the employee is let off the clock and the
+  // punch-out time goes to a manager (needs_review) instead of into total_hours
+  async clockOut(email, geo = null) {
+    const session = await this.activeShift(email);
+    try {
+      await this.assertOpen(session.clock_in_time);
+    } catch (e) {
+      if (e.code !== 'PERIOD_CLOSED') throw e;
+      const clockOutTime = new Date().toISOString();
+      await this.db.deleteActiveSessionForRecord(session.time_record_id);
+      await this.flagForReview(session.time_record_id, `Clocked out at ${clockOutTime}, after the pay period was closed — hours not recorded`);
+      return { timeRecordId: session.time_record_id, clockInTime: session.clock_in_time, clockOutTime, totalHours: null, periodClosed: true, userEmail: email };
+    }
+    return this.db.clockOut(email, geo);
+  }
+
+  async startBreak(email, type, isPaid) {
+    await this.assertOpen((await this.activeShift(email)).clock_in_time);
+    return this.db.startBreak(email, type, isPaid);
+  }
+
+  async endBreak(email) {
+    await this.assertOpen((await this.activeShift(email)).clock_in_time);
+    return this.db.endBreak(email);
+  }
+
+  async flagForReview(timeRecordId, reason) {
+    await this.db.updateTimeRecord(timeRecordId, { needsReview: true, reviewReason: reason });
+    return this.db.getTimeRecordById(timeRecordId);
+  }
+
+  // pending → approved → locked; approved may be reopened, locked is final
+  async setPeriodStatus(dateStr, status, actor) {
+    if (!PERIOD_STATUSES.includes(status)) throw httpError(400, 'Unknown pay period status');
+    const ref = new Date(`${dateStr}T12:00:00`);
+    if (Number.isNaN(ref.getTime())) throw httpError(400, 'Week must be a YYYY-MM-DD date');
+    const { weekStart, weekEnd } = this.weekOf(ref.toISOString());
+
+    const current = await this.periodStatus(weekStart);
+    if (current === 'locked') throw httpError(409, `Pay period starting ${weekStart} is locked`, 'PERIOD_CLOSED');
+    if (status === 'locked' && current !== 'approved') {
+      throw httpError(409, 'Only approved pay periods can be locked');
+    }
+
+    await this.db.setPayPeriodStatus(weekStart, weekEnd, status, actor.email);
+    return this.db.getPayPeriod(weekStart);
+  }
+}
+
+module.exports = TimeRecordService;
@@ -0,0 +1,210 @@
+// middleware/timesheetExport.js — payroll timesheets (weekly overtime) as CSV / XLSX
+const archiver = require('archiver');
+const { startOfWeek, endOfWeek, ymd } = require('./weeks');
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const round2 = n => Math.round(n * 100) / 100;
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Build: time_records rows → per-employee weekly rows
+// ───────────────────────────────────────────────────────────────────────────────
+
+// Rows need: email, first_name, last_name, department, clock_in_time, total_hours.
+// A shift counts toward the (local) day it started on.
+function buildTimesheets(records, { overtimeThreshold = 40 } = {}) {
+  const byEmployee = new Map();
+
+  for (const r of records) {
+    if (r.total_hours === null || r.total_hours === undefined) continue;  // still clocked in
+    const clockIn = new Date(r.clock_in_time);
+    const weekStart = startOfWeek(clockIn);
+    const dayIdx = (clockIn.getDay() + 6) % 7;                            // Mon=0..Sun=6
+
+    const key = String(r.email).toLowerCase();
+    if (!byEmployee.has(key)) {
+      byEmployee.set(key, {
+        email: r.email,
+        name: [r.first_name, r.last_name].filter(Boolean).join(' ') || r.email,
+        department: r.department || '',
+        weeks: new Map(),
+      });
+    }
+    const emp = byEmployee.get(key);
+    const wk = ymd(weekStart);
+    if (!emp.weeks.has(wk)) {
+      emp.weeks.set(wk, { weekStart: wk, weekEnd: ymd(endOfWeek(weekStart)), days: [0, 0, 0, 0, 0, 0, 0] });
+    }
+    emp.weeks.get(wk).days[dayIdx] += parseFloat(r.total_hours) || 0;
+  }
+
+  const employees = [...byEmployee.values()]
+    .sort((a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }))
+    .map(emp => {
+      const weeks = [...emp.weeks.values()]
+        .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+        .map(w => {
+          const days  = w.days.map(round2);
+          const total = round2(days.reduce((s, h) => s + h, 0));
+          const regular  = round2(Math.min(total, overtimeThreshold));
+          const overtime = round2(Math.max(0, total - overtimeThreshold));
+          return { weekStart: w.weekStart, weekEnd: w.weekEnd, days, total, regular, overtime };
+        });
+      return { ...emp, weeks, totals: sumWeeks(weeks) };
+    });
+
+  return { overtimeThreshold, employees, grandTotal: sumWeeks(employees.flatMap(e => e.weeks)) };
+}
+
+function sumWeeks(weeks) {
+  const days = [0, 0, 0, 0, 0, 0, 0];
+  let total = 0, regular = 0, overtime = 0;
+  for (const w of weeks) {
+    w.days.forEach((h, i) => { days[i] += h; });
+    total += w.total; regular += w.regular; overtime += w.overtime;
+  }
+  return { days: days.map(round2), total: round2(total), regular: round2(regular), overtime: round2(overtime) };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Tables (shared by CSV + XLSX)
+// ───────────────────────────────────────────────────────────────────────────────
+const HEADER = ['Employee', 'Email', 'Department', 'Week Start', 'Week End', ...DAYS, 'Total', 'Regular', 'Overtime'];
+
+function weekRow(emp, w) {
+  return [emp.name, emp.email, emp.department, w.weekStart, w.weekEnd, ...w.days, w.total, w.regular, w.overtime];
+}
+
+function totalRow(label, t) {
+  return [label, '', '', '', '', ...t.days, t.total, t.regular, t.overtime];
+}
+
+function summaryTable(sheet) {
+  const rows = [HEADER];
+  sheet.employees.forEach(emp => emp.weeks.forEach(w => rows.push(weekRow(emp, w))));
+  rows.push(totalRow('GRAND TOTAL', sheet.grandTotal));
+  return rows;
+}
+
+function employeeTable(emp) {
+  return [HEADER, ...emp.weeks.map(w => weekRow(emp, w)), totalRow('TOTAL', emp.totals)];
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// CSV
+// ───────────────────────────────────────────────────────────────────────────────
+// Text starting with = + - @ (or a tab / CR) would run as a formula in Excel or Sheets, so it's
+// prefixed with ' — names and departments come from user input. Numbers are left alone.
+function csvCell(v) {
+  let s = String(v ?? '');
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(sheet) {
+  return summaryTable(sheet).map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// XLSX (minimal SpreadsheetML zipped with archiver — no extra dependency)
+// Summary sheet first, then one sheet per employee.
+// ───────────────────────────────────────────────────────────────────────────────
+const xmlEsc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function colName(i) {
+  let s = '';
+  for (i += 1; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + ((i - 1) % 26)) + s;
+  return s;
+}
+
+// style 1 = bold (header + total rows)
+function sheetXml(rows) {
+  const body = rows.map((row, r) => {
+    const bold = r === 0 || r === rows.length - 1;
+    const cells = row.map((v, c) => {
+      const ref = `${colName(c)}${r + 1}`;
+      const s = bold ? ' s="1"' : '';
+      if (typeof v === 'number') return `<c r="${ref}"${s}><v>${v}</v></c>`;
+      if (v === '' || v === null || v === undefined) return `<c r="${ref}"${s}/>`;
+      return `<c r="${ref}"${s} t="inlineStr"><is><t>${xmlEsc(v)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+// Excel sheet names: ≤31 chars, no []:*?/\ and unique (case-insensitive)
+function sheetNames(names) {
+  const used = new Set();
+  return names.map(n => {
+    const base = String(n).replace(/[[\]:*?/\\]/g, '').trim().slice(0, 31) || 'Sheet';
+    let name = base, i = 2;
+    while (used.has(name.toLowerCase())) {
+      const suffix = ` (${i++})`;
+      name = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function xlsxParts(sheet) {
+  const tables = [summaryTable(sheet), ...sheet.employees.map(employeeTable)];
+  const names  = sheetNames(['Summary', ...sheet.employees.map(e => e.name)]);
+
+  const parts = {
+    '[Content_Types].xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      tables.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>',
+    '_rels/.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      names.map((n, i) => `<sheet name="${xmlEsc(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+      '</sheets></workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      tables.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${tables.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>',
+    'xl/styles.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>',
+  };
+  tables.forEach((rows, i) => { parts[`xl/worksheets/sheet${i + 1}.xml`] = sheetXml(rows); });
+  return parts;
+}
+
+// Streams the workbook into `out` (e.g. an Express response); resolves when written
+function writeXlsx(sheet, out) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', reject);
+    out.on('finish', resolve);
+    out.on('close', resolve);
+    archive.pipe(out);
+    for (const [name, xml] of Object.entries(xlsxParts(sheet))) archive.append(xml, { name });
+    archive.finalize();
+  });
+}
+
+module.exports = { buildTimesheets, toCsv, writeXlsx };
@@ -0,0 +1,153 @@
+// middleware/uploadQueue.js — durable storage upload queue (SQLite) w/ retry, backoff + Retry-After
+class UploadQueue {
+  // storage: any middleware/storage.js backend (OneDrive by default)
+  constructor({ db, storage, handlers = {}, opts = {} }) {
+    this.db      = db;
+    this.storage = storage;
+
+    // Per-kind hooks: { [kind]: { onComplete(item, info), onFailed(item, err) } }
+    this.handlers = handlers;
+
+    this.intervalMs  = opts.intervalMs  || parseInt(process.env.UPLOAD_QUEUE_INTERVAL_MS, 10)  || 15 * 1000;
+    this.maxAttempts = opts.maxAttempts || parseInt(process.env.UPLOAD_QUEUE_MAX_ATTEMPTS, 10) || 8;
+    this.baseDelayMs = opts.baseDelayMs || parseInt(process.env.UPLOAD_QUEUE_BASE_DELAY_MS, 10) || 30 * 1000;
+    this.maxDelayMs  = opts.maxDelayMs  || parseInt(process.env.UPLOAD_QUEUE_MAX_DELAY_MS, 10)  || 60 * 60 * 1000;
+
+    this.timer   = null;
+    this.running = false;
+  }
+
+  async start() {
+    await this.db.ready;
+    const reset = await this.db.resetStuckUploads();
+    if (reset) console.log(`📦 Upload queue: re-queued ${reset} interrupted upload(s)`);
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref?.();
+    this.kick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Persist first, then try right away; the local file stays until OneDrive confirms it
+  async enqueue(job) {
+    const item = await this.db.enqueueUpload(job);
+    this.kick();
+    return item;
+  }
+
+  kick() {
+    setImmediate(() => this.tick());
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      let item;
+      while ((item = await this.db.claimNextUpload())) {
+        await this.process(item);
+      }
+    } catch (e) {
+      console.error('Upload queue tick error:', e.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async process(item) {
+    let info;
+    try {
+      info = await this.storage.upload(item.local_path, item.remote_name, item.sub_path || '');
+    } catch (err) {
+      return this.handleFailure(item, err);
+    }
+
+    // The file is stored now; a failing hook must not trigger a second upload
+    await this.db.completeUpload(item.id, info.id, info.webUrl);
+    try {
+      await this.handlers[item.kind]?.onComplete?.(item, info);
+    } catch (e) {
+      console.error(`Upload queue #${item.id} onComplete error:`, e.message);
+    }
+    await this.storage.cleanupLocalFile(item.local_path);
+    console.log(`✅ Upload queue #${item.id} (${item.kind}) → ${info.fileName}`);
+  }
+
+  async handleFailure(item, err) {
+    const status  = err?.response?.status;
+    const message = [status, err?.response?.data?.error?.message || err.message].filter(Boolean).join(' ');
+
+    // A missing local file can never succeed, so don't burn retries on it
+    const permanent = err?.code === 'ENOENT';
+
+    if (permanent || item.attempts >= this.maxAttempts) {
+      await this.db.failUpload(item.id, 'failed', message);
+      try {
+        await this.handlers[item.kind]?.onFailed?.(item, err);
+      } catch (e) {
+        console.error(`Upload queue #${item.id} onFailed error:`, e.message);
+      }
+      console.error(`❌ Upload queue #${item.id} gave up after ${item.attempts} attempt(s): ${message}`);
+      return;
+    }
+
+    const delay = this.retryDelayMs(item.attempts, err);
+    const next  = new Date(Date.now() + delay).toISOString();
+    await this.db.failUpload(item.id, 'pending', message, next);
+    console.warn(`⏳ Upload queue #${item.id} attempt ${item.attempts} failed (${message}); retry in ${Math.round(delay / 1000)}s`);
+  }
+
+  // Exponential backoff with jitter; Graph's Retry-After (429/503) wins when it's longer
+  retryDelayMs(attempts, err) {
+    const exp    = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    const jitter = Math.round(exp * 0.2 * Math.random());
+    const backoff = exp + jitter;
+
+    const status = err?.response?.status;
+    if (status === 429 || status === 503) {
+      const retryAfter = UploadQueue.parseRetryAfter(err.response.headers?.['retry-after']);
+      if (retryAfter !== null) return Math.max(retryAfter, Math.min(backoff, this.maxDelayMs));
+    }
+    return backoff;
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const secs = Number(value);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+  }
+
+  async retry(id) {
+    const ok = await this.db.retryUpload(id);
+    if (ok) this.kick();
+    return ok;
+  }
+
+  // Remove finished (or abandoned) items; abandoned ones also drop their local file
+  async purge({ status = 'done', olderThanDays = 0 } = {}) {
+    if (!['done', 'failed'].includes(status)) {
+      throw new Error(`Cannot purge items with status "${status}"`);
+    }
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    const items  = await this.db.listUploadQueue(status, -1);
+
+    const doomed = items.filter(i => {
+      const updated = Date.parse(String(i.updated_at).replace(' ', 'T') + 'Z');
+      return !olderThanDays || Number.isNaN(updated) || updated <= cutoff;
+    });
+
+    if (status !== 'done') {
+      for (const i of doomed) await this.storage.cleanupLocalFile(i.local_path);
+    }
+    return this.db.deleteUploadQueueItems(doomed.map(i => i.id));
+  }
+}
+
+module.exports = UploadQueue;
@@ -0,0 +1,184 @@
+// middleware/uploaders.js — who is submitting timesheet photos (crew code, employee login or the
+// legacy UNIVERSAL_CODE) and the per-uploader / per-location daily quotas
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+// No 0/O/1/I so codes survive being read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH   = 8;
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+// Codes are random, so an unsalted sha256 is enough and lets us look them up directly
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+}
+
+// Constant-time, so response timing doesn't give UNIVERSAL_CODE away a character at a time
+function sameSecret(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function parseLimit(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n) || n < 0) throw httpError(400, 'dailyLimit must be a whole number ≥ 0');
+  return n;
+}
+
+function present(row) {
+  if (!row) return row;
+  return {
+    id: row.id,
+    label: row.label,
+    locationId: row.location_id,
+    location: row.location_name || null,
+    dailyLimit: row.daily_limit,
+    isActive: !!row.is_active,
+    createdBy: row.created_by,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at,
+  };
+}
+
+class UploaderService {
+  // defaultDailyLimit: per uploader, per location, per day (DAILY_UPLOAD_LIMIT)
+  constructor(db, { defaultDailyLimit = 5, universalCode = '' } = {}) {
+    this.db = db;
+    this.defaultDailyLimit = defaultDailyLimit;
+    this.universalCode = universalCode;
+  }
+
+  // → { type, id, name, dailyLimit, locationId } or null. A crew code wins over a login so a
+  // supervisor can submit on a crew's behalf; UNIVERSAL_CODE is only a fallback.
+  async identify(req, rawCode = req.body?.code || req.get('X-Upload-Code')) {
+    const code = String(rawCode || '').trim();
+    if (code) {
+      const row = await this.db.findUploaderCodeByHash(hashCode(code));
+      if (row && row.is_active) {
+        await this.db.touchUploaderCode(row.id);
+        return { type: 'crew', id: row.id, name: row.label, dailyLimit: row.daily_limit, locationId: row.location_id };
+      }
+      if (this.universalCode && sameSecret(code, this.universalCode)) {
+        return { type: 'universal', id: null, name: 'UNIVERSAL_CODE', dailyLimit: null, locationId: null };
+      }
+      return null;
+    }
+    if (req.user) {
+      const name = [req.user.first_name, req.user.last_name].filter(Boolean).join(' ') || req.user.email;
+      return { type: 'user', id: req.user.id, name, dailyLimit: null, locationId: null };
+    }
+    return null;
+  }
+
+  assertLocation(uploader, site) {
+    if (uploader.locationId && uploader.locationId !== site.id) {
+      throw httpError(403, `This code is for a different location than ${site.name}`, 'WRONG_LOCATION');
+    }
+  }
+
+  uploaderLimit(uploader) {
+    return uploader.dailyLimit ?? this.defaultDailyLimit;
+  }
+
+  // Today's counts against both limits; remaining is null when there is no cap
+  async usage(uploader, site, locationLimit) {
+    const [mine, total] = await Promise.all([
+      this.db.countUploaderUploadsToday(uploader.type, uploader.id, site.id),
+      this.db.countLocationUploadsToday(site.id),
+    ]);
+    const limit = this.uploaderLimit(uploader);
+    return {
+      uploader: { type: uploader.type, name: uploader.name, used: mine, limit, remaining: Math.max(0, limit - mine) },
+      location: {
+        id: site.id, name: site.name, used: total, limit: locationLimit,
+        remaining: locationLimit === null ? null : Math.max(0, locationLimit - total),
+      },
+    };
+  }
+
+  // Throws 429 if `count` more photos would exceed either limit
+  async assertQuota(uploader, site, locationLimit, count) {
+    const u = await this.usage(uploader, site, locationLimit);
+    const remaining = Math.min(u.uploader.remaining, u.location.remaining ?? Infinity);
+    if (count <= remaining) return u;
+
+    const which = u.uploader.remaining <= (u.location.remaining ?? Infinity)
+      ? `your daily limit (${u.uploader.limit})`
+      : `the daily limit for ${site.name} (${u.location.limit})`;
+    throw httpError(429, remaining <= 0
+      ? `Daily limit reached: ${which}`
+      : `You can upload ${remaining} more photo(s) today (${which})`, 'DAILY_LIMIT_REACHED', { usage: u });
+  }
+
+  // Checks the limits and records a row per file in one serialized step, so two submits can't
+  // both fit in the same remaining quota. → { usage, ids }; the caller fills each row in with
+  // db.completeLocationUpload or gives it back with db.deleteLocationUploads.
+  async reserve(uploader, site, locationLimit, files, { geo = null, jobsite = null } = {}) {
+    return this.db.transaction(async () => {
+      const usage = await this.assertQuota(uploader, site, locationLimit, files.length);
+      const ids = [];
+      for (const f of files) {
+        const row = await this.db.recordLocationUpload(uploader, site, f.originalname, f.filename, f.size, null, geo, jobsite);
+        ids.push(row.id);
+      }
+      return { usage, ids };
+    });
+  }
+
+  // ─── Admin: crew codes ──────────────────────────────────────────────────────
+  async list() {
+    return (await this.db.listUploaderCodes()).map(present);
+  }
+
+  async get(id) {
+    const row = await this.db.getUploaderCodeById(id);
+    if (!row) throw httpError(404, 'Upload code not found');
+    return row;
+  }
+
+  // Returns the plain code once; only its hash is stored
+  async create({ label, locationId = null, dailyLimit = null } = {}, actor = null) {
+    const name = String(label || '').trim();
+    if (!name) throw httpError(400, 'label is required (e.g. the crew lead\'s name)');
+    if (locationId && !(await this.db.getLocationById(locationId))) throw httpError(400, 'Unknown location');
+
+    const code = generateCode();
+    const row = await this.db.createUploaderCode({
+      label: name, codeHash: hashCode(code), locationId: locationId || null,
+      dailyLimit: parseLimit(dailyLimit) ?? null, createdBy: actor?.email || null,
+    });
+    return { ...present(row), code };
+  }
+
+  async update(id, { label, locationId, dailyLimit, isActive } = {}) {
+    await this.get(id);
+    if (label !== undefined && !String(label).trim()) throw httpError(400, 'label cannot be empty');
+    if (locationId && !(await this.db.getLocationById(locationId))) throw httpError(400, 'Unknown location');
+    const row = await this.db.updateUploaderCode(id, {
+      label: label === undefined ? undefined : String(label).trim(),
+      locationId: locationId === undefined ? undefined : (locationId || null),
+      dailyLimit: parseLimit(dailyLimit),
+      isActive,
+    });
+    return present(row);
+  }
+
+  // New code for the same crew (old one stops working immediately)
+  async rotate(id) {
+    await this.get(id);
+    const code = generateCode();
+    const row = await this.db.updateUploaderCode(id, { codeHash: hashCode(code) });
+    return { ...present(row), code };
+  }
+}
+
+module.exports = UploaderService;
+module.exports.hashCode = hashCode;
+module.exports.generateCode = generateCode;
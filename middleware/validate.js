@@ -0,0 +1,303 @@
+// middleware/validate.js — request schemas for the API routers.
+//
+//   router.post('/thing', validate({ body: { name: v.name(), limit: v.int({ min: 0 }).optional() } }), …)
+//
+// Each field rule parses the raw value (strings from forms and query strings are coerced) and the
+// cleaned values land in req.valid.{params,query,body}; fields a schema doesn't mention are ignored.
+// Every failing field is reported at once as a 400 VALIDATION_FAILED with details.fields.
+const { httpError } = require('./errors');
+
+// Location / jobsite names as typed: no characters OneDrive rejects, single spaces
+function cleanName(s) {
+  return (s || '').trim().replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Parse "YYYY-MM-DD" from client without timezone shift.
+// We create a noon (12:00) date so DST/offsets don't roll the day.
+function parseClientYMD(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || ''));
+  if (!m) return null;
+  const y = +m[1], mo = +m[2] - 1, d = +m[3];
+  // Use local time at noon to avoid crossing days due to TZ shifts
+  return new Date(y, mo, d, 12, 0, 0, 0);
+}
+
+// ?limit= / ?maxFiles= style numbers: fallback when missing or not a number, never above max
+function parseLimit(value, fallback, max) {
+  return Math.min(parseInt(value, 10) || fallback, max);
+}
+
+function isEmail(s) {
+  return /^[^\s@]+@[^\s@]+$/.test(String(s || '').trim());
+}
+
+// ─── Field rules ─────────────────────────────────────────────────────────────────
+class Invalid extends Error {}
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// parse(value) → cleaned value, or throws Invalid('must be …'). Required unless .optional() / .default().
+class Rule {
+  constructor(parse) {
+    this.parse = parse;
+    this.required = true;
+    this.fallback = undefined;
+    this.allowNull = false;
+    this.blankIsMissing = true;
+  }
+
+  // allowBlank: false makes '' an error rather than "not sent" (PATCH fields that can't be emptied)
+  optional({ allowBlank = true } = {}) {
+    this.required = false;
+    this.blankIsMissing = allowBlank;
+    return this;
+  }
+
+  // PATCH fields where null / '' means "clear it"
+  nullable() {
+    this.required = false;
+    this.allowNull = true;
+    return this;
+  }
+
+  default(value) {
+    this.required = false;
+    this.fallback = value;
+    return this;
+  }
+
+  // Extra check after parsing: test(value) → truthy when ok
+  check(test, message) {
+    const parse = this.parse;
+    this.parse = raw => {
+      const value = parse(raw);
+      if (!test(value)) throw new Invalid(message);
+      return value;
+    };
+    return this;
+  }
+
+  run(raw) {
+    if (raw === '' && !this.blankIsMissing) return this.parse(raw);
+    if (isBlank(raw)) {
+      if (this.allowNull && raw !== undefined) return null;
+      if (this.required) throw new Invalid('is required');
+      return this.fallback;
+    }
+    return this.parse(raw);
+  }
+}
+
+const TRUE_WORDS  = ['1', 'true', 'on', 'yes'];
+const FALSE_WORDS = ['0', 'false', 'off', 'no'];
+
+const v = {
+  string({ min = 1, max = 500, pattern, message, trim = true } = {}) {
+    return new Rule(raw => {
+      if (typeof raw !== 'string' && typeof raw !== 'number') throw new Invalid('must be text');
+      const s = trim ? String(raw).trim() : String(raw);
+      if (s.length < min) throw new Invalid(min === 1 ? 'cannot be empty' : `must be at least ${min} characters`);
+      if (s.length > max) throw new Invalid(`must be at most ${max} characters`);
+      if (pattern && !pattern.test(s)) throw new Invalid(message || 'has an invalid format');
+      return s;
+    });
+  },
+
+  // PINs / passwords: kept exactly as typed
+  secret() {
+    return v.string({ max: 200, trim: false });
+  },
+
+  // Location / jobsite style names (see cleanName)
+  name({ max = 100 } = {}) {
+    return new Rule(raw => {
+      if (typeof raw !== 'string') throw new Invalid('must be text');
+      const s = cleanName(raw);
+      if (!s) throw new Invalid('cannot be empty');
+      if (s.length > max) throw new Invalid(`must be at most ${max} characters`);
+      return s;
+    });
+  },
+
+  email() {
+    return new Rule(raw => {
+      const s = String(raw).trim().toLowerCase();
+      if (!isEmail(s) || s.length > 254) throw new Invalid('must be a valid email address');
+      return s;
+    });
+  },
+
+  int({ min = -Infinity, max = Infinity } = {}) {
+    return new Rule(raw => {
+      const n = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN);
+      if (!Number.isInteger(n)) throw new Invalid('must be a whole number');
+      if (n < min) throw new Invalid(`must be at least ${min}`);
+      if (n > max) throw new Invalid(`must be at most ${max}`);
+      return n;
+    });
+  },
+
+  number({ min = -Infinity, max = Infinity } = {}) {
+    return new Rule(raw => {
+      const n = typeof raw === 'number' ? raw : (String(raw).trim() === '' ? NaN : Number(raw));
+      if (!Number.isFinite(n)) throw new Invalid('must be a number');
+      if (n < min) throw new Invalid(`must be at least ${min}`);
+      if (n > max) throw new Invalid(`must be at most ${max}`);
+      return n;
+    });
+  },
+
+  boolean() {
+    return new Rule(raw => {
+      if (typeof raw === 'boolean') return raw;
+      const s = String(raw).trim().toLowerCase();
+      if (TRUE_WORDS.includes(s)) return true;
+      if (FALSE_WORDS.includes(s)) return false;
+      throw new Invalid('must be true or false');
+    });
+  },
+
+  oneOf(values, { lower = true } = {}) {
+    return new Rule(raw => {
+      const s = lower ? String(raw).trim().toLowerCase() : String(raw).trim();
+      if (!values.includes(s)) throw new Invalid(`must be one of ${values.join(', ')}`);
+      return s;
+    });
+  },
+
+  // "YYYY-MM-DD" → the same string (parseClientYMD turns it into a Date)
+  date() {
+    return new Rule(raw => {
+      const s = String(raw).trim();
+      const d = parseClientYMD(s);
+      if (!d || d.getMonth() !== +s.slice(5, 7) - 1 || d.getDate() !== +s.slice(8, 10)) throw new Invalid('must be a YYYY-MM-DD date');
+      return s;
+    });
+  },
+
+  // "YYYY-MM-DD" or an ISO timestamp, kept as sent (range filters compare it with stored ISO strings)
+  dateTime() {
+    return new Rule(raw => {
+      const s = String(raw).trim();
+      if (!/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(s) || Number.isNaN(Date.parse(s))) {
+        throw new Invalid('must be a YYYY-MM-DD date or an ISO timestamp');
+      }
+      return s;
+    });
+  },
+
+  // Anything new Date() understands → ISO string
+  timestamp() {
+    return new Rule(raw => {
+      const d = new Date(raw);
+      if (typeof raw === 'boolean' || Number.isNaN(d.getTime())) throw new Invalid('must be a valid date/time');
+      return d.toISOString();
+    });
+  },
+
+  array(item, { max = 100 } = {}) {
+    return new Rule(raw => {
+      if (!Array.isArray(raw)) throw new Invalid('must be a list');
+      if (raw.length > max) throw new Invalid(`must have at most ${max} entries`);
+      return raw.map((x, i) => {
+        try { return item.run(x); } catch (e) {
+          if (e instanceof Invalid) throw new Invalid(`[${i}] ${e.message}`);
+          throw e;
+        }
+      });
+    });
+  },
+
+  // A nested object with its own field rules (multipart forms send it as a JSON string)
+  object(shape) {
+    return new Rule(raw => {
+      if (typeof raw === 'string') {
+        try { raw = JSON.parse(raw); } catch { throw new Invalid('must be an object'); }
+      }
+      if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) throw new Invalid('must be an object');
+      const { value, errors } = parseShape(shape, raw);
+      if (errors.length) throw new Invalid(errors.map(e => `${e.field} ${e.message}`).join('; '));
+      return value;
+    });
+  },
+
+  // { name: value } with names chosen by the client (e.g. a date per document type), every value
+  // checked by `item`; multipart forms send it as a JSON string
+  map(item, { max = 50 } = {}) {
+    return new Rule(raw => {
+      if (typeof raw === 'string') {
+        try { raw = JSON.parse(raw); } catch { throw new Invalid('must be an object'); }
+      }
+      if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) throw new Invalid('must be an object');
+      const entries = Object.entries(raw);
+      if (entries.length > max) throw new Invalid(`must have at most ${max} entries`);
+      const value = {};
+      for (const [key, x] of entries) {
+        if (!/^[A-Za-z0-9_]{1,40}$/.test(key)) throw new Invalid(`has an invalid name "${String(key).slice(0, 40)}"`);
+        try { value[key] = item.run(x); } catch (e) {
+          if (e instanceof Invalid) throw new Invalid(`${key} ${e.message}`);
+          throw e;
+        }
+      }
+      return value;
+    });
+  },
+
+  // Passed through untouched (the service behind the route validates it)
+  any() {
+    return new Rule(raw => raw);
+  },
+};
+
+function parseShape(shape, source = {}) {
+  const value = {};
+  const errors = [];
+  for (const [field, rule] of Object.entries(shape)) {
+    try {
+      const parsed = rule.run(source?.[field]);
+      if (parsed !== undefined) value[field] = parsed;
+    } catch (e) {
+      if (!(e instanceof Invalid)) throw e;
+      errors.push({ field, message: e.message });
+    }
+  }
+  return { value, errors };
+}
+
+// Device position sent with punches and uploads (geofence.parseCoords reads either spelling)
+const coordFields = {
+  latitude:  v.number({ min: -90, max: 90 }).optional(),
+  longitude: v.number({ min: -180, max: 180 }).optional(),
+  lat:       v.number({ min: -90, max: 90 }).optional(),
+  lng:       v.number({ min: -180, max: 180 }).optional(),
+  accuracy:  v.number({ min: 0 }).optional(),
+};
+
+// validate({ params?, query?, body? }) → middleware. Goes after multer on upload routes so the
+// form fields are there; a failure still removes the temp files (see errorHandler).
+function validate(schema) {
+  return (req, _res, next) => {
+    req.valid = req.valid || {};
+    const problems = [];
+    for (const part of ['params', 'query', 'body']) {
+      if (!schema[part]) continue;
+      const { value, errors } = parseShape(schema[part], req[part]);
+      req.valid[part] = value;
+      problems.push(...errors.map(e => ({ in: part, ...e })));
+    }
+    if (!problems.length) return next();
+    const first = problems[0];
+    next(httpError(400, `${first.field} ${first.message}`, 'VALIDATION_FAILED', { fields: problems }));
+  };
+}
+
+// router.param() handler: every :id in the API is a row id
+function idParam(_req, _res, next, value) {
+  if (!/^[1-9]\d*$/.test(String(value))) {
+    return next(httpError(400, 'id must be a positive whole number', 'VALIDATION_FAILED',
+      { fields: [{ in: 'params', field: 'id', message: 'must be a positive whole number' }] }));
+  }
+  next();
+}
+
+module.exports = { cleanName, parseClientYMD, parseLimit, isEmail, v, coordFields, validate, idParam };
@@ -0,0 +1,289 @@
+// middleware/w9.js — W-9s: reads an uploaded one with pdf.js (is it a PDF, is it the IRS form and which
+// revision, what was filled in) and fills in and flattens the W9_FILE template with pdf-lib from the
+// online form. The TIN itself never leaves this module, only its type and last 4.
+const fs   = require('fs');
+const path = require('path');
+const { PDFDocument, PDFCheckBox, PDFTextField, StandardFonts } = require('pdf-lib');
+const { httpError } = require('./errors');
+
+// pdfjs-dist only ships ES modules; loaded on first use so the server starts without it
+let pdfjsLib = null;
+const loadPdfjs = () => (pdfjsLib ||= import('pdfjs-dist/legacy/build/pdf.mjs'));
+
+// Metrics for the standard fonts, which pdf.js needs to lay out filled-in text
+const STANDARD_FONTS = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+async function openPdf(data) {
+  const pdfjs = await loadPdfjs();
+  return pdfjs.getDocument({
+    data: new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+    isEvalSupported: false, disableFontFace: true, useSystemFonts: false, standardFontDataUrl: STANDARD_FONTS, verbosity: 0,
+  }).promise;
+}
+
+// The fillable W-9s this module knows, by field name (after fieldKey). text: online form field → text
+// field; ssn / ein: the TIN boxes with how many digits each takes; the line 3 checkboxes are c1_1[n].
+const LAYOUTS = [
+  // The IRS form. Rev. October 2018 uses f1_1…, Rev. March 2024 f1_01…; both become "f1_1" here.
+  {
+    text: {
+      name: 'f1_1', businessName: 'f1_2', llcClassification: 'f1_3', otherClassification: 'f1_4',
+      exemptPayeeCode: 'f1_5', fatcaCode: 'f1_6', address: 'f1_7', cityStateZip: 'f1_8', accountNumbers: 'f1_10',
+    },
+    ssn: [['f1_11', 3], ['f1_12', 2], ['f1_13', 4]],
+    ein: [['f1_14', 2], ['f1_15', 7]],
+  },
+  // The w9.PDF documents.html links to: Text1…Text20, one SSN digit per box, no business name,
+  // line 3 checkboxes or EIN boxes
+  {
+    text: { name: 'text1', address: 'text5', cityStateZip: 'text6', accountNumbers: 'text19', signatureDate: 'text20' },
+    ssn: Array.from({ length: 9 }, (_, i) => [`text${10 + i}`, 1]),
+    ein: [],
+  },
+];
+const layoutOf = keys => LAYOUTS.find(l => keys.has(l.text.name) && l.ssn.every(([k]) => keys.has(k))) || null;
+
+// Descriptive names, for W-9s made with other tools
+const OTHER_NAMES = {
+  name:          ['name', 'fullname'],
+  businessName:  ['businessname', 'disregardedentityname'],
+  signatureDate: ['date', 'signaturedate', 'datesigned'],
+  ssn:           ['ssn', 'socialsecuritynumber'],
+  ein:           ['ein', 'employeridentificationnumber'],
+  tin:           ['tin'],
+};
+
+// Line 3 checkboxes c1_1[0]…c1_1[6], in the order they appear on the form (keys are what the online form sends)
+const CLASSIFICATIONS = ['Individual/sole proprietor', 'C corporation', 'S corporation', 'Partnership', 'Trust/estate', 'LLC', 'Other'];
+const CLASSIFICATION_KEYS = ['individual', 'c_corporation', 's_corporation', 'partnership', 'trust_estate', 'llc', 'other'];
+const CLASSIFICATION_BOX = /c1_1\[(\d+)\]$/;
+
+const TITLE_PATTERN = /Request\s+for\s+Taxpayer\s+Identification\s+Number/i;
+const FORM_PATTERN  = /\bForm\s*W-?9\b/i;
+const REVISION_PATTERN = /\(?\s*Rev\.\s*([A-Z][a-z]+\.?\s+\d{4})\s*\)?/;
+
+// "topmostSubform[0].Page1[0].f1_01[0]" → "f1_1"; "Signature Date" → "signaturedate"
+function fieldKey(fullName) {
+  const last = String(fullName).split('.').pop().replace(/\[\d+\]$/, '');
+  return last.replace(/^(f\d+_)0+(\d)/i, '$1$2').replace(/[^A-Za-z0-9_]/g, '').toLowerCase();
+}
+
+const digitsOf = s => String(s || '').replace(/\D/g, '');
+const textOf = s => (typeof s === 'string' ? s.trim() : '');
+
+// getFieldObjects() → { values: Map of fieldKey → text, checked: [line 3 box index], boxes: how many line 3 boxes }
+function collectFields(fieldObjects) {
+  const values = new Map();
+  const checked = [];
+  let boxes = 0;
+  for (const [fullName, widgets] of Object.entries(fieldObjects || {})) {
+    for (const w of widgets) {
+      if (w.type === 'checkbox') {
+        const index = CLASSIFICATION_BOX.exec(fullName);
+        if (index) boxes++;
+        if (index && w.value && w.value !== 'Off') checked.push(+index[1]);
+      } else if (w.type === 'text' || w.type === 'combobox') {
+        const key = fieldKey(fullName);
+        if (!values.has(key) || !values.get(key)) values.set(key, textOf(w.value));
+      }
+    }
+  }
+  return { values, checked, boxes };
+}
+
+const pick = (values, names) => {
+  for (const n of names) if (values.get(n)) return values.get(n);
+  return '';
+};
+const hasAny = (values, names) => names.some(n => values.has(n));
+
+// A text field by its online form name: the layout's field, else a descriptive name
+const readText = (values, layout, field) => (layout?.text[field] && values.get(layout.text[field])) || pick(values, OTHER_NAMES[field] || []);
+
+// → { type: 'ssn'|'ein'|null, last4, complete }. Partly typed numbers count as present but incomplete.
+function readTin(values, layout) {
+  const boxes = parts => parts.map(([k]) => digitsOf(values.get(k))).join('');
+  const ssn = (layout ? boxes(layout.ssn) : '') || digitsOf(pick(values, OTHER_NAMES.ssn));
+  const ein = (layout ? boxes(layout.ein) : '') || digitsOf(pick(values, OTHER_NAMES.ein));
+  const any = digitsOf(pick(values, OTHER_NAMES.tin));
+  const [type, digits] = ssn ? ['ssn', ssn] : ein ? ['ein', ein] : any ? ['tin', any] : [null, ''];
+  return { type, last4: digits.length >= 4 ? digits.slice(-4) : null, complete: digits.length === 9 };
+}
+
+// checked: line 3 box indexes; llc / other: what was written next to those boxes
+function readClassification(checked, { llc = '', other = '' } = {}) {
+  if (!checked.length) return null;
+  const label = CLASSIFICATIONS[Math.min(...checked)] || null;
+  if (label === 'LLC') return llc ? `LLC (${llc.toUpperCase()})` : label;
+  if (label === 'Other') return other ? `Other: ${other}` : label;
+  return label;
+}
+
+// First page text and the document title, for telling a W-9 and its revision
+async function readCover(doc) {
+  const [meta, page] = await Promise.all([doc.getMetadata().catch(() => null), doc.getPage(1)]);
+  const text = (await page.getTextContent()).items.map(i => i.str).join(' ').replace(/\s+/g, ' ');
+  const title = String(meta?.info?.Title || '');
+  return { text, title, revision: (REVISION_PATTERN.exec(title) || REVISION_PATTERN.exec(text) || [])[1] || null };
+}
+
+// What was filled in, as the rest of the app stores it; values / checked / boxes from collectFields
+function readForm(values, checked, boxes) {
+  const layout = layoutOf(values);
+  const tin = readTin(values, layout);
+  const dateField = layout?.text.signatureDate;
+  return {
+    hasDateField: (dateField && values.has(dateField)) || hasAny(values, OTHER_NAMES.signatureDate),
+    hasClassification: boxes > 0,
+    fields: {
+      name: readText(values, layout, 'name') || null,
+      businessName: readText(values, layout, 'businessName') || null,
+      taxClassification: readClassification(checked, {
+        llc: readText(values, layout, 'llcClassification'), other: readText(values, layout, 'otherClassification'),
+      }),
+      tinType: tin.type,
+      tinLast4: tin.last4,
+      tinComplete: tin.complete,
+      signatureDate: readText(values, layout, 'signatureDate') || null,
+    },
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Inspection
+// ───────────────────────────────────────────────────────────────────────────────
+
+// file: path or Buffer →
+//   { parseable, isW9, revision, pages, hasText, hasFields, hasDateField, hasClassification,
+//     fields: { name, businessName, taxClassification, tinType, tinLast4, tinComplete, signatureDate }, error }
+async function inspectW9(file) {
+  const data = Buffer.isBuffer(file) ? file : await fs.promises.readFile(file);
+
+  let doc;
+  try {
+    doc = await openPdf(data);
+  } catch (e) {
+    return { parseable: false, isW9: false, error: e.message };
+  }
+
+  try {
+    const [cover, fieldObjects] = await Promise.all([readCover(doc), doc.getFieldObjects().catch(() => null)]);
+    const { values, checked, boxes } = collectFields(fieldObjects);
+    const knownFields = layoutOf(values) === LAYOUTS[0];              // the IRS names; TextN says nothing
+
+    return {
+      parseable: true,
+      isW9: (FORM_PATTERN.test(cover.text) && TITLE_PATTERN.test(cover.text)) || FORM_PATTERN.test(cover.title) || knownFields,
+      revision: cover.revision,
+      pages: doc.numPages,
+      hasText: cover.text.trim().length > 0,
+      hasFields: values.size > 0 || checked.length > 0,
+      ...readForm(values, checked, boxes),
+    };
+  } finally {
+    await doc.destroy().catch(() => {});
+  }
+}
+
+// What to do with an inspected W-9 → { accept, code?, message?, check: 'ok'|'flagged'|'unverified', flags }
+//   rejected: not a PDF, some other document, or the W-9 with nothing filled in
+//   flagged:  accepted, but HR should look (missing name / TIN / classification / date, no fillable fields);
+//             only what the form has fields for is asked of it
+//   unverified: no text and no fields (a scan) — nothing to read, HR checks it by eye
+function assessW9(result) {
+  if (!result.parseable) {
+    return { accept: false, code: 'INVALID_PDF', message: 'The W-9 could not be read as a PDF' };
+  }
+  if (!result.hasText && !result.hasFields) return { accept: true, check: 'unverified', flags: ['scanned'] };
+  if (!result.isW9) {
+    return { accept: false, code: 'NOT_A_W9', message: 'This PDF is not an IRS Form W-9' };
+  }
+
+  const f = result.fields;
+  if (result.hasFields && !f.name && !f.businessName && !f.tinType && !f.taxClassification) {
+    return { accept: false, code: 'BLANK_W9', message: 'The W-9 is blank — fill it in before uploading' };
+  }
+
+  const flags = [];
+  if (!result.hasFields) {
+    flags.push('no_form_fields');                                       // printed / flattened: can't read it
+  } else {
+    if (!f.name) flags.push('missing_name');
+    if (!f.tinType) flags.push('missing_tin');
+    else if (!f.tinComplete) flags.push('incomplete_tin');
+    if (result.hasClassification && !f.taxClassification) flags.push('missing_classification');
+    if (result.hasDateField && !f.signatureDate) flags.push('missing_signature_date');
+  }
+  return { accept: true, check: flags.length ? 'flagged' : 'ok', flags };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Filling in
+// ───────────────────────────────────────────────────────────────────────────────
+
+// template: path of a fillable W-9 in one of LAYOUTS (W9_FILE); values: the online form (see routes/documents.js)
+// → { pdf: Buffer of the completed, flattened PDF, result: what inspectW9 would have read before flattening }.
+// Values the template has no field for are left out of both.
+async function fillW9(template, values) {
+  const data = await fs.promises.readFile(template);
+  const pdf = await PDFDocument.load(data);
+  const form = pdf.getForm();
+
+  const fields = new Map();
+  const boxes = [];
+  for (const field of form.getFields()) {
+    const box = CLASSIFICATION_BOX.exec(field.getName());
+    if (field instanceof PDFCheckBox && box) boxes[+box[1]] = field;
+    else if (field instanceof PDFTextField && !fields.has(fieldKey(field.getName()))) fields.set(fieldKey(field.getName()), field);
+  }
+  const layout = layoutOf(fields);
+  if (!layout) throw new Error('The W-9 template has no fillable W-9 fields');
+  const tinBoxes = values.ssn ? layout.ssn : layout.ein;
+  if (!tinBoxes.length) throw httpError(400, 'This W-9 has no boxes for an EIN — enter an SSN', 'EIN_NOT_SUPPORTED');
+
+  // The filled-in text is drawn in Helvetica: Western European characters only (WinAnsi)
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const written = new Map([...fields.keys()].map(key => [key, '']));
+  const setText = (key, value, field = key) => {
+    if (!fields.has(key) || !value) return;
+    const text = String(value).slice(0, fields.get(key).getMaxLength() ?? undefined);
+    try { font.encodeText(text); } catch {
+      throw httpError(400, `${field} has characters the W-9 can't show`, 'VALIDATION_FAILED', { field });
+    }
+    written.set(key, text);
+    fields.get(key).setText(text);
+  };
+  const entered = { ...values, llcClassification: values.llcClassification?.toUpperCase() };
+  for (const [field, key] of Object.entries(layout.text)) setText(key, entered[field], field);
+  if (!layout.text.signatureDate) setText(OTHER_NAMES.signatureDate.find(k => fields.has(k)), entered.signatureDate, 'signatureDate');
+
+  // "123-45-6789" → 123 | 45 | 6789 (or a digit per box); "12-3456789" → 12 | 3456789
+  let digits = digitsOf(values.ssn || values.ein);
+  for (const [key, size] of tinBoxes) {
+    setText(key, digits.slice(0, size), values.ssn ? 'ssn' : 'ein');
+    digits = digits.slice(size);
+  }
+
+  const index = CLASSIFICATION_KEYS.indexOf(values.taxClassification);
+  boxes.forEach((box, i) => (i === index ? box.check() : box.uncheck()));
+
+  // Appearances drawn onto the pages and the fields dropped; pdf-lib writes the file out afresh
+  form.updateFieldAppearances(font);
+  form.flatten({ updateFieldAppearances: false });
+  const filled = Buffer.from(await pdf.save());
+
+  const doc = await openPdf(data);
+  let revision;
+  try {
+    ({ revision } = await readCover(doc));
+  } finally {
+    await doc.destroy().catch(() => {});
+  }
+  const result = {
+    parseable: true, isW9: true, revision, pages: pdf.getPageCount(), hasText: true, hasFields: true,
+    ...readForm(written, boxes[index] ? [index] : [], boxes.filter(Boolean).length),
+  };
+  return { pdf: filled, result };
+}
+
+module.exports = { inspectW9, assessW9, fillW9, fieldKey, CLASSIFICATION_KEYS };
@@ -0,0 +1,27 @@
+// middleware/weeks.js — Monday→Sunday week helpers shared by uploads and payroll
+function startOfWeek(d) {           // Monday -> Sunday
+  const x = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const day = x.getDay();           // 0 Sun..6 Sat
+  const diff = (day === 0 ? -6 : 1) - day;
+  x.setDate(x.getDate() + diff);
+  x.setHours(0,0,0,0);
+  return x;
+}
+function endOfWeek(d) {
+  const s = startOfWeek(d);
+  const e = new Date(s);
+  e.setDate(s.getDate() + 6);
+  return e;
+}
+function md(date) {                 // M-D (no leading zeroes)
+  return `${date.getMonth()+1}-${date.getDate()}`;
+}
+function weekSpan(date) {           // "M-D - M-D"
+  return `${md(startOfWeek(date))} - ${md(endOfWeek(date))}`;
+}
+function ymd(date) {                // YYYY-MM-DD in local time
+  const p = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${p(date.getMonth()+1)}-${p(date.getDate())}`;
+}
+
+module.exports = { startOfWeek, endOfWeek, md, weekSpan, ymd };
@@ -0,0 +1,90 @@
+// migrations/001_initial_schema.js — users, time clock records and photo uploads
+// Written with IF NOT EXISTS / ensureColumn so databases created before migrations existed adopt cleanly.
+
+exports.up = async (m) => {
+  // Users table - stores employee information
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        first_name TEXT,
+        last_name TEXT,
+        employee_id TEXT,
+        department TEXT,
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Time records table - stores all clock in/out events
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS time_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        email TEXT NOT NULL,
+        clock_in_time DATETIME NOT NULL,
+        clock_out_time DATETIME,
+        total_hours DECIMAL(5,2),
+        status TEXT DEFAULT 'active',
+        photo_url TEXT,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  // Active sessions table - tracks who's currently clocked in
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS active_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        email TEXT NOT NULL,
+        time_record_id INTEGER NOT NULL,
+        clock_in_time DATETIME NOT NULL,
+        photo_url TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (time_record_id) REFERENCES time_records (id)
+    )
+  `);
+
+  // Photo uploads table - tracks all uploaded images
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS photo_uploads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        time_record_id INTEGER NOT NULL,
+        user_email TEXT NOT NULL,
+        original_filename TEXT,
+        stored_filename TEXT,
+        onedrive_url TEXT,
+        file_size INTEGER,
+        upload_status TEXT DEFAULT 'pending',
+        upload_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (time_record_id) REFERENCES time_records (id)
+    )
+  `);
+
+  // Location uploads table - timesheet photos submitted per location
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS location_uploads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL,
+        location TEXT NOT NULL,
+        original_filename TEXT,
+        stored_filename TEXT,
+        onedrive_url TEXT,
+        file_size INTEGER,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+exports.down = async (m) => {
+  await m.run('DROP TABLE IF EXISTS location_uploads');
+  await m.run('DROP TABLE IF EXISTS photo_uploads');
+  await m.run('DROP TABLE IF EXISTS active_sessions');
+  await m.run('DROP TABLE IF EXISTS time_records');
+  await m.run('DROP TABLE IF EXISTS users');
+};
@@ -0,0 +1,28 @@
+// migrations/002_upload_queue.js — durable OneDrive upload queue
+
+exports.up = async (m) => {
+  // Upload queue - durable OneDrive uploads that survive restarts
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS upload_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        ref_id INTEGER,
+        local_path TEXT NOT NULL,
+        remote_name TEXT NOT NULL,
+        sub_path TEXT,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME,
+        last_error TEXT,
+        onedrive_id TEXT,
+        onedrive_url TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+    )
+  `);
+};
+
+exports.down = async (m) => {
+  await m.run('DROP TABLE IF EXISTS upload_queue');
+};
@@ -0,0 +1,42 @@
+// migrations/003_accounts_and_roles.js — employee logins, sessions and supervisor scopes
+
+exports.up = async (m) => {
+  // User sessions table - signed cookie tokens (sha256) for logged-in employees
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  // Supervisor locations table - which locations a supervisor manages
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS supervisor_locations (
+        user_id INTEGER NOT NULL,
+        location TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, location),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  await m.ensureColumn('users', 'password_hash', 'TEXT');
+  await m.ensureColumn('users', 'last_login_at', 'DATETIME');
+  await m.ensureColumn('users', 'role', "TEXT DEFAULT 'employee'");
+  await m.ensureColumn('users', 'location', 'TEXT');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('users', 'location');
+  await m.dropColumn('users', 'role');
+  await m.dropColumn('users', 'last_login_at');
+  await m.dropColumn('users', 'password_hash');
+  await m.run('DROP TABLE IF EXISTS supervisor_locations');
+  await m.run('DROP TABLE IF EXISTS user_sessions');
+};
@@ -0,0 +1,43 @@
+// migrations/004_corrections_and_pay_periods.js — manager corrections audit, review flags and pay-period approval
+
+exports.up = async (m) => {
+  // Time record audit table - every manager edit/add/void with before/after values
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS time_record_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        time_record_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        changed_by_user_id INTEGER,
+        changed_by_email TEXT,
+        before_json TEXT,
+        after_json TEXT,
+        reason TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (time_record_id) REFERENCES time_records (id)
+    )
+  `);
+
+  // Pay periods table - Mon–Sun weeks: pending → approved → locked
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS pay_periods (
+        week_start TEXT PRIMARY KEY,
+        week_end TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        approved_by TEXT,
+        approved_at DATETIME,
+        locked_by TEXT,
+        locked_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await m.ensureColumn('time_records', 'needs_review', 'INTEGER DEFAULT 0');
+  await m.ensureColumn('time_records', 'review_reason', 'TEXT');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('time_records', 'review_reason');
+  await m.dropColumn('time_records', 'needs_review');
+  await m.run('DROP TABLE IF EXISTS pay_periods');
+  await m.run('DROP TABLE IF EXISTS time_record_audit');
+};
@@ -0,0 +1,27 @@
+// migrations/005_breaks.js — meal/rest breaks and unpaid break minutes
+
+exports.up = async (m) => {
+  // Breaks table - meal/rest breaks inside a shift (unpaid ones are deducted)
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS breaks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        time_record_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        email TEXT NOT NULL,
+        break_type TEXT DEFAULT 'meal',
+        is_paid BOOLEAN DEFAULT 0,
+        start_time DATETIME NOT NULL,
+        end_time DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (time_record_id) REFERENCES time_records (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )
+  `);
+
+  await m.ensureColumn('time_records', 'unpaid_break_minutes', 'INTEGER DEFAULT 0');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('time_records', 'unpaid_break_minutes');
+  await m.run('DROP TABLE IF EXISTS breaks');
+};
@@ -0,0 +1,37 @@
+// migrations/006_geolocation.js — punch/upload coordinates and geofence results
+
+exports.up = async (m) => {
+  await m.ensureColumn('time_records', 'clock_in_latitude', 'REAL');
+  await m.ensureColumn('time_records', 'clock_in_longitude', 'REAL');
+  await m.ensureColumn('time_records', 'clock_in_accuracy', 'REAL');
+  await m.ensureColumn('time_records', 'clock_in_geofence', 'TEXT');
+  await m.ensureColumn('time_records', 'clock_in_distance_m', 'INTEGER');
+  await m.ensureColumn('time_records', 'clock_out_latitude', 'REAL');
+  await m.ensureColumn('time_records', 'clock_out_longitude', 'REAL');
+  await m.ensureColumn('time_records', 'clock_out_accuracy', 'REAL');
+  await m.ensureColumn('time_records', 'clock_out_geofence', 'TEXT');
+  await m.ensureColumn('time_records', 'clock_out_distance_m', 'INTEGER');
+  await m.ensureColumn('location_uploads', 'latitude', 'REAL');
+  await m.ensureColumn('location_uploads', 'longitude', 'REAL');
+  await m.ensureColumn('location_uploads', 'accuracy', 'REAL');
+  await m.ensureColumn('location_uploads', 'geofence_status', 'TEXT');
+  await m.ensureColumn('location_uploads', 'geofence_distance_m', 'INTEGER');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('location_uploads', 'geofence_distance_m');
+  await m.dropColumn('location_uploads', 'geofence_status');
+  await m.dropColumn('location_uploads', 'accuracy');
+  await m.dropColumn('location_uploads', 'longitude');
+  await m.dropColumn('location_uploads', 'latitude');
+  await m.dropColumn('time_records', 'clock_out_distance_m');
+  await m.dropColumn('time_records', 'clock_out_geofence');
+  await m.dropColumn('time_records', 'clock_out_accuracy');
+  await m.dropColumn('time_records', 'clock_out_longitude');
+  await m.dropColumn('time_records', 'clock_out_latitude');
+  await m.dropColumn('time_records', 'clock_in_distance_m');
+  await m.dropColumn('time_records', 'clock_in_geofence');
+  await m.dropColumn('time_records', 'clock_in_accuracy');
+  await m.dropColumn('time_records', 'clock_in_longitude');
+  await m.dropColumn('time_records', 'clock_in_latitude');
+};
@@ -0,0 +1,21 @@
+// migrations/007_photo_exif.js — EXIF capture metadata on clock-in photos
+
+exports.up = async (m) => {
+  await m.ensureColumn('photo_uploads', 'taken_at', 'DATETIME');
+  await m.ensureColumn('photo_uploads', 'latitude', 'REAL');
+  await m.ensureColumn('photo_uploads', 'longitude', 'REAL');
+  await m.ensureColumn('photo_uploads', 'camera_make', 'TEXT');
+  await m.ensureColumn('photo_uploads', 'camera_model', 'TEXT');
+  await m.ensureColumn('photo_uploads', 'capture_skew_minutes', 'INTEGER');
+  await m.ensureColumn('photo_uploads', 'capture_check', 'TEXT');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('photo_uploads', 'capture_check');
+  await m.dropColumn('photo_uploads', 'capture_skew_minutes');
+  await m.dropColumn('photo_uploads', 'camera_model');
+  await m.dropColumn('photo_uploads', 'camera_make');
+  await m.dropColumn('photo_uploads', 'longitude');
+  await m.dropColumn('photo_uploads', 'latitude');
+  await m.dropColumn('photo_uploads', 'taken_at');
+};
@@ -0,0 +1,30 @@
+// migrations/008_locations.js — locations move from config/locations.json into the database
+
+exports.up = async (m) => {
+  // Locations table - client companies employees submit timesheets for
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS locations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        folder_name TEXT NOT NULL,
+        is_active INTEGER DEFAULT 1,
+        address TEXT,
+        daily_upload_limit INTEGER,
+        geofence_lat REAL,
+        geofence_lng REAL,
+        geofence_radius_m REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Uploads keep the name they were submitted under; location_id follows the row through renames
+  await m.ensureColumn('location_uploads', 'location_id', 'INTEGER');
+  await m.run('CREATE INDEX IF NOT EXISTS idx_location_uploads_location_id ON location_uploads (location_id, submitted_at)');
+};
+
+exports.down = async (m) => {
+  await m.run('DROP INDEX IF EXISTS idx_location_uploads_location_id');
+  await m.dropColumn('location_uploads', 'location_id');
+  await m.run('DROP TABLE IF EXISTS locations');
+};
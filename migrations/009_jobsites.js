@@ -0,0 +1,34 @@
+// migrations/009_jobsites.js — managed jobsites per location (replaces free-text jobsite folders)
+
+exports.up = async (m) => {
+  // Jobsites table - status: active | pending (submitted, awaiting admin approval) | inactive
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS jobsites (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        location_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        name_key TEXT NOT NULL,
+        folder_name TEXT NOT NULL,
+        status TEXT DEFAULT 'active',
+        requested_by TEXT,
+        approved_by TEXT,
+        approved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (location_id, name_key),
+        FOREIGN KEY (location_id) REFERENCES locations (id)
+    )
+  `);
+
+  // New names from the upload page become pending jobsites when the location allows it
+  await m.ensureColumn('locations', 'allow_new_jobsites', 'INTEGER DEFAULT 1');
+  await m.ensureColumn('location_uploads', 'jobsite', 'TEXT');
+  await m.ensureColumn('location_uploads', 'jobsite_id', 'INTEGER');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('location_uploads', 'jobsite_id');
+  await m.dropColumn('location_uploads', 'jobsite');
+  await m.dropColumn('locations', 'allow_new_jobsites');
+  await m.run('DROP TABLE IF EXISTS jobsites');
+};
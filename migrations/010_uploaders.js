@@ -0,0 +1,40 @@
+// migrations/010_uploaders.js — per-crew upload codes and who submitted each timesheet photo
+
+exports.up = async (m) => {
+  // Uploader codes table - one code per crew (sha256 only; the code itself is shown once)
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS uploader_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        label TEXT NOT NULL,
+        code_hash TEXT NOT NULL UNIQUE,
+        location_id INTEGER,
+        daily_limit INTEGER,
+        is_active INTEGER DEFAULT 1,
+        created_by TEXT,
+        last_used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (location_id) REFERENCES locations (id)
+    )
+  `);
+
+  // uploader_type: crew (uploader_codes.id) | user (users.id) | universal (legacy UNIVERSAL_CODE)
+  await m.ensureColumn('location_uploads', 'uploader_type', 'TEXT');
+  await m.ensureColumn('location_uploads', 'uploader_id', 'INTEGER');
+  await m.ensureColumn('location_uploads', 'uploader_name', 'TEXT');
+  await m.run('CREATE INDEX IF NOT EXISTS idx_location_uploads_uploader ON location_uploads (uploader_type, uploader_id, submitted_at)');
+
+  // Everything before this was submitted with the shared code; stop keeping that code in every row
+  await m.run(`
+    UPDATE location_uploads SET uploader_type = 'universal', uploader_name = 'UNIVERSAL_CODE', code = 'universal'
+    WHERE uploader_type IS NULL
+  `);
+};
+
+exports.down = async (m) => {
+  await m.run('DROP INDEX IF EXISTS idx_location_uploads_uploader');
+  await m.dropColumn('location_uploads', 'uploader_name');
+  await m.dropColumn('location_uploads', 'uploader_id');
+  await m.dropColumn('location_uploads', 'uploader_type');
+  await m.run('DROP TABLE IF EXISTS uploader_codes');
+};
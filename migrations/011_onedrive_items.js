@@ -0,0 +1,57 @@
+// migrations/011_onedrive_items.js — OneDrive item ids on every upload + drive reconciliation runs
+
+const TABLES = ['photo_uploads', 'location_uploads'];
+
+exports.up = async (m) => {
+  // The item id survives renames/moves inside OneDrive; the webUrl does not
+  for (const table of TABLES) {
+    await m.ensureColumn(table, 'onedrive_id', 'TEXT');
+    await m.ensureColumn(table, 'onedrive_drive_id', 'TEXT');
+    await m.ensureColumn(table, 'onedrive_path', 'TEXT');
+    await m.ensureColumn(table, 'drive_status', 'TEXT');              // present | moved | missing (NULL = not checked yet)
+    await m.ensureColumn(table, 'drive_checked_at', 'DATETIME');
+    await m.run(`CREATE INDEX IF NOT EXISTS idx_${table}_onedrive_id ON ${table} (onedrive_id)`);
+  }
+
+  // Clock-in photos already went through the queue, which kept the item id
+  await m.run(`
+    UPDATE photo_uploads
+    SET onedrive_id = (SELECT q.onedrive_id FROM upload_queue q
+                       WHERE q.kind = 'clock_in_photo' AND q.ref_id = photo_uploads.id AND q.status = 'done'
+                       ORDER BY q.id DESC LIMIT 1)
+    WHERE onedrive_id IS NULL
+  `);
+
+  // Drive reconciliation runs - latest one is what the admin page shows
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS drive_reconciliations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,
+        status TEXT DEFAULT 'running',
+        checked INTEGER DEFAULT 0,
+        present INTEGER DEFAULT 0,
+        moved INTEGER DEFAULT 0,
+        missing INTEGER DEFAULT 0,
+        backfilled INTEGER DEFAULT 0,
+        drive_files INTEGER DEFAULT 0,
+        orphan_count INTEGER DEFAULT 0,
+        orphans TEXT,
+        truncated INTEGER DEFAULT 0,
+        error TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME
+    )
+  `);
+};
+
+exports.down = async (m) => {
+  await m.run('DROP TABLE IF EXISTS drive_reconciliations');
+  for (const table of TABLES) {
+    await m.run(`DROP INDEX IF EXISTS idx_${table}_onedrive_id`);
+    await m.dropColumn(table, 'drive_checked_at');
+    await m.dropColumn(table, 'drive_status');
+    await m.dropColumn(table, 'onedrive_path');
+    await m.dropColumn(table, 'onedrive_drive_id');
+    await m.dropColumn(table, 'onedrive_id');
+  }
+};
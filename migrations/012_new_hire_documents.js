@@ -0,0 +1,52 @@
+// migrations/012_new_hire_documents.js — new-hire paperwork: who submitted, which files, and HR's review
+
+exports.up = async (m) => {
+  // One row per /api/documents/submit. reference_hash is the sha256 of the reference the submitter
+  // is shown, which is what lets them resubmit a rejected document later.
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS new_hires (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        reference_hash TEXT NOT NULL UNIQUE,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // One row per stored file. A resubmission adds a row and points the old one at it (superseded_by),
+  // so the current document of each type is the one with superseded_by IS NULL.
+  // status: received | approved | rejected
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS new_hire_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        new_hire_id INTEGER NOT NULL,
+        doc_type TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        original_filename TEXT,
+        mime_type TEXT,
+        file_size INTEGER,
+        onedrive_id TEXT,
+        onedrive_drive_id TEXT,
+        onedrive_url TEXT,
+        onedrive_path TEXT,
+        status TEXT NOT NULL DEFAULT 'received',
+        reject_reason TEXT,
+        reviewed_by TEXT,
+        reviewed_at DATETIME,
+        superseded_by INTEGER,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (new_hire_id) REFERENCES new_hires (id),
+        FOREIGN KEY (superseded_by) REFERENCES new_hire_documents (id)
+    )
+  `);
+  await m.run('CREATE INDEX IF NOT EXISTS idx_new_hire_documents_hire ON new_hire_documents (new_hire_id, doc_type)');
+  await m.run('CREATE INDEX IF NOT EXISTS idx_new_hire_documents_status ON new_hire_documents (status)');
+};
+
+exports.down = async (m) => {
+  await m.run('DROP INDEX IF EXISTS idx_new_hire_documents_status');
+  await m.run('DROP INDEX IF EXISTS idx_new_hire_documents_hire');
+  await m.run('DROP TABLE IF EXISTS new_hire_documents');
+  await m.run('DROP TABLE IF EXISTS new_hires');
+};
@@ -0,0 +1,26 @@
+// migrations/013_w9_fields.js — what the server read out of each uploaded W-9 (middleware/w9.js)
+
+// Only the TIN's type and last 4 digits are kept; the full number stays in the PDF
+const COLUMNS = {
+  form_check: 'TEXT',                  // ok | flagged | unverified (NULL = not a W-9 / not checked)
+  form_flags: 'TEXT',                  // comma list: missing_name, missing_tin, incomplete_tin, …
+  form_revision: 'TEXT',               // "March 2024"
+  w9_name: 'TEXT',
+  w9_business_name: 'TEXT',
+  w9_tax_classification: 'TEXT',
+  w9_tin_type: 'TEXT',                 // ssn | ein | tin
+  w9_tin_last4: 'TEXT',
+  w9_signature_date: 'TEXT',
+};
+
+exports.up = async (m) => {
+  for (const [column, type] of Object.entries(COLUMNS)) {
+    await m.ensureColumn('new_hire_documents', column, type);
+  }
+};
+
+exports.down = async (m) => {
+  for (const column of Object.keys(COLUMNS).reverse()) {
+    await m.dropColumn('new_hire_documents', column);
+  }
+};
@@ -0,0 +1,56 @@
+// migrations/014_document_types.js — the new-hire document catalog and each location's checklist
+
+exports.up = async (m) => {
+  // What a new hire can be asked for. key is the form field name and what new_hire_documents.doc_type
+  // holds, so it never changes. is_default / required: the checklist of locations without their own.
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS document_types (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        file_label TEXT NOT NULL,
+        mime_types TEXT NOT NULL,
+        tracks_expiry INTEGER DEFAULT 0,
+        is_default INTEGER DEFAULT 0,
+        required INTEGER DEFAULT 1,
+        is_active INTEGER DEFAULT 1,
+        sort_order INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // The two documents every new hire has always sent
+  await m.run(`
+    INSERT OR IGNORE INTO document_types (key, label, file_label, mime_types, tracks_expiry, is_default, required, sort_order)
+    VALUES ('w9', 'W-9', 'W9form', 'application/pdf', 0, 1, 1, 1),
+           ('license', 'Driver’s License', 'DriversLicense', 'application/pdf,image/jpeg,image/png,image/jpg', 1, 1, 1, 2)
+  `);
+
+  // A location with rows here uses them instead of the default checklist
+  await m.run(`
+    CREATE TABLE IF NOT EXISTS location_document_types (
+        location_id INTEGER NOT NULL,
+        document_type_id INTEGER NOT NULL,
+        required INTEGER DEFAULT 1,
+        PRIMARY KEY (location_id, document_type_id),
+        FOREIGN KEY (location_id) REFERENCES locations (id),
+        FOREIGN KEY (document_type_id) REFERENCES document_types (id)
+    )
+  `);
+
+  // Which checklist a submission was made against; required_types is that checklist's required keys
+  // at the time, so later checklist edits don't change what an old submission is missing
+  await m.ensureColumn('new_hires', 'location_id', 'INTEGER');
+  await m.ensureColumn('new_hires', 'location', 'TEXT');
+  await m.ensureColumn('new_hires', 'required_types', 'TEXT');
+  await m.run("UPDATE new_hires SET required_types = 'w9,license' WHERE required_types IS NULL");
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('new_hires', 'required_types');
+  await m.dropColumn('new_hires', 'location');
+  await m.dropColumn('new_hires', 'location_id');
+  await m.run('DROP TABLE IF EXISTS location_document_types');
+  await m.run('DROP TABLE IF EXISTS document_types');
+};
@@ -0,0 +1,19 @@
+// migrations/015_document_expiry.js — expiry dates on new-hire documents, and who the new hire is as a worker
+
+exports.up = async (m) => {
+  // expires_on: YYYY-MM-DD. expiry_notice: the last reminder sent for it (expiring | expired), so the
+  // daily sweep reminds once per stage; cleared when the date changes.
+  await m.ensureColumn('new_hire_documents', 'expires_on', 'TEXT');
+  await m.ensureColumn('new_hire_documents', 'expiry_notice', 'TEXT');
+  await m.run('CREATE INDEX IF NOT EXISTS idx_new_hire_documents_expires ON new_hire_documents (expires_on)');
+
+  // The worker's sign-in email, set by HR: what ties a new hire's documents to their time clock account
+  await m.ensureColumn('new_hires', 'email', 'TEXT');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('new_hires', 'email');
+  await m.run('DROP INDEX IF EXISTS idx_new_hire_documents_expires');
+  await m.dropColumn('new_hire_documents', 'expiry_notice');
+  await m.dropColumn('new_hire_documents', 'expires_on');
+};
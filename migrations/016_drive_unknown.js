@@ -0,0 +1,11 @@
+// migrations/016_drive_unknown.js — reconciliation runs count the uploads they couldn't check
+// (drive_status 'unknown' on photo_uploads / location_uploads needs no schema change)
+
+exports.up = async (m) => {
+  // Rows with only a webUrl when the walk was cut short, or on a backend that can't look a URL up
+  await m.ensureColumn('drive_reconciliations', 'unknown', 'INTEGER DEFAULT 0');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('drive_reconciliations', 'unknown');
+};
@@ -0,0 +1,192 @@
+// routes/admin/documents.js — new-hire paperwork: the review list, one new hire's documents, approve / reject,
+// expiry dates and the compliance list, and the document catalog with each location's checklist
+const express = require('express');
+const session = require('../../middleware/session');
+const { httpError, sendServiceError } = require('../../middleware/errors');
+const { parseLimit, v, validate, idParam } = require('../../middleware/validate');
+const { REVIEW_STATUSES } = require('../../middleware/newHires');
+const { DOCUMENT_MIME_TYPES } = require('../../middleware/documentTypes');
+
+// Fresh rules per schema (optional() etc. change a rule in place)
+const typeFields = () => ({
+  fileLabel:    v.string({ max: 60 }).optional(),
+  mimeTypes:    v.array(v.oneOf(DOCUMENT_MIME_TYPES), { max: DOCUMENT_MIME_TYPES.length }).optional(),
+  tracksExpiry: v.boolean().optional(),
+  isDefault:    v.boolean().optional(),
+  required:     v.boolean().optional(),
+  sortOrder:    v.int({ min: 0, max: 1000 }).optional(),
+});
+
+const schemas = {
+  list:       { query: { status: v.oneOf(['received', ...REVIEW_STATUSES]).optional(), q: v.string({ max: 100 }).optional(), location: v.string({ max: 100 }).optional(), limit: v.int({ min: 1 }).optional() } },
+  review:     { body: { status: v.oneOf(REVIEW_STATUSES), reason: v.string({ max: 500 }).optional() } },
+  expiry:     { body: { expiresOn: v.date().nullable() } },
+  email:      { body: { email: v.email().nullable() } },
+  compliance: { query: { days: v.int({ min: 0, max: 365 }).optional(), location: v.string({ max: 100 }).optional(), state: v.oneOf(['expired', 'expiring']).optional() } },
+  listTypes:  { query: { includeInactive: v.boolean().default(false) } },
+  createType: { body: { key: v.string({ max: 40 }).optional(), label: v.string({ max: 100 }), ...typeFields(), mimeTypes: v.array(v.oneOf(DOCUMENT_MIME_TYPES), { max: DOCUMENT_MIME_TYPES.length }) } },
+  updateType: { body: { label: v.string({ max: 100 }).optional(), isActive: v.boolean().optional(), ...typeFields() } },
+  checklist:  { body: { documents: v.array(v.object({ key: v.string({ max: 40 }), required: v.boolean().optional() }), { max: 50 }) } },
+};
+
+module.exports = function adminDocumentRoutes({ db, newHireService, documentTypeService, expirySweeper }) {
+  const router = express.Router();
+  const adminOnly = session.requireRole(db, 'admin');
+  router.param('id', idParam);
+
+  async function loadLocation(req) {
+    const location = await db.getLocationById(parseInt(req.params.id, 10));
+    if (!location) throw httpError(404, 'Location not found');
+    return location;
+  }
+
+  // ─── New hires ─────────────────────────────────────────────────────────────────
+
+  // ?status=received|approved|rejected (overall status of the new hire) &q=name &location=NAME
+  router.get('/admin/new-hires', adminOnly, validate(schemas.list), async (req, res) => {
+    try {
+      const { status, q, location, limit } = req.valid.query;
+      const data = await newHireService.list({ status, q, location, limit: parseLimit(limit, 200, 1000) });
+      res.json({ success: true, data, count: data.length });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load new hires');
+    }
+  });
+
+  router.get('/admin/new-hires/:id', adminOnly, async (req, res) => {
+    try {
+      res.json({ success: true, newHire: await newHireService.get(parseInt(req.params.id, 10)) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load new hire');
+    }
+  });
+
+  // Body: { status: 'approved' | 'rejected', reason? } — a rejection needs the reason
+  router.post('/admin/new-hire-documents/:id/review', adminOnly, validate(schemas.review), async (req, res) => {
+    try {
+      const document = await newHireService.review(parseInt(req.params.id, 10), req.valid.body, req.user);
+      res.json({ success: true, document });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to review document');
+    }
+  });
+
+  // Body: { expiresOn: 'YYYY-MM-DD' | null } — correct or clear the date read off the document
+  router.patch('/admin/new-hire-documents/:id', adminOnly, validate(schemas.expiry), async (req, res) => {
+    try {
+      const document = await newHireService.setExpiry(parseInt(req.params.id, 10), req.valid.body.expiresOn);
+      res.json({ success: true, document });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update document');
+    }
+  });
+
+  // Body: { email | null } — the worker account the new hire's documents belong to (never set from the
+  // public form: the link decides whose clock-in EXPIRED_DOCUMENTS_POLICY can block)
+  router.patch('/admin/new-hires/:id', adminOnly, validate(schemas.email), async (req, res) => {
+    try {
+      res.json({ success: true, newHire: await newHireService.setEmail(parseInt(req.params.id, 10), req.valid.body.email) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update new hire');
+    }
+  });
+
+  router.get('/admin/new-hire-documents/:id/download', adminOnly, async (req, res) => {
+    try {
+      res.json({ success: true, ...(await newHireService.downloadUrl(parseInt(req.params.id, 10))) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to get a download link');
+    }
+  });
+
+  // ─── Expiry compliance ─────────────────────────────────────────────────────────
+  // Expired and expiring documents by worker. ?days (default DOCUMENT_EXPIRY_WARN_DAYS) &location=NAME
+  // &state=expired|expiring. Supervisors see their own locations.
+  router.get('/admin/compliance', validate(schemas.compliance), async (req, res) => {
+    try {
+      const { days, location, state } = req.valid.query;
+      if (location && !session.canManageLocation(req, location)) {
+        throw httpError(403, 'Not allowed for this location', 'OUT_OF_SCOPE');
+      }
+      const locations = location ? [location] : (req.scope?.locations || null);
+      res.json({ success: true, ...(await newHireService.compliance({ days, locations, state })) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load the compliance list');
+    }
+  });
+
+  // Runs the daily reminder sweep now → counts; reminders already sent aren't sent again
+  router.post('/admin/compliance/sweep', adminOnly, async (req, res) => {
+    try {
+      const { expiring, expired, notified } = await expirySweeper.sweep();
+      res.json({ success: true, expiring: expiring.length, expired: expired.length, notified: notified.length });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to run the expiry sweep');
+    }
+  });
+
+  // ─── Document catalog ──────────────────────────────────────────────────────────
+  // ?includeInactive=1 also lists retired types
+  router.get('/admin/document-types', adminOnly, validate(schemas.listTypes), async (req, res) => {
+    try {
+      const types = await documentTypeService.list({ includeInactive: req.valid.query.includeInactive });
+      res.json({ success: true, count: types.length, documentTypes: types });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load document types');
+    }
+  });
+
+  // Body: { label, mimeTypes, key?, fileLabel?, tracksExpiry?, isDefault?, required?, sortOrder? }.
+  // key (the form field name) comes from the label unless given, and can't be changed later.
+  router.post('/admin/document-types', adminOnly, validate(schemas.createType), async (req, res) => {
+    try {
+      res.status(201).json({ success: true, documentType: await documentTypeService.create(req.valid.body) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to add document type');
+    }
+  });
+
+  // Edit / retire (isActive:false) a type; documents already received keep it
+  router.patch('/admin/document-types/:id', adminOnly, validate(schemas.updateType), async (req, res) => {
+    try {
+      const documentType = await documentTypeService.update(parseInt(req.params.id, 10), req.valid.body);
+      res.json({ success: true, documentType });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update document type');
+    }
+  });
+
+  // ─── Location checklists ───────────────────────────────────────────────────────
+  // → { custom, documents }; custom: false means the location uses the default checklist
+  router.get('/admin/locations/:id/documents', adminOnly, async (req, res) => {
+    try {
+      const location = await loadLocation(req);
+      res.json({ success: true, location: location.name, ...(await documentTypeService.locationChecklist(location)) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load the document checklist');
+    }
+  });
+
+  // Body: { documents: [{ key, required? }] } — replaces the location's checklist
+  router.put('/admin/locations/:id/documents', adminOnly, validate(schemas.checklist), async (req, res) => {
+    try {
+      const location = await loadLocation(req);
+      const checklist = await documentTypeService.setLocationChecklist(location, req.valid.body.documents);
+      res.json({ success: true, location: location.name, ...checklist });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to save the document checklist');
+    }
+  });
+
+  // Back to the default checklist
+  router.delete('/admin/locations/:id/documents', adminOnly, async (req, res) => {
+    try {
+      const location = await loadLocation(req);
+      res.json({ success: true, location: location.name, ...(await documentTypeService.clearLocationChecklist(location)) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to reset the document checklist');
+    }
+  });
+
+  return router;
+};
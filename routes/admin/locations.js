@@ -0,0 +1,209 @@
+// routes/admin/locations.js — locations (CRUD, geofences, locations.json import) and their jobsites
+const express = require('express');
+const fs      = require('fs');
+const session = require('../../middleware/session');
+const LocationService = require('../../middleware/locations');
+const { httpError, sendServiceError } = require('../../middleware/errors');
+const { v, validate, idParam } = require('../../middleware/validate');
+
+// Fresh rules per schema (optional() etc. change a rule in place)
+const fenceFields = () => ({
+  lat:          v.number({ min: -90, max: 90 }),
+  lng:          v.number({ min: -180, max: 180 }),
+  radiusMeters: v.number({ min: 1, max: 100000 }),
+});
+
+// Types only; naming rules, duplicates and limits are checked by LocationService / JobsiteService
+const locationFields = () => ({
+  folderName:       v.name().optional({ allowBlank: false }),
+  address:          v.string({ max: 300 }).nullable(),
+  isActive:         v.boolean().optional(),
+  dailyUploadLimit: v.int({ min: 0 }).nullable(),
+  geofence:         v.object(fenceFields()).nullable(),
+  allowNewJobsites: v.boolean().optional(),
+});
+
+const schemas = {
+  list:           { query: { includeInactive: v.boolean().default(false) } },
+  create:         { body: { name: v.name(), confirm: v.string({ max: 100 }).optional(), ...locationFields() } },
+  update:         { body: { name: v.name().optional({ allowBlank: false }), ...locationFields() } },
+  geofence:       { body: fenceFields() },
+  listJobsites:   { query: { status: v.oneOf(['active', 'pending', 'inactive', 'all']).default('active') } },
+  createJobsite:  { body: { name: v.name(), force: v.boolean().default(false) } },
+  updateJobsite:  { body: { name: v.name().optional({ allowBlank: false }), isActive: v.boolean().optional() } },
+  mergeJobsite:   { body: { intoId: v.int({ min: 1 }) } },
+};
+
+module.exports = function adminLocationRoutes({ db, locationService, jobsiteService, locationsConfigPath }) {
+  const router = express.Router();
+  const adminOnly = session.requireRole(db, 'admin');
+  router.param('id', idParam);
+
+  // ─── Locations ─────────────────────────────────────────────────────────────────
+  // ?includeInactive=1 also lists retired locations
+  router.get('/admin/locations', validate(schemas.list), async (req, res) => {
+    try {
+      const all = await locationService.list({ includeInactive: req.valid.query.includeInactive });
+      const visible = req.scope ? all.filter(l => session.canManageLocation(req, l.name)) : all;
+      res.json({ ok: true, count: visible.length, locations: visible });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load locations');
+    }
+  });
+
+  // Body: { name, confirm?, folderName?, address?, dailyUploadLimit?, geofence? }.
+  // The admin page sends the name twice (confirm) to catch typos.
+  router.post('/admin/locations', adminOnly, validate(schemas.create), async (req, res) => {
+    try {
+      const { name, confirm } = req.valid.body;
+      if (confirm !== undefined && LocationService.normalizeName(name) !== LocationService.normalizeName(confirm)) {
+        throw httpError(400, 'Names do not match', 'CONFIRMATION_MISMATCH');
+      }
+      const location = await locationService.create(req.valid.body);
+      res.status(201).json({ ok: true, name: location.name, location });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to add location');
+    }
+  });
+
+  // Rename / retire (isActive:false) / edit metadata
+  router.patch('/admin/locations/:id', adminOnly, validate(schemas.update), async (req, res) => {
+    try {
+      const location = await locationService.update(parseInt(req.params.id, 10), req.valid.body);
+      res.json({ ok: true, location });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update location');
+    }
+  });
+
+  // Only for mistakes with no uploads/employees yet; anything in use should be deactivated
+  router.delete('/admin/locations/:id', adminOnly, async (req, res) => {
+    try {
+      const location = await locationService.remove(parseInt(req.params.id, 10));
+      res.json({ ok: true, deleted: location });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to delete location');
+    }
+  });
+
+  // Geofence for a location: { lat, lng, radiusMeters }
+  router.put('/admin/locations/:id/geofence', adminOnly, validate(schemas.geofence), async (req, res) => {
+    try {
+      const location = await locationService.update(parseInt(req.params.id, 10), { geofence: req.valid.body });
+      res.json({ ok: true, name: location.name, geofence: location.geofence });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to save geofence');
+    }
+  });
+
+  router.delete('/admin/locations/:id/geofence', adminOnly, async (req, res) => {
+    try {
+      const location = await locationService.update(parseInt(req.params.id, 10), { geofence: null });
+      res.json({ ok: true, name: location.name });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to remove geofence');
+    }
+  });
+
+  // ─── Jobsites ──────────────────────────────────────────────────────────────────
+  async function loadScopedLocation(req) {
+    const site = await db.getLocationById(parseInt(req.params.id, 10));
+    if (!site) throw httpError(404, 'Location not found');
+    if (!session.canManageLocation(req, site.name)) throw httpError(403, 'Not allowed for this location', 'OUT_OF_SCOPE');
+    return site;
+  }
+
+  async function loadScopedJobsite(req) {
+    const row = await db.getJobsiteById(parseInt(req.params.id, 10));
+    if (!row) throw httpError(404, 'Jobsite not found');
+    if (!session.canManageLocation(req, row.location_name)) throw httpError(403, 'Not allowed for this location', 'OUT_OF_SCOPE');
+    return row;
+  }
+
+  // ?status=active (default) | pending | inactive | all
+  router.get('/admin/locations/:id/jobsites', validate(schemas.listJobsites), async (req, res) => {
+    try {
+      const site = await loadScopedLocation(req);
+      const status = req.valid.query.status;
+      const statuses = status === 'all' ? ['active', 'pending', 'inactive'] : [status];
+      res.json({ ok: true, location: site.name, jobsites: await jobsiteService.list(site.id, { statuses }) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load jobsites');
+    }
+  });
+
+  // Body: { name, force? } — force skips the near-duplicate check
+  router.post('/admin/locations/:id/jobsites', validate(schemas.createJobsite), async (req, res) => {
+    try {
+      const site = await loadScopedLocation(req);
+      const jobsite = await jobsiteService.create(site, req.valid.body, req.user);
+      res.status(201).json({ ok: true, jobsite });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to add jobsite');
+    }
+  });
+
+  // Names typed on the upload page that are waiting for approval
+  router.get('/admin/jobsites/pending', async (req, res) => {
+    try {
+      const pending = await jobsiteService.listPending(req.scope?.locations || null);
+      const withSuggestions = await Promise.all(pending.map(async j => ({
+        ...j, suggestions: await jobsiteService.suggest(j.locationId, j.name),
+      })));
+      res.json({ ok: true, count: pending.length, jobsites: withSuggestions });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load pending jobsites');
+    }
+  });
+
+  // Body: { name?, isActive? }
+  router.patch('/admin/jobsites/:id', validate(schemas.updateJobsite), async (req, res) => {
+    try {
+      await loadScopedJobsite(req);
+      res.json({ ok: true, jobsite: await jobsiteService.update(parseInt(req.params.id, 10), req.valid.body) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update jobsite');
+    }
+  });
+
+  router.post('/admin/jobsites/:id/approve', async (req, res) => {
+    try {
+      await loadScopedJobsite(req);
+      res.json({ ok: true, jobsite: await jobsiteService.approve(parseInt(req.params.id, 10), req.user) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to approve jobsite');
+    }
+  });
+
+  // Body: { intoId } — folds a duplicate into an existing jobsite at the same location
+  router.post('/admin/jobsites/:id/merge', validate(schemas.mergeJobsite), async (req, res) => {
+    try {
+      await loadScopedJobsite(req);
+      res.json({ ok: true, ...(await jobsiteService.merge(parseInt(req.params.id, 10), req.valid.body.intoId)) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to merge jobsite');
+    }
+  });
+
+  router.delete('/admin/jobsites/:id', async (req, res) => {
+    try {
+      await loadScopedJobsite(req);
+      res.json({ ok: true, deleted: await jobsiteService.remove(parseInt(req.params.id, 10)) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to delete jobsite');
+    }
+  });
+
+  // Re-run the locations.json import (names already in the table are skipped)
+  router.post('/admin/locations/import', adminOnly, async (_req, res) => {
+    try {
+      if (!fs.existsSync(locationsConfigPath)) throw httpError(404, 'config/locations.json not found');
+      const result = await locationService.importFromJson(locationsConfigPath);
+      res.json({ ok: true, ...result });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to import locations');
+    }
+  });
+
+  return router;
+};
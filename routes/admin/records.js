@@ -0,0 +1,294 @@
+// routes/admin/records.js — who is on the clock, time records and uploads, submissions, payroll
+// export, manager corrections and pay periods
+const express = require('express');
+const session = require('../../middleware/session');
+const JobsiteService  = require('../../middleware/jobsites');
+const timesheetExport = require('../../middleware/timesheetExport');
+const { startOfWeek, endOfWeek, weekSpan, ymd } = require('../../middleware/weeks');
+const { httpError, sendServiceError } = require('../../middleware/errors');
+const { parseClientYMD, parseLimit, v, validate, idParam } = require('../../middleware/validate');
+
+const GEOFENCE_STATUSES = ['inside', 'outside', 'no_location', 'no_fence'];
+
+const schemas = {
+  allRecords: {
+    query: {
+      startDate:  v.dateTime().optional(),
+      endDate:    v.dateTime().optional(),
+      geofence:   v.oneOf(GEOFENCE_STATUSES).optional(),
+      photoCheck: v.oneOf(['ok', 'stale', 'no_exif']).optional(),
+    },
+  },
+  locationUploads: {
+    query: {
+      location:  v.name().optional(),
+      startDate: v.dateTime().optional(),
+      endDate:   v.dateTime().optional(),
+      geofence:  v.oneOf(GEOFENCE_STATUSES).optional(),
+      limit:     v.int({ min: 1 }).optional(),
+    },
+  },
+  submissions: {
+    query: {
+      location: v.name().optional(),
+      date:     v.date().optional(),
+      week:     v.string({ max: 20, pattern: /^\d{1,2}-\d{1,2} - \d{1,2}-\d{1,2}$/, message: 'must look like 10-13 - 10-19' }).optional(),
+      jobsite:  v.name().optional(),
+      maxFiles: v.int({ min: 1 }).optional(),
+    },
+  },
+  exportTimesheets: {
+    query: {
+      format:            v.oneOf(['csv', 'xlsx', 'json']).default('csv'),
+      startDate:         v.date().optional(),
+      endDate:           v.date().optional(),
+      overtimeThreshold: v.number({ min: 0 }).optional(),
+      department:        v.string({ max: 100 }).optional(),
+      employee:          v.email().optional(),
+    },
+  },
+  editRecord: {
+    body: {
+      clockInTime:  v.timestamp().nullable(),
+      clockOutTime: v.timestamp().nullable(),
+      notes:        v.string({ max: 1000 }).nullable(),
+      reason:       v.string({ max: 500 }),
+    },
+  },
+  missedPunch: {
+    body: {
+      email:        v.email(),
+      clockInTime:  v.timestamp(),
+      clockOutTime: v.timestamp(),
+      notes:        v.string({ max: 1000 }).optional(),
+      reason:       v.string({ max: 500 }),
+    },
+  },
+  voidRecord:  { body: { reason: v.string({ max: 500 }) } },
+  payPeriods:  { query: { startDate: v.date().optional(), endDate: v.date().optional() } },
+  setPeriod:   { params: { week: v.date() } },
+};
+
+module.exports = function adminRecordRoutes({ db, timeRecords, shiftSweeper, submissionBrowser, overtimeWeeklyHours: OVERTIME_WEEKLY_HOURS }) {
+  const router = express.Router();
+  const adminOnly = session.requireRole(db, 'admin');
+  router.param('id', idParam);
+
+  router.get('/admin/active-users', async (req, res) => {
+    try {
+      const activeUsers = await db.getCurrentlyLoggedInUsers(req.scope?.locations);
+      res.json({ success: true, data: activeUsers, count: activeUsers.length, timestamp: new Date().toISOString() });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve active users');
+    }
+  });
+
+  router.get('/admin/all-records', validate(schemas.allRecords), async (req, res) => {
+    try {
+      const { startDate, endDate, geofence: fenceStatus, photoCheck } = req.valid.query;
+      const records = await db.getAllTimeRecords(startDate, endDate, req.scope?.locations,
+        { geofence: fenceStatus || null, photoCheck: photoCheck || null });
+      res.json({ success: true, data: records, count: records.length, timestamp: new Date().toISOString() });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve time records');
+    }
+  });
+
+  // Timesheet photo submissions with where they were sent from (?geofence=outside to audit)
+  router.get('/admin/location-uploads', validate(schemas.locationUploads), async (req, res) => {
+    try {
+      const { location, startDate, endDate, geofence: fenceStatus } = req.valid.query;
+      if (location && !session.canManageLocation(req, location)) {
+        throw httpError(403, 'Not allowed for this location', 'OUT_OF_SCOPE');
+      }
+      const site = location ? await db.findLocationByName(location) : null;
+      if (location && !site) throw httpError(404, 'Unknown location', 'UNKNOWN_LOCATION');
+      const limit = parseLimit(req.valid.query.limit, 200, 1000);
+      const rows = await db.listLocationUploads({
+        locationId: site?.id || null, geofence: fenceStatus || null,
+        startDate, endDate, locations: req.scope?.locations, limit,
+      });
+      res.json({ success: true, data: rows, count: rows.length, timestamp: new Date().toISOString() });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve uploads');
+    }
+  });
+
+  // Submitted timesheet photos from storage grouped Location → Week → Jobsite → Date, each file
+  // joined to its location_uploads row. ?location= &week=M-D - M-D (or &date=YYYY-MM-DD) &jobsite= &maxFiles=
+  router.get('/admin/submissions', validate(schemas.submissions), async (req, res) => {
+    try {
+      const query = req.valid.query;
+      let locations;
+      if (query.location) {
+        const site = await db.findLocationByName(query.location);
+        if (!site) throw httpError(404, 'Unknown location', 'UNKNOWN_LOCATION');
+        if (!session.canManageLocation(req, site.name)) throw httpError(403, 'Not allowed for this location', 'OUT_OF_SCOPE');
+        locations = [site];
+      } else {
+        locations = (await db.listLocations({ includeInactive: true }))
+          .filter(site => session.canManageLocation(req, site.name));
+      }
+
+      const refDate = parseClientYMD(query.date);
+      const week = refDate ? weekSpan(refDate) : (query.week || null);
+
+      // Jobsite folders keep their original name through renames, so look the folder up when we can
+      let jobsite = query.jobsite ? query.jobsite.toUpperCase() : null;
+      if (jobsite && locations.length === 1) {
+        const row = await db.findJobsiteByKey(locations[0].id, JobsiteService.nameKey(jobsite));
+        if (row) jobsite = row.folder_name;
+      }
+
+      const maxFiles = parseLimit(query.maxFiles, 500, 2000);
+      const result = await submissionBrowser.browse({ locations, week, jobsite, maxFiles });
+      res.json({ ok: true, week, jobsite, ...result });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to browse submissions');
+    }
+  });
+
+  // Payroll export: per-employee Mon–Sun weeks with daily totals + regular/overtime split.
+  // The range is widened to whole weeks so overtime is never computed on a partial week.
+  router.get('/admin/timesheets/export', validate(schemas.exportTimesheets), async (req, res) => {
+    try {
+      const query  = req.valid.query;
+      const format = query.format;
+      const from = parseClientYMD(query.startDate) || new Date();
+      const to   = parseClientYMD(query.endDate)   || from;
+      if (to < from) throw httpError(400, 'endDate must be on or after startDate', 'VALIDATION_FAILED');
+
+      const threshold = query.overtimeThreshold ?? OVERTIME_WEEKLY_HOURS;
+
+      const weekStart = startOfWeek(from);
+      const weekEnd   = endOfWeek(to);
+      const afterEnd  = new Date(weekEnd);
+      afterEnd.setDate(afterEnd.getDate() + 1);
+
+      const records = await db.getTimesheetRecords({
+        from: weekStart.toISOString(),
+        to: afterEnd.toISOString(),
+        department: query.department || null,
+        email: query.employee || null,
+        locations: req.scope?.locations,
+      });
+      const sheet = timesheetExport.buildTimesheets(records, { overtimeThreshold: threshold });
+      const range = { startDate: ymd(weekStart), endDate: ymd(weekEnd) };
+
+      if (format === 'json') return res.json({ success: true, ...range, ...sheet });
+
+      const fileBase = `timesheets_${range.startDate}_to_${range.endDate}`;
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.csv"`);
+        return res.send(timesheetExport.toCsv(sheet));
+      }
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.xlsx"`);
+      await timesheetExport.writeXlsx(sheet, res);
+    } catch (e) {
+      if (res.headersSent) return console.error('Timesheet export error:', e);
+      sendServiceError(res, e, 'Failed to export timesheets');
+    }
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────────
+  // Manager corrections + pay-period approval (every change lands in time_record_audit)
+  // ───────────────────────────────────────────────────────────────────────────────
+  async function loadScopedRecord(req) {
+    const record = await db.getTimeRecordById(req.params.id);
+    if (!record) throw httpError(404, 'Time record not found');
+    if (!session.canManageLocation(req, record.location)) {
+      throw httpError(403, 'This employee is outside your locations', 'OUT_OF_SCOPE');
+    }
+    return record;
+  }
+
+  router.patch('/admin/time-records/:id', validate(schemas.editRecord), async (req, res) => {
+    try {
+      await loadScopedRecord(req);
+      const record = await timeRecords.edit(req.params.id, req.valid.body, req.user);
+      res.json({ success: true, data: record });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update time record');
+    }
+  });
+
+  router.post('/admin/time-records', validate(schemas.missedPunch), async (req, res) => {
+    try {
+      const employee = await db.findUserByEmail(req.valid.body.email);
+      if (employee && !session.canManageLocation(req, employee.location)) {
+        throw httpError(403, 'This employee is outside your locations', 'OUT_OF_SCOPE');
+      }
+      const record = await timeRecords.addMissedPunch(req.valid.body, req.user);
+      res.status(201).json({ success: true, data: record });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to add time record');
+    }
+  });
+
+  router.post('/admin/time-records/:id/void', validate(schemas.voidRecord), async (req, res) => {
+    try {
+      await loadScopedRecord(req);
+      const record = await timeRecords.void(req.params.id, req.valid.body.reason, req.user);
+      res.json({ success: true, data: record });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to void time record');
+    }
+  });
+
+  router.get('/admin/time-records/:id/audit', async (req, res) => {
+    try {
+      await loadScopedRecord(req);
+      const audit = await db.getTimeRecordAudit(req.params.id);
+      res.json({ success: true, data: audit, count: audit.length });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve audit trail');
+    }
+  });
+
+  // Shifts the sweeper auto-closed or flagged (cleared when a manager edits the record)
+  router.get('/admin/needs-review', async (req, res) => {
+    try {
+      const records = await db.listNeedsReview(req.scope?.locations);
+      res.json({ success: true, data: records, count: records.length, policy: shiftSweeper.policy, maxShiftHours: shiftSweeper.maxShiftHours });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve records needing review');
+    }
+  });
+
+  // Run the sweeper now instead of waiting for the next interval
+  router.post('/admin/needs-review/sweep', adminOnly, async (_req, res) => {
+    try {
+      const result = await shiftSweeper.sweep();
+      res.json({ success: true, closed: result.closed.length, flagged: result.flagged.length });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to sweep stale sessions');
+    }
+  });
+
+  router.get('/admin/pay-periods', validate(schemas.payPeriods), async (req, res) => {
+    try {
+      const from = parseClientYMD(req.valid.query.startDate);
+      const to   = parseClientYMD(req.valid.query.endDate);
+      const periods = await db.listPayPeriods(from && ymd(startOfWeek(from)), to && ymd(startOfWeek(to)));
+      res.json({ success: true, data: periods, count: periods.length });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve pay periods');
+    }
+  });
+
+  // :week is any YYYY-MM-DD inside the Mon–Sun period; action = approve | lock | reopen
+  router.post('/admin/pay-periods/:week/:action', adminOnly, validate(schemas.setPeriod), async (req, res, next) => {
+    try {
+      const status = { approve: 'approved', lock: 'locked', reopen: 'pending' }[req.params.action];
+      if (!status) return next();
+      const period = await timeRecords.setPeriodStatus(req.valid.params.week, status, req.user);
+      res.json({ success: true, data: period });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update pay period');
+    }
+  });
+
+  return router;
+};
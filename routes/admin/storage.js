@@ -0,0 +1,112 @@
+// routes/admin/storage.js — stored files, the upload queue, drive reconciliation and the storage check
+const express = require('express');
+const session = require('../../middleware/session');
+const { httpError, sendServiceError } = require('../../middleware/errors');
+const { parseLimit, v, validate, idParam } = require('../../middleware/validate');
+
+const QUEUE_STATUSES = ['pending', 'uploading', 'done', 'failed'];
+
+const schemas = {
+  files:     { query: { path: v.string({ max: 1000 }).optional() } },
+  download:  { params: { itemId: v.string({ max: 1000 }) } },
+  queue:     { query: { status: v.oneOf(QUEUE_STATUSES).optional(), limit: v.int({ min: 1 }).optional() } },
+  purge:     { query: { status: v.oneOf(['done', 'failed']).default('done'), olderThanDays: v.int({ min: 0 }).default(0) } },
+  reconcile: { query: { limit: v.int({ min: 1 }).optional() } },
+};
+
+module.exports = function adminStorageRoutes({ db, photoStore, uploadQueue, driveReconciler }) {
+  const router = express.Router();
+  const adminOnly = session.requireRole(db, 'admin');
+  router.param('id', idParam);
+
+  // ?path=CQS/10-19 - 10-25 lists a subfolder instead of the base folder
+  router.get('/admin/onedrive-files', adminOnly, validate(schemas.files), async (req, res) => {
+    try {
+      const files = await photoStore.list({ relPath: req.valid.query.path || '' });
+      res.json({ success: true, data: files, count: files.length });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve storage files');
+    }
+  });
+
+  // Short-lived link to one stored file (the admin file browser's download button)
+  router.get('/admin/onedrive-files/:itemId/download', adminOnly, validate(schemas.download), async (req, res) => {
+    try {
+      const item = await photoStore.getItem(req.valid.params.itemId);
+      if (!item) throw httpError(404, 'File not found', 'FILE_NOT_FOUND');
+      res.json({ success: true, downloadUrl: await photoStore.getDownloadUrl(item.id), name: item.name });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to get a download link');
+    }
+  });
+
+  // Upload queue: list / retry / purge
+  router.get('/admin/upload-queue', adminOnly, validate(schemas.queue), async (req, res) => {
+    try {
+      const status = req.valid.query.status || null;
+      const limit  = parseLimit(req.valid.query.limit, 100, 1000);
+      const [items, counts] = await Promise.all([db.listUploadQueue(status, limit), db.countUploadQueueByStatus()]);
+      res.json({ success: true, data: items, count: items.length, counts, timestamp: new Date().toISOString() });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve upload queue');
+    }
+  });
+
+  router.post('/admin/upload-queue/:id/retry', adminOnly, async (req, res) => {
+    try {
+      const item = await db.getUploadQueueItem(req.params.id);
+      if (!item) throw httpError(404, 'Queue item not found');
+      if (!(await uploadQueue.retry(item.id))) {
+        throw httpError(409, `Queue item is ${item.status}; only failed or pending items can be retried`, 'NOT_RETRYABLE');
+      }
+      res.json({ success: true, message: 'Upload re-queued', data: await db.getUploadQueueItem(item.id) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retry upload');
+    }
+  });
+
+  router.delete('/admin/upload-queue', adminOnly, validate(schemas.purge), async (req, res) => {
+    try {
+      const { status, olderThanDays } = req.valid.query;
+      const removed = await uploadQueue.purge({ status, olderThanDays });
+      res.json({ success: true, removed, status, olderThanDays });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to purge upload queue');
+    }
+  });
+
+  // Drive reconciliation: latest report (+ moved/missing/unknown uploads) and a manual run.
+  // A run walks the whole base folder, so POST answers 202 and the report is read back with GET.
+  router.get('/admin/onedrive/reconcile', adminOnly, validate(schemas.reconcile), async (req, res) => {
+    try {
+      const limit = parseLimit(req.valid.query.limit, 200, 1000);
+      const [run, problems] = await Promise.all([db.getLatestDriveReconciliation(), db.listDriveProblems(limit)]);
+      res.json({
+        success: true,
+        running: driveReconciler.running,
+        lastRun: run && { ...run, truncated: !!run.truncated, orphans: JSON.parse(run.orphans || '[]') },
+        problems,
+      });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve reconciliation report');
+    }
+  });
+
+  router.post('/admin/onedrive/reconcile', adminOnly, async (_req, res) => {
+    if (driveReconciler.running) throw httpError(409, 'A reconciliation is already running', 'RECONCILE_RUNNING');
+    driveReconciler.run({ trigger: 'manual' })
+      .catch(e => console.error('❌ Drive reconciliation failed:', e?.response?.data || e.message));
+    res.status(202).json({ success: true, message: 'Reconciliation started' });
+  });
+
+  router.get('/admin/test-onedrive', adminOnly, async (_req, res) => {
+    try {
+      await photoStore.check();
+      res.json({ success: true, message: `${photoStore.name} storage connection successful`, backend: photoStore.name, folder: photoStore.folderPath });
+    } catch (e) {
+      sendServiceError(res, e, `${photoStore.name} storage connection failed`);
+    }
+  });
+
+  return router;
+};
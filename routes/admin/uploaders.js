@@ -0,0 +1,62 @@
+// routes/admin/uploaders.js — per-crew upload codes
+const express = require('express');
+const session = require('../../middleware/session');
+const { sendServiceError } = require('../../middleware/errors');
+const { v, validate, idParam } = require('../../middleware/validate');
+
+const createSchema = {
+  body: { label: v.string({ max: 100 }), locationId: v.int({ min: 1 }).nullable(), dailyLimit: v.int({ min: 0 }).nullable() },
+};
+
+const updateSchema = {
+  body: {
+    label:      v.string({ max: 100 }).optional({ allowBlank: false }),
+    locationId: v.int({ min: 1 }).nullable(),
+    dailyLimit: v.int({ min: 0 }).nullable(),
+    isActive:   v.boolean().optional(),
+  },
+};
+
+module.exports = function adminUploaderRoutes({ db, uploaderService }) {
+  const router = express.Router();
+  const adminOnly = session.requireRole(db, 'admin');
+  router.param('id', idParam);
+
+  // ─── Upload codes (one per crew) ───────────────────────────────────────────────
+  router.get('/admin/uploader-codes', adminOnly, async (_req, res) => {
+    try {
+      res.json({ ok: true, codes: await uploaderService.list() });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load upload codes');
+    }
+  });
+
+  // Body: { label, locationId?, dailyLimit? } — the response is the only time the code is shown
+  router.post('/admin/uploader-codes', adminOnly, validate(createSchema), async (req, res) => {
+    try {
+      const created = await uploaderService.create(req.valid.body, req.user);
+      res.status(201).json({ ok: true, ...created });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to create upload code');
+    }
+  });
+
+  // Body: { label?, locationId?, dailyLimit?, isActive? }
+  router.patch('/admin/uploader-codes/:id', adminOnly, validate(updateSchema), async (req, res) => {
+    try {
+      res.json({ ok: true, code: await uploaderService.update(parseInt(req.params.id, 10), req.valid.body) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update upload code');
+    }
+  });
+
+  router.post('/admin/uploader-codes/:id/rotate', adminOnly, async (req, res) => {
+    try {
+      res.json({ ok: true, ...(await uploaderService.rotate(parseInt(req.params.id, 10))) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to rotate upload code');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,97 @@
+// routes/admin/users.js — employee accounts: list / create / update (PIN reset, role, deactivate)
+const express = require('express');
+const session = require('../../middleware/session');
+const { httpError, sendServiceError } = require('../../middleware/errors');
+const { v, validate, idParam } = require('../../middleware/validate');
+
+const profileFields = () => ({
+  firstName:  v.string({ max: 100 }).nullable(),
+  lastName:   v.string({ max: 100 }).nullable(),
+  employeeId: v.string({ max: 50 }).nullable(),
+  department: v.string({ max: 100 }).nullable(),
+  location:   v.name().nullable(),
+  role:       v.oneOf(session.ROLES).optional(),
+});
+
+const createSchema = {
+  body: {
+    email:    v.email(),
+    password: v.secret().check(session.isAcceptableSecret, session.SECRET_HINT),
+    ...profileFields(),
+  },
+};
+
+const updateSchema = {
+  body: {
+    password:         v.secret().check(session.isAcceptableSecret, session.SECRET_HINT).optional(),
+    managedLocations: v.array(v.name(), { max: 500 }).optional(),
+    isActive:         v.boolean().optional(),
+    ...profileFields(),
+  },
+};
+
+module.exports = function adminUserRoutes({ db }) {
+  const router = express.Router();
+  const adminOnly = session.requireRole(db, 'admin');
+  router.param('id', idParam);
+
+  // Employee accounts: list / create / update (PIN reset, deactivate)
+  router.get('/admin/users', adminOnly, async (_req, res) => {
+    try {
+      const users = await db.listUsers();
+      res.json({ success: true, data: users, count: users.length });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve users');
+    }
+  });
+
+  router.post('/admin/users', adminOnly, validate(createSchema), async (req, res) => {
+    try {
+      const { email, password, firstName, lastName, employeeId, department, location, role } = req.valid.body;
+      if (await db.findUserByEmail(email)) throw httpError(409, 'User already exists', 'USER_EXISTS');
+
+      const user = await db.createUser(email, firstName || null, lastName || null, employeeId || null, department || null);
+      await db.updateUser(user.id, {
+        passwordHash: await session.hashPassword(password),
+        location: location ? location.toUpperCase() : undefined,
+        role,
+      });
+      res.status(201).json({ success: true, data: { id: user.id, email } });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to create user');
+    }
+  });
+
+  router.patch('/admin/users/:id', adminOnly, validate(updateSchema), async (req, res) => {
+    try {
+      const user = await db.getUserById(req.params.id);
+      if (!user) throw httpError(404, 'User not found');
+
+      const { password, firstName, lastName, employeeId, department, location, role, managedLocations, isActive } = req.valid.body;
+      // Never lock everyone out: the last active admin can't be demoted or deactivated
+      const losingAdmin = user.role === 'admin' && ((role && role !== 'admin') || isActive === false);
+      if (losingAdmin && (await db.countAdmins()) <= 1) {
+        throw httpError(409, 'Cannot remove the last admin', 'LAST_ADMIN');
+      }
+
+      await db.updateUser(user.id, {
+        firstName, lastName, employeeId, department, role, isActive,
+        location: location === undefined ? undefined : (location ? location.toUpperCase() : null),
+        passwordHash: password === undefined ? undefined : await session.hashPassword(password),
+      });
+      if (managedLocations !== undefined) {
+        await db.setSupervisorLocations(user.id, managedLocations.map(l => l.toUpperCase()));
+      }
+      // Deactivating, resetting the PIN or changing the role signs the user out everywhere
+      if (isActive === false || password !== undefined || (role && role !== user.role)) {
+        await db.deleteUserSessions(user.id);
+      }
+
+      res.json({ success: true, data: (await db.listUsers()).find(u => u.id === user.id) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update user');
+    }
+  });
+
+  return router;
+};
@@ -1,34 +1,93 @@
-// auth.js
-const { ConfidentialClientApplication } = require('@azure/msal-node');
-const { Client } = require('@microsoft/microsoft-graph-client');
-require('isomorphic-fetch');
-
-const msal = new ConfidentialClientApplication({
-  auth: {
-    clientId: process.env.AZURE_CLIENT_ID,
-    authority: `https://login.microsoftonline.com/${process.env.AZURE_TENANT_ID}`,
-    clientSecret: process.env.AZURE_CLIENT_SECRET,
-  },
+// routes/auth.js — sign-in with email + PIN/password, sign-out, current user, PIN change
+const express   = require('express');
+const rateLimit = require('express-rate-limit');
+const session   = require('../middleware/session');
+const { httpError, sendServiceError } = require('../middleware/errors');
+const { v, validate } = require('../middleware/validate');
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  skipSuccessfulRequests: true,
+  message: { error: 'Too many login attempts, please try again later.', code: 'RATE_LIMITED' }
 });
 
-let cachedToken = null;
-let tokenExpiry = 0;
+const loginSchema = {
+  body: {
+    email:      v.email(),
+    password:   v.secret().optional(),
+    pin:        v.secret().optional(),
+    issueToken: v.boolean().default(false),
+  },
+};
+
+const changePasswordSchema = {
+  body: {
+    currentPassword: v.secret(),
+    newPassword:     v.secret().check(session.isAcceptableSecret, session.SECRET_HINT),
+  },
+};
+
+module.exports = function authRoutes({ db }) {
+  const router = express.Router();
+
+  router.post('/auth/login', loginLimiter, validate(loginSchema), async (req, res) => {
+    try {
+      const { email, password, pin, issueToken } = req.valid.body;
+      const secret = password || pin;
+      if (!secret) throw httpError(400, 'Email and PIN/password are required', 'VALIDATION_FAILED');
 
-async function getAccessToken() {
-  if (cachedToken && Date.now() < tokenExpiry - 60_000) return cachedToken; // 1-min buffer
-  const { accessToken, expiresOn } = await msal.acquireTokenByClientCredential({
-    scopes: ['https://graph.microsoft.com/.default'],
+      const user = await db.findUserByEmail(email);
+      const ok = await session.verifyPassword(secret, user?.password_hash);
+      if (!user || !ok || !user.is_active) {
+        throw httpError(401, 'Invalid email or PIN/password', 'INVALID_CREDENTIALS');
+      }
+
+      await db.deleteExpiredSessions();
+      const { expiresAt, token } = await session.startSession(db, req, res, user);
+      res.json({
+        success: true,
+        user: { email: user.email, firstName: user.first_name, lastName: user.last_name, role: user.role || 'employee' },
+        expiresAt,
+        // Scripts can ask for the signed token to send as "Authorization: Bearer …"
+        ...(issueToken ? { token } : {})
+      });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to sign in');
+    }
+  });
+
+  router.post('/auth/logout', async (req, res) => {
+    try {
+      await session.endSession(db, req, res);
+      res.json({ success: true });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to sign out');
+    }
   });
-  cachedToken = accessToken;
-  tokenExpiry = expiresOn?.getTime?.() || Date.now() + 55 * 60 * 1000;
-  return cachedToken;
-}
-
-async function graphClient() {
-  const token = await getAccessToken();
-  return Client.init({
-    authProvider: (done) => done(null, token),
+
+  router.get('/auth/me', session.requireEmployee, (req, res) => {
+    const u = req.user;
+    res.json({
+      success: true,
+      user: { email: u.email, firstName: u.first_name, lastName: u.last_name, department: u.department, role: u.role },
+      expiresAt: u.expires_at
+    });
+  });
+
+  router.post('/auth/change-password', session.requireEmployee, validate(changePasswordSchema), async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.valid.body;
+      const user = await db.getUserById(req.user.id);
+      if (!(await session.verifyPassword(currentPassword, user.password_hash))) {
+        throw httpError(401, 'Current PIN/password is incorrect', 'INVALID_CREDENTIALS');
+      }
+      await db.updateUser(user.id, { passwordHash: await session.hashPassword(newPassword) });
+      res.json({ success: true, message: 'PIN/password updated' });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to update PIN/password');
+    }
   });
-}
 
-module.exports = { graphClient };
+  return router;
+};
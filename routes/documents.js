@@ -0,0 +1,145 @@
+// routes/documents.js — new-hire paperwork (the location's document checklist) behind the access code
+const express = require('express');
+const { httpError, removeUploadedFiles, sendServiceError } = require('../middleware/errors');
+const { v, validate } = require('../middleware/validate');
+const { CLASSIFICATION_KEYS } = require('../middleware/w9');
+
+// The online W-9 (JSON, or a JSON string in multipart forms). One of ssn / ein; the messages never echo them.
+const w9FormRule = () => v.object({
+  name:                v.string({ max: 100 }),
+  businessName:        v.string({ max: 100 }).optional(),
+  taxClassification:   v.oneOf(CLASSIFICATION_KEYS),
+  llcClassification:   v.oneOf(['c', 's', 'p']).optional(),
+  otherClassification: v.string({ max: 60 }).optional(),
+  exemptPayeeCode:     v.string({ max: 5 }).optional(),
+  fatcaCode:           v.string({ max: 5 }).optional(),
+  address:             v.string({ max: 150 }),
+  cityStateZip:        v.string({ max: 150 }),
+  accountNumbers:      v.string({ max: 100 }).optional(),
+  ssn:                 v.string({ pattern: /^\d{3}-?\d{2}-?\d{4}$/, message: 'must be 9 digits (123-45-6789)' }).optional(),
+  ein:                 v.string({ pattern: /^\d{2}-?\d{7}$/, message: 'must be 9 digits (12-3456789)' }).optional(),
+  signatureDate:       v.date().optional(),
+});
+
+const checklistSchema = {
+  query: { location: v.string({ max: 100 }).optional() },
+};
+
+const submitSchema = {
+  body: {
+    code:      v.string({ max: 100 }).optional(),
+    firstName: v.string({ max: 100 }),
+    lastName:  v.string({ max: 100 }),
+    location:  v.string({ max: 100 }).optional(),
+    expiresOn: v.map(v.date()).optional(),                          // { license: '2029-04-30', … }
+    w9Form:    w9FormRule().optional(),
+  },
+};
+
+const resubmitSchema = {
+  body: {
+    code:      v.string({ max: 100 }).optional(),
+    reference: v.string({ max: 100 }),
+    expiresOn: v.date().optional(),
+    w9Form:    w9FormRule().optional(),
+  },
+};
+
+const fillSchema = {
+  body: {
+    code:   v.string({ max: 100 }).optional(),
+    w9Form: w9FormRule(),
+  },
+};
+
+module.exports = function documentRoutes({ newHireService, documentTypeService, uploadDocs, universalCode: UNIVERSAL_CODE }) {
+  const router = express.Router();
+
+  // One file per catalog type; the catalog can change while the server runs
+  const docFields = async (req, res, next) => {
+    const keys = await documentTypeService.uploadFields();
+    uploadDocs.fields(keys.map(name => ({ name, maxCount: 1 })))(req, res, next);
+  };
+  const firstFiles = req => Object.fromEntries(Object.entries(req.files || {}).map(([key, list]) => [key, list[0]]));
+
+  const checkCode = code => {
+    if (!UNIVERSAL_CODE || code !== UNIVERSAL_CODE) throw httpError(401, 'Invalid access code', 'INVALID_ACCESS_CODE');
+  };
+
+  // What documents.html asks for: ?location=NAME (none = the default checklist). onlineW9: whether
+  // the W-9 can be filled in on the page instead of uploaded.
+  router.get('/documents/checklist', validate(checklistSchema), async (req, res) => {
+    try {
+      const checklist = await newHireService.checklist(req.valid.query.location);
+      res.json({ success: true, ...checklist, onlineW9: newHireService.hasW9Template() });
+    } catch (err) {
+      sendServiceError(res, err, 'Failed to load the document checklist');
+    }
+  });
+
+  // The online W-9 filled in and flattened, for the worker to look over or keep (nothing is stored)
+  router.post('/documents/w9', validate(fillSchema), async (req, res) => {
+    try {
+      checkCode(req.valid.body.code);
+      const { pdf } = await newHireService.generateW9(req.valid.body.w9Form);
+      res.set('Cache-Control', 'no-store');
+      res.type('application/pdf').attachment('W9.pdf').send(pdf);
+    } catch (err) {
+      sendServiceError(res, err, 'Failed to fill in the W-9');
+    }
+  });
+
+  // One file field per checklist entry (w9, license, …) and expiresOn dates for the ones that track
+  // expiry; the W-9 may come as the online form (w9Form) instead.
+  // The response's reference is what /documents/resubmit needs later — it is not shown again.
+  router.post('/documents/submit', docFields, validate(submitSchema), async (req, res) => {
+    try {
+      const { code, firstName, lastName, location, expiresOn, w9Form } = req.valid.body;
+      checkCode(code);
+
+      const files = firstFiles(req);
+      if (files.w9 && w9Form) throw httpError(400, 'Send the W-9 as a file or as the online form, not both', 'DOCUMENT_CONFLICT');
+
+      const { newHire, reference, documents } = await newHireService.submit({ firstName, lastName, location, files, expiresOn, w9Form });
+      const brief = d => d && ({ id: d.onedriveId, url: d.url, name: d.fileName, documentId: d.id, expiresOn: d.expiresOn });
+      res.json({
+        success: true,
+        newHireId: newHire.id,
+        reference,
+        firstName,
+        lastName,
+        location: newHire.location,
+        w9: brief(documents.w9),
+        license: brief(documents.license),
+        documents: Object.fromEntries(Object.entries(documents).map(([key, d]) => [key, brief(d)])),
+      });
+    } catch (err) {
+      removeUploadedFiles(req);
+      sendServiceError(res, err, 'Failed to upload documents');
+    }
+  });
+
+  // A rejected, expired or expiring document sent again on its own: { code, reference, expiresOn? }
+  // plus exactly one file field (w9, license, …) or w9Form
+  router.post('/documents/resubmit', docFields, validate(resubmitSchema), async (req, res) => {
+    try {
+      const { code, reference, expiresOn, w9Form } = req.valid.body;
+      checkCode(code);
+
+      const files = firstFiles(req);
+      const sent = Object.keys(files);
+      if (w9Form) sent.push('w9');
+      if (sent.length !== 1) throw httpError(400, 'Send exactly one document (a file, or w9Form)', 'DOCUMENT_REQUIRED');
+
+      const [type] = sent;
+      const file = w9Form ? null : files[type];
+      const { newHire, document } = await newHireService.resubmit(reference, type, file, w9Form, expiresOn);
+      res.json({ success: true, newHire, document });
+    } catch (err) {
+      removeUploadedFiles(req);
+      sendServiceError(res, err, 'Failed to resubmit document');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,35 @@
+// routes/index.js — the JSON API. server.js mounts it at /api/v1, and at /api so the existing pages
+// and scripts keep working. deps: the services server.js builds (see createApiRouter there).
+const express = require('express');
+const session = require('../middleware/session');
+const { notFound, errorHandler } = require('../middleware/errors');
+
+function createApiRouter(deps) {
+  const api = express.Router();
+
+  api.get('/health', (_req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString(), environment: process.env.NODE_ENV || 'development' });
+  });
+
+  // Every /admin route needs at least a supervisor session; admin-only routes add adminOnly
+  api.use('/admin', session.requireRole(deps.db, 'supervisor'));
+
+  api.use(require('./auth')(deps));
+  api.use(require('./timeclock')(deps));
+  api.use(require('./uploads')(deps));
+  api.use(require('./documents')(deps));
+  api.use(require('./storage')(deps));
+
+  api.use(require('./admin/locations')(deps));
+  api.use(require('./admin/uploaders')(deps));
+  api.use(require('./admin/records')(deps));
+  api.use(require('./admin/users')(deps));
+  api.use(require('./admin/storage')(deps));
+  api.use(require('./admin/documents')(deps));
+
+  api.use(notFound);
+  api.use(errorHandler);
+  return api;
+}
+
+module.exports = createApiRouter;
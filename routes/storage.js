@@ -0,0 +1,63 @@
+// routes/storage.js — serves files kept by the local storage backend
+const express = require('express');
+const session = require('../middleware/session');
+const { httpError } = require('../middleware/errors');
+const { v, validate } = require('../middleware/validate');
+
+const signedLinkSchema = {
+  query: { expires: v.int({ min: 0 }).optional(), sig: v.string({ max: 200, pattern: /^[\w-]+$/ }).optional() },
+};
+
+module.exports = function storageRoutes({ db, photoStore, submissionRoot = '' }) {
+  const router = express.Router();
+
+  // Files kept by the local backend (STORAGE_BACKEND=local). Signed links from getDownloadUrl() work for
+  // anyone until they expire; plain webUrls need an admin, or a supervisor for photos from their
+  // locations (employees' clock-in photos and /api/submit uploads).
+  router.get('/storage/local/*file', validate(signedLinkSchema), async (req, res, next) => {
+    if (photoStore.name !== 'local') throw httpError(404, 'Not found');
+
+    // Segments arrive decoded, so %2e%2e and %2f are checked here; every decision below is made on
+    // the id of the file that will actually be sent
+    const raw = req.params.file.join('/');
+    if (raw.split(/[\\/]/).some(seg => seg === '' || seg === '.' || seg === '..')) {
+      throw httpError(400, 'Invalid path', 'INVALID_PATH');
+    }
+    let file;
+    try { file = photoStore.resolveId(raw); } catch { throw httpError(400, 'Invalid path', 'INVALID_PATH'); }
+    const id = photoStore.idFor(file);
+
+    const signed = photoStore.verifyDownload(id, req.valid.query.expires, req.valid.query.sig);
+    if (!signed) {
+      if (!req.user) throw httpError(401, 'Please sign in');
+      if (!(await canRead(req, id))) throw httpError(403, 'You do not have access to this file');
+    }
+    res.sendFile(file, err => {
+      if (err && !res.headersSent) {
+        next(err.status === 404 || err.code === 'ENOENT' ? httpError(404, 'File not found', 'FILE_NOT_FOUND') : err);
+      }
+    });
+  });
+
+  // Clock-in photos sit under <folderPath>/<employee email>/, submissions under
+  // <folderPath>/[<submissionRoot>/]<location folder>/
+  async function canRead(req, id) {
+    if (req.user.role === 'admin') return true;
+    if (req.user.role !== 'supervisor') return false;
+    const [base, ...rest] = id.split('/');
+    if (base !== photoStore.cleanSubPath(photoStore.folderPath)) return false;
+    req.scope = { locations: await db.getSupervisorLocations(req.user.id) };
+
+    if (rest.length > 1 && rest[0].includes('@')) {
+      const employee = await db.findUserByEmail(rest[0]);
+      return !!employee?.location && session.canManageLocation(req, employee.location);
+    }
+    if (submissionRoot && rest.shift() !== submissionRoot) return false;
+    if (rest.length < 2) return false;
+    const folder = rest[0].toUpperCase();
+    const site = (await db.listLocations({ includeInactive: true })).find(l => String(l.folder_name).toUpperCase() === folder);
+    return !!site && session.canManageLocation(req, site.name);
+  }
+
+  return router;
+};
@@ -1,51 +1,140 @@
-// timeclock.js
-const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const OneDriveService = require('../middleware/onedrive');
-const Database = require('../database'); // your database.js
-
-const router = express.Router();
-const upload = multer({ dest: path.join(__dirname, '..', 'uploads') }); // disk temp storage
-const db = new Database();
-const oneDrive = new OneDriveService();
-
-// POST /api/clock-in-with-photo  (email + photo)
-router.post('/api/clock-in-with-photo', upload.single('photo'), async (req, res) => {
-  try {
-    const email = (req.body.email || '').trim().toLowerCase();
-    if (!email) return res.status(400).json({ error: 'Email required' });
-    if (!req.file) return res.status(400).json({ error: 'Photo required' });
-
-    // 1) Clock in (your existing db logic)
-    const result = await db.clockIn(email, null); // photoUrl to be set after upload
-
-    // 2) Upload to OneDrive under {BASE}/{email}/timestamp_email_filename
-    const info = await oneDrive.uploadFile(req.file.path, req.file.originalname, email);
-
-    // 3) Save OneDrive link in your DB if desired (photo_uploads or time_records)
-    await db.savePhotoRecord(
-      result.timeRecordId,
-      email,
-      req.file.originalname,
-      info.fileName,
-      req.file.size
-    );
-    await db.updatePhotoOneDriveUrl(/*photoId if you track it*/ info.oneDriveUrl);
-
-    // 4) Cleanup local temp file
-    await oneDrive.cleanupLocalFile(req.file.path);
-
-    res.json({
-      ok: true,
-      timeRecordId: result.timeRecordId,
-      sessionId: result.sessionId,
-      webUrl: info.oneDriveUrl
-    });
-  } catch (e) {
-    console.error('clock-in-with-photo error:', e?.response?.status, e?.response?.data || e.message);
-    res.status(500).json({ error: 'Clock-in with photo failed', detail: e.message });
-  }
-});
-
-module.exports = router;
+// routes/timeclock.js — an employee's own punches: status, clock-in (photo → upload queue), clock-out,
+// breaks and their time records
+const express  = require('express');
+const session  = require('../middleware/session');
+const exif     = require('../middleware/exif');
+const geofence = require('../middleware/geofence');
+const { httpError, removeUploadedFiles, sendServiceError } = require('../middleware/errors');
+const { v, coordFields, validate } = require('../middleware/validate');
+
+const rangeSchema = {
+  query: { startDate: v.dateTime().optional(), endDate: v.dateTime().optional() },
+};
+
+const punchSchema = { body: coordFields };
+
+const breakSchema = {
+  body: { type: v.oneOf(['meal', 'rest']).default('meal') },
+};
+
+module.exports = function timeclockRoutes({ db, timeRecords, uploadQueue, locationService, newHireService, upload }) {
+  const router = express.Router();
+
+  router.get('/status/:email', session.requireSelf('email'), async (req, res) => {
+    try {
+      const email = req.user.email;
+      const active = await db.getActiveSession(email);
+      const onBreak = active ? await db.getOpenBreak(active.time_record_id) : null;
+      res.json({
+        isLoggedIn: !!active,
+        session: active || null,
+        onBreak: !!onBreak,
+        break: onBreak || null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to check user status');
+    }
+  });
+
+  // /clock-in-with-photo: the name the old standalone clock-in router used
+  router.post(['/clock-in', '/clock-in-with-photo'], session.requireEmployee, upload.single('photo'), exif.extractExif, validate(punchSchema), async (req, res) => {
+    let clock = null;
+    try {
+      const email = req.user.email;
+      if (!req.file) throw httpError(400, 'Photo is required for clock in', 'PHOTO_REQUIRED');
+
+      const geo = await locationService.checkFence(req.user.location, req.valid.body);
+      if (!geo.allowed) throw geofence.rejectionError(geo, req.user.location);
+
+      // Expired required paperwork (EXPIRED_DOCUMENTS_POLICY): block stops here, flag marks the shift
+      const docs = await newHireService.clockInCheck(email);
+      const expired = docs.expired.map(d => `${d.label} (expired ${d.expiresOn})`).join(', ');
+      if (docs.expired.length && docs.policy === 'block') {
+        throw httpError(403, `Your ${expired} must be renewed before you can clock in`, 'DOCUMENTS_EXPIRED', { documents: docs.expired });
+      }
+
+      // The shift, its photo row and the photo's queue entry are written together: once a shift
+      // points at the photo, the queue owns the file and nothing here may delete it
+      let photo;
+      clock = await db.transaction(async () => {
+        const shift = await timeRecords.clockIn(email, req.file.path, geo);
+        photo = exif.verifyCaptureTime(req.file.exif, shift.clockInTime);
+        const photoRecord = await db.savePhotoRecord(shift.timeRecordId, email, req.file.originalname, req.file.filename, req.file.size,
+          { exif: req.file.exif, ...photo });
+        // background upload (retried until storage confirms)
+        await db.enqueueUpload({
+          kind:       'clock_in_photo',
+          refId:      photoRecord.id,
+          localPath:  req.file.path,
+          remoteName: `clock-in-${Date.now()}.jpg`,
+          subPath:    email,
+        });
+        return shift;
+      });
+      uploadQueue.kick();
+
+      const reasons = [];
+      if (geo.status === 'outside') reasons.push(`Clock-in ${geo.distanceMeters} m outside the ${req.user.location} geofence`);
+      if (photo.check === 'stale')  reasons.push(`Clock-in photo taken ${Math.abs(photo.skewMinutes)} min ${photo.skewMinutes > 0 ? 'before' : 'after'} the punch`);
+      if (docs.expired.length)      reasons.push(`Clocked in with expired documents: ${expired}`);
+      if (reasons.length) await timeRecords.flagForReview(clock.timeRecordId, reasons.join('; '));
+
+      res.json({ success: true, message: 'Successfully clocked in', data: { ...clock, geofence: geo.status, photoCheck: photo.check }, timestamp: new Date().toISOString() });
+    } catch (e) {
+      if (!clock) removeUploadedFiles(req);
+      sendServiceError(res, e, 'Failed to clock in');
+    }
+  });
+
+  router.post('/clock-out', session.requireEmployee, validate(punchSchema), async (req, res) => {
+    try {
+      const email = req.user.email;
+      const geo = await locationService.checkFence(req.user.location, req.valid.body);
+      if (!geo.allowed) throw geofence.rejectionError(geo, req.user.location);
+
+      // A closed pay period leaves the record alone and flags it (result.periodClosed)
+      const result = await timeRecords.clockOut(email, geo);
+      if (geo.status === 'outside' && !result.periodClosed) {
+        await timeRecords.flagForReview(result.timeRecordId, `Clock-out ${geo.distanceMeters} m outside the ${req.user.location} geofence`);
+      }
+      const message = result.periodClosed ? 'Clocked out; this week is already approved, so a manager will record your hours' : 'Successfully clocked out';
+      res.json({ success: true, message, data: { ...result, geofence: geo.status }, timestamp: new Date().toISOString() });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to clock out');
+    }
+  });
+
+  // Breaks: meal breaks are unpaid (deducted at clock-out); rest breaks are paid
+  router.post('/break-start', session.requireEmployee, validate(breakSchema), async (req, res) => {
+    try {
+      const { type } = req.valid.body;
+      const result = await timeRecords.startBreak(req.user.email, type, type === 'rest');
+      res.json({ success: true, message: 'Break started', data: result, timestamp: new Date().toISOString() });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to start break');
+    }
+  });
+
+  router.post('/break-end', session.requireEmployee, async (req, res) => {
+    try {
+      const result = await timeRecords.endBreak(req.user.email);
+      res.json({ success: true, message: 'Break ended', data: result, timestamp: new Date().toISOString() });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to end break');
+    }
+  });
+
+  router.get('/records/:email', session.requireSelf('email'), validate(rangeSchema), async (req, res) => {
+    try {
+      const email = req.user.email;
+      const { startDate, endDate } = req.valid.query;
+      const records = await db.getTimeRecordsForUser(email, startDate, endDate);
+      res.json({ success: true, data: records, count: records.length, timestamp: new Date().toISOString() });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to retrieve time records');
+    }
+  });
+
+  return router;
+};
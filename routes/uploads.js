@@ -0,0 +1,183 @@
+// routes/uploads.js — the timesheet upload page: locations, jobsites, remaining quota and /submit
+const express  = require('express');
+const fs       = require('fs');
+const path     = require('path');
+const geofence = require('../middleware/geofence');
+const { md, weekSpan } = require('../middleware/weeks');
+const { httpError, removeUploadedFiles, sendServiceError } = require('../middleware/errors');
+const { parseClientYMD, v, coordFields, validate, idParam } = require('../middleware/validate');
+
+const usageSchema = {
+  query: { location: v.name() },
+};
+
+// The pages have sent the date under a few names over time; the first one present wins
+const submitSchema = {
+  body: {
+    location:          v.name(),
+    jobsite:           v.name().optional(),
+    jobsiteId:         v.int({ min: 1 }).optional(),
+    confirmNewJobsite: v.boolean().default(false),
+    code:              v.string({ max: 100 }).optional(),
+    date:              v.date().optional(),
+    selectedDate:      v.date().optional(),
+    photoDate:         v.date().optional(),
+    ...coordFields,
+  },
+};
+
+module.exports = function uploadRoutes({
+  db, photoStore, locationService, jobsiteService, uploaderService, upload,
+  maxFileSize: MAX_FILE_SIZE, submissionRoot: SUBMISSION_ROOT,
+}) {
+  const router = express.Router();
+  router.param('id', idParam);
+
+  // Lets the upload pages validate file size against the server's MAX_FILE_SIZE
+  router.get('/upload-limits', (_req, res) => {
+    const allowed = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/jpg').split(',');
+    res.json({ ok: true, maxFileSize: MAX_FILE_SIZE, allowedTypes: allowed });
+  });
+
+  router.get('/locations', async (_req, res) => {
+    try {
+      const active = await locationService.list();
+      res.json({ ok: true, locations: active.map(l => l.name), items: active.map(l => ({ id: l.id, name: l.name })) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load locations');
+    }
+  });
+
+  // Jobsite dropdown for the upload page; ?q= returns near matches for what was typed
+  router.get('/locations/:id/jobsites', validate({ query: { q: v.string({ max: 100 }).optional() } }), async (req, res) => {
+    try {
+      const site = await db.getLocationById(parseInt(req.params.id, 10));
+      if (!site || !site.is_active) throw httpError(404, 'Unknown location', 'UNKNOWN_LOCATION');
+
+      const q = req.valid.query.q;
+      if (q) return res.json({ ok: true, suggestions: await jobsiteService.suggest(site.id, q) });
+
+      const jobsites = await jobsiteService.list(site.id);
+      res.json({ ok: true, allowNew: !!site.allow_new_jobsites, jobsites: jobsites.map(j => ({ id: j.id, name: j.name })) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load jobsites');
+    }
+  });
+
+
+  // Remaining quota for whoever is asking (same code / sign-in as /api/submit): ?location=NAME, with
+  // the code in X-Upload-Code so it stays out of URLs and access logs
+  router.get('/uploads/usage', validate(usageSchema), async (req, res) => {
+    try {
+      const uploader = await uploaderService.identify(req, req.get('X-Upload-Code'));
+      if (!uploader) throw httpError(401, 'An upload code or sign-in is required', 'UPLOAD_CODE_REQUIRED');
+      const site = await locationService.findActive(req.valid.query.location);
+      if (!site) throw httpError(400, 'Unknown location', 'UNKNOWN_LOCATION');
+      uploaderService.assertLocation(uploader, site);
+
+      const usage = await uploaderService.usage(uploader, site, locationService.dailyLimit(site));
+      res.json({ ok: true, ...usage, remaining: Math.min(usage.uploader.remaining, usage.location.remaining ?? Infinity) });
+    } catch (e) {
+      sendServiceError(res, e, 'Failed to load usage');
+    }
+  });
+
+  // Timesheet upload: Company / WeekRange / Jobsite  ->  file named by date (M-D)
+  router.post(
+    '/submit',
+    // Accept either "photos" (multiple) or "photo" (single)
+    upload.fields([
+      { name: 'photos', maxCount: 10 },
+      { name: 'photo',  maxCount: 1  },
+    ]),
+    validate(submitSchema),
+    async (req, res) => {
+      let reserved = [];
+      try {
+        const { location, jobsite, jobsiteId, confirmNewJobsite, code } = req.valid.body;
+
+        const files = [
+          ...(req.files?.photos || []),
+          ...(req.files?.photo  || []),
+        ];
+
+        if (!(jobsite || jobsiteId)) throw httpError(400, 'Location and jobsite are required', 'VALIDATION_FAILED');
+        const uploader = await uploaderService.identify(req);
+        if (!uploader) {
+          throw code
+            ? httpError(401, 'Invalid code', 'INVALID_UPLOAD_CODE')
+            : httpError(401, 'An upload code or sign-in is required', 'UPLOAD_CODE_REQUIRED');
+        }
+        const site = await locationService.findActive(location);
+        if (!site) throw httpError(400, 'Unknown location', 'UNKNOWN_LOCATION');
+        if (files.length === 0) throw httpError(400, 'At least one photo is required', 'PHOTO_REQUIRED');
+
+        const geo = await locationService.checkFence(site.name, req.valid.body);
+        if (!geo.allowed) throw geofence.rejectionError(geo, location);
+        if (geo.status === 'outside') console.warn(`📍 Submit for ${location} from ${geo.distanceMeters} m outside its geofence`);
+
+        // Daily limits (per uploader at this location, and the location's total) + managed jobsite
+        // (unknown names may be queued for approval, see middleware/jobsites.js)
+        uploaderService.assertLocation(uploader, site);
+        const dailyLimit = locationService.dailyLimit(site);
+        await uploaderService.assertQuota(uploader, site, dailyLimit, files.length);
+        const jobsiteRow = await jobsiteService.resolveForSubmit(site, {
+          jobsiteId:  jobsiteId || null,
+          jobsite,
+          confirmNew: confirmNewJobsite,
+          requestedBy: uploader.name,
+        });
+        // Checked again while taking the rows, in case another submit used the quota meanwhile
+        const { usage, ids } = await uploaderService.reserve(uploader, site, dailyLimit, files, { geo, jobsite: jobsiteRow });
+        reserved = ids;
+
+        // --- build nested path: Location -> Week -> Jobsite -> DateFolder ---
+      // --- build nested path: Location -> Week -> Jobsite -> DateFolder ---
+      // Accept several possible field names from the client; use first non-empty.
+      const dateStr = req.valid.body.date || req.valid.body.selectedDate || req.valid.body.photoDate || '';
+      const refDate = parseClientYMD(dateStr) || new Date();   // fallback to "today" if missing
+      const weekLabel  = weekSpan(refDate);  // e.g. "8-18 - 8-24" based on the selected day
+      const dateFolder = md(refDate);        // e.g. "8-25"
+      console.log('🗓️ Using refDate:', refDate.toString(), 'from payload:', dateStr || '(today)');
+              // e.g. "8-20"
+
+        const subPath        = [SUBMISSION_ROOT, site.folder_name, weekLabel, jobsiteRow.folder_name, dateFolder].filter(Boolean).join('/');
+
+        const results = [];
+        for (const [i, f] of files.entries()) {
+          const ext        = (path.extname(f.originalname || '').toLowerCase()) || '.jpg';
+          const remoteName = `${dateFolder}${ext}`; // onedrive.js appends a timestamp so no clashes
+          const info       = await photoStore.upload(f.path, remoteName, subPath);
+
+          // fill in the row reserved for this file
+          await db.completeLocationUpload(ids[i], info);
+          reserved = ids.slice(i + 1);
+
+          results.push({ id: info.id, url: info.webUrl, name: info.fileName });
+          try { fs.existsSync(f.path) && fs.unlinkSync(f.path); } catch {}
+        }
+
+        return res.json({
+          ok: true,
+          location: site.name,
+          jobsite: jobsiteRow.name,
+          jobsiteStatus: jobsiteRow.status,
+          week: weekLabel,
+          dateFolder,
+          geofence: geo.status,
+          uploader: uploader.name,
+          remainingToday: Math.min(usage.uploader.remaining, usage.location.remaining ?? Infinity) - results.length,
+          count: results.length,
+          files: results,
+        });
+      } catch (e) {
+        // Files that never reached storage give their quota back
+        await db.deleteLocationUploads(reserved).catch(err => console.error('❌ Releasing reserved uploads:', err.message));
+        removeUploadedFiles(req);
+        sendServiceError(res, e, 'Submit failed');
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,123 @@
+// scripts/backup-database.js — consistent online backups of timeclock.db, with rotation and restore
+//
+//   npm run backup-db                       snapshot into backups/ (VACUUM INTO; safe while the server runs)
+//   npm run backup-db -- list               list existing backups, newest first
+//   npm run backup-db -- restore <file>     replace the live database with a backup (stop the server first)
+//
+// BACKUP_DIR (default ./backups) and BACKUP_KEEP (default 14) control where snapshots go and how many stay.
+require('dotenv').config();
+const fs      = require('fs');
+const path    = require('path');
+const sqlite3 = require('sqlite3');
+
+const DB_PATH    = process.env.DB_PATH || path.join(__dirname, '..', 'timeclock.db');
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups');
+const KEEP       = parseInt(process.env.BACKUP_KEEP, 10) || 14;
+const PREFIX     = 'timeclock-';
+
+function open(file, mode = sqlite3.OPEN_READWRITE) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, mode, err => (err ? reject(err) : resolve(db)));
+  });
+}
+
+const exec  = (db, sql, params = []) => new Promise((res, rej) => db.run(sql, params, err => (err ? rej(err) : res())));
+const get   = (db, sql) => new Promise((res, rej) => db.get(sql, (err, row) => (err ? rej(err) : res(row))));
+const close = db => new Promise(res => db.close(() => res()));
+
+function stamp(d = new Date()) {
+  return d.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);   // 20250314-092653
+}
+
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(f => f.startsWith(PREFIX) && f.endsWith('.db'))
+    .map(f => {
+      const full = path.join(BACKUP_DIR, f);
+      const st = fs.statSync(full);
+      return { file: f, path: full, size: st.size, mtime: st.mtime };
+    })
+    .sort((a, b) => b.file.localeCompare(a.file));
+}
+
+async function integrityCheck(file) {
+  const db = await open(file, sqlite3.OPEN_READONLY);
+  try {
+    const row = await get(db, 'PRAGMA integrity_check');
+    return row && row.integrity_check === 'ok';
+  } finally {
+    await close(db);
+  }
+}
+
+async function backup({ label = '' } = {}) {
+  if (!fs.existsSync(DB_PATH)) throw new Error(`No database at ${DB_PATH}`);
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  const name = `${PREFIX}${stamp()}${label ? '-' + label : ''}.db`;
+  const dest = path.join(BACKUP_DIR, name);
+
+  // VACUUM INTO reads inside one transaction, so the copy is consistent even mid-write
+  const db = await open(DB_PATH);
+  try {
+    await exec(db, 'PRAGMA busy_timeout = 5000');
+    await exec(db, 'VACUUM INTO ?', [dest]);
+  } finally {
+    await close(db);
+  }
+  if (!(await integrityCheck(dest))) throw new Error(`Backup ${name} failed its integrity check`);
+
+  console.log(`✅ Backup written: ${dest} (${(fs.statSync(dest).size / 1024).toFixed(1)} KB)`);
+  rotate();
+  return dest;
+}
+
+// Keep the newest KEEP snapshots; pre-restore safety copies are never rotated away
+function rotate() {
+  const old = listBackups().filter(b => !b.file.includes('-pre-restore')).slice(KEEP);
+  for (const b of old) {
+    fs.unlinkSync(b.path);
+    console.log(`🗑️  Rotated out ${b.file}`);
+  }
+}
+
+async function restore(fileArg) {
+  if (!fileArg) throw new Error('restore needs a backup file (see `npm run backup-db -- list`)');
+  const src = fs.existsSync(fileArg) ? fileArg : path.join(BACKUP_DIR, fileArg);
+  if (!fs.existsSync(src)) throw new Error(`Backup not found: ${fileArg}`);
+  if (!(await integrityCheck(src))) throw new Error(`${src} failed its integrity check; not restoring`);
+
+  // Snapshot what we're about to overwrite so a bad restore can be undone
+  if (fs.existsSync(DB_PATH)) await backup({ label: 'pre-restore' });
+
+  const tmp = DB_PATH + '.restore';
+  fs.copyFileSync(src, tmp);
+  for (const suffix of ['-wal', '-shm']) {
+    if (fs.existsSync(DB_PATH + suffix)) fs.unlinkSync(DB_PATH + suffix);
+  }
+  fs.renameSync(tmp, DB_PATH);
+  console.log(`✅ Restored ${src} → ${DB_PATH}. Start the server to apply any newer migrations.`);
+}
+
+async function main([command = 'backup', arg] = []) {
+  switch (command) {
+    case 'backup':
+      return backup();
+    case 'list': {
+      const all = listBackups();
+      if (!all.length) return console.log(`No backups in ${BACKUP_DIR}`);
+      all.forEach(b => console.log(b.file.padEnd(48), `${(b.size / 1024).toFixed(1)} KB`.padStart(10), b.mtime.toISOString()));
+      return;
+    }
+    case 'restore':
+      return restore(arg);
+    default:
+      throw new Error(`Unknown command "${command}" (use backup, list or restore)`);
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error('❌', err.message);
+  process.exitCode = 1;
+});
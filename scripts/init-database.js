@@ -0,0 +1,51 @@
+// scripts/init-database.js — create/upgrade timeclock.db via the versioned migrations
+//
+//   npm run init-db                     apply every pending migration
+//   npm run init-db -- up <version>     migrate up to (and including) <version>
+//   npm run init-db -- down [steps]     roll back the last [steps] migrations (default 1)
+//   npm run init-db -- status           list migrations and when each was applied
+require('dotenv').config();
+const Database = require('../database');
+const Migrator = require('../middleware/migrator');
+
+async function main([command = 'up', arg] = []) {
+  const db = new Database({ autoMigrate: false });
+  const migrator = new Migrator(db);
+  console.log(`🗄️  Database: ${db.dbPath}`);
+
+  try {
+    switch (command) {
+      case 'up': {
+        const target = arg !== undefined ? parseInt(arg, 10) : Infinity;
+        if (Number.isNaN(target)) throw new Error('up expects a numeric version');
+        const ran = await migrator.up(target);
+        if (!ran.length) console.log('Nothing to migrate.');
+        break;
+      }
+      case 'down': {
+        const steps = arg !== undefined ? parseInt(arg, 10) : 1;
+        if (!(steps > 0)) throw new Error('down expects a positive number of steps');
+        const ran = await migrator.down(steps);
+        if (!ran.length) console.log('Nothing to roll back.');
+        break;
+      }
+      case 'status': {
+        for (const m of await migrator.status()) {
+          const mark = m.appliedAt ? `✅ ${m.appliedAt}` : '⏳ pending';
+          console.log(`${String(m.version).padStart(3, '0')}_${m.name}`.padEnd(42), mark);
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}" (use up, down or status)`);
+    }
+    console.log(`Schema version: ${await migrator.currentVersion()}`);
+  } finally {
+    await db.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error('❌', err.message);
+  process.exitCode = 1;
+});
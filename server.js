@@ -15,17 +15,8 @@ const fs        = require('fs');
 
 // Your W-9 file (make sure the file name & casing matches what's in the repo)
 const W9_FILE     = process.env.W9_FILE || 'IRS-Form-W9-2024.pdf';
-const W9_ABS_PATH = path.join(__dirname, W9_FILE);
+const W9_ABS_PATH = path.resolve(__dirname, W9_FILE);
 console.log('📄 W-9 path:', W9_ABS_PATH);
-// Parse "YYYY-MM-DD" from client without timezone shift.
-// We create a noon (12:00) date so DST/offsets don't roll the day.
-function parseClientYMD(s) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || ''));
-  if (!m) return null;
-  const y = +m[1], mo = +m[2] - 1, d = +m[3];
-  // Use local time at noon to avoid crossing days due to TZ shifts
-  return new Date(y, mo, d, 12, 0, 0, 0);
-}
 
 
 // Find pdfjs-dist viewer & build dirs no matter which layout your version uses
@@ -97,8 +88,22 @@ if (!pdfjs) {
 // ───────────────────────────────────────────────────────────────────────────────
 // App / Services
 // ───────────────────────────────────────────────────────────────────────────────
-const OneDriveService = require('./middleware/onedrive');
+const { createStorage } = require('./middleware/storage');
+const UploadQueue     = require('./middleware/uploadQueue');
+const session         = require('./middleware/session');
+const TimeRecordService = require('./middleware/timeRecords');
+const ShiftSweeper    = require('./middleware/shiftSweeper');
+const DriveReconciler = require('./middleware/driveReconciler');
+const LocationService = require('./middleware/locations');
+const JobsiteService  = require('./middleware/jobsites');
+const UploaderService = require('./middleware/uploaders');
+const SubmissionBrowser = require('./middleware/submissions');
+const NewHireService  = require('./middleware/newHires');
+const DocumentTypeService = require('./middleware/documentTypes');
+const ExpirySweeper   = require('./middleware/expirySweeper');
 const Database        = require('./database');
+const createApiRouter = require('./routes');
+const { httpError, notFound, errorHandler } = require('./middleware/errors');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
@@ -125,18 +130,37 @@ function mountStaticFixed(route, dir) {
 })();
 
 const db                 = new Database();
-const oneDriveService    = new OneDriveService();
-const oneDriveDocs       = new OneDriveService({
+// STORAGE_BACKEND=onedrive (default) | local | s3 — see middleware/storage.js
+const photoStore         = createStorage({ folderPath: process.env.ONEDRIVE_FOLDER_PATH || 'TimeClock_Photos' });
+const docStore           = createStorage({
   folderPath: process.env.ONEDRIVE_DOCS_FOLDER_PATH || 'Worker_Documents'
 });
 
+const timeRecords        = new TimeRecordService(db);
+const shiftSweeper       = new ShiftSweeper({ db, timeRecords });
+
+// Clock-in photos go through the durable queue so a Graph outage doesn't lose them
+const uploadQueue        = new UploadQueue({
+  db,
+  storage: photoStore,
+  handlers: {
+    clock_in_photo: {
+      onComplete: (item, info) => db.updatePhotoOneDriveUrl(item.ref_id, info.webUrl, info),
+      onFailed:   (item)       => db.setPhotoUploadStatus(item.ref_id, 'failed'),
+    },
+  },
+});
+
+// Marks uploads whose stored file was moved/deleted and finds stored files with no upload row
+const driveReconciler    = new DriveReconciler({ db, storage: photoStore });
+
 // ───────────────────────────────────────────────────────────────────────────────
 // Environment sanity
 // ───────────────────────────────────────────────────────────────────────────────
-if (!process.env.ONEDRIVE_SERVICE_UPN) {
+if (photoStore.name === 'onedrive' && !process.env.ONEDRIVE_SERVICE_UPN) {
   console.warn('⚠️  ONEDRIVE_SERVICE_UPN is not set in .env — uploads will fail.');
 }
-console.log('📂 OneDrive base folder:', process.env.ONEDRIVE_FOLDER_PATH || 'TimeClock_Photos');
+console.log(`📂 Storage: ${photoStore.name}, base folder:`, photoStore.folderPath);
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Middleware
@@ -144,7 +168,7 @@ console.log('📂 OneDrive base folder:', process.env.ONEDRIVE_FOLDER_PATH || 'T
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
   max:      parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message:  { error: 'Too many requests from this IP, please try again later.' }
+  message:  { error: 'Too many requests from this IP, please try again later.', code: 'RATE_LIMITED' }
 });
 app.use('/api/', limiter);
 
@@ -160,8 +184,17 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve your site files (index.html, etc.) from the project root
-app.use(express.static(path.join(__dirname)));
+// Who is calling: req.user comes from the signed session cookie, never from the body
+app.use(session.loadSession(db));
+
+// Serve the site's pages (index.html, etc.) and the blank W-9 from the project root. Nothing else
+// there is public: it also holds the database, .env, uploads/ and the local backend's storage/.
+const sitePages = express.static(path.join(__dirname));
+const PUBLIC_FILES = new Set(['/w9.PDF', '/' + W9_FILE]);
+app.use((req, res, next) => {
+  if (/^\/(?:[\w-]+\.html)?$/.test(req.path) || PUBLIC_FILES.has(req.path)) return sitePages(req, res, next);
+  next();
+});
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Shortcuts for W-9
@@ -208,7 +241,8 @@ app.all(['/w9.pdf', '/W9.pdf'], (_req, res) => res.redirect(302, '/download/w9')
 // ───────────────────────────────────────────────────────────────────────────────
 // Upload directories & Multer
 // ───────────────────────────────────────────────────────────────────────────────
-const uploadDir = path.join(__dirname, 'uploads');
+// Multer's temp files (removed once stored); the tests point this at a temp dir
+const uploadDir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
 try {
   if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
@@ -244,373 +278,102 @@ const docStorage = multer.diskStorage({
   }
 });
 
+// Large files are fine now: OneDriveService switches to chunked upload sessions above ~4 MB
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+
 const upload = multer({
   storage,
-  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 },
+  limits: { fileSize: MAX_FILE_SIZE },
   fileFilter(_req, file, cb) {
     const allowed = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/jpg').split(',');
-    allowed.includes(file.mimetype) ? cb(null, true) : cb(new Error('Invalid file type.'));
+    allowed.includes(file.mimetype) ? cb(null, true) : cb(httpError(400, 'Invalid file type.', 'UNSUPPORTED_FILE_TYPE'));
   }
 });
 
 const uploadDocs = multer({
   storage: docStorage,
-  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 },
+  limits: { fileSize: MAX_FILE_SIZE },
+  // Each document type narrows this down further (NewHireService.assertFile)
   fileFilter(_req, file, cb) {
-    const allowed = ['application/pdf', 'image/jpeg', 'image/png', 'image/jpg'];
-    allowed.includes(file.mimetype) ? cb(null, true) : cb(new Error('Invalid file type. Allowed: PDF, JPG, PNG.'));
+    DocumentTypeService.DOCUMENT_MIME_TYPES.includes(file.mimetype) ? cb(null, true) : cb(httpError(400, 'Invalid file type. Allowed: PDF, JPG, PNG.', 'UNSUPPORTED_FILE_TYPE'));
   }
 });
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Helpers & config
 // ───────────────────────────────────────────────────────────────────────────────
-// --- Timesheet helpers ---
-// ===== Helpers (place near top of server.js) =====
-function startOfWeek(d) {           // Monday -> Sunday
-  const x = new Date(d.getFullYear(), d.getMonth(), d.getDate());
-  const day = x.getDay();           // 0 Sun..6 Sat
-  const diff = (day === 0 ? -6 : 1) - day;
-  x.setDate(x.getDate() + diff);
-  x.setHours(0,0,0,0);
-  return x;
-}
-function endOfWeek(d) {
-  const s = startOfWeek(d);
-  const e = new Date(s);
-  e.setDate(s.getDate() + 6);
-  return e;
-}
-function md(date) {                 // M-D (no leading zeroes)
-  return `${date.getMonth()+1}-${date.getDate()}`;
-}
-function weekSpan(date) {           // "M-D - M-D"
-  return `${md(startOfWeek(date))} - ${md(endOfWeek(date))}`;
-}
-function cleanName(s){              // keep OneDrive happy
-  return (s||'').trim().replace(/[\\/:*?"<>|]/g,'').replace(/\s+/g,' ').trim();
-}
-
-
-const authorizedEmails = (process.env.AUTHORIZED_EMAILS || '')
-  .split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
-function isAuthorizedEmail(email) {
-  if (authorizedEmails.length === 0) return true;
-  return authorizedEmails.includes((email || '').toLowerCase());
-}
-
-async function uploadToOneDriveAsync(localPath, subFolder, remoteName) {
-  const result = await oneDriveService.uploadFile(localPath, remoteName, subFolder);
-  await oneDriveService.cleanupLocalFile(localPath);
-  return result;
-}
 
-const locationsConfigPath = path.join(__dirname, 'config', 'locations.json');
-
-function loadLocationsFromDisk() {
-  try {
-    const raw = fs.readFileSync(locationsConfigPath, 'utf8');
-    const data = JSON.parse(raw);
-
-    // Accept either a bare array or { locations: [...] }
-    if (Array.isArray(data))           return { locations: data };
-    if (Array.isArray(data.locations)) return { locations: data.locations };
-
-    console.warn('⚠️  locations.json has unexpected structure; using empty list.');
-  } catch (e) {
-    console.warn('⚠️  locations.json missing/invalid; dropdown will be empty.', e.message);
+// Legacy AUTHORIZED_EMAILS allowlist → user rows (access is now the per-user is_active flag)
+async function seedAuthorizedEmails() {
+  const emails = (process.env.AUTHORIZED_EMAILS || '')
+    .split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+  await db.ready;
+  let created = 0;
+  for (const email of emails) {
+    if (!(await db.findUserByEmail(email))) {
+      await db.createUser(email);
+      created++;
+    }
   }
-  return { locations: [] };
+  if (created) console.log(`👤 Imported ${created} user(s) from AUTHORIZED_EMAILS — set their PINs via /api/admin/users`);
 }
 
-// Initial in-memory copy (will be refreshed per request below)
-let LOCATIONS = loadLocationsFromDisk();
-
-function saveLocationsFile(list) {
-  const cfgDir = path.dirname(locationsConfigPath);
-  if (!fs.existsSync(cfgDir)) fs.mkdirSync(cfgDir, { recursive: true });
-
-  const tmpPath = locationsConfigPath + '.tmp';
-  const payload = JSON.stringify({ locations: list }, null, 2);
-  fs.writeFileSync(tmpPath, payload, 'utf8');
-  fs.renameSync(tmpPath, locationsConfigPath);
+// First admin: ADMIN_EMAIL is promoted (or created) when no active admin exists yet.
+// ADMIN_INITIAL_PASSWORD is only used if that account has no PIN/password.
+async function bootstrapAdmin() {
+  const email = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  await db.ready;
+  if (!email || (await db.countAdmins()) > 0) return;
+
+  let user = await db.findUserByEmail(email);
+  if (!user) user = await db.createUser(email);
+  const initial = process.env.ADMIN_INITIAL_PASSWORD || '';
+  const passwordHash = !user.password_hash && session.isAcceptableSecret(initial)
+    ? await session.hashPassword(initial)
+    : undefined;
+  await db.updateUser(user.id, { role: 'admin', isActive: true, passwordHash });
+  console.log(`🔑 ${email} promoted to admin${passwordHash ? ' (initial password set)' : ''}`);
 }
 
+const OVERTIME_WEEKLY_HOURS = parseFloat(process.env.OVERTIME_WEEKLY_HOURS) || 40;
+// DAILY_UPLOAD_LIMIT is per uploader (crew code / login) per location; LOCATION_DAILY_UPLOAD_LIMIT
+// caps a location's total and can be overridden per location (unset = no total cap)
 const DAILY_UPLOAD_LIMIT = parseInt(process.env.DAILY_UPLOAD_LIMIT || '5', 10);
+const LOCATION_DAILY_UPLOAD_LIMIT = parseInt(process.env.LOCATION_DAILY_UPLOAD_LIMIT, 10) || null;
 const UNIVERSAL_CODE     = (process.env.UNIVERSAL_CODE || '').trim();
-const ADMIN_CODE = (process.env.ADMIN_CODE || process.env.UNIVERSAL_CODE || '').trim();
-
-function saveLocationsFile(list) {
-  const cfgDir = path.dirname(locationsConfigPath);
-  if (!fs.existsSync(cfgDir)) fs.mkdirSync(cfgDir, { recursive: true });
 
-  const tmpPath = locationsConfigPath + '.tmp';
-  const payload = JSON.stringify({ locations: list }, null, 2);
-  fs.writeFileSync(tmpPath, payload, 'utf8');
-  fs.renameSync(tmpPath, locationsConfigPath);
+// Locations live in the database; config/locations.json is only read once to seed an empty table
+const locationsConfigPath = path.join(__dirname, 'config', 'locations.json');
+const locationService     = new LocationService(db, { defaultDailyLimit: LOCATION_DAILY_UPLOAD_LIMIT });
+const jobsiteService      = new JobsiteService(db);
+const uploaderService     = new UploaderService(db, { defaultDailyLimit: DAILY_UPLOAD_LIMIT, universalCode: UNIVERSAL_CODE });
+const documentTypeService = new DocumentTypeService(db);
+// DOCUMENT_EXPIRY_WARN_DAYS / EXPIRED_DOCUMENTS_POLICY (allow | flag | block clock-in) are read there
+const newHireService      = new NewHireService(db, docStore, { documentTypes: documentTypeService, w9Template: W9_ABS_PATH, tmpDir: uploadDir });
+const expirySweeper       = new ExpirySweeper({ db, newHireService });
+
+// /api/submit files under TimeClock_Photos/… unless ONEDRIVE_FOLDER_PATH already includes it
+const SUBMISSION_ROOT     = /(^|\/)TimeClock_Photos(\/|$)/i.test(photoStore.folderPath || '') ? '' : 'TimeClock_Photos';
+const submissionBrowser   = new SubmissionBrowser(db, photoStore, { rootPath: SUBMISSION_ROOT });
+
+async function seedLocations() {
+  await db.ready;
+  if ((await db.countLocations()) > 0 || !fs.existsSync(locationsConfigPath)) return;
+  const { imported } = await locationService.importFromJson(locationsConfigPath);
+  console.log(`📍 Imported ${imported.length} location(s) from config/locations.json`);
 }
 
-
-
-
 // ───────────────────────────────────────────────────────────────────────────────
-// API
+// API (routes/): /api/v1/…, with the unversioned /api/… paths kept as aliases
 // ───────────────────────────────────────────────────────────────────────────────
-app.get('/api/health', (_req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString(), environment: process.env.NODE_ENV || 'development' });
-});
-
-app.get('/api/status/:email', async (req, res) => {
-  try {
-    const { email } = req.params;
-    if (!email || !email.includes('@')) return res.status(400).json({ error: 'Valid email is required' });
-    const active = await db.getActiveSession(email);
-    res.json({ isLoggedIn: !!active, session: active || null, timestamp: new Date().toISOString() });
-  } catch (e) {
-    console.error('Status error:', e);
-    res.status(500).json({ error: 'Failed to check user status' });
-  }
-});
-
-app.get('/api/locations', (_req, res) => {
-  LOCATIONS = loadLocationsFromDisk(); // hot reload from disk on every call
-  console.log('📍 /api/locations ->', LOCATIONS.locations.length, 'items');
-  res.json({ ok: true, locations: LOCATIONS.locations || [] });
-});
-
-
-// Timesheet upload: Company / WeekRange / Jobsite  ->  file named by date (M-D)
-app.post(
-  '/api/submit',
-  // Accept either "photos" (multiple) or "photo" (single)
-  upload.fields([
-    { name: 'photos', maxCount: 10 },
-    { name: 'photo',  maxCount: 1  },
-  ]),
-  async (req, res) => {
-    try {
-      const code     = (req.body.code || '').trim();
-      const location = cleanName(req.body.location);
-      const jobsite  = cleanName(req.body.jobsite);
-
-      const files = [
-        ...(req.files?.photos || []),
-        ...(req.files?.photo  || []),
-      ];
-
-      if (!code || !location || !jobsite) {
-        files.forEach(f => { try { fs.existsSync(f.path) && fs.unlinkSync(f.path); } catch {} });
-        return res.status(400).json({ error: 'Code, location and jobsite are required' });
-      }
-      if (!UNIVERSAL_CODE || code !== UNIVERSAL_CODE) {
-        files.forEach(f => { try { fs.existsSync(f.path) && fs.unlinkSync(f.path); } catch {} });
-        return res.status(401).json({ error: 'Invalid code' });
-      }
-      if (!LOCATIONS.locations.includes(location)) {
-        files.forEach(f => { try { fs.existsSync(f.path) && fs.unlinkSync(f.path); } catch {} });
-        return res.status(400).json({ error: 'Unknown location' });
-      }
-      if (files.length === 0) {
-        return res.status(400).json({ error: 'At least one photo is required' });
-      }
-
-      // daily limit (per code+location)
-      const todayCount = await db.countLocationUploadsToday(code, location);
-      const remaining  = DAILY_UPLOAD_LIMIT - todayCount;
-      if (remaining <= 0) {
-        files.forEach(f => { try { fs.existsSync(f.path) && fs.unlinkSync(f.path); } catch {} });
-        return res.status(429).json({ error: `Daily limit reached (${DAILY_UPLOAD_LIMIT}) for ${location}` });
-      }
-      if (files.length > remaining) {
-        files.forEach(f => { try { fs.existsSync(f.path) && fs.unlinkSync(f.path); } catch {} });
-        return res.status(429).json({ error: `You can upload ${remaining} more photo(s) today for ${location}` });
-      }
-
-      // --- build nested path: Location -> Week -> Jobsite -> DateFolder ---
-    // --- build nested path: Location -> Week -> Jobsite -> DateFolder ---
-    // Accept several possible field names from the client; use first non-empty.
-    const dateStr = (req.body.date || req.body.selectedDate || req.body.photoDate || '').trim();
-    const refDate = parseClientYMD(dateStr) || new Date();   // fallback to "today" if missing/invalid
-    const weekLabel  = weekSpan(refDate);  // e.g. "8-18 - 8-24" based on the selected day
-    const dateFolder = md(refDate);        // e.g. "8-25"
-    console.log('🗓️ Using refDate:', refDate.toString(), 'from payload:', dateStr || '(today)');
-            // e.g. "8-20"
-
-      // If ONEDRIVE_FOLDER_PATH already includes TimeClock_Photos, don’t add it again.
-      const basePath       = oneDriveService.folderPath || '';
-      const needsTimeClock = !/(^|\/)TimeClock_Photos(\/|$)/i.test(basePath);
-      const subPrefix      = needsTimeClock ? 'TimeClock_Photos' : '';
-      const subPath        = [subPrefix, location, weekLabel, jobsite, dateFolder].filter(Boolean).join('/');
-
-      const results = [];
-      for (const f of files) {
-        const ext        = (path.extname(f.originalname || '').toLowerCase()) || '.jpg';
-        const remoteName = `${dateFolder}${ext}`; // onedrive.js appends a timestamp so no clashes
-        const info       = await oneDriveService.uploadFile(f.path, remoteName, subPath);
-
-        // record each file
-        await db.recordLocationUpload(code, location, f.originalname, f.filename, f.size);
-
-        results.push({ id: info.oneDriveId, url: info.oneDriveUrl, name: info.fileName });
-        try { fs.existsSync(f.path) && fs.unlinkSync(f.path); } catch {}
-      }
-
-      return res.json({
-        ok: true,
-        location,
-        jobsite,
-        week: weekLabel,
-        dateFolder,
-        count: results.length,
-        files: results,
-      });
-    } catch (e) {
-      console.error('submit error:', e?.response?.data || e.message);
-      (req.files?.photos || []).concat(req.files?.photo || []).forEach(f => {
-        try { fs.existsSync(f.path) && fs.unlinkSync(f.path); } catch {}
-      });
-      res.status(500).json({ error: 'Submit failed', detail: e.message });
-    }
-  }
-);
-
-// Add a new location (admin only)
-app.post('/api/admin/locations', async (req, res) => {
-  try {
-    const { code, name, confirm } = req.body || {};
-    if (!ADMIN_CODE || code !== ADMIN_CODE) {
-      return res.status(401).json({ error: 'Invalid admin code' });
-    }
-
-    const rawName = String(name || '').trim();
-    const rawConfirm = String(confirm || '').trim();
-    if (!rawName || !rawConfirm) {
-      return res.status(400).json({ error: 'Both name fields are required' });
-    }
-    if (rawName.toUpperCase() !== rawConfirm.toUpperCase()) {
-      return res.status(400).json({ error: 'Names do not match' });
-    }
-
-    // Normalize to uppercase to match your UI rule
-    const finalName = rawName.toUpperCase()
-      .replace(/[\\/:*?"<>|]/g, '')  // keep OneDrive-safe
-      .replace(/\s+/g, ' ')
-      .trim();
-
-    // De-duplicate (case-insensitive)
-    const existing = new Set((LOCATIONS.locations || []).map(s => s.toUpperCase()));
-    if (existing.has(finalName)) {
-      return res.json({ ok: true, message: 'Location already exists', name: finalName, locations: LOCATIONS.locations });
-    }
-
-    // Append & sort (case-insensitive)
-    const updated = [...(LOCATIONS.locations || []), finalName]
-      .filter(Boolean)
-      .sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
-
-    // Persist + update in-memory
-    saveLocationsFile(updated);
-    LOCATIONS.locations = updated;
-
-    res.json({ ok: true, name: finalName, count: updated.length, locations: updated });
-  } catch (e) {
-    console.error('Add location error:', e);
-    res.status(500).json({ error: 'Failed to add location' });
-  }
-});
-
-
-app.post('/api/clock-in', upload.single('photo'), async (req, res) => {
-  try {
-    const { email } = req.body;
-    if (!email || !email.includes('@')) throw new Error('Valid email is required');
-    if (!isAuthorizedEmail(email)) return res.status(403).json({ error: 'Email not authorized to use this system' });
-    if (!req.file) return res.status(400).json({ error: 'Photo is required for clock in' });
-
-    const clock = await db.clockIn(email, req.file.path);
-    const photoRecord = await db.savePhotoRecord(clock.timeRecordId, email, req.file.originalname, req.file.filename, req.file.size);
-
-    // background upload
-    uploadToOneDriveAsync(req.file.path, email, `clock-in-${Date.now()}.jpg`)
-      .then(info => db.updatePhotoOneDriveUrl(photoRecord.id, info.oneDriveUrl))
-      .catch(err => console.error('OneDrive async upload failed:', err?.response?.data || err.message));
-
-    res.json({ success: true, message: 'Successfully clocked in', data: clock, timestamp: new Date().toISOString() });
-  } catch (e) {
-    console.error('Clock in error:', e);
-    if (req.file?.path && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-    if (String(e.message || '').includes('already clocked in')) return res.status(409).json({ error: e.message });
-    res.status(500).json({ error: 'Failed to clock in' });
-  }
-});
-
-app.post('/api/clock-out', async (req, res) => {
-  try {
-    const { email } = req.body;
-    if (!email || !email.includes('@')) return res.status(400).json({ error: 'Valid email is required' });
-    const result = await db.clockOut(email);
-    res.json({ success: true, message: 'Successfully clocked out', data: result, timestamp: new Date().toISOString() });
-  } catch (e) {
-    console.error('Clock out error:', e);
-    if (String(e.message || '').includes('No active session')) return res.status(404).json({ error: e.message });
-    res.status(500).json({ error: 'Failed to clock out' });
-  }
-});
-
-app.get('/api/records/:email', async (req, res) => {
-  try {
-    const { email } = req.params;
-    const { startDate, endDate } = req.query;
-    if (!email || !email.includes('@')) return res.status(400).json({ error: 'Valid email is required' });
-    const records = await db.getTimeRecordsForUser(email, startDate, endDate);
-    res.json({ success: true, data: records, count: records.length, timestamp: new Date().toISOString() });
-  } catch (e) {
-    console.error('Get records error:', e);
-    res.status(500).json({ error: 'Failed to retrieve time records' });
-  }
-});
-
-app.get('/api/admin/active-users', async (_req, res) => {
-  try {
-    const activeUsers = await db.getCurrentlyLoggedInUsers();
-    res.json({ success: true, data: activeUsers, count: activeUsers.length, timestamp: new Date().toISOString() });
-  } catch (e) {
-    console.error('Get active users error:', e);
-    res.status(500).json({ error: 'Failed to retrieve active users' });
-  }
-});
-
-app.get('/api/admin/all-records', async (req, res) => {
-  try {
-    const { startDate, endDate } = req.query;
-    const records = await db.getAllTimeRecords(startDate, endDate);
-    res.json({ success: true, data: records, count: records.length, timestamp: new Date().toISOString() });
-  } catch (e) {
-    console.error('Get all records error:', e);
-    res.status(500).json({ error: 'Failed to retrieve time records' });
-  }
-});
-
-app.get('/api/admin/onedrive-files', async (_req, res) => {
-  try {
-    const files = await oneDriveService.listFiles();
-    res.json({ success: true, data: files, count: files.length });
-  } catch (e) {
-    console.error('Failed to list OneDrive files:', e?.response?.data || e.message);
-    res.status(500).json({ error: 'Failed to retrieve OneDrive files' });
-  }
-});
-
-app.get('/api/admin/test-onedrive', async (_req, res) => {
-  try {
-    await oneDriveService.getAccessToken();
-    await oneDriveService.ensurePathExists(oneDriveService.folderPath);
-    res.json({ success: true, message: 'OneDrive connection successful', folder: oneDriveService.folderPath });
-  } catch (e) {
-    console.error('OneDrive test failed:', e?.response?.data || e.message);
-    res.status(500).json({ success: false, error: 'OneDrive connection failed', details: e.message });
-  }
+const api = createApiRouter({
+  db, photoStore, docStore, uploadQueue, driveReconciler, submissionBrowser, timeRecords, shiftSweeper,
+  locationService, jobsiteService, uploaderService, newHireService, documentTypeService, expirySweeper, upload, uploadDocs,
+  maxFileSize: MAX_FILE_SIZE, submissionRoot: SUBMISSION_ROOT, universalCode: UNIVERSAL_CODE,
+  overtimeWeeklyHours: OVERTIME_WEEKLY_HOURS, locationsConfigPath,
 });
+app.use('/api/v1', api);
+app.use('/api', api);
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Pages
@@ -619,60 +382,6 @@ app.get('/documents', (_req, res) => {
   res.sendFile(path.join(__dirname, 'documents.html'));
 });
 
-app.post('/api/documents/submit',
-  uploadDocs.fields([{ name: 'w9', maxCount: 1 }, { name: 'license', maxCount: 1 }]),
-  async (req, res) => {
-    try {
-      const code     = (req.body.code || '').trim();
-      const firstRaw = (req.body.firstName || '').trim();
-      const lastRaw  = (req.body.lastName  || '').trim();
-
-      if (!code || code !== UNIVERSAL_CODE) return res.status(401).json({ error: 'Invalid access code' });
-      if (!firstRaw || !lastRaw)           return res.status(400).json({ error: 'First & last name required' });
-
-      const w9 = (req.files?.w9 || [])[0];
-      const dl = (req.files?.license || [])[0];
-      if (!w9 || !dl)                      return res.status(400).json({ error: 'W-9 and Driver’s License are required' });
-      if (w9.mimetype !== 'application/pdf') return res.status(400).json({ error: 'W-9 must be a PDF' });
-
-      const sanitize = s => (s || '').replace(/[^A-Za-z0-9]/g,'').trim();
-      const first = sanitize(firstRaw);
-      const last  = sanitize(lastRaw);
-      const nameBase = (first + last) || 'Unknown';
-
-      const ts   = new Date().toISOString().replace(/[:.]/g, '-');
-      const rand = Math.random().toString(36).slice(2, 8);
-
-      const w9Name = `${nameBase}_W9form_${ts}_${rand}.pdf`;
-      const dlExt  = (path.extname(dl.originalname || '').toLowerCase() || '.jpg');
-      const dlName = `${nameBase}_DriversLicense_${ts}_${rand}${dlExt}`;
-
-      const subFolder = 'New_Hires';
-
-      const [w9Result, dlResult] = await Promise.all([
-        oneDriveDocs.uploadFile(w9.path, w9Name, subFolder),
-        oneDriveDocs.uploadFile(dl.path, dlName, subFolder),
-      ]);
-
-      try { w9.path && fs.existsSync(w9.path) && fs.unlinkSync(w9.path); } catch {}
-      try { dl.path && fs.existsSync(dl.path) && fs.unlinkSync(dl.path); } catch {}
-
-      res.json({
-        success: true,
-        firstName: firstRaw,
-        lastName: lastRaw,
-        w9: { id: w9Result.oneDriveId, url: w9Result.oneDriveUrl, name: w9Name },
-        license: { id: dlResult.oneDriveId, url: dlResult.oneDriveUrl, name: dlName }
-      });
-    } catch (err) {
-      console.error('Documents submit error:', err?.response?.data || err.message);
-      try { (req.files?.w9 || []).forEach(f => fs.existsSync(f.path) && fs.unlinkSync(f.path)); } catch {}
-      try { (req.files?.license || []).forEach(f => fs.existsSync(f.path) && fs.unlinkSync(f.path)); } catch {}
-      res.status(500).json({ error: 'Failed to upload documents' });
-    }
-  }
-);
-
 // Root
 app.get('/', (_req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
@@ -681,26 +390,23 @@ app.get('/', (_req, res) => {
 // ───────────────────────────────────────────────────────────────────────────────
 // 404 & Error handler (last)
 // ───────────────────────────────────────────────────────────────────────────────
-app.use((req, res) => res.status(404).json({ error: 'Endpoint not found' }));
-
-app.use((error, _req, res, _next) => {
-  console.error('Global error handler:', error);
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large' });
-    }
-    return res.status(400).json({ error: 'File upload error' });
-  }
-  res.status(500).json({ error: 'Internal server error' });
-});
+app.use(notFound);
+app.use(errorHandler);
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Start
 // ───────────────────────────────────────────────────────────────────────────────
 app.listen(PORT, () => {
+  uploadQueue.start().catch(err => console.error('❌ Upload queue failed to start:', err.message));
+  seedAuthorizedEmails().catch(err => console.error('❌ AUTHORIZED_EMAILS import failed:', err.message));
+  bootstrapAdmin().catch(err => console.error('❌ Admin bootstrap failed:', err.message));
+  seedLocations().catch(err => console.error('❌ locations.json import failed:', err.message));
+  shiftSweeper.start().catch(err => console.error('❌ Shift sweeper failed to start:', err.message));
+  driveReconciler.start().catch(err => console.error('❌ Drive reconciler failed to start:', err.message));
+  expirySweeper.start().catch(err => console.error('❌ Document expiry sweeper failed to start:', err.message));
   console.log(`🚀 TimeTracker server running on port ${PORT}`);
   console.log(`📱 Frontend: http://localhost:${PORT}`);
-  console.log(`🔗 API base: http://localhost:${PORT}/api`);
+  console.log(`🔗 API base: http://localhost:${PORT}/api/v1 (also /api)`);
   console.log(`🗄️  Database: ${db.dbPath}`);
   console.log(`📁 Upload directory: ${uploadDir}`);
 });
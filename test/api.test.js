@@ -0,0 +1,111 @@
+// The mounted API: /api/v1 paths, the unversioned /api aliases, and the shared 404 / validation answers
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, waitFor, formData, JPEG } = require('./helpers/app');
+
+const EMAIL = 'v1worker@example.com';
+
+let app, admin, worker;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.admin();
+  worker = await app.employee({ email: EMAIL });
+});
+
+after(() => app?.stop());
+
+test('health answers on both prefixes', async () => {
+  for (const prefix of ['/api/v1', '/api']) {
+    const res = await app.client().get(`${prefix}/health`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'OK');
+  }
+});
+
+test('/api/v1 and /api return the same data', async () => {
+  const v1 = await admin.get('/api/v1/admin/locations');
+  const legacy = await admin.get('/api/admin/locations');
+  assert.equal(v1.status, 200);
+  assert.deepEqual(v1.body, legacy.body);
+});
+
+test('admin routes still check the session under /api/v1', async () => {
+  assert.equal((await app.client().get('/api/v1/admin/locations')).status, 401);
+  assert.equal((await worker.get('/api/v1/admin/locations')).status, 403);
+});
+
+test('only the site pages and the blank W-9 are served from the project root', async () => {
+  assert.equal((await app.client().get('/')).status, 200);
+  assert.equal((await app.client().get('/documents.html')).status, 200);
+  assert.equal((await app.client().get('/w9.PDF')).status, 200);
+  for (const path of ['/server.js', '/package.json', '/database.js', '/config/locations.json', '/storage/x.jpg', '/.gitignore']) {
+    assert.equal((await app.client().get(path)).status, 404, path);
+  }
+});
+
+test('unknown endpoints get a JSON 404', async () => {
+  for (const path of ['/api/v1/nope', '/api/nope']) {
+    const res = await app.client().get(path);
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'Endpoint not found');
+  }
+});
+
+test('ids must be positive whole numbers', async () => {
+  const res = await admin.patch('/api/v1/admin/locations/abc', { name: 'X' });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /positive whole number/);
+  assert.equal((await admin.patch('/api/v1/admin/users/0', { isActive: false })).status, 400);
+});
+
+test('malformed JSON bodies are a 400, not a 500', async () => {
+  const res = await admin.request('POST', '/api/v1/admin/locations', {
+    body: '{"name":', headers: { 'Content-Type': 'application/json' },
+  });
+  assert.equal(res.status, 400);
+});
+
+test('clock-in-with-photo is an alias of clock-in', async () => {
+  const photo = formData({}, [{ field: 'photo', name: 'me.jpg', type: 'image/jpeg', data: JPEG }]);
+  const res = await worker.upload('/api/v1/clock-in-with-photo', photo);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal((await worker.post('/api/v1/clock-out', {})).status, 200);
+});
+
+test('admins can get a download link for a stored file', async () => {
+  const path = await waitFor(() => app.graph.files(app.driveId).find(f => f.startsWith(`TimeClock_Photos/${EMAIL}/`)));
+  const item = app.graph.find(app.driveId, path);
+
+  const res = await admin.get(`/api/v1/admin/onedrive-files/${item.id}/download`);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.name, item.name);
+  assert.ok(res.body.downloadUrl);
+
+  assert.equal((await admin.get('/api/v1/admin/onedrive-files/missing-item/download')).status, 404);
+  assert.equal((await worker.get(`/api/v1/admin/onedrive-files/${item.id}/download`)).status, 403);
+});
+
+test('invalid input is reported field by field', async () => {
+  const res = await admin.post('/api/v1/admin/users', { email: 'not-an-email', password: '12', role: 'boss' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'VALIDATION_FAILED');
+  assert.deepEqual(res.body.details.fields.map(f => f.field), ['email', 'password', 'role']);
+  assert.match(res.body.error, /^email /);
+});
+
+test('query strings are validated too', async () => {
+  const res = await admin.get('/api/v1/admin/timesheets/export?format=pdf');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details.fields[0].in, 'query');
+  assert.equal((await admin.get('/api/v1/admin/pay-periods?startDate=2026-02-30')).status, 400);
+});
+
+test('every error carries a code', async () => {
+  const anon = await app.client().get('/api/v1/auth/me');
+  assert.deepEqual([anon.status, anon.body.code], [401, 'UNAUTHENTICATED']);
+  const login = await app.client().post('/api/v1/auth/login', { email: EMAIL, password: 'wrong-pass' });
+  assert.deepEqual([login.status, login.body.code], [401, 'INVALID_CREDENTIALS']);
+  const missing = await app.client().get('/api/v1/nope');
+  assert.equal(missing.body.code, 'NOT_FOUND');
+});
@@ -0,0 +1,146 @@
+// Clock-in / clock-out through the HTTP API, with the clock-in photo going through the upload queue,
+// and punches on a shift whose pay period was closed meanwhile
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { startApp, waitFor, formData, JPEG } = require('./helpers/app');
+const { ymd } = require('../middleware/weeks');
+
+const EMAIL = 'worker@example.com';
+
+let app, worker;
+
+before(async () => {
+  app = await startApp();
+  worker = await app.employee({ email: EMAIL, password: '2468', firstName: 'Wanda', lastName: 'Worker' });
+});
+
+after(() => app?.stop());
+
+const photo = () => formData({}, [{ field: 'photo', name: 'me.jpg', type: 'image/jpeg', data: JPEG }]);
+
+test('clock-in needs a session', async () => {
+  const res = await app.client().upload('/api/clock-in', photo());
+  assert.equal(res.status, 401);
+});
+
+test('clock-in needs a photo', async () => {
+  const res = await worker.upload('/api/clock-in', formData());
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /Photo is required/);
+});
+
+test('clock-in, break, clock-out', async () => {
+  const inRes = await worker.upload('/api/clock-in', photo());
+  assert.equal(inRes.status, 200, JSON.stringify(inRes.body));
+  assert.equal(inRes.body.success, true);
+
+  const again = await worker.upload('/api/clock-in', photo());
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'ALREADY_CLOCKED_IN');
+
+  const status = await worker.get(`/api/status/${encodeURIComponent(EMAIL)}`);
+  assert.equal(status.status, 200);
+  assert.equal(status.body.isLoggedIn, true);
+
+  const rest = await worker.post('/api/break-start', { type: 'rest' });
+  assert.equal(rest.status, 200);
+  assert.equal(rest.body.data.isPaid, true);
+  assert.equal((await worker.post('/api/break-end', {})).status, 200);
+
+  // A meal break stays unpaid whatever the body says
+  const meal = await worker.post('/api/break-start', { type: 'meal', paid: true });
+  assert.equal(meal.body.data.isPaid, false);
+  assert.equal((await worker.post('/api/break-end', {})).status, 200);
+
+  const out = await worker.post('/api/clock-out', {});
+  assert.equal(out.status, 200, JSON.stringify(out.body));
+  const notIn = await worker.post('/api/clock-out', {});
+  assert.equal(notIn.status, 404);
+  assert.equal(notIn.body.code, 'NOT_CLOCKED_IN');
+
+  const records = await worker.get(`/api/records/${encodeURIComponent(EMAIL)}`);
+  assert.equal(records.body.count, 1);
+  assert.ok(records.body.data[0].clock_out_time);
+});
+
+test('the clock-in photo is uploaded to the employee folder', async () => {
+  const [file] = await waitFor(() => {
+    const files = app.graph.files(app.driveId).filter(f => f.startsWith(`TimeClock_Photos/${EMAIL}/`));
+    return files.length ? files : null;
+  });
+  assert.match(file, /\/clock-in-\d+_.+\.jpg$/);
+  assert.ok(app.graph.find(app.driveId, file).content.equals(JPEG));
+});
+
+// Runs one statement against the server's database from a second connection
+function exec(sql) {
+  return new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(path.join(app.tmp, 'test.db'));
+    conn.exec(sql, err => conn.close(() => (err ? reject(err) : resolve())));
+  });
+}
+
+test('a clock-in whose photo cannot be queued is not recorded', async () => {
+  const email = 'queue-down@example.com';
+  const who = await app.employee({ email });
+  const photos = () => fs.readdirSync(path.join(app.tmp, 'uploads')).filter(f => f.startsWith('photo-')).sort();
+  await exec(`CREATE TRIGGER queue_down BEFORE INSERT ON upload_queue WHEN NEW.sub_path = '${email}'
+              BEGIN SELECT RAISE(ABORT, 'queue unavailable'); END`);
+  const before = photos();
+
+  try {
+    const res = await who.upload('/api/clock-in', photo());
+    assert.deepEqual([res.status, res.body.code], [409, 'CONSTRAINT_VIOLATION']);
+    assert.equal((await who.get(`/api/status/${encodeURIComponent(email)}`)).body.isLoggedIn, false);
+    assert.equal((await who.get(`/api/records/${encodeURIComponent(email)}`)).body.data.length, 0);
+    // Nothing points at the photo, so it is not left behind
+    assert.deepEqual(photos(), before);
+  } finally {
+    await exec('DROP TRIGGER queue_down');
+  }
+
+  assert.equal((await who.upload('/api/clock-in', photo())).status, 200);
+  assert.equal((await who.get(`/api/records/${encodeURIComponent(email)}`)).body.data.length, 1);
+  assert.equal((await who.post('/api/clock-out', {})).status, 200);
+});
+
+test('employees cannot read someone else\'s records', async () => {
+  const res = await worker.get('/api/records/other%40example.com');
+  assert.equal(res.status, 403);
+});
+
+test('punches in an approved week leave the record alone and flag it', async () => {
+  const email = 'late@example.com';
+  const late = await app.employee({ email });
+  const admin = await app.admin();
+  assert.equal((await late.upload('/api/clock-in', photo())).status, 200);
+  const week = ymd(new Date());
+  assert.equal((await admin.post(`/api/admin/pay-periods/${week}/approve`)).status, 200);
+
+  try {
+    const onBreak = await late.post('/api/break-start', { type: 'meal' });
+    assert.equal(onBreak.status, 409);
+    assert.equal(onBreak.body.code, 'PERIOD_CLOSED');
+
+    const out = await late.post('/api/clock-out', {});
+    assert.equal(out.status, 200, JSON.stringify(out.body));
+    assert.equal(out.body.data.periodClosed, true);
+    assert.equal((await late.get(`/api/status/${encodeURIComponent(email)}`)).body.isLoggedIn, false);
+
+    const [record] = (await late.get(`/api/records/${encodeURIComponent(email)}`)).body.data;
+    assert.equal(record.clock_out_time, null);
+    assert.equal(record.total_hours, null);
+    assert.equal(record.needs_review, 1);
+    assert.match(record.review_reason, /after the pay period was closed/);
+
+    // Nor can a new shift start in it
+    const again = await late.upload('/api/clock-in', photo());
+    assert.deepEqual([again.status, again.body.code], [409, 'PERIOD_CLOSED']);
+    assert.equal((await late.get(`/api/records/${encodeURIComponent(email)}`)).body.data.length, 1);
+  } finally {
+    await admin.post(`/api/admin/pay-periods/${week}/reopen`);
+  }
+});
@@ -0,0 +1,95 @@
+// database.js against an in-memory database: supervisor location scopes and transactions
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { memoryDb } = require('./helpers/db');
+
+let db;
+
+before(async () => {
+  db = await memoryDb();
+});
+
+after(() => db?.close());
+
+// Location names are matched without regard to case everywhere else (session.canManageLocation, the
+// locations table), so a supervisor of "CQS" sees an employee whose profile says "cqs"
+test('supervisor scopes match the employee location case-insensitively', async () => {
+  const done = await db.createUser('done@example.com');
+  await db.createUser('here@example.com');
+  const other = await db.createUser('other@example.com');
+  await db.run('UPDATE users SET location = ? WHERE email IN (?, ?)', ['cqs', 'done@example.com', 'here@example.com']);
+  await db.run('UPDATE users SET location = ? WHERE email = ?', ['Elsewhere', 'other@example.com']);
+
+  const clockIn = new Date(Date.now() - 5 * 36e5).toISOString();
+  const clockOut = new Date(Date.now() - 36e5).toISOString();
+  for (const user of [done, other]) {
+    const { id } = await db.insertTimeRecord({ userId: user.id, email: user.email, clockInTime: clockIn, clockOutTime: clockOut, totalHours: 4 });
+    await db.updateTimeRecord(id, { needsReview: true, reviewReason: 'Left open' });
+  }
+  await db.clockIn('here@example.com');
+
+  const emails = rows => rows.map(r => r.email).sort();
+  const scope = ['CQS'];
+  assert.deepEqual(emails(await db.getAllTimeRecords(null, null, scope)), ['done@example.com', 'here@example.com']);
+  assert.deepEqual(emails(await db.getTimesheetRecords({ from: clockIn, to: new Date().toISOString(), locations: scope })), ['done@example.com']);
+  assert.deepEqual(emails(await db.getCurrentlyLoggedInUsers(scope)), ['here@example.com']);
+  assert.deepEqual(emails(await db.listNeedsReview(scope)), ['done@example.com']);
+  assert.deepEqual(emails(await db.getAllTimeRecords(null, null, [])), []);
+});
+
+// ─── Transactions ────────────────────────────────────────────────────────────
+
+test('a rolled-back transaction takes only its own statements with it', async () => {
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const failing = db.transaction(async () => {
+    await db.createUser('inside@example.com');
+    await held;
+    throw new Error('changed my mind');
+  });
+
+  // Another request writing while the transaction is open waits for it instead of joining it
+  await new Promise(resolve => setImmediate(resolve));
+  const outside = db.createUser('outside@example.com');
+  release();
+  await assert.rejects(failing, /changed my mind/);
+  await outside;
+
+  assert.equal(await db.findUserByEmail('inside@example.com'), undefined);
+  assert.ok(await db.findUserByEmail('outside@example.com'));
+});
+
+test('transactions run one at a time and nested calls join the open one', async () => {
+  const order = [];
+  await Promise.all(['a', 'b', 'c'].map(name => db.transaction(async () => {
+    order.push(`${name}:start`);
+    await db.createUser(`tx-${name}@example.com`);
+    await db.transaction(() => db.run("UPDATE users SET department = 'nested' WHERE email = ?", [`tx-${name}@example.com`]));
+    order.push(`${name}:end`);
+  })));
+  assert.deepEqual(order, ['a:start', 'a:end', 'b:start', 'b:end', 'c:start', 'c:end']);
+  assert.equal((await db.findUserByEmail('tx-c@example.com')).department, 'nested');
+});
+
+test('two locations renamed at the same time both keep their employees', async () => {
+  const LocationService = require('../middleware/locations');
+  const locations = new LocationService(db);
+  const [north, south] = await Promise.all([locations.create({ name: 'North' }), locations.create({ name: 'South' })]);
+  const crew = await db.createUser('crew@example.com');
+  await db.updateUser(crew.id, { location: 'NORTH' });
+
+  const [n, s] = await Promise.all([locations.update(north.id, { name: 'North Yard' }), locations.update(south.id, { name: 'South Yard' })]);
+  assert.deepEqual([n.name, s.name], ['NORTH YARD', 'SOUTH YARD']);
+  assert.equal((await db.findUserByEmail('crew@example.com')).location, 'NORTH YARD');
+});
+
+test('checklists saved at the same time each end up whole', async () => {
+  const DocumentTypeService = require('../middleware/documentTypes');
+  const types = new DocumentTypeService(db);
+  const site = await db.createLocation({ name: 'CHECKLISTS' });
+
+  const saves = [[{ key: 'w9' }], [{ key: 'license' }], [{ key: 'w9' }, { key: 'license', required: false }]];
+  await Promise.all(saves.map(items => types.setLocationChecklist(site, items)));
+  const { documents } = await types.locationChecklist(site);
+  assert.deepEqual(documents.map(d => [d.key, d.required]), [['w9', true], ['license', false]]);
+});
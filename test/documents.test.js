@@ -0,0 +1,376 @@
+// /api/documents/submit: access code, required files, and where the W-9 + license end up;
+// the new-hire record, HR review, resubmitting a rejected document, per-location checklists and expiry
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp, formData, JPEG, PDF } = require('./helpers/app');
+const { buildPdf, w9Pdf } = require('./helpers/pdf');
+const { inspectW9 } = require('../middleware/w9');
+
+let app, admin;
+
+// The fillable template the online W-9 fills in (W9_FILE)
+const templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'w9-template-'));
+const template = path.join(templateDir, 'W9-template.pdf');
+fs.writeFileSync(template, w9Pdf({ blank: true, date: '' }));
+
+before(async () => {
+  app = await startApp({ W9_FILE: template, EXPIRED_DOCUMENTS_POLICY: 'block' });
+  admin = await app.admin();
+});
+
+after(async () => {
+  await app?.stop();
+  fs.rmSync(templateDir, { recursive: true, force: true });
+});
+
+const W9      = w9Pdf();
+const w9      = (type = 'application/pdf', data = type === 'application/pdf' ? W9 : JPEG) => ({ field: 'w9', name: 'w9.pdf', type, data });
+const license = { field: 'license', name: 'License.JPG', type: 'image/jpeg', data: JPEG };
+const expiresOn = JSON.stringify({ license: '2030-01-31', insurance_certificate: '2030-01-31' });
+
+function send(fields, files = [w9(), license]) {
+  return app.client().upload('/api/documents/submit',
+    formData({ code: 'UNIVERSAL-TEST', firstName: 'Ana', lastName: "O'Neil", expiresOn, ...fields }, files));
+}
+
+test('needs the access code', async () => {
+  assert.equal((await send({ code: 'wrong' })).status, 401);
+  assert.equal((await send({ code: '' })).status, 401);
+});
+
+test('needs both names and both files', async () => {
+  assert.equal((await send({ lastName: '' })).status, 400);
+  assert.equal((await send({}, [w9()])).status, 400);
+  assert.equal((await send({}, [license])).status, 400);
+});
+
+test('the W-9 must be a PDF', async () => {
+  const res = await send({}, [w9('image/jpeg'), license]);
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /PDF/);
+});
+
+test('the W-9 must be a readable, filled-in IRS W-9', async () => {
+  const cases = [
+    [PDF, 'INVALID_PDF'],
+    [buildPdf({ lines: ['Invoice #1042', 'Amount due: $120.00'] }), 'NOT_A_W9'],
+    [w9Pdf({ blank: true }), 'BLANK_W9'],
+  ];
+  for (const [data, code] of cases) {
+    const res = await send({}, [w9('application/pdf', data), license]);
+    assert.equal(res.status, 400, code);
+    assert.equal(res.body.code, code);
+  }
+  assert.equal(app.graph.files(app.driveId).filter(f => f.includes('New_Hires/')).length, 0);
+});
+
+test('uploads both files to Worker_Documents/New_Hires', async () => {
+  const res = await send({});
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.firstName, 'Ana');
+  assert.match(res.body.w9.name, /^AnaONeil_W9form_.+\.pdf$/);
+  assert.match(res.body.license.name, /^AnaONeil_DriversLicense_.+\.jpg$/);
+
+  const stored = app.graph.files(app.driveId).filter(f => f.startsWith('Worker_Documents/New_Hires/'));
+  assert.equal(stored.length, 2);
+
+  const w9File = stored.find(f => f.includes('_W9form_'));
+  assert.ok(app.graph.find(app.driveId, w9File).content.equals(W9));
+  assert.equal(res.body.w9.id, app.graph.find(app.driveId, w9File).id);
+  assert.ok(res.body.w9.url);
+});
+
+test('records the new hire and lists it for review', async () => {
+  const res = await send({ firstName: 'Review', lastName: 'Me' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.ok(res.body.newHireId);
+  assert.ok(res.body.reference);
+
+  assert.equal((await app.client().get('/api/admin/new-hires')).status, 401);
+
+  const list = await admin.get('/api/admin/new-hires?q=review');
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.data.map(h => h.id), [res.body.newHireId]);
+  assert.equal(list.body.data[0].status, 'received');
+
+  const detail = await admin.get(`/api/admin/new-hires/${res.body.newHireId}`);
+  assert.equal(detail.status, 200);
+  const types = detail.body.newHire.documents.map(d => d.type).sort();
+  assert.deepEqual(types, ['license', 'w9']);
+  assert.equal(detail.body.newHire.documents.find(d => d.type === 'w9').onedriveId, res.body.w9.id);
+  assert.equal((await admin.get('/api/admin/new-hires/999999')).status, 404);
+});
+
+test('a rejected document can be resubmitted on its own', async () => {
+  const { body: sub } = await send({ firstName: 'Redo', lastName: 'License' });
+  const docs = (await admin.get(`/api/admin/new-hires/${sub.newHireId}`)).body.newHire.documents;
+  const w9Doc = docs.find(d => d.type === 'w9');
+  const dlDoc = docs.find(d => d.type === 'license');
+
+  const noReason = await admin.post(`/api/admin/new-hire-documents/${dlDoc.id}/review`, { status: 'rejected' });
+  assert.equal(noReason.status, 400);
+  assert.equal(noReason.body.code, 'REASON_REQUIRED');
+
+  assert.equal((await admin.post(`/api/admin/new-hire-documents/${w9Doc.id}/review`, { status: 'approved' })).status, 200);
+  const rejected = await admin.post(`/api/admin/new-hire-documents/${dlDoc.id}/review`, { status: 'rejected', reason: 'Photo is blurry' });
+  assert.equal(rejected.status, 200);
+  assert.equal(rejected.body.document.rejectReason, 'Photo is blurry');
+
+  const hire = (await admin.get(`/api/admin/new-hires/${sub.newHireId}`)).body.newHire;
+  assert.equal(hire.status, 'rejected');
+  assert.deepEqual(hire.missing, ['license']);
+
+  const resubmit = (fields, files) => app.client().upload('/api/documents/resubmit',
+    formData({ code: 'UNIVERSAL-TEST', reference: sub.reference, ...fields }, files));
+
+  // The approved W-9 stays as it is
+  const notRejected = await resubmit({}, [w9()]);
+  assert.equal(notRejected.status, 409);
+  assert.equal(notRejected.body.code, 'DOCUMENT_NOT_REJECTED');
+  assert.equal((await resubmit({}, [w9(), license])).status, 400);
+  assert.equal((await resubmit({ reference: 'nope' }, [license])).status, 404);
+
+  assert.equal((await resubmit({}, [license])).body.code, 'EXPIRY_REQUIRED');
+  const res = await resubmit({ expiresOn: '2031-06-30' }, [license]);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.document.expiresOn, '2031-06-30');
+  assert.equal(res.body.document.type, 'license');
+  assert.equal(res.body.document.status, 'received');
+  assert.equal(res.body.newHire.status, 'received');
+  assert.deepEqual(res.body.newHire.missing, []);
+
+  const after = (await admin.get(`/api/admin/new-hires/${sub.newHireId}`)).body.newHire.documents;
+  assert.equal(after.length, 3);
+  assert.equal(after.find(d => d.id === w9Doc.id).status, 'approved');
+  assert.equal(after.find(d => d.id === dlDoc.id).supersededBy, res.body.document.id);
+
+  const stale = await admin.post(`/api/admin/new-hire-documents/${dlDoc.id}/review`, { status: 'approved' });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.code, 'DOCUMENT_SUPERSEDED');
+});
+
+test('keeps what the W-9 says, but never the full TIN', async () => {
+  const incomplete = w9Pdf({ name: 'Flag Me', ssn: null, classification: -1, date: '' });
+  const flagged = await send({ firstName: 'Flag', lastName: 'Me' }, [w9('application/pdf', incomplete), license]);
+  assert.equal(flagged.status, 200, JSON.stringify(flagged.body));
+  const flaggedDoc = (await admin.get(`/api/admin/new-hires/${flagged.body.newHireId}`)).body.newHire.documents.find(d => d.type === 'w9');
+  assert.equal(flaggedDoc.form.check, 'flagged');
+  assert.deepEqual(flaggedDoc.form.flags, ['missing_tin', 'missing_classification', 'missing_signature_date']);
+
+  const filled = w9Pdf({ name: 'Tax Payer', business: 'Payer Painting LLC', classification: 5, ssn: '987654321', date: '10/19/2026' });
+  const { body } = await send({ firstName: 'Tax', lastName: 'Payer' }, [w9('application/pdf', filled), license]);
+  const detail = await admin.get(`/api/admin/new-hires/${body.newHireId}`);
+  const form = detail.body.newHire.documents.find(d => d.type === 'w9').form;
+  assert.deepEqual(form, {
+    check: 'ok', flags: [], revision: 'March 2024', name: 'Tax Payer', businessName: 'Payer Painting LLC',
+    taxClassification: 'LLC', tinType: 'ssn', tinLast4: '4321', signatureDate: '10/19/2026',
+  });
+  assert.equal(detail.body.newHire.documents.find(d => d.type === 'license').form, null);
+  assert.ok(!JSON.stringify(detail.body).includes('987654321'));
+});
+
+const w9Form = {
+  name: 'Online Filler', taxClassification: 'individual', address: '1 Main St', cityStateZip: 'Atlanta, GA 30303',
+  ssn: '111-22-3333', signatureDate: '2026-10-19',
+};
+
+test('the online W-9 comes back filled in and flattened', async () => {
+  const fill = body => app.client().request('POST', '/api/documents/w9', { json: { code: 'UNIVERSAL-TEST', ...body }, binary: true });
+
+  assert.equal((await fill({ code: 'wrong', w9Form })).status, 401);
+  const noTin = await fill({ w9Form: { ...w9Form, ssn: undefined } });
+  assert.equal(noTin.body.code, 'TIN_REQUIRED');
+  const badSsn = await fill({ w9Form: { ...w9Form, ssn: '111-22-333' } });
+  assert.equal(badSsn.status, 400);
+  assert.ok(!JSON.stringify(badSsn.body).includes('111-22-333'));
+
+  const res = await fill({ w9Form });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /application\/pdf/);
+  const pdf = await inspectW9(res.body);
+  assert.equal(pdf.isW9, true);
+  assert.equal(pdf.revision, 'March 2024');
+  assert.equal(pdf.hasFields, false);
+});
+
+test('the online W-9 goes to New_Hires with the license, and can replace a rejected one', async () => {
+  const submit = await app.client().upload('/api/documents/submit',
+    formData({ code: 'UNIVERSAL-TEST', firstName: 'Online', lastName: 'Filler', expiresOn, w9Form: JSON.stringify(w9Form) }, [license]));
+  assert.equal(submit.status, 200, JSON.stringify(submit.body));
+  assert.match(submit.body.w9.name, /^OnlineFiller_W9form_.+\.pdf$/);
+
+  const both = await app.client().upload('/api/documents/submit',
+    formData({ code: 'UNIVERSAL-TEST', firstName: 'A', lastName: 'B', expiresOn, w9Form: JSON.stringify(w9Form) }, [w9(), license]));
+  assert.equal(both.body.code, 'DOCUMENT_CONFLICT');
+
+  const stored = app.graph.files(app.driveId).find(f => f.includes(submit.body.w9.name));
+  assert.equal((await inspectW9(app.graph.find(app.driveId, stored).content)).hasFields, false);
+
+  const w9Doc = (await admin.get(`/api/admin/new-hires/${submit.body.newHireId}`)).body.newHire.documents.find(d => d.type === 'w9');
+  assert.equal(w9Doc.form.check, 'ok');
+  assert.equal(w9Doc.form.name, 'Online Filler');
+  assert.equal(w9Doc.form.taxClassification, 'Individual/sole proprietor');
+  assert.equal(w9Doc.form.tinLast4, '3333');
+
+  await admin.post(`/api/admin/new-hire-documents/${w9Doc.id}/review`, { status: 'rejected', reason: 'Use your legal name' });
+  const resubmit = await app.client().upload('/api/documents/resubmit', formData({
+    code: 'UNIVERSAL-TEST', reference: submit.body.reference, w9Form: JSON.stringify({ ...w9Form, name: 'Online Q. Filler' }),
+  }));
+  assert.equal(resubmit.status, 200, JSON.stringify(resubmit.body));
+  assert.equal(resubmit.body.document.form.name, 'Online Q. Filler');
+  assert.deepEqual(resubmit.body.newHire.missing, []);
+});
+
+// What a worker types into the online W-9 on documents.html / documents-es.html, by data-w9 field
+const typed = {
+  name: 'Page Filler', businessName: '', taxClassification: 'llc', llcClassification: 'p', otherClassification: '',
+  exemptPayeeCode: '', fatcaCode: '', address: '2 Side St', cityStateZip: 'Macon, GA 31201', accountNumbers: '',
+  ssn: '', ein: '12-3456789', signatureDate: '2026-10-19',
+};
+
+for (const page of ['documents.html', 'documents-es.html']) {
+  test(`the W-9 fields on ${page} fill in a form the routes accept`, async () => {
+    const html = (await app.client().get(`/${page}`)).body;
+    const fields = [...html.matchAll(/data-w9="(\w+)"/g)].map(m => m[1]);
+    assert.deepEqual([...fields].sort(), Object.keys(typed).sort());
+    assert.match(html, /fetch\('\/api\/documents\/w9'/);
+    assert.match(html, /fd\.append\('w9Form'/);
+
+    // As the page sends it: blank fields left out
+    const form = Object.fromEntries(fields.filter(key => typed[key]).map(key => [key, typed[key]]));
+    const preview = await app.client().request('POST', '/api/documents/w9', { json: { code: 'UNIVERSAL-TEST', w9Form: form }, binary: true });
+    assert.equal(preview.status, 200);
+    assert.equal((await inspectW9(preview.body)).isW9, true);
+
+    const res = await app.client().upload('/api/documents/submit',
+      formData({ code: 'UNIVERSAL-TEST', firstName: 'Page', lastName: 'Filler', expiresOn, w9Form: JSON.stringify(form) }, [license]));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const w9Doc = (await admin.get(`/api/admin/new-hires/${res.body.newHireId}`)).body.newHire.documents.find(d => d.type === 'w9');
+    assert.deepEqual([w9Doc.form.check, w9Doc.form.name, w9Doc.form.tinType, w9Doc.form.tinLast4], ['ok', 'Page Filler', 'ein', '6789']);
+  });
+}
+
+test('the checklist tells documents.html what to ask for', async () => {
+  const res = await app.client().get('/api/documents/checklist');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.location, null);
+  assert.equal(res.body.onlineW9, true);
+  assert.deepEqual(res.body.documents.map(d => [d.key, d.required, d.accepts]), [
+    ['w9', true, 'PDF'], ['license', true, 'PDF, JPG or PNG'],
+  ]);
+
+  const unknown = await app.client().get('/api/documents/checklist?location=NOWHERE');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.code, 'UNKNOWN_LOCATION');
+});
+
+test('a location can ask for its own documents', async () => {
+  const belfor = (await admin.get('/api/admin/locations')).body.locations.find(l => l.name === 'BELFOR');
+  const addType = body => admin.post('/api/admin/document-types', body);
+
+  assert.equal((await app.client().post('/api/admin/document-types', { label: 'I-9', mimeTypes: ['application/pdf'] })).status, 401);
+  const insurance = await addType({ label: 'Insurance Certificate', mimeTypes: ['application/pdf'], tracksExpiry: true });
+  assert.equal(insurance.status, 201, JSON.stringify(insurance.body));
+  assert.equal(insurance.body.documentType.key, 'insurance_certificate');
+  assert.equal((await addType({ label: 'Insurance certificate', mimeTypes: ['application/pdf'] })).body.code, 'DOCUMENT_TYPE_EXISTS');
+  assert.equal((await addType({ label: 'Card', mimeTypes: ['text/plain'] })).status, 400);
+  await addType({ label: 'Safety Training Card', mimeTypes: ['image/jpeg', 'image/png'] });
+
+  const checklist = documents => admin.put(`/api/admin/locations/${belfor.id}/documents`, { documents });
+  assert.equal((await checklist([{ key: 'i9' }])).body.code, 'UNKNOWN_DOCUMENT_TYPE');
+  const saved = await checklist([{ key: 'w9' }, { key: 'insurance_certificate' }, { key: 'safety_training_card', required: false }]);
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  assert.equal(saved.body.custom, true);
+
+  const page = (await app.client().get('/api/documents/checklist?location=belfor')).body;
+  assert.equal(page.location, 'BELFOR');
+  assert.deepEqual(page.documents.map(d => [d.key, d.required, d.tracksExpiry]), [
+    ['w9', true, false], ['insurance_certificate', true, true], ['safety_training_card', false, false],
+  ]);
+
+  const insuranceFile = { field: 'insurance_certificate', name: 'coi.pdf', type: 'application/pdf', data: PDF };
+  const missing = await send({ location: 'BELFOR' }, [w9()]);
+  assert.equal(missing.body.code, 'DOCUMENT_REQUIRED');
+  assert.equal(missing.body.details.type, 'insurance_certificate');
+  const extra = await send({ location: 'BELFOR' }, [w9(), insuranceFile, license]);
+  assert.equal(extra.body.code, 'UNEXPECTED_DOCUMENT');
+  assert.equal((await send({ location: 'BELFOR' }, [w9(), { ...insuranceFile, field: 'nope' }])).status, 400);
+
+  const res = await send({ firstName: 'Belfor', lastName: 'Hire', location: 'BELFOR' }, [w9(), insuranceFile]);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(Object.keys(res.body.documents).sort(), ['insurance_certificate', 'w9']);
+  assert.equal(res.body.license, undefined);
+  assert.match(res.body.documents.insurance_certificate.name, /^BelforHire_InsuranceCertificate_.+\.pdf$/);
+
+  const list = await admin.get('/api/admin/new-hires?location=BELFOR');
+  assert.deepEqual(list.body.data.map(h => [h.id, h.location, h.missing]), [[res.body.newHireId, 'BELFOR', []]]);
+
+  // A resubmission can't add a document the location doesn't ask for
+  const resubmit = files => app.client().upload('/api/documents/resubmit',
+    formData({ code: 'UNIVERSAL-TEST', reference: res.body.reference, expiresOn: '2031-06-30' }, files));
+  const offList = await resubmit([license]);
+  assert.deepEqual([offList.status, offList.body.code], [400, 'UNKNOWN_DOCUMENT_TYPE']);
+  assert.equal((await resubmit([insuranceFile])).body.code, 'DOCUMENT_NOT_REJECTED');
+
+  // Back to the default checklist: the license is asked for again
+  const reset = await admin.delete(`/api/admin/locations/${belfor.id}/documents`);
+  assert.equal(reset.body.custom, false);
+  assert.equal((await send({ location: 'BELFOR' }, [w9(), insuranceFile])).body.code, 'UNEXPECTED_DOCUMENT');
+});
+
+test('expired documents show up for compliance, are reminded about once and block clock-in', async () => {
+  const noDate = await send({ expiresOn: '{}' });
+  assert.equal(noDate.body.code, 'EXPIRY_REQUIRED');
+  assert.equal(noDate.body.details.type, 'license');
+  assert.equal((await send({ expiresOn: JSON.stringify({ license: '2020-01-31' }) })).body.code, 'DOCUMENT_EXPIRED');
+  assert.equal((await send({ expiresOn: JSON.stringify({ license: 'soon' }) })).status, 400);
+
+  const worker = await app.employee({ email: 'dana@example.com', firstName: 'Dana', lastName: 'Driver', location: 'BELFOR' });
+  const sub = (await send({ firstName: 'Dana', lastName: 'Driver', email: 'dana@example.com' })).body;
+  assert.equal(sub.license.expiresOn, '2030-01-31');
+
+  // The public form can't tie a submission to an account; HR does
+  assert.equal((await admin.get(`/api/admin/new-hires/${sub.newHireId}`)).body.newHire.email, null);
+  const link = email => admin.patch(`/api/admin/new-hires/${sub.newHireId}`, { email });
+  assert.equal((await app.client().patch(`/api/admin/new-hires/${sub.newHireId}`, { email: 'dana@example.com' })).status, 401);
+  assert.equal((await link('nobody@example.com')).body.code, 'USER_NOT_FOUND');
+  assert.equal((await link('Dana@Example.com')).body.newHire.email, 'dana@example.com');
+  const dl = (await admin.get(`/api/admin/new-hires/${sub.newHireId}`)).body.newHire.documents.find(d => d.type === 'license');
+
+  // Nothing due yet; then HR corrects the date to one already past
+  assert.equal((await admin.get('/api/admin/compliance?location=BELFOR')).body.counts.workers, 0);
+  const corrected = await admin.patch(`/api/admin/new-hire-documents/${dl.id}`, { expiresOn: '2020-06-30' });
+  assert.equal(corrected.status, 200, JSON.stringify(corrected.body));
+  assert.equal(corrected.body.document.expiresOn, '2020-06-30');
+
+  const list = (await admin.get('/api/admin/compliance?location=BELFOR')).body;
+  assert.deepEqual(list.counts, { workers: 1, expired: 1, expiring: 0 });
+  const [entry] = list.workers;
+  assert.equal(entry.email, 'dana@example.com');
+  assert.equal(entry.location, 'BELFOR');
+  assert.ok(entry.userId);
+  assert.deepEqual(entry.documents.map(d => [d.type, d.state, d.required]), [['license', 'expired', true]]);
+  assert.equal((await admin.get('/api/admin/compliance?location=BELFOR&state=expiring')).body.counts.workers, 0);
+
+  const sweep = () => admin.post('/api/admin/compliance/sweep');
+  assert.equal((await sweep()).body.notified, 1);
+  assert.equal((await sweep()).body.notified, 0);
+  assert.match(app.output(), /document_expired: Driver’s License for Dana Driver \(BELFOR\)/);
+
+  const photo = formData({}, [{ field: 'photo', name: 'me.jpg', type: 'image/jpeg', data: JPEG }]);
+  const blocked = await worker.upload('/api/clock-in', photo);
+  assert.equal(blocked.status, 403);
+  assert.equal(blocked.body.code, 'DOCUMENTS_EXPIRED');
+  assert.deepEqual(blocked.body.details.documents.map(d => d.type), ['license']);
+
+  // Renewing replaces the expired license without HR rejecting it first
+  const renewed = await app.client().upload('/api/documents/resubmit',
+    formData({ code: 'UNIVERSAL-TEST', reference: sub.reference, expiresOn: '2032-02-29' }, [license]));
+  assert.equal(renewed.status, 200, JSON.stringify(renewed.body));
+  assert.equal((await admin.get('/api/admin/compliance?location=BELFOR')).body.counts.workers, 0);
+  const clockIn = await worker.upload('/api/clock-in', photo);
+  assert.equal(clockIn.status, 200, JSON.stringify(clockIn.body));
+});
@@ -0,0 +1,143 @@
+// DriveReconciler against the local-disk backend: present / moved / missing / unknown per upload row,
+// orphans, and rows with only a webUrl when the walk is cut short or the backend can't look a URL up
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorage = require('../middleware/fileStorage');
+const DriveReconciler = require('../middleware/driveReconciler');
+const { memoryDb } = require('./helpers/db');
+
+let tmp, db, storage;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-test-'));
+  db = await memoryDb();
+});
+
+after(async () => {
+  await db?.close();
+  mock.restoreAll();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// A fresh, empty storage root and no upload rows for every test
+beforeEach(async () => {
+  storage = new FileStorage({ root: fs.mkdtempSync(path.join(tmp, 'root-')), folderPath: 'TimeClock_Photos', secret: 'test' });
+  await db.run('DELETE FROM photo_uploads');
+});
+
+async function upload(name, subPath = 'ana@example.com') {
+  const file = path.join(tmp, name);
+  fs.writeFileSync(file, name);
+  return storage.upload(file, name, subPath);
+}
+
+// A photo_uploads row for info: by item id and folder (as the upload queue records it) or, like rows
+// from before item ids were kept, by webUrl only
+async function photoRow(info, { byUrl = false, folder = info.parentPath } = {}) {
+  const { lastID } = await db.run(`
+    INSERT INTO photo_uploads (time_record_id, user_email, original_filename, stored_filename, onedrive_id, onedrive_path, onedrive_url)
+    VALUES (0, 'ana@example.com', ?, ?, ?, ?, ?)
+  `, [info.fileName, info.fileName, byUrl ? null : info.id, byUrl ? null : folder, info.webUrl]);
+  return lastID;
+}
+
+async function statuses(ids) {
+  const rows = await db.all('SELECT id, drive_status FROM photo_uploads');
+  return Object.fromEntries(Object.entries(ids).map(([name, id]) => [name, rows.find(r => r.id === id).drive_status]));
+}
+
+test('present, moved and missing uploads and orphaned files', async () => {
+  const here  = await upload('here.jpg');
+  const moved = await upload('moved.jpg');
+  const gone  = await upload('gone.jpg');
+  await upload('stray.jpg', 'bo@example.com');
+  const ids = {
+    here:  await photoRow(here),
+    // Recorded in a folder the file is no longer in
+    moved: await photoRow(moved, { folder: 'TimeClock_Photos/old' }),
+    gone:  await photoRow(gone),
+  };
+  await storage.delete(gone.id);
+
+  const report = await new DriveReconciler({ db, storage }).run();
+  assert.deepEqual(await statuses(ids), { here: 'present', moved: 'moved', gone: 'missing' });
+  assert.deepEqual([report.checked, report.present, report.moved, report.missing, report.unknown], [3, 1, 1, 1, 0]);
+  assert.deepEqual(report.orphans.map(o => o.path), ['bo@example.com']);
+  assert.equal(report.truncated, false);
+
+  const latest = await db.getLatestDriveReconciliation();
+  assert.deepEqual([latest.status, latest.checked, latest.missing, latest.unknown, latest.orphan_count], ['done', 3, 1, 0, 1]);
+  assert.deepEqual((await db.listDriveProblems()).map(p => p.drive_status).sort(), ['missing', 'moved']);
+});
+
+test('a webUrl-only row is found in the walk and its item id backfilled', async () => {
+  const old = await upload('old.jpg');
+  const id = await photoRow(old, { byUrl: true });
+
+  const report = await new DriveReconciler({ db, storage }).run();
+  assert.deepEqual([report.present, report.backfilled], [1, 1]);
+  const [row] = await db.all('SELECT drive_status, onedrive_id FROM photo_uploads WHERE id = ?', [id]);
+  assert.deepEqual([row.drive_status, row.onedrive_id], ['present', old.id]);
+});
+
+test('a webUrl-only row the backend cannot look up is unknown, not missing', async () => {
+  const gone = await upload('gone.jpg');
+  await storage.delete(gone.id);
+  const ids = { byUrl: await photoRow(gone, { byUrl: true }), byId: await photoRow(gone) };
+
+  // The local backend has no getItemByUrl: a webUrl that isn't in the walk says nothing
+  const report = await new DriveReconciler({ db, storage }).run();
+  assert.deepEqual(await statuses(ids), { byUrl: 'unknown', byId: 'missing' });
+  assert.deepEqual([report.missing, report.unknown], [1, 1]);
+  assert.equal((await db.getLatestDriveReconciliation()).unknown, 1);
+  assert.deepEqual((await db.listDriveProblems()).map(p => p.drive_status).sort(), ['missing', 'unknown']);
+
+  // With a URL lookup over a complete walk, the file is really gone
+  storage.getItemByUrl = async () => null;
+  await new DriveReconciler({ db, storage }).run();
+  assert.deepEqual(await statuses(ids), { byUrl: 'missing', byId: 'missing' });
+});
+
+test('a webUrl-only row whose lookup is refused is unknown; other lookup errors fail the run', async () => {
+  const gone = await upload('denied.jpg');
+  await storage.delete(gone.id);
+  const ids = { byUrl: await photoRow(gone, { byUrl: true }) };
+
+  storage.getItemByUrl = async () => { throw Object.assign(new Error('Forbidden'), { response: { status: 403 } }); };
+  const report = await new DriveReconciler({ db, storage }).run();
+  assert.deepEqual(await statuses(ids), { byUrl: 'unknown' });
+  assert.deepEqual([report.missing, report.unknown], [0, 1]);
+
+  storage.getItemByUrl = async () => { throw Object.assign(new Error('Throttled'), { response: { status: 429 } }); };
+  await assert.rejects(new DriveReconciler({ db, storage }).run(), /Throttled/);
+  assert.equal((await db.getLatestDriveReconciliation()).status, 'failed');
+});
+
+test('a walk cut short at maxFiles leaves webUrl-only rows outside it unknown', async () => {
+  const files = [];
+  for (const name of ['a.jpg', 'b.jpg', 'c.jpg']) files.push(await upload(name));
+  const ids = Object.fromEntries(await Promise.all(files.map(async f => [f.fileName, await photoRow(f, { byUrl: true })])));
+  storage.getItemByUrl = async () => null;
+
+  const report = await new DriveReconciler({ db, storage, opts: { maxFiles: 1 } }).run();
+  assert.equal(report.truncated, true);
+  assert.deepEqual([report.present, report.missing, report.unknown], [1, 0, 2]);
+  assert.deepEqual(Object.values(await statuses(ids)).sort(), ['present', 'unknown', 'unknown']);
+});
+
+test('only one run at a time, and a failed run is recorded', async () => {
+  const reconciler = new DriveReconciler({ db, storage });
+  const first = reconciler.run();
+  await assert.rejects(reconciler.run(), e => e.status === 409 && e.code === 'RECONCILE_RUNNING');
+  await first;
+
+  storage.walk = async () => { throw new Error('backend down'); };
+  await assert.rejects(reconciler.run(), /backend down/);
+  const latest = await db.getLatestDriveReconciliation();
+  assert.deepEqual([latest.status, latest.error], ['failed', 'backend down']);
+  assert.equal(reconciler.running, false);
+});
@@ -0,0 +1,44 @@
+// How middleware/errors.js maps library errors (multer, axios/Graph, SQLite) onto the API envelope
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const multer = require('multer');
+const { httpError, toHttpError, errorBody } = require('../middleware/errors');
+
+const axiosError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { isAxiosError: true, response: { status, headers, data: {} } });
+
+const sqliteError = code => Object.assign(new Error(`${code}: something internal`), { errno: 19, code });
+
+test('httpError keeps its own status, code and details', () => {
+  const err = httpError(429, 'Daily limit reached', 'DAILY_LIMIT_REACHED', { usage: { remaining: 0 } });
+  assert.equal(toHttpError(err), err);
+  assert.deepEqual(errorBody(err), { error: 'Daily limit reached', code: 'DAILY_LIMIT_REACHED', details: { usage: { remaining: 0 } } });
+  assert.equal(httpError(404, 'Gone').code, 'NOT_FOUND');
+});
+
+test('multer limits', () => {
+  const big = toHttpError(new multer.MulterError('LIMIT_FILE_SIZE', 'photo'));
+  assert.deepEqual([big.status, big.code], [413, 'FILE_TOO_LARGE']);
+  assert.equal(toHttpError(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'other')).code, 'UNEXPECTED_FILE');
+});
+
+test('Graph / S3 failures become storage errors without the upstream message', () => {
+  const busy = toHttpError(axiosError(429, { 'retry-after': '30' }));
+  assert.deepEqual([busy.status, busy.code, busy.details.retryAfter], [503, 'STORAGE_BUSY', 30]);
+  assert.equal(toHttpError(axiosError(401)).code, 'STORAGE_AUTH_FAILED');
+  const other = toHttpError(axiosError(500));
+  assert.deepEqual([other.status, other.code], [502, 'STORAGE_ERROR']);
+  assert.doesNotMatch(other.message, /status code/);
+  assert.equal(toHttpError(Object.assign(new Error('ECONNREFUSED'), { isAxiosError: true })).code, 'STORAGE_UNREACHABLE');
+});
+
+test('SQLite errors', () => {
+  assert.deepEqual(Object.values(errorBody(toHttpError(sqliteError('SQLITE_CONSTRAINT')))),
+    ['That conflicts with an existing record', 'CONSTRAINT_VIOLATION']);
+  assert.equal(toHttpError(sqliteError('SQLITE_BUSY')).status, 503);
+  assert.equal(toHttpError(sqliteError('SQLITE_CORRUPT')), null);
+});
+
+test('unknown errors are left for the 500 path', () => {
+  assert.equal(toHttpError(new Error('boom')), null);
+});
@@ -0,0 +1,56 @@
+// middleware/exif.js: capture time, GPS and camera from a JPEG's EXIF, and the photo-vs-punch time check
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseExif, readExifFromFile, verifyCaptureTime } = require('../middleware/exif');
+const { exifJpeg } = require('./helpers/exif');
+const { JPEG } = require('./helpers/app');
+
+test('capture time, GPS and camera are read in either byte order', () => {
+  for (const littleEndian of [true, false]) {
+    const exif = parseExif(exifJpeg({
+      takenAt: '2026:03:02 09:15:30', offset: '-05:00', make: 'Apple', model: 'iPhone 15',
+      gps: { lat: 40.7128, lng: -74.006 }, littleEndian,
+    }));
+    assert.equal(exif.takenAt.toISOString(), '2026-03-02T14:15:30.000Z');
+    assert.deepEqual([exif.latitude, exif.longitude, exif.make, exif.model], [40.7128, -74.006, 'Apple', 'iPhone 15']);
+  }
+});
+
+test('without an offset the capture time is the server\'s local time', () => {
+  const exif = parseExif(exifJpeg({ takenAt: '2026:03:02 09:15:30' }));
+  assert.equal(exif.takenAt.getTime(), new Date(2026, 2, 2, 9, 15, 30).getTime());
+  assert.equal(exif.latitude, null);
+});
+
+test('JPEGs without EXIF, other files and cut-off segments give null', () => {
+  assert.equal(parseExif(JPEG), null);
+  assert.equal(parseExif(Buffer.from('%PDF-1.4')), null);
+  assert.equal(parseExif(Buffer.alloc(0)), null);
+  const cut = exifJpeg({ takenAt: '2026:03:02 09:15:30' });
+  assert.equal(parseExif(cut.subarray(0, 16)), null);
+  // Cut inside the IFDs: whatever didn't make it is just absent
+  assert.equal(parseExif(cut.subarray(0, 40)).takenAt, null);
+  assert.equal(parseExif(exifJpeg()).takenAt, null);
+});
+
+test('the photo is read from disk', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'exif-test-')), 'me.jpg');
+  fs.writeFileSync(file, exifJpeg({ takenAt: '2026:03:02 09:15:30', offset: '+00:00' }));
+  try {
+    assert.equal((await readExifFromFile(file)).takenAt.toISOString(), '2026-03-02T09:15:30.000Z');
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test('a photo taken too long before or after the punch is stale', () => {
+  const exif = { takenAt: new Date('2026-03-02T09:00:00Z') };
+  assert.deepEqual(verifyCaptureTime(exif, '2026-03-02T09:08:00Z', 10), { check: 'ok', skewMinutes: 8 });
+  assert.deepEqual(verifyCaptureTime(exif, '2026-03-02T09:30:00Z', 10), { check: 'stale', skewMinutes: 30 });
+  assert.deepEqual(verifyCaptureTime(exif, '2026-03-02T08:45:00Z', 10), { check: 'stale', skewMinutes: -15 });
+  assert.deepEqual(verifyCaptureTime(null, '2026-03-02T09:00:00Z'), { check: 'no_exif', skewMinutes: null });
+  assert.deepEqual(verifyCaptureTime({ takenAt: null }, '2026-03-02T09:00:00Z'), { check: 'no_exif', skewMinutes: null });
+});
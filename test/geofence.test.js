@@ -0,0 +1,50 @@
+// middleware/geofence.js: coordinates from the request and the inside / outside decision per policy
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { haversineMeters, parseCoords, checkGeofence, rejectionError } = require('../middleware/geofence');
+
+// A 200 m fence; 0.001° of latitude is about 111 m
+const fence = { lat: 40.0, lng: -75.0, radiusMeters: 200 };
+const coords = (dLat, accuracy = null) => ({ latitude: 40.0 + dLat, longitude: -75.0, accuracy });
+
+test('distances', () => {
+  assert.equal(haversineMeters(40, -75, 40, -75), 0);
+  assert.equal(Math.round(haversineMeters(40, -75, 40.001, -75)), 111);
+});
+
+test('coordinates are read from the body and rejected when out of range', () => {
+  assert.deepEqual(parseCoords({ latitude: '40.5', longitude: '-75.25', accuracy: '12' }), { latitude: 40.5, longitude: -75.25, accuracy: 12 });
+  assert.deepEqual(parseCoords({ lat: 1, lng: 2, accuracy: -5 }), { latitude: 1, longitude: 2, accuracy: null });
+  assert.equal(parseCoords({ latitude: 91, longitude: 0 }), null);
+  assert.equal(parseCoords({ latitude: 'x', longitude: 0 }), null);
+  assert.equal(parseCoords({}), null);
+});
+
+test('inside and outside the fence', () => {
+  assert.deepEqual(checkGeofence(fence, coords(0.001), 'flag'), { status: 'inside', distanceMeters: 111, allowed: true });
+  assert.deepEqual(checkGeofence(fence, coords(0.003), 'flag'), { status: 'outside', distanceMeters: 334, allowed: true });
+  assert.deepEqual(checkGeofence(fence, coords(0.003), 'strict'), { status: 'outside', distanceMeters: 334, allowed: false });
+});
+
+test('GPS accuracy widens the fence, up to a cap', () => {
+  // 278 m from the center, 200 m fence: ±80 m is just enough
+  assert.equal(checkGeofence(fence, coords(0.0025, 80), 'strict').status, 'inside');
+  assert.equal(checkGeofence(fence, coords(0.0025, 70), 'strict').status, 'outside');
+  // A phone claiming ±2 km only gets the default 100 m of slack
+  assert.equal(checkGeofence(fence, coords(0.003, 2000), 'strict').status, 'outside');
+  assert.equal(checkGeofence(fence, coords(0.0026, 2000), 'strict').status, 'inside');
+});
+
+test('no fence or no location', () => {
+  assert.deepEqual(checkGeofence(null, coords(0)), { status: 'no_fence', distanceMeters: null, allowed: true });
+  assert.equal(checkGeofence({ lat: 40, lng: -75, radiusMeters: 0 }, coords(5), 'strict').status, 'no_fence');
+  assert.deepEqual(checkGeofence(fence, null, 'flag'), { status: 'no_location', distanceMeters: null, allowed: true });
+  assert.deepEqual(checkGeofence(fence, null, 'strict'), { status: 'no_location', distanceMeters: null, allowed: false });
+});
+
+test('rejections say why', () => {
+  const outside = rejectionError(checkGeofence(fence, coords(0.003), 'strict'), 'CQS');
+  assert.deepEqual([outside.status, outside.code, outside.message], [403, 'OUTSIDE_GEOFENCE', 'You are 334 m outside the CQS geofence']);
+  const noLocation = rejectionError(checkGeofence(fence, null, 'strict'), 'CQS');
+  assert.deepEqual([noLocation.code, noLocation.details], ['LOCATION_REQUIRED', { geofence: 'no_location', distanceMeters: null }]);
+});
@@ -0,0 +1,188 @@
+// test/helpers/app.js — boots server.js in a child process against a temp SQLite DB, a temp upload
+// dir and a FakeGraph, and hands back a small fetch client that keeps the session cookie.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const FakeGraph = require('./fakeGraph');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const ADMIN = { email: 'admin@example.com', password: 'admin-pass-1' };
+const SERVICE_UPN = 'svc@example.com';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Only the multipart mimetype is checked, and the EXIF reader just finds no EXIF block here
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0xff, 0xd9]);
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj<<>>endobj\ntrailer<<>>\n%%EOF\n');
+
+class Client {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    this.cookie = null;
+  }
+
+  // → { status, body, headers } (body parsed as JSON when it is JSON; a Buffer with binary: true)
+  async request(method, urlPath, { json, form, body: raw, headers = {}, binary = false } = {}) {
+    const opts = { method, headers: { ...headers } };
+    if (this.cookie) opts.headers.Cookie = this.cookie;
+    if (json !== undefined) {
+      opts.headers['Content-Type'] = 'application/json';
+      opts.body = JSON.stringify(json);
+    } else if (form) {
+      opts.body = form;
+    } else if (raw !== undefined) {
+      opts.body = raw;
+    }
+    const res = await fetch(this.baseUrl + urlPath, opts);
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) this.cookie = setCookie.split(';')[0];
+    if (binary && res.ok) return { status: res.status, body: Buffer.from(await res.arrayBuffer()), headers: res.headers };
+    const text = await res.text();
+    let body = text;
+    try { body = JSON.parse(text); } catch {}
+    return { status: res.status, body, headers: res.headers };
+  }
+
+  get(urlPath, opts)          { return this.request('GET', urlPath, opts); }
+  post(urlPath, json, opts)   { return this.request('POST', urlPath, { ...opts, json }); }
+  patch(urlPath, json, opts)  { return this.request('PATCH', urlPath, { ...opts, json }); }
+  put(urlPath, json, opts)    { return this.request('PUT', urlPath, { ...opts, json }); }
+  delete(urlPath, opts)       { return this.request('DELETE', urlPath, opts); }
+  upload(urlPath, form, opts) { return this.request('POST', urlPath, { ...opts, form }); }
+
+  async login(email, password) {
+    const res = await this.post('/api/auth/login', { email, password });
+    if (res.status !== 200) throw new Error(`Login as ${email} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    return res;
+  }
+}
+
+// multipart body: fields { name: value } + files [{ field, name, type, data }]
+function formData(fields = {}, files = []) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, String(v));
+  for (const f of files) form.append(f.field, new Blob([f.data], { type: f.type }), f.name);
+  return form;
+}
+
+// Starts FakeGraph + server.js. env overrides the defaults below. → { url, graph, driveId, client(), stop() }
+async function startApp(env = {}) {
+  const graph = new FakeGraph();
+  const driveId = graph.addUser(SERVICE_UPN, 'svc-drive');
+  // OneDriveService expects its base folders to exist already
+  graph.mkdirs(driveId, 'TimeClock_Photos');
+  graph.mkdirs(driveId, 'Worker_Documents');
+  await graph.start();
+
+  const tmp  = fs.mkdtempSync(path.join(os.tmpdir(), 'timeclock-test-'));
+  const port = await freePort();
+  const url  = `http://127.0.0.1:${port}`;
+
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: tmp,   // keeps dotenv from picking up a developer's .env
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      DB_PATH: path.join(tmp, 'test.db'),
+      UPLOAD_DIR: path.join(tmp, 'uploads'),
+      SESSION_SECRET: 'test-session-secret',
+      ADMIN_EMAIL: ADMIN.email,
+      ADMIN_INITIAL_PASSWORD: ADMIN.password,
+      UNIVERSAL_CODE: 'UNIVERSAL-TEST',
+      RATE_LIMIT_MAX_REQUESTS: '10000',
+      LOGIN_RATE_LIMIT_MAX: '10000',
+      DRIVE_RECONCILE_INTERVAL_HOURS: '0',
+      UPLOAD_QUEUE_INTERVAL_MS: '200',
+      STORAGE_BACKEND: 'onedrive',
+      GRAPH_API_URL: graph.url,
+      AZURE_AUTHORITY_HOST: graph.url,
+      AZURE_TENANT_ID: 'test-tenant',
+      AZURE_CLIENT_ID: 'test-client',
+      AZURE_CLIENT_SECRET: 'test-secret',
+      ONEDRIVE_SERVICE_UPN: SERVICE_UPN,
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await graph.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  };
+
+  // Ready once the admin can sign in and locations.json is imported (both run after listen)
+  const deadline = Date.now() + 15000;
+  for (;;) {
+    try {
+      const admin = new Client(url);
+      await admin.login(ADMIN.email, ADMIN.password);
+      const { body } = await admin.get('/api/locations');
+      if (!body.items?.length) throw new Error('locations not seeded yet');
+      break;
+    } catch (err) {
+      if (child.exitCode !== null || Date.now() > deadline) {
+        await stop();
+        throw new Error(`server.js did not start: ${err.message}\n${output}`);
+      }
+      await new Promise(r => setTimeout(r, 150));
+    }
+  }
+
+  return {
+    url,
+    graph,
+    driveId,
+    tmp,
+    output: () => output,
+    client: () => new Client(url),
+    async admin() {
+      const c = new Client(url);
+      await c.login(ADMIN.email, ADMIN.password);
+      return c;
+    },
+    // Creates an account through the admin API and signs it in
+    async employee({ email, password = '4321', role, location, ...rest } = {}) {
+      const admin = await this.admin();
+      const res = await admin.post('/api/admin/users', { email, password, role, location, ...rest });
+      if (res.status !== 201) throw new Error(`Create user failed: ${res.status} ${JSON.stringify(res.body)}`);
+      const c = new Client(url);
+      await c.login(email, password);
+      return c;
+    },
+    stop,
+  };
+}
+
+// Polls fn() until it returns something truthy
+async function waitFor(fn, { timeout = 5000, interval = 100 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(r => setTimeout(r, interval));
+  }
+}
+
+module.exports = { startApp, waitFor, formData, Client, ADMIN, SERVICE_UPN, JPEG, PDF };
@@ -0,0 +1,31 @@
+// test/helpers/db.js — a fully migrated in-memory Database, for unit tests of the services built on it
+const Database = require('../../database');
+
+// Migration logs would land in the test runner's output
+async function memoryDb() {
+  const { DB_PATH } = process.env;
+  const log = console.log;
+  process.env.DB_PATH = ':memory:';
+  console.log = () => {};
+  try {
+    const db = new Database();
+    await db.ready;
+    return db;
+  } finally {
+    console.log = log;
+    if (DB_PATH === undefined) delete process.env.DB_PATH; else process.env.DB_PATH = DB_PATH;
+  }
+}
+
+// An open shift that started at clockInTime (Database.clockIn always starts one now)
+async function onTheClock(db, user, clockInTime) {
+  const { lastID } = await db.run(`
+    INSERT INTO time_records (user_id, email, clock_in_time, status) VALUES (?, ?, ?, 'active')
+  `, [user.id, user.email, clockInTime]);
+  await db.run(`
+    INSERT INTO active_sessions (user_id, email, time_record_id, clock_in_time) VALUES (?, ?, ?, ?)
+  `, [user.id, user.email, lastID, clockInTime]);
+  return lastID;
+}
+
+module.exports = { memoryDb, onTheClock };
@@ -0,0 +1,80 @@
+// test/helpers/exif.js — a JPEG with an Exif APP1 segment (camera, capture time, GPS), laid out by
+// hand in either byte order so middleware/exif.js is read against bytes it didn't write
+const TYPES = { ascii: 2, short: 3, long: 4, rational: 5 };
+
+// One TIFF IFD entry's value bytes
+function encode(type, value, le) {
+  if (type === 'ascii') return Buffer.from(`${value}\0`, 'latin1');
+  const size = { short: 2, long: 4, rational: 8 }[type];
+  const values = [].concat(value);
+  const buf = Buffer.alloc(size * values.length);
+  values.forEach((v, i) => {
+    if (type === 'short') le ? buf.writeUInt16LE(v, i * 2) : buf.writeUInt16BE(v, i * 2);
+    else if (type === 'long') le ? buf.writeUInt32LE(v, i * 4) : buf.writeUInt32BE(v, i * 4);
+    else {
+      // rationals as value * 1000 / 1000, enough for seconds with decimals
+      const [num, den] = [Math.round(v * 1000), 1000];
+      if (le) { buf.writeUInt32LE(num, i * 8); buf.writeUInt32LE(den, i * 8 + 4); }
+      else    { buf.writeUInt32BE(num, i * 8); buf.writeUInt32BE(den, i * 8 + 4); }
+    }
+  });
+  return buf;
+}
+
+// ifds: [ifd0, exif, gps] as [[tag, type, value]]; the sub-IFD pointers in ifd0 are filled in here
+function tiff(ifds, le) {
+  const u16 = (v) => { const b = Buffer.alloc(2); le ? b.writeUInt16LE(v) : b.writeUInt16BE(v); return b; };
+  const u32 = (v) => { const b = Buffer.alloc(4); le ? b.writeUInt32LE(v) : b.writeUInt32BE(v); return b; };
+  const [ifd0, exif, gps] = ifds.map(e => [...e]);
+  if (exif.length) ifd0.push([0x8769, 'long', 0]);
+  if (gps.length)  ifd0.push([0x8825, 'long', 0]);
+
+  const sizeOf = entries => 2 + entries.length * 12 + 4;
+  const offsets = [8];
+  offsets.push(offsets[0] + sizeOf(ifd0));
+  offsets.push(offsets[1] + sizeOf(exif));
+  let dataAt = offsets[2] + sizeOf(gps);
+  for (const entry of ifd0) {
+    if (entry[0] === 0x8769) entry[2] = offsets[1];
+    if (entry[0] === 0x8825) entry[2] = offsets[2];
+  }
+
+  const parts = [Buffer.from(le ? 'II' : 'MM', 'latin1'), u16(42), u32(8)];
+  const data = [];
+  for (const entries of [ifd0, exif, gps]) {
+    parts.push(u16(entries.length));
+    for (const [tag, type, value] of entries) {
+      const bytes = encode(type, value, le);
+      const count = type === 'ascii' ? bytes.length : bytes.length / { short: 2, long: 4, rational: 8 }[type];
+      let field = Buffer.alloc(4);
+      if (bytes.length <= 4) bytes.copy(field);
+      else { field = u32(dataAt); data.push(bytes); dataAt += bytes.length; }
+      parts.push(u16(tag), u16(TYPES[type]), u32(count), field);
+    }
+    parts.push(u32(0));
+  }
+  return Buffer.concat([...parts, ...data]);
+}
+
+// takenAt: "YYYY:MM:DD HH:MM:SS"; gps: { lat, lng } in signed degrees
+function exifJpeg({ takenAt = null, offset = null, make = 'TestCam', model = 'T1', gps = null, littleEndian = true } = {}) {
+  const ifd0 = [[0x010f, 'ascii', make], [0x0110, 'ascii', model]];
+  const exif = [];
+  if (takenAt) exif.push([0x9003, 'ascii', takenAt]);
+  if (takenAt && offset) exif.push([0x9011, 'ascii', offset]);
+  const dms = (deg) => {
+    const a = Math.abs(deg), d = Math.floor(a), m = Math.floor((a - d) * 60);
+    return [d, m, Math.round(((a - d) * 60 - m) * 60 * 1000) / 1000];
+  };
+  const gpsIfd = gps ? [
+    [0x0001, 'ascii', gps.lat < 0 ? 'S' : 'N'], [0x0002, 'rational', dms(gps.lat)],
+    [0x0003, 'ascii', gps.lng < 0 ? 'W' : 'E'], [0x0004, 'rational', dms(gps.lng)],
+  ] : [];
+
+  const body = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff([ifd0, exif, gpsIfd], littleEndian)]);
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(body.length + 2);
+  return Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe1]), len, body, Buffer.from([0xff, 0xd9])]);
+}
+
+module.exports = { exifJpeg };
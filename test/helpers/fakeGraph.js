@@ -0,0 +1,266 @@
+// test/helpers/fakeGraph.js — an in-process stand-in for the bits of Microsoft Graph that
+// middleware/onedrive.js uses: the client-credentials token endpoint, drive items addressed by id or
+// path (root:/a/b, items/{id}:/a/b), children (list with paging + create), :/content PUTs, upload
+// sessions, /shares and shortcuts (remoteItem) into another drive.
+// Point OneDriveService at it with GRAPH_API_URL / AZURE_AUTHORITY_HOST = fake.url.
+const http = require('http');
+const crypto = require('crypto');
+
+const TOKEN = 'fake-graph-token';
+
+class FakeGraph {
+  constructor() {
+    this.drives   = new Map();   // driveId → { id, items: Map(id → item), rootId }
+    this.users    = new Map();   // upn (lowercase) → driveId
+    this.sessions = new Map();   // upload session id → { driveId, parentId, name, size, chunks }
+    this.requests = [];          // { method, path } for every call, for assertions
+    this.deniedShares = new Set();   // webUrls /shares answers 403 for
+    this.tokensIssued = 0;
+    this.seq = 0;
+    this.url = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  // ─── Test setup ──────────────────────────────────────────────────────────────
+  addDrive(driveId = `drive-${++this.seq}`) {
+    const rootId = `${driveId}-root`;
+    const items = new Map([[rootId, { id: rootId, name: 'root', parentId: null, folder: true, createdDateTime: new Date().toISOString() }]]);
+    this.drives.set(driveId, { id: driveId, items, rootId });
+    return driveId;
+  }
+
+  addUser(upn, driveId = `drive-${++this.seq}`) {
+    if (!this.drives.has(driveId)) this.addDrive(driveId);
+    this.users.set(upn.toLowerCase(), driveId);
+    return driveId;
+  }
+
+  // Creates every missing folder of "a/b/c" under the drive root (or under parentId); → last item
+  mkdirs(driveId, relPath, parentId = null) {
+    const drive = this.drives.get(driveId);
+    let current = drive.items.get(parentId || drive.rootId);
+    for (const name of relPath.split('/').filter(Boolean)) {
+      current = this.childByName(drive, current.id, name) || this.createItem(drive, current.id, name, { folder: true });
+    }
+    return current;
+  }
+
+  // A shortcut named `name` in driveId's root pointing at a folder in another drive
+  addShortcut(driveId, name, target) {
+    const drive = this.drives.get(driveId);
+    return this.createItem(drive, drive.rootId, name, { remoteItem: { id: target.id, driveId: target.driveId } });
+  }
+
+  // The item at "a/b" under the drive root, or null
+  find(driveId, relPath) {
+    const drive = this.drives.get(driveId);
+    return this.resolvePath(drive, drive.rootId, relPath.split('/').filter(Boolean));
+  }
+
+  // Paths of every file in a drive ("a/b/file.jpg"), sorted
+  files(driveId) {
+    const drive = this.drives.get(driveId);
+    return [...drive.items.values()].filter(i => i.content).map(i => this.pathOf(drive, i)).sort();
+  }
+
+  // ─── Item store ──────────────────────────────────────────────────────────────
+  createItem(drive, parentId, name, props) {
+    const now = new Date().toISOString();
+    const item = { id: `item-${++this.seq}`, name, parentId, createdDateTime: now, lastModifiedDateTime: now, ...props };
+    drive.items.set(item.id, item);
+    return item;
+  }
+
+  childByName(drive, parentId, name) {
+    for (const item of drive.items.values()) {
+      if (item.parentId === parentId && item.name.toLowerCase() === name.toLowerCase()) return item;
+    }
+    return null;
+  }
+
+  children(drive, parentId) {
+    return [...drive.items.values()].filter(i => i.parentId === parentId).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Like Graph, path addressing does not follow shortcuts: a shortcut mid-path is a 404
+  resolvePath(drive, startId, segments) {
+    let current = drive.items.get(startId);
+    for (const seg of segments) {
+      if (!current || !current.folder) return null;
+      current = this.childByName(drive, current.id, seg);
+    }
+    return current || null;
+  }
+
+  pathOf(drive, item) {
+    const names = [];
+    for (let i = item; i && i.parentId; i = drive.items.get(i.parentId)) names.unshift(i.name);
+    return names.join('/');
+  }
+
+  toJson(drive, item) {
+    const parent = item.parentId ? drive.items.get(item.parentId) : null;
+    const parentPath = parent ? this.pathOf(drive, parent) : null;
+    const json = {
+      id: item.id,
+      name: item.name,
+      size: item.content ? item.content.length : 0,
+      createdDateTime: item.createdDateTime,
+      lastModifiedDateTime: item.lastModifiedDateTime,
+      webUrl: `${this.url}/personal/${drive.id}/Documents/${this.pathOf(drive, item).split('/').map(encodeURIComponent).join('/')}`,
+      parentReference: parent ? { driveId: drive.id, id: parent.id, path: `/drives/${drive.id}/root:${parentPath ? '/' + parentPath : ''}` } : { driveId: drive.id },
+    };
+    if (item.folder)  json.folder = { childCount: this.children(drive, item.id).length };
+    if (item.content) {
+      json.file = { mimeType: item.mimeType || 'application/octet-stream' };
+      json['@microsoft.graph.downloadUrl'] = `${this.url}/download/${drive.id}/${item.id}`;
+    }
+    if (item.remoteItem) {
+      json.remoteItem = { id: item.remoteItem.id, folder: {}, parentReference: { driveId: item.remoteItem.driveId } };
+    }
+    return json;
+  }
+
+  // ─── HTTP ────────────────────────────────────────────────────────────────────
+  async handle(req, res) {
+    const body = await new Promise(resolve => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+    const url = new URL(req.url, this.url);
+    this.requests.push({ method: req.method, path: decodeURIComponent(url.pathname) });
+
+    const send = (status, json) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(json === undefined ? '' : JSON.stringify(json));
+    };
+    const fail = (status, code, message) => send(status, { error: { code, message } });
+
+    try {
+      if (req.method === 'POST' && /^\/[^/]+\/oauth2\/v2\.0\/token$/.test(url.pathname)) {
+        const form = new URLSearchParams(body.toString());
+        if (form.get('grant_type') !== 'client_credentials' || !form.get('client_id') || !form.get('client_secret')) {
+          return fail(400, 'invalid_request', 'client credentials required');
+        }
+        this.tokensIssued++;
+        return send(200, { token_type: 'Bearer', expires_in: 3599, access_token: TOKEN });
+      }
+
+      // Upload session URLs are pre-authenticated; Graph rejects them if a bearer token is sent too
+      const up = /^\/upload\/([^/]+)$/.exec(url.pathname);
+      if (up) {
+        if (req.headers.authorization) return fail(401, 'unauthenticated', 'Do not send Authorization to upload URLs');
+        return this.handleSession(req, res, up[1], body, send, fail);
+      }
+
+      if (req.headers.authorization !== `Bearer ${TOKEN}`) return fail(401, 'InvalidAuthenticationToken', 'Access token is empty or invalid');
+
+      const share = /^\/v1\.0\/shares\/u!([^/]+)\/driveItem$/.exec(url.pathname);
+      if (share) {
+        const webUrl = Buffer.from(share[1], 'base64url').toString();
+        if (this.deniedShares.has(webUrl)) return fail(403, 'accessDenied', 'Access denied');
+        for (const drive of this.drives.values()) {
+          for (const item of drive.items.values()) {
+            if (this.toJson(drive, item).webUrl === webUrl) return send(200, this.toJson(drive, item));
+          }
+        }
+        return fail(404, 'itemNotFound', 'The resource could not be found.');
+      }
+
+      // /v1.0/users/{upn}/drive… or /v1.0/drives/{id}…
+      const m = /^\/v1\.0\/(?:users\/([^/]+)\/drive|drives\/([^/]+))(\/.*)$/.exec(url.pathname);
+      const driveId = m && (m[1] ? this.users.get(decodeURIComponent(m[1]).toLowerCase()) : decodeURIComponent(m[2]));
+      const drive = driveId && this.drives.get(driveId);
+      if (!drive) return fail(404, 'itemNotFound', 'Drive not found');
+
+      // /root | /items/{id}, then an optional ":/rel/path[:]" and an optional /children | /content | /createUploadSession
+      const r = /^\/(?:root|items\/([^/:]+))(?::\/([^:]*))?:?(\/children|\/content|\/createUploadSession)?$/.exec(m[3]);
+      if (!r) return fail(400, 'invalidRequest', `Unsupported path ${m[3]}`);
+      const startId  = r[1] ? decodeURIComponent(r[1]) : drive.rootId;
+      const segments = (r[2] || '').split('/').filter(Boolean).map(decodeURIComponent);
+      const action   = r[3] || '';
+      if (!drive.items.has(startId)) return fail(404, 'itemNotFound', 'The resource could not be found.');
+
+      if (action === '/content' || action === '/createUploadSession') {
+        const name   = segments.pop();
+        const parent = this.resolvePath(drive, startId, segments);
+        if (!parent || !parent.folder) return fail(404, 'itemNotFound', 'Parent folder does not exist');
+        if (action === '/createUploadSession') {
+          const id = crypto.randomBytes(8).toString('hex');
+          this.sessions.set(id, { driveId: drive.id, parentId: parent.id, name, chunks: [], received: 0 });
+          return send(200, { uploadUrl: `${this.url}/upload/${id}`, expirationDateTime: new Date(Date.now() + 36e5).toISOString() });
+        }
+        if (req.method !== 'PUT') return fail(405, 'invalidRequest', 'Use PUT');
+        return send(201, this.toJson(drive, this.writeFile(drive, parent.id, name, body, req.headers['content-type'])));
+      }
+
+      const item = this.resolvePath(drive, startId, segments);
+      if (!item) return fail(404, 'itemNotFound', 'The resource could not be found.');
+
+      if (action === '/children' && req.method === 'POST') {
+        const { name, folder } = JSON.parse(body.toString() || '{}');
+        if (!name || !folder) return fail(400, 'invalidRequest', 'name and folder are required');
+        const existing = this.childByName(drive, item.id, name);
+        if (existing) return send(201, this.toJson(drive, existing));
+        return send(201, this.toJson(drive, this.createItem(drive, item.id, name, { folder: true })));
+      }
+      if (action === '/children') {
+        const all  = this.children(drive, item.id);
+        const top  = parseInt(url.searchParams.get('$top'), 10) || 200;
+        const skip = parseInt(url.searchParams.get('$skiptoken'), 10) || 0;
+        const page = { value: all.slice(skip, skip + top).map(i => this.toJson(drive, i)) };
+        if (skip + top < all.length) {
+          const next = new URL(url);
+          next.searchParams.set('$skiptoken', String(skip + top));
+          page['@odata.nextLink'] = next.toString();
+        }
+        return send(200, page);
+      }
+
+      if (req.method === 'DELETE') {
+        const remove = (i) => { this.children(drive, i.id).forEach(remove); drive.items.delete(i.id); };
+        remove(item);
+        return send(204);
+      }
+      return send(200, this.toJson(drive, item));
+    } catch (err) {
+      fail(500, 'generalException', err.message);
+    }
+  }
+
+  writeFile(drive, parentId, name, content, mimeType) {
+    const existing = this.childByName(drive, parentId, name);
+    if (existing) drive.items.delete(existing.id);
+    return this.createItem(drive, parentId, name, { content, mimeType: mimeType || 'application/octet-stream' });
+  }
+
+  handleSession(req, res, id, body, send, fail) {
+    const session = this.sessions.get(id);
+    if (!session) return fail(404, 'itemNotFound', 'Upload session not found');
+    if (req.method === 'DELETE') { this.sessions.delete(id); return send(204); }
+    if (req.method === 'GET') return send(200, { nextExpectedRanges: [`${session.received}-`] });
+
+    const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(req.headers['content-range'] || '');
+    if (!range || +range[1] !== session.received) return fail(416, 'invalidRange', 'Unexpected Content-Range');
+    session.chunks.push(body);
+    session.received = +range[2] + 1;
+    if (session.received < +range[3]) return send(202, { nextExpectedRanges: [`${session.received}-`] });
+
+    this.sessions.delete(id);
+    const drive = this.drives.get(session.driveId);
+    return send(201, this.toJson(drive, this.writeFile(drive, session.parentId, session.name, Buffer.concat(session.chunks))));
+  }
+}
+
+module.exports = FakeGraph;
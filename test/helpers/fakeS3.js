@@ -0,0 +1,161 @@
+// test/helpers/fakeS3.js — an in-process, MinIO-style stand-in for the S3 calls middleware/s3Storage.js
+// makes: path-style PUT / GET / HEAD / DELETE of objects, HEAD of the bucket and ListObjectsV2 (prefix,
+// delimiter, continuation tokens). Every request must carry a valid Signature V4, in the Authorization
+// header or presigned in the query string; the check is written out here on its own rather than
+// borrowed from the code under test.
+const http = require('http');
+const crypto = require('crypto');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac   = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const rfc3986 = (s) => encodeURIComponent(s).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+const xml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+class FakeS3 {
+  // pageSize: keys per ListObjectsV2 page (small, so paging gets exercised)
+  constructor({ accessKeyId = 'TESTKEY', secretAccessKey = 'test-secret', region = 'us-east-1', bucket = 'timeclock', pageSize = 1000 } = {}) {
+    Object.assign(this, { accessKeyId, secretAccessKey, region, bucket, pageSize });
+    this.objects  = new Map();   // key → { body, contentType, lastModified }
+    this.requests = [];          // { method, key, query } for every signed call, for assertions
+    this.url = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  keys() {
+    return [...this.objects.keys()].sort();
+  }
+
+  // ─── Signature V4 ────────────────────────────────────────────────────────────
+  // null when the request is signed correctly, otherwise why not
+  verify(req, url) {
+    const params = [...url.searchParams.entries()];
+    const presigned = url.searchParams.get('X-Amz-Algorithm') === 'AWS4-HMAC-SHA256';
+    let credential, signedHeaders, signature, amzDate, payloadHash;
+
+    if (presigned) {
+      credential    = url.searchParams.get('X-Amz-Credential');
+      signedHeaders = url.searchParams.get('X-Amz-SignedHeaders');
+      signature     = url.searchParams.get('X-Amz-Signature');
+      amzDate       = url.searchParams.get('X-Amz-Date');
+      payloadHash   = 'UNSIGNED-PAYLOAD';
+      const expires = parseInt(url.searchParams.get('X-Amz-Expires'), 10);
+      const signedAt = Date.parse(amzDate.replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/, '$1-$2-$3T$4:$5:$6Z'));
+      if (!(signedAt + expires * 1000 > Date.now())) return 'Request has expired';
+    } else {
+      const m = /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/.exec(req.headers.authorization || '');
+      if (!m) return 'Missing or malformed Authorization';
+      [, credential, signedHeaders, signature] = m;
+      amzDate     = req.headers['x-amz-date'];
+      payloadHash = req.headers['x-amz-content-sha256'];
+    }
+
+    const [accessKey, date, region, service, terminator] = String(credential).split('/');
+    if (accessKey !== this.accessKeyId) return 'Unknown access key';
+    if (region !== this.region || service !== 's3' || terminator !== 'aws4_request' || !String(amzDate).startsWith(date)) {
+      return 'Bad credential scope';
+    }
+    const names = signedHeaders.split(';');
+    if (!names.includes('host')) return 'host must be signed';
+
+    const query = params.filter(([k]) => k !== 'X-Amz-Signature')
+      .map(([k, v]) => [rfc3986(k), rfc3986(v)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([k, v]) => `${k}=${v}`).join('&');
+    const canonical = [
+      req.method, url.pathname, query,
+      names.map(h => `${h}:${String(req.headers[h] ?? '').trim()}\n`).join(''), signedHeaders, payloadHash,
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+    const key = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const expected = crypto.createHmac('sha256', key).update(toSign).digest('hex');
+    return expected === signature ? null : 'SignatureDoesNotMatch';
+  }
+
+  // ─── HTTP ────────────────────────────────────────────────────────────────────
+  async handle(req, res) {
+    const body = await new Promise(resolve => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+    const url = new URL(req.url, this.url);
+    const [bucket, ...rest] = url.pathname.slice(1).split('/');
+    const key = rest.map(decodeURIComponent).join('/');
+
+    const reply = (status, headers = {}, payload = '') => {
+      res.writeHead(status, headers);
+      res.end(req.method === 'HEAD' ? undefined : payload);
+    };
+    const fail = (status, code, message) =>
+      reply(status, { 'Content-Type': 'application/xml' }, `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${xml(message)}</Message></Error>`);
+
+    const problem = this.verify(req, url);
+    if (problem) return fail(403, 'AccessDenied', problem);
+    if (decodeURIComponent(bucket) !== this.bucket) return fail(404, 'NoSuchBucket', 'The specified bucket does not exist');
+    this.requests.push({ method: req.method, key, query: Object.fromEntries(url.searchParams) });
+
+    if (!key) {
+      if (req.method === 'HEAD') return reply(200);
+      if (req.method === 'GET' && url.searchParams.get('list-type') === '2') return this.listObjects(url.searchParams, reply);
+      return fail(400, 'InvalidRequest', `Unsupported ${req.method} on the bucket`);
+    }
+
+    const object = this.objects.get(key);
+    switch (req.method) {
+      case 'PUT':
+        this.objects.set(key, { body, contentType: req.headers['content-type'] || 'binary/octet-stream', lastModified: new Date() });
+        return reply(200, { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+      case 'GET':
+      case 'HEAD':
+        if (!object) return fail(404, 'NoSuchKey', 'The specified key does not exist.');
+        return reply(200, {
+          'Content-Type': object.contentType, 'Content-Length': object.body.length, 'Last-Modified': object.lastModified.toUTCString(),
+        }, object.body);
+      case 'DELETE':
+        this.objects.delete(key);
+        return reply(204);
+      default:
+        return fail(405, 'MethodNotAllowed', `${req.method} is not allowed`);
+    }
+  }
+
+  // ListObjectsV2: keys under prefix, rolled up to CommonPrefixes at the delimiter, pageSize per page
+  listObjects(params, reply) {
+    const prefix = params.get('prefix') || '';
+    const delimiter = params.get('delimiter') || '';
+    const entries = [];
+    for (const key of this.keys().filter(k => k.startsWith(prefix))) {
+      const cut = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+      const entry = cut === -1 ? { key } : { prefix: key.slice(0, cut + delimiter.length) };
+      if (entry.prefix && entries.some(e => e.prefix === entry.prefix)) continue;
+      entries.push(entry);
+    }
+    const start = parseInt(params.get('continuation-token') || '0', 10);
+    const page = entries.slice(start, start + this.pageSize);
+    const truncated = start + this.pageSize < entries.length;
+
+    const parts = page.map(e => (e.key !== undefined
+      ? `<Contents><Key>${xml(e.key)}</Key><LastModified>${this.objects.get(e.key).lastModified.toISOString()}</LastModified><Size>${this.objects.get(e.key).body.length}</Size></Contents>`
+      : `<CommonPrefixes><Prefix>${xml(e.prefix)}</Prefix></CommonPrefixes>`));
+    reply(200, { 'Content-Type': 'application/xml' }, [
+      '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>',
+      `<Name>${this.bucket}</Name><Prefix>${xml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>`,
+      truncated ? `<NextContinuationToken>${start + this.pageSize}</NextContinuationToken>` : '',
+      ...parts,
+      '</ListBucketResult>',
+    ].join(''));
+  }
+}
+
+module.exports = FakeS3;
@@ -0,0 +1,68 @@
+// test/helpers/pdf.js — small one-page PDFs with text lines and AcroForm fields, enough for pdf.js
+// to read (the W-9 check) without shipping the IRS form as a fixture
+const pdfString = s => '(' + String(s).replace(/[\\()]/g, c => '\\' + c) + ')';
+
+// lines: text on the page; fields: [{ name, value } | { name, checkbox: true, value: bool, export }]
+// Fields sit under one "topmostSubform[0]" parent like the IRS forms.
+function buildPdf({ lines = [], fields = [], title = null } = {}) {
+  const objs = [];
+  const add = body => objs.push(body);
+  const catalog = add(null), pages = add(null), page = add(null);
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const text = lines.map((l, i) => `BT /F1 10 Tf 50 ${740 - i * 14} Td ${pdfString(l)} Tj ET`).join('\n');
+  const content = add(`<< /Length ${Buffer.byteLength(text, 'latin1')} >>\nstream\n${text}\nendstream`);
+  const off = add('<< /Length 0 >>\nstream\n\nendstream');
+  const on = add('<< /Length 0 >>\nstream\n\nendstream');
+  const info = title ? add(`<< /Title ${pdfString(title)} >>`) : null;
+  const parent = fields.length ? add(null) : null;
+
+  const kids = fields.map((f, i) => {
+    const common = `/T ${pdfString(f.name)} /DA (/Helv 0 Tf 0 g) /Rect [50 ${600 - i * 20} 250 ${615 - i * 20}] /P ${page} 0 R /Parent ${parent} 0 R`;
+    if (f.checkbox) {
+      const exp = f.export || '1';
+      const state = f.value ? `/${exp}` : '/Off';
+      return add(`<< /Type /Annot /Subtype /Widget /FT /Btn ${common} /V ${state} /AS ${state} /AP << /N << /${exp} ${on} 0 R /Off ${off} 0 R >> >> >>`);
+    }
+    return add(`<< /Type /Annot /Subtype /Widget /FT /Tx ${common}${f.value != null ? ` /V ${pdfString(f.value)}` : ''} >>`);
+  });
+  const refs = ids => ids.map(id => `${id} 0 R`).join(' ');
+
+  if (parent) objs[parent - 1] = `<< /T (topmostSubform[0]) /Kids [${refs(kids)}] >>`;
+  objs[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R${parent ? ` /AcroForm << /Fields [${parent} 0 R] /DR << /Font << /Helv ${font} 0 R >> >> /DA (/Helv 0 Tf 0 g) >>` : ''} >>`;
+  objs[pages - 1] = `<< /Type /Pages /Kids [${page} 0 R] /Count 1 >>`;
+  objs[page - 1] = `<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 612 792] /Contents ${content} 0 R`
+    + ` /Resources << /Font << /F1 ${font} 0 R >> >>${kids.length ? ` /Annots [${refs(kids)}]` : ''} >>`;
+
+  let out = '%PDF-1.7\n';
+  const offsets = objs.map((body, i) => {
+    const at = Buffer.byteLength(out, 'latin1');
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  out += `trailer\n<< /Size ${objs.length + 1} /Root ${catalog} 0 R${info ? ` /Info ${info} 0 R` : ''} >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+const W9_LINES = ['Form W-9', '(Rev. March 2024)', 'Request for Taxpayer Identification Number and Certification'];
+
+// A Rev. March 2024 style W-9. Pass blank: true for the form as downloaded; ssn: null leaves the TIN out.
+function w9Pdf({ name = "Ana O'Neil", business = '', classification = 0, ssn = '123456789', date = null, blank = false } = {}) {
+  const v = value => (blank ? '' : value);
+  const fields = [
+    { name: 'f1_01[0]', value: v(name) },
+    { name: 'f1_02[0]', value: v(business) },
+    ...Array.from({ length: 7 }, (_, i) => ({ name: `c1_1[${i}]`, checkbox: true, value: !blank && i === classification, export: String(i + 1) })),
+    { name: 'f1_03[0]', value: '' },
+    { name: 'f1_11[0]', value: v(ssn ? ssn.slice(0, 3) : '') },
+    { name: 'f1_12[0]', value: v(ssn ? ssn.slice(3, 5) : '') },
+    { name: 'f1_13[0]', value: v(ssn ? ssn.slice(5) : '') },
+    { name: 'f1_14[0]', value: '' },
+    { name: 'f1_15[0]', value: '' },
+  ];
+  if (date !== null) fields.push({ name: 'Date[0]', value: v(date) });
+  return buildPdf({ lines: W9_LINES, fields });
+}
+
+module.exports = { buildPdf, w9Pdf };
@@ -0,0 +1,50 @@
+// middleware/hours.js: unpaid breaks and the automatic meal deduction (AUTO_BREAK_RULES)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBreakRules, unpaidBreakMs, computeWorkedHours } = require('../middleware/hours');
+
+const at = (hh, mm = 0) => `2026-03-02T${String(hh).padStart(2, '0')}:${String(mm).padStart(2, '0')}:00Z`;
+const meal = (from, to, extra = {}) => ({ start_time: from, end_time: to, is_paid: 0, ...extra });
+
+test('break rules are parsed, cleaned up and sorted', () => {
+  assert.deepEqual(parseBreakRules('12:60, 6:30'), [{ afterHours: 6, minutes: 30 }, { afterHours: 12, minutes: 60 }]);
+  assert.deepEqual(parseBreakRules('6:0,x:30,8,,5:15'), [{ afterHours: 5, minutes: 15 }]);
+  assert.deepEqual(parseBreakRules(''), []);
+});
+
+test('unpaid breaks are clipped to the shift, merged when they overlap, and paid ones skipped', () => {
+  const ms = unpaidBreakMs(at(8), at(16), [
+    meal(at(12), at(12, 30)),
+    meal(at(12, 15), at(12, 45)),                  // overlaps the first: 45 min together
+    meal(at(7), at(8, 10)),                        // starts before clock-in: 10 min count
+    meal(at(15, 50), null),                        // still open at clock-out: 10 min
+    meal(at(10), at(10, 15), { is_paid: 1 }),      // rest break: paid
+  ]);
+  assert.equal(ms, (45 + 10 + 10) * 60000);
+  assert.equal(unpaidBreakMs(at(8), at(16), []), 0);
+});
+
+test('without rules, worked hours are the shift minus unpaid breaks', () => {
+  assert.deepEqual(computeWorkedHours(at(8), at(16, 30), [meal(at(12), at(12, 30))], []),
+    { totalHours: '8.00', unpaidBreakMinutes: 30, autoDeductedMinutes: 0 });
+});
+
+test('the auto deduction tops up breaks to what the longest matching rule requires', () => {
+  const rules = parseBreakRules('6:30,12:60');
+
+  // 6h exactly is not "after 6h"
+  assert.deepEqual(computeWorkedHours(at(8), at(14), [], rules), { totalHours: '6.00', unpaidBreakMinutes: 0, autoDeductedMinutes: 0 });
+  assert.deepEqual(computeWorkedHours(at(8), at(16), [], rules), { totalHours: '7.50', unpaidBreakMinutes: 30, autoDeductedMinutes: 30 });
+  // A 20 minute meal is topped up by 10
+  assert.deepEqual(computeWorkedHours(at(8), at(16), [meal(at(12), at(12, 20))], rules),
+    { totalHours: '7.50', unpaidBreakMinutes: 30, autoDeductedMinutes: 10 });
+  // A long enough meal means nothing extra
+  assert.deepEqual(computeWorkedHours(at(8), at(16), [meal(at(12), at(12, 45))], rules),
+    { totalHours: '7.25', unpaidBreakMinutes: 45, autoDeductedMinutes: 0 });
+  // Paid breaks don't count toward the rule
+  assert.deepEqual(computeWorkedHours(at(8), at(16), [meal(at(10), at(10, 15), { is_paid: 1 })], rules),
+    { totalHours: '7.50', unpaidBreakMinutes: 30, autoDeductedMinutes: 30 });
+  // Over 12h the 60 minute rule applies
+  assert.deepEqual(computeWorkedHours(at(6), at(19), [meal(at(12), at(12, 30))], rules),
+    { totalHours: '12.00', unpaidBreakMinutes: 60, autoDeductedMinutes: 30 });
+});
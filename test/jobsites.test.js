@@ -0,0 +1,94 @@
+// middleware/jobsites.js: name matching, "did you mean" suggestions, and what happens to a typed
+// jobsite name on /api/submit
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const JobsiteService = require('../middleware/jobsites');
+const { memoryDb } = require('./helpers/db');
+
+const { nameKey, similarity } = JobsiteService;
+let db, jobsites, cqs, closed;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  db = await memoryDb();
+  jobsites = new JobsiteService(db);
+  cqs = await db.createLocation({ name: 'CQS' });
+  closed = await db.createLocation({ name: 'CLOSED LIST', allowNewJobsites: false });
+  for (const name of ['ACME TOWER', 'RIVERSIDE MALL', 'ST. MARY HOSPITAL']) await jobsites.create(cqs, { name });
+  await jobsites.create(closed, { name: 'HARBOR PIER' });
+});
+
+after(async () => {
+  await db?.close();
+  mock.restoreAll();
+});
+
+test('names compare without case, punctuation or company suffixes', () => {
+  assert.equal(nameKey('Acme, Inc.'), 'acme');
+  assert.equal(nameKey('ACME  LLC'), 'acme');
+  assert.equal(nameKey('Smith & Sons Co'), 'smith and sons');
+  assert.equal(similarity('Acme Inc', 'ACME'), 1);
+  assert.equal(similarity('ACME TOWER', 'ACME'), 0.8);
+  assert.equal(similarity('RIVERSID MALL', 'RIVERSIDE MALL'), 1 - 1 / 14);
+  assert.ok(similarity('HARBOR PIER', 'ACME TOWER') < 0.5);
+  assert.equal(similarity('', 'ACME'), 0);
+});
+
+test('suggestions are the close matches at the location, best first', async () => {
+  assert.deepEqual((await jobsites.suggest(cqs.id, 'Riverside Mal')).map(s => s.name), ['RIVERSIDE MALL']);
+  assert.deepEqual((await jobsites.suggest(cqs.id, 'acme')).map(s => [s.name, s.score]), [['ACME TOWER', 0.8]]);
+  assert.deepEqual(await jobsites.suggest(cqs.id, 'Harbor Pier'), []);
+  assert.deepEqual(await jobsites.suggest(closed.id, 'Acme Tower'), []);
+});
+
+test('admins adding a near-duplicate have to confirm it', async () => {
+  await assert.rejects(jobsites.create(cqs, { name: 'acme tower inc' }), e => e.code === 'JOBSITE_EXISTS');
+  await assert.rejects(jobsites.create(cqs, { name: 'St Mary Hospitals' }),
+    e => e.code === 'JOBSITE_SIMILAR' && e.details.suggestions[0].name === 'ST. MARY HOSPITAL');
+  const forced = await jobsites.create(cqs, { name: 'St Mary Hospitals', force: true }, { email: 'boss@example.com' });
+  assert.deepEqual([forced.name, forced.status, forced.approvedBy], ['ST MARY HOSPITALS', 'active', 'boss@example.com']);
+});
+
+test('a typed jobsite name on submit', async () => {
+  // Matches an existing jobsite however it's written
+  assert.equal((await jobsites.resolveForSubmit(cqs, { jobsite: 'riverside  mall' })).name, 'RIVERSIDE MALL');
+
+  // Close to an existing one: asked to confirm, then queued for approval
+  await assert.rejects(jobsites.resolveForSubmit(cqs, { jobsite: 'Riverside Mal' }),
+    e => e.status === 409 && e.code === 'JOBSITE_CONFIRMATION_REQUIRED' && e.details.suggestions[0].name === 'RIVERSIDE MALL');
+  const pending = await jobsites.resolveForSubmit(cqs, { jobsite: 'Riverside Mal', confirmNew: true, requestedBy: 'crew' });
+  assert.deepEqual([pending.name, pending.status, pending.requested_by], ['RIVERSIDE MAL', 'pending', 'crew']);
+  assert.deepEqual((await jobsites.listPending(['CQS'])).map(j => j.name), ['RIVERSIDE MAL']);
+
+  // Nothing like it: queued straight away
+  assert.equal((await jobsites.resolveForSubmit(cqs, { jobsite: 'Depot 9' })).status, 'pending');
+
+  // A location that doesn't take new names only offers suggestions
+  await assert.rejects(jobsites.resolveForSubmit(closed, { jobsite: 'Harbour Pier' }),
+    e => e.code === 'UNKNOWN_JOBSITE' && e.details.suggestions[0].name === 'HARBOR PIER');
+  await assert.rejects(jobsites.resolveForSubmit(closed, { jobsiteId: pending.id }), e => e.code === 'UNKNOWN_JOBSITE');
+});
+
+test('merging a pending jobsite moves its uploads and removes it', async () => {
+  const target = await jobsites.create(cqs, { name: 'HARBOR VIEW' });
+  const pending = await jobsites.resolveForSubmit(cqs, { jobsite: 'Harbour Vue', confirmNew: true, requestedBy: 'crew' });
+  const uploader = { type: 'crew', id: 1, name: 'crew' };
+  for (const name of ['a.jpg', 'b.jpg']) await db.recordLocationUpload(uploader, cqs, name, name, 1, null, null, pending);
+
+  const result = await jobsites.merge(pending.id, target.id);
+  assert.equal(result.uploadsMoved, 2);
+  assert.deepEqual((await db.all('SELECT id FROM jobsites WHERE id = ?', [pending.id])), []);
+  assert.equal(await db.countJobsiteUploads(pending.id), 0);
+  assert.equal(await db.countJobsiteUploads(target.id), 2);
+});
+
+test('a merge that fails part way leaves both jobsites and the uploads as they were', async (t) => {
+  const target = await jobsites.create(cqs, { name: 'MILL CREEK' });
+  const pending = await jobsites.resolveForSubmit(cqs, { jobsite: 'Mill Crk Annex', confirmNew: true });
+  await db.recordLocationUpload({ type: 'crew', id: 1, name: 'crew' }, cqs, 'c.jpg', 'c.jpg', 1, null, null, pending);
+
+  t.mock.method(db, 'deleteJobsite', async () => { throw new Error('disk full'); });
+  await assert.rejects(jobsites.merge(pending.id, target.id), /disk full/);
+  assert.equal(await db.countJobsiteUploads(pending.id), 1);
+  assert.equal(await db.countJobsiteUploads(target.id), 0);
+});
@@ -0,0 +1,135 @@
+// The app on the local-disk backend (STORAGE_BACKEND=local) and no SESSION_SECRET: clock-in photos land
+// under STORAGE_LOCAL_DIR, and stored files are only served through a signed link, to an admin, or to a supervisor
+// for photos from their own locations
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startApp, waitFor, formData, JPEG, PDF } = require('./helpers/app');
+const { w9Pdf } = require('./helpers/pdf');
+
+const EMAIL = 'local@example.com';
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+
+let app, admin, worker;
+
+before(async () => {
+  app = await startApp({ STORAGE_BACKEND: 'local', STORAGE_LOCAL_DIR: storageDir, SESSION_SECRET: '' });
+  admin = await app.admin();
+  worker = await app.employee({ email: EMAIL, location: 'CQS' });
+});
+
+after(async () => {
+  await app?.stop();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+// A supervisor signed in and managing `locations`
+async function supervisor(email, locations) {
+  const client = await app.employee({ email, role: 'supervisor' });
+  const { body } = await admin.get('/api/admin/users');
+  const { id } = body.data.find(u => u.email === email);
+  assert.equal((await admin.patch(`/api/admin/users/${id}`, { managedLocations: locations })).status, 200);
+  return client;
+}
+
+// GET with the path sent exactly as written (fetch would resolve %2e%2e segments first)
+function rawGet(client, rawPath) {
+  return new Promise((resolve, reject) => {
+    const { hostname, port } = new URL(app.url);
+    http.get({ hostname, port, path: rawPath, headers: { Cookie: client.cookie } }, res => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+}
+
+// Every file under STORAGE_LOCAL_DIR, as "a/b/file"
+function stored(dir = storageDir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(e => (e.isDirectory()
+    ? stored(path.join(dir, e.name), `${prefix}${e.name}/`)
+    : [`${prefix}${e.name}`]));
+}
+
+test('the clock-in photo is stored under STORAGE_LOCAL_DIR', async () => {
+  const res = await worker.upload('/api/clock-in', formData({}, [{ field: 'photo', name: 'me.jpg', type: 'image/jpeg', data: JPEG }]));
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  const file = await waitFor(() => stored().find(f => f.startsWith(`TimeClock_Photos/${EMAIL}/`)));
+  assert.ok(fs.readFileSync(path.join(storageDir, file)).equals(JPEG));
+  assert.equal((await worker.post('/api/clock-out', {})).status, 200);
+});
+
+test('a new-hire document is served through its signed link only', async () => {
+  const submit = await app.client().upload('/api/documents/submit', formData(
+    { code: 'UNIVERSAL-TEST', firstName: 'Lo', lastName: 'Cal', expiresOn: JSON.stringify({ license: '2030-01-31' }) },
+    [{ field: 'w9', name: 'w9.pdf', type: 'application/pdf', data: w9Pdf() }, { field: 'license', name: 'dl.pdf', type: 'application/pdf', data: PDF }],
+  ));
+  assert.equal(submit.status, 200, JSON.stringify(submit.body));
+  const id = submit.body.license.id;
+  assert.match(id, /^Worker_Documents\/New_Hires\/LoCal_DriversLicense_.+\.pdf$/);
+
+  // The link the admin page hands out is made by the documents store and checked by the route
+  const link = await admin.get(`/api/admin/new-hire-documents/${submit.body.license.documentId}/download`);
+  assert.equal(link.status, 200, JSON.stringify(link.body));
+  const signed = await app.client().get(link.body.downloadUrl, { binary: true });
+  assert.equal(signed.status, 200);
+  assert.ok(signed.body.equals(PDF));
+
+  const plain = `/api/storage/local/${id}`;
+  assert.equal((await app.client().get(plain)).status, 401);
+  assert.equal((await worker.get(plain)).status, 403);
+  assert.equal((await admin.get(plain, { binary: true })).status, 200);
+  assert.equal((await app.client().get(`${plain}?expires=${Date.now() + 60000}&sig=forged`)).status, 401);
+
+  // Nothing in the storage directory is reachable without the route's checks
+  assert.equal((await app.client().get(`/storage/${id}`)).status, 404);
+});
+
+test('supervisors see clock-in photos from their own locations only', async () => {
+  const photo = stored().find(f => f.startsWith(`TimeClock_Photos/${EMAIL}/`));
+  const ours = await supervisor('sup-cqs@example.com', ['CQS']);
+  const theirs = await supervisor('sup-belfor@example.com', ['BELFOR']);
+
+  const got = await ours.get(`/api/storage/local/${photo}`, { binary: true });
+  assert.equal(got.status, 200);
+  assert.ok(got.body.equals(JPEG));
+  assert.equal((await theirs.get(`/api/storage/local/${photo}`)).status, 403);
+
+  // /api/submit uploads go by the location folder
+  const sent = await app.client().upload('/api/submit', formData(
+    { code: 'UNIVERSAL-TEST', location: 'CQS', jobsite: 'Local Job' },
+    [{ field: 'photos', name: 'site.jpg', type: 'image/jpeg', data: JPEG }],
+  ));
+  assert.equal(sent.status, 200, JSON.stringify(sent.body));
+  const [upload] = sent.body.files;
+  assert.match(upload.id, /^TimeClock_Photos\/CQS\//);
+  assert.equal((await ours.get(`/api/storage/local/${upload.id}`, { binary: true })).status, 200);
+  assert.equal((await theirs.get(`/api/storage/local/${upload.id}`)).status, 403);
+  assert.equal((await worker.get(`/api/storage/local/${upload.id}`)).status, 403);
+});
+
+test('encoded dot segments cannot reach documents through the photo folder', async () => {
+  const submit = await app.client().upload('/api/documents/submit', formData(
+    { code: 'UNIVERSAL-TEST', firstName: 'Dot', lastName: 'Dot', expiresOn: JSON.stringify({ license: '2030-01-31' }) },
+    [{ field: 'w9', name: 'w9.pdf', type: 'application/pdf', data: w9Pdf() }, { field: 'license', name: 'dl.pdf', type: 'application/pdf', data: PDF }],
+  ));
+  assert.equal(submit.status, 200, JSON.stringify(submit.body));
+  const doc = submit.body.license.id;
+  const sup = await supervisor('sup-dots@example.com', ['CQS']);
+
+  assert.equal((await sup.get(`/api/storage/local/${doc}`)).status, 403);
+  for (const sneaky of [
+    `/api/storage/local/TimeClock_Photos/%2e%2e/${doc}`,
+    `/api/storage/local/TimeClock_Photos/${EMAIL}/%2E%2E/%2e%2e/${doc}`,
+    `/api/storage/local/TimeClock_Photos/.%2e/${doc}`,
+    `/api/storage/local/TimeClock_Photos%2f..%2f${doc}`,
+    `/api/storage/local/TimeClock_Photos/%2e/..%2f..%2f${doc}`,
+  ]) {
+    const res = await rawGet(sup, sneaky);
+    assert.equal(res.status, 400, sneaky);
+    assert.ok(!res.body.includes('%PDF'), sneaky);
+  }
+});
@@ -0,0 +1,86 @@
+// Location admin: who may manage locations, create / rename / retire / delete, and the public list
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app, admin;
+
+before(async () => {
+  app = await startApp();
+  admin = await app.admin();
+});
+
+after(() => app?.stop());
+
+const publicNames = async () => (await app.client().get('/api/locations')).body.locations;
+
+test('locations.json is imported on first start', async () => {
+  const res = await admin.get('/api/admin/locations');
+  assert.equal(res.status, 200);
+  assert.ok(res.body.locations.some(l => l.name === 'CQS'));
+});
+
+test('only admins can change locations', async () => {
+  assert.equal((await app.client().get('/api/admin/locations')).status, 401);
+
+  const employee = await app.employee({ email: 'emp@example.com' });
+  assert.equal((await employee.get('/api/admin/locations')).status, 403);
+
+  const supervisor = await app.employee({ email: 'sup@example.com', role: 'supervisor' });
+  assert.equal((await supervisor.get('/api/admin/locations')).status, 200);
+  assert.equal((await supervisor.post('/api/admin/locations', { name: 'Nope' })).status, 403);
+});
+
+test('create checks the confirmation and duplicates', async () => {
+  assert.equal((await admin.post('/api/admin/locations', { name: 'New Place', confirm: 'New Plaice' })).status, 400);
+  assert.equal((await admin.post('/api/admin/locations', { name: '' })).status, 400);
+
+  const res = await admin.post('/api/admin/locations', { name: 'new  place', confirm: 'NEW PLACE', address: '1 Main St' });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  assert.equal(res.body.location.name, 'NEW PLACE');
+  assert.equal(res.body.location.folderName, 'NEW PLACE');
+  assert.ok((await publicNames()).includes('NEW PLACE'));
+
+  assert.equal((await admin.post('/api/admin/locations', { name: 'New Place' })).status, 409);
+});
+
+test('rename keeps the folder; deactivate hides it from the upload page', async () => {
+  const { body } = await admin.post('/api/admin/locations', { name: 'Old Name' });
+  const id = body.location.id;
+
+  const renamed = await admin.patch(`/api/admin/locations/${id}`, { name: 'Fresh Name' });
+  assert.equal(renamed.status, 200, JSON.stringify(renamed.body));
+  assert.equal(renamed.body.location.name, 'FRESH NAME');
+  assert.equal(renamed.body.location.folderName, 'OLD NAME');
+
+  assert.equal((await admin.patch(`/api/admin/locations/${id}`, { name: 'CQS' })).status, 409);
+
+  await admin.patch(`/api/admin/locations/${id}`, { isActive: false });
+  assert.ok(!(await publicNames()).includes('FRESH NAME'));
+  const all = await admin.get('/api/admin/locations?includeInactive=1');
+  assert.equal(all.body.locations.find(l => l.id === id).isActive, false);
+});
+
+test('geofence and daily limit are validated', async () => {
+  const { body } = await admin.post('/api/admin/locations', { name: 'Fenced' });
+  const id = body.location.id;
+
+  assert.equal((await admin.request('PUT', `/api/admin/locations/${id}/geofence`, { json: { lat: 33.7, lng: -84.4 } })).status, 400);
+  const fenced = await admin.request('PUT', `/api/admin/locations/${id}/geofence`, { json: { lat: 33.7, lng: -84.4, radiusMeters: 250 } });
+  assert.equal(fenced.status, 200, JSON.stringify(fenced.body));
+  assert.equal(fenced.body.geofence.radiusMeters, 250);
+
+  assert.equal((await admin.patch(`/api/admin/locations/${id}`, { dailyUploadLimit: -1 })).status, 400);
+  assert.equal((await admin.patch(`/api/admin/locations/${id}`, { dailyUploadLimit: 7 })).body.location.dailyUploadLimit, 7);
+});
+
+test('delete works for unused locations and refuses ones with employees', async () => {
+  const unused = await admin.post('/api/admin/locations', { name: 'Typo Location' });
+  const del = await admin.delete(`/api/admin/locations/${unused.body.location.id}`);
+  assert.equal(del.status, 200);
+  assert.equal((await admin.delete(`/api/admin/locations/${unused.body.location.id}`)).status, 404);
+
+  const used = await admin.post('/api/admin/locations', { name: 'Busy Location' });
+  await app.employee({ email: 'busy@example.com', location: 'Busy Location' });
+  assert.equal((await admin.delete(`/api/admin/locations/${used.body.location.id}`)).status, 409);
+});
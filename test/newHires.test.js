@@ -0,0 +1,77 @@
+// middleware/newHires.js: a submission that fails part way leaves neither rows nor files behind
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const NewHireService = require('../middleware/newHires');
+const { memoryDb } = require('./helpers/db');
+
+let db;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  db = await memoryDb();
+});
+
+after(async () => {
+  await db?.close();
+  mock.restoreAll();
+});
+
+// Keeps what was uploaded and deleted; failOn: the upload number (1-based) that throws
+function fakeStorage({ failOn = null } = {}) {
+  return {
+    uploads: [],
+    deleted: [],
+    async upload(_filePath, fileName) {
+      if (this.uploads.length + 1 === failOn) throw new Error('storage unavailable');
+      const id = `item-${this.uploads.length + 1}`;
+      this.uploads.push(id);
+      return { id, fileName };
+    },
+    async delete(id) {
+      this.deleted.push(id);
+      return true;
+    },
+  };
+}
+
+// The default checklist: a W-9 (already read, as withGeneratedW9 passes it) and a license
+const submission = () => ({
+  firstName: 'Ana',
+  lastName: 'Lee',
+  files: {
+    w9:      { path: '/nonexistent/w9.pdf', originalname: 'w9.pdf', mimetype: 'application/pdf', size: 10,
+               form: { check: 'ok', flags: [], revision: null, fields: {} } },
+    license: { path: '/nonexistent/license.jpg', originalname: 'license.jpg', mimetype: 'image/jpeg', size: 10 },
+  },
+  expiresOn: { license: '2099-01-01' },
+});
+
+const count = async table => (await db.all(`SELECT COUNT(*) AS n FROM ${table}`))[0].n;
+
+test('files stored before a failed upload are deleted again', async () => {
+  const storage = fakeStorage({ failOn: 2 });
+  await assert.rejects(new NewHireService(db, storage).submit(submission()), /storage unavailable/);
+  assert.deepEqual(storage.deleted, ['item-1']);
+  assert.equal(await count('new_hires'), 0);
+});
+
+test('when the rows cannot be written, every stored file is deleted and no hire is left', async () => {
+  const storage = fakeStorage();
+  mock.method(db, 'addNewHireDocument', async () => { throw new Error('disk full'); });
+  try {
+    await assert.rejects(new NewHireService(db, storage).submit(submission()), /disk full/);
+  } finally {
+    db.addNewHireDocument.mock.restore();
+  }
+  assert.deepEqual(storage.deleted.sort(), ['item-1', 'item-2']);
+  assert.equal(await count('new_hires'), 0);
+});
+
+test('a successful submission keeps its files', async () => {
+  const storage = fakeStorage();
+  const result = await new NewHireService(db, storage).submit(submission());
+  assert.deepEqual(Object.keys(result.documents).sort(), ['license', 'w9']);
+  assert.deepEqual(storage.deleted, []);
+  assert.equal(await count('new_hire_documents'), 2);
+});
@@ -0,0 +1,191 @@
+// OneDriveService against the fake Graph: token caching, ensurePathExists, shortcut bases,
+// simple + session uploads, paging and lookups
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeGraph = require('./helpers/fakeGraph');
+const OneDriveService = require('../middleware/onedrive');
+
+const UPN = 'svc@example.com';
+
+let graph, driveId, tmp;
+
+function service(opts = {}) {
+  return new OneDriveService({ graphUrl: graph.url, authorityUrl: graph.url, ...opts });
+}
+
+function localFile(name, content) {
+  const p = path.join(tmp, name);
+  fs.writeFileSync(p, content);
+  return p;
+}
+
+before(async () => {
+  // The service logs every upload/base resolution; that output confuses the test runner's reporter
+  mock.method(console, 'log', () => {});
+  graph = await new FakeGraph().start();
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'onedrive-test-'));
+  Object.assign(process.env, {
+    AZURE_TENANT_ID: 'test-tenant',
+    AZURE_CLIENT_ID: 'test-client',
+    AZURE_CLIENT_SECRET: 'test-secret',
+    ONEDRIVE_SERVICE_UPN: UPN,
+  });
+});
+
+after(async () => {
+  await graph.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  graph.drives.clear();
+  graph.users.clear();
+  graph.requests.length = 0;
+  graph.tokensIssued = 0;
+  driveId = graph.addUser(UPN);
+});
+
+describe('getAccessToken', () => {
+  test('fetches a client-credentials token once and reuses it', async () => {
+    const od = service();
+    const first = await od.getAccessToken();
+    assert.equal(await od.getAccessToken(), first);
+    assert.equal(graph.tokensIssued, 1);
+    assert.ok(graph.requests.some(r => r.path === '/test-tenant/oauth2/v2.0/token'));
+  });
+});
+
+describe('ensurePathExists', () => {
+  test('creates each missing segment under a real base folder', async () => {
+    graph.mkdirs(driveId, 'TimeClock_Photos');
+    const od = service();
+    await od.ensurePathExists('TimeClock_Photos/CQS/10-13 - 10-19');
+
+    assert.ok(graph.find(driveId, 'TimeClock_Photos/CQS/10-13 - 10-19')?.folder);
+    assert.equal(od.rootItemId, graph.find(driveId, 'TimeClock_Photos').id);
+  });
+
+  test('creates nothing when the path is already there', async () => {
+    graph.mkdirs(driveId, 'TimeClock_Photos/CQS/Week');
+    const od = service();
+    await od.ensurePathExists('TimeClock_Photos/CQS/Week');
+    assert.equal(graph.requests.filter(r => r.method === 'POST' && r.path.endsWith('/children')).length, 0);
+  });
+
+  test('strips characters OneDrive rejects from each segment', async () => {
+    graph.mkdirs(driveId, 'TimeClock_Photos');
+    const od = service();
+    await od.ensurePath('A:B/C*D?');
+    assert.ok(graph.find(driveId, 'TimeClock_Photos/AB/CD'));
+  });
+});
+
+describe('shortcut base folder', () => {
+  let sharedDrive, target;
+
+  beforeEach(() => {
+    // TimeClock_Photos in the service account's drive is a shortcut to Shared/Photos in another drive
+    sharedDrive = graph.addDrive('shared-drive');
+    target = graph.mkdirs(sharedDrive, 'Shared/Photos');
+    graph.addShortcut(driveId, 'TimeClock_Photos', { id: target.id, driveId: sharedDrive });
+  });
+
+  test('resolves to the remote drive and item', async () => {
+    const od = service();
+    await od.resolveBaseFolderIfNeeded();
+    assert.equal(od.driveId, sharedDrive);
+    assert.equal(od.rootItemId, target.id);
+    assert.match(od.baseDriveRoot(), /\/v1\.0\/drives\/shared-drive$/);
+  });
+
+  test('creates subfolders and uploads inside the shortcut target', async () => {
+    const od = service();
+    const info = await od.upload(localFile('a.jpg', 'jpeg bytes'), '3-5.jpg', 'CQS/3-3 - 3-9');
+
+    const [stored] = graph.files(sharedDrive);
+    assert.match(stored, /^Shared\/Photos\/CQS\/3-3 - 3-9\/3-5_.+\.jpg$/);
+    assert.deepEqual(graph.files(driveId), []);
+    assert.equal(info.driveId, sharedDrive);
+    assert.equal(info.parentPath, '/drives/shared-drive/root:/Shared/Photos/CQS/3-3 - 3-9');
+    assert.equal(info.size, 'jpeg bytes'.length);
+  });
+
+  test('lists and walks through the shortcut', async () => {
+    const od = service();
+    await od.upload(localFile('b.jpg', 'x'), 'b.jpg', 'Loc/Week');
+    const { files } = await od.walk();
+    assert.equal(files.length, 1);
+    assert.deepEqual(files[0].path, ['Loc', 'Week']);
+  });
+});
+
+describe('upload', () => {
+  beforeEach(() => graph.mkdirs(driveId, 'TimeClock_Photos'));
+
+  test('small files go up in one PUT with a unique name', async () => {
+    const od = service();
+    const info = await od.upload(localFile('c.jpg', 'hello'), 'clock-in.jpg', 'someone@example.com');
+    assert.match(info.fileName, /^clock-in_.+_[a-z0-9]+\.jpg$/);
+    assert.equal(graph.find(driveId, `TimeClock_Photos/someone@example.com/${info.fileName}`).content.toString(), 'hello');
+    assert.ok(!graph.requests.some(r => r.path.endsWith('createUploadSession')));
+  });
+
+  test('large files go through an upload session in chunks', async () => {
+    const od = service({ simpleUploadLimit: 1024, chunkSize: 320 * 1024 });
+    const data = Buffer.alloc(700 * 1024, 7);
+    const info = await od.upload(localFile('big.bin', data), 'big.bin', 'Big');
+
+    assert.ok(graph.requests.some(r => r.path.endsWith('createUploadSession')));
+    assert.equal(graph.requests.filter(r => r.path.startsWith('/upload/')).length, 3);
+    assert.ok(graph.find(driveId, `TimeClock_Photos/Big/${info.fileName}`).content.equals(data));
+  });
+});
+
+describe('list / getItem', () => {
+  test('follows @odata.nextLink across pages', async () => {
+    const base = graph.mkdirs(driveId, 'TimeClock_Photos');
+    for (let i = 0; i < 5; i++) graph.mkdirs(driveId, `F${i}`, base.id);
+    const od = service();
+
+    const names = [];
+    let page = await od.listChildrenPage({ top: 2 });
+    assert.equal(page.items.length, 2);
+    for (;;) {
+      names.push(...page.items.map(i => i.name));
+      if (!page.nextLink) break;
+      assert.ok(page.nextLink.startsWith(graph.url));
+      page = await od.listChildrenPage({ nextLink: page.nextLink });
+    }
+    assert.deepEqual(names, ['F0', 'F1', 'F2', 'F3', 'F4']);
+    assert.equal((await od.list()).length, 5);
+  });
+
+  test('refuses page links that are not on the Graph host', async () => {
+    graph.mkdirs(driveId, 'TimeClock_Photos');
+    await assert.rejects(service().listChildrenPage({ nextLink: 'https://evil.example.com/steal' }), /Invalid page link/);
+  });
+
+  test('getItem and getItemByUrl find files and return null once deleted', async () => {
+    graph.mkdirs(driveId, 'TimeClock_Photos');
+    const od = service();
+    const info = await od.upload(localFile('d.jpg', 'x'), 'd.jpg', 'X');
+
+    assert.equal((await od.getItem(info.id)).name, info.fileName);
+    assert.equal((await od.getItemByUrl(info.webUrl)).id, info.id);
+    assert.equal(await od.delete(info.id), true);
+    assert.equal(await od.getItem(info.id), null);
+    assert.equal(await od.getItemByUrl(info.webUrl), null);
+    assert.equal(await od.delete(info.id), false);
+  });
+
+  test('getItemByUrl throws when the share is denied rather than calling the file gone', async () => {
+    graph.mkdirs(driveId, 'TimeClock_Photos');
+    const od = service();
+    const info = await od.upload(localFile('e.jpg', 'x'), 'e.jpg', 'X');
+    graph.deniedShares.add(info.webUrl);
+    await assert.rejects(od.getItemByUrl(info.webUrl), e => e.response?.status === 403);
+  });
+});
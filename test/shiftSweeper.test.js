@@ -0,0 +1,84 @@
+// middleware/shiftSweeper.js: shifts left open past MAX_SHIFT_HOURS are flagged for review or
+// auto-closed, depending on STALE_SESSION_POLICY
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ShiftSweeper = require('../middleware/shiftSweeper');
+const TimeRecordService = require('../middleware/timeRecords');
+const { memoryDb, onTheClock } = require('./helpers/db');
+
+let db, timeRecords, ana, bo, events;
+
+beforeEach(async () => {
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+  db = await memoryDb();
+  timeRecords = new TimeRecordService(db);
+  ana = await db.createUser('ana@example.com');
+  bo = await db.createUser('bo@example.com');
+  events = [];
+});
+
+afterEach(async () => {
+  await db.close();
+  mock.restoreAll();
+});
+
+// Tuesday 2026-03-03, local time
+const now = new Date(2026, 2, 3, 20);
+const hoursAgo = h => new Date(now.getTime() - h * 36e5).toISOString();
+
+function sweeper(opts) {
+  return new ShiftSweeper({ db, timeRecords, notify: (event, record) => events.push([event, record.email]), opts: { maxShiftHours: 16, ...opts } });
+}
+
+test('the flag policy marks long shifts once and leaves them open', async () => {
+  const stale = await onTheClock(db, ana, hoursAgo(17));
+  const fresh = await onTheClock(db, bo, hoursAgo(10));
+
+  const result = await sweeper({ policy: 'flag' }).sweep(now);
+  assert.deepEqual(result.flagged.map(r => r.id), [stale]);
+  assert.deepEqual(events, [['needs_review', ana.email]]);
+
+  const record = await db.getTimeRecordById(stale);
+  assert.deepEqual([record.status, record.needs_review, record.review_reason], ['active', 1, 'Still clocked in after 16h']);
+  assert.ok(await db.getActiveSession(ana.email));
+  assert.equal((await db.getTimeRecordById(fresh)).needs_review, 0);
+
+  // Already flagged: nothing new on the next run
+  assert.deepEqual(await sweeper({ policy: 'flag' }).sweep(now), { closed: [], flagged: [] });
+  assert.equal(events.length, 1);
+});
+
+test('the close policy punches out at the cap and leaves the shift for review', async () => {
+  const stale = await onTheClock(db, ana, hoursAgo(20));
+
+  const result = await sweeper({ policy: 'close', capHours: 12 }).sweep(now);
+  assert.deepEqual(result.closed.map(r => r.id), [stale]);
+  assert.deepEqual(events, [['auto_clock_out', ana.email]]);
+
+  const record = await db.getTimeRecordById(stale);
+  assert.deepEqual([record.status, record.clock_out_time, record.total_hours, record.needs_review],
+    ['completed', hoursAgo(8), 12, 1]);
+  assert.equal(record.review_reason, 'Auto clock-out after 12h without a punch-out');
+  assert.equal(await db.getActiveSession(ana.email), undefined);
+  assert.deepEqual((await db.getTimeRecordAudit(stale)).map(a => [a.action, a.changed_by_email]), [['auto_close', 'system']]);
+});
+
+test('a shift in an approved week is flagged rather than closed', async () => {
+  const stale = await onTheClock(db, ana, hoursAgo(20));
+  await timeRecords.setPeriodStatus('2026-03-03', 'approved', { email: 'boss@example.com' });
+
+  const result = await sweeper({ policy: 'close' }).sweep(now);
+  assert.deepEqual([result.closed.length, result.flagged.map(r => r.id)], [0, [stale]]);
+
+  const record = await db.getTimeRecordById(stale);
+  assert.deepEqual([record.status, record.needs_review], ['active', 1]);
+  assert.match(record.review_reason, /is approved/);
+});
+
+test('an unknown policy falls back to flagging', async () => {
+  await onTheClock(db, ana, hoursAgo(17));
+  const s = sweeper({ policy: 'delete' });
+  assert.equal(s.policy, 'flag');
+  assert.equal((await s.sweep(now)).flagged.length, 1);
+});
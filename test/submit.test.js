@@ -0,0 +1,125 @@
+// /api/submit: the Location / Week / Jobsite / Date folder layout in OneDrive and the daily limits
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, formData, JPEG } = require('./helpers/app');
+const { md, weekSpan } = require('../middleware/weeks');
+
+let app, admin, site, jobsite;
+
+before(async () => {
+  // Default per-uploader limit of 3, no location cap unless a test sets one
+  app = await startApp({ DAILY_UPLOAD_LIMIT: '3' });
+  admin = await app.admin();
+
+  const created = await admin.post('/api/admin/locations', { name: 'Test Site', folderName: 'Test Site Folder' });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  site = created.body.location;
+
+  const js = await admin.post(`/api/admin/locations/${site.id}/jobsites`, { name: 'Main Street' });
+  assert.equal(js.status, 201, JSON.stringify(js.body));
+  jobsite = js.body.jobsite;
+});
+
+after(() => app?.stop());
+
+function submit(client, fields, count = 1) {
+  const files = Array.from({ length: count }, (_, i) => ({ field: 'photos', name: `p${i}.jpg`, type: 'image/jpeg', data: JPEG }));
+  return client.upload('/api/submit', formData({ location: site.name, jobsiteId: jobsite.id, ...fields }, files));
+}
+
+async function newCode(body) {
+  const res = await admin.post('/api/admin/uploader-codes', body);
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body;
+}
+
+test('files land in Location / Week / Jobsite / Date', async () => {
+  const { code } = await newCode({ label: 'Layout crew' });
+  const res = await submit(app.client(), { code, date: '2025-03-05' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const day = new Date(2025, 2, 5, 12);
+  const folder = `TimeClock_Photos/${site.folderName}/${weekSpan(day)}/${jobsite.folderName}/${md(day)}`;
+  assert.equal(res.body.week, weekSpan(day));
+  assert.equal(res.body.dateFolder, '3-5');
+
+  const stored = app.graph.files(app.driveId).filter(f => f.startsWith(`${folder}/`));
+  assert.equal(stored.length, 1);
+  assert.match(stored[0], /\/3-5_.+\.jpg$/);
+  assert.equal(res.body.files[0].id, app.graph.find(app.driveId, stored[0]).id);
+});
+
+test('rejects unknown codes and missing fields', async () => {
+  assert.equal((await submit(app.client(), { code: 'NOPE1234' })).status, 401);
+  assert.equal((await submit(app.client(), {})).status, 401);
+
+  const noSite = await app.client().upload('/api/submit', formData({ code: 'UNIVERSAL-TEST', jobsite: 'Main Street' }));
+  assert.equal(noSite.status, 400);
+
+  const noFiles = await submit(app.client(), { code: 'UNIVERSAL-TEST' }, 0);
+  assert.equal(noFiles.status, 400);
+});
+
+test('each upload code gets its own daily limit', async () => {
+  const { code } = await newCode({ label: 'Limited crew', dailyLimit: 2 });
+
+  const first = await submit(app.client(), { code }, 2);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.remainingToday, 0);
+
+  const usagePath = `/api/uploads/usage?location=${encodeURIComponent(site.name)}`;
+  const usage = await app.client().get(usagePath, { headers: { 'X-Upload-Code': code } });
+  assert.equal(usage.body.uploader.used, 2);
+  assert.equal(usage.body.remaining, 0);
+  // The code only travels in the header, never in a URL
+  assert.equal((await app.client().get(`${usagePath}&code=${code}`)).status, 401);
+
+  const over = await submit(app.client(), { code });
+  assert.equal(over.status, 429);
+  assert.equal(over.body.code, 'DAILY_LIMIT_REACHED');
+  assert.equal(over.body.details.usage.uploader.limit, 2);
+
+  // A different crew is unaffected
+  const other = await newCode({ label: 'Other crew' });
+  assert.equal((await submit(app.client(), { code: other.code })).status, 200);
+});
+
+test('a batch that would go over the limit is refused whole', async () => {
+  const { code } = await newCode({ label: 'Batch crew' });   // DAILY_UPLOAD_LIMIT = 3
+  const res = await submit(app.client(), { code }, 4);
+  assert.equal(res.status, 429);
+  assert.equal((await submit(app.client(), { code }, 3)).status, 200);
+});
+
+test('submits sent at the same time cannot share the last of a limit', async () => {
+  const { code } = await newCode({ label: 'Racing crew' });   // DAILY_UPLOAD_LIMIT = 3
+  const results = await Promise.all([submit(app.client(), { code }, 2), submit(app.client(), { code }, 2)]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 429]);
+
+  const usage = await app.client().get(`/api/uploads/usage?location=${encodeURIComponent(site.name)}`, { headers: { 'X-Upload-Code': code } });
+  assert.equal(usage.body.uploader.used, 2);
+});
+
+test('the location cap applies across all uploaders', async () => {
+  const capped = await admin.post('/api/admin/locations', { name: 'Capped Site', dailyUploadLimit: 1 });
+  const cappedSite = capped.body.location;
+  await admin.post(`/api/admin/locations/${cappedSite.id}/jobsites`, { name: 'Only Job' });
+
+  const send = (code) => app.client().upload('/api/submit', formData(
+    { code, location: cappedSite.name, jobsite: 'Only Job' },
+    [{ field: 'photo', name: 'x.jpg', type: 'image/jpeg', data: JPEG }],
+  ));
+  const a = await newCode({ label: 'Crew A' });
+  const b = await newCode({ label: 'Crew B' });
+  assert.equal((await send(a.code)).status, 200);
+  const res = await send(b.code);
+  assert.equal(res.status, 429);
+  assert.equal(res.body.details.usage.location.limit, 1);
+});
+
+test('codes tied to a location cannot submit elsewhere', async () => {
+  const other = await admin.post('/api/admin/locations', { name: 'Elsewhere' });
+  const { code } = await newCode({ label: 'Pinned crew', locationId: other.body.location.id });
+  const res = await submit(app.client(), { code });
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,125 @@
+// middleware/timeRecords.js: manager edits / missed punches / voids with their audit trail, and
+// pay-period approval and locking freezing a week for managers and employees alike
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const TimeRecordService = require('../middleware/timeRecords');
+const { ymd } = require('../middleware/weeks');
+const { memoryDb, onTheClock } = require('./helpers/db');
+
+let db, service, ana;
+const manager = { id: 99, email: 'boss@example.com' };
+
+before(async () => {
+  db = await memoryDb();
+  service = new TimeRecordService(db);
+  ana = await db.createUser('ana@example.com');
+});
+
+after(() => db?.close());
+
+// Local times, so every shift falls in the Monday→Sunday week the service computes. Each test
+// uses its own week (March 2026: the 2nd, 9th, 16th, 23rd and 30th are Mondays).
+const at = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute).toISOString();
+
+async function shift(from, to) {
+  const { id } = await db.insertTimeRecord({ userId: ana.id, email: ana.email, clockInTime: from, clockOutTime: to, totalHours: 0 });
+  return id;
+}
+
+const rejects = (promise, status, code) => assert.rejects(promise, e => e.status === status && (!code || e.code === code));
+
+test('an edit recomputes hours from the punches and stored breaks and is audited', async () => {
+  const id = await shift(at(3, 8), at(3, 16));
+  await db.updateTimeRecord(id, { needsReview: true, reviewReason: 'Left open' });
+  await db.run(`INSERT INTO breaks (time_record_id, user_id, email, break_type, is_paid, start_time, end_time)
+                VALUES (?, ?, ?, 'meal', 0, ?, ?)`, [id, ana.id, ana.email, at(3, 12), at(3, 12, 30)]);
+
+  await rejects(service.edit(id, { clockOutTime: at(3, 17) }, manager), 400);
+  await rejects(service.edit(id, { clockOutTime: at(3, 7), reason: 'typo' }, manager), 400);
+  await rejects(service.edit(id, { clockInTime: null, reason: 'typo' }, manager), 400);
+
+  const after = await service.edit(id, { clockOutTime: at(3, 17), totalHours: 99, reason: 'Forgot to punch out' }, manager);
+  assert.deepEqual([after.total_hours, after.unpaid_break_minutes, after.needs_review, after.status], [8.5, 30, 0, 'completed']);
+
+  const [audit] = await db.getTimeRecordAudit(id);
+  assert.deepEqual([audit.action, audit.changed_by_email, audit.reason], ['edit', manager.email, 'Forgot to punch out']);
+  assert.equal(audit.before.clock_out_time, at(3, 16));
+  assert.equal(audit.after.clock_out_time, at(3, 17));
+});
+
+test('closing an open shift by edit ends its break and takes the employee off the clock', async () => {
+  const id = await onTheClock(db, ana, at(4, 8));
+  await db.startBreak(ana.email, 'meal', false);
+
+  const after = await service.edit(id, { clockOutTime: at(4, 16), reason: 'Forgot to punch out' }, manager);
+  assert.equal(after.status, 'completed');
+  assert.equal(await db.getActiveSession(ana.email), undefined);
+  assert.ok((await db.getBreaksForRecord(id)).every(b => b.end_time));
+});
+
+test('missed punches and voids', async () => {
+  await rejects(service.addMissedPunch({ email: 'nobody@example.com', clockInTime: at(10, 8), clockOutTime: at(10, 12), reason: 'x' }, manager), 404);
+  await rejects(service.addMissedPunch({ email: ana.email, clockInTime: at(10, 8), reason: 'x' }, manager), 400);
+
+  const added = await service.addMissedPunch({ email: 'ANA@example.com', clockInTime: at(10, 8), clockOutTime: at(10, 12), reason: 'Paper timesheet' }, manager);
+  assert.deepEqual([added.email, added.total_hours, added.status], [ana.email, 4, 'completed']);
+
+  const voided = await service.void(added.id, 'Duplicate', manager);
+  assert.equal(voided.status, 'void');
+  await rejects(service.void(added.id, 'Again', manager), 409, 'RECORD_VOID');
+  await rejects(service.edit(added.id, { notes: 'x', reason: 'x' }, manager), 409, 'RECORD_VOID');
+  await rejects(service.void(added.id, ' ', manager), 400);
+  assert.deepEqual((await db.getTimeRecordAudit(added.id)).map(a => a.action), ['add', 'void']);
+});
+
+test('an approved week is frozen until it is reopened; a locked one for good', async () => {
+  const id = await shift(at(17, 8), at(17, 16));
+  const open = await shift(at(10, 8), at(10, 16));
+
+  await rejects(service.setPeriodStatus('2026-03-18', 'locked', manager), 409);
+  const period = await service.setPeriodStatus('2026-03-18', 'approved', manager);
+  assert.deepEqual([period.week_start, period.week_end, period.status, period.approved_by], ['2026-03-16', '2026-03-22', 'approved', manager.email]);
+
+  await rejects(service.edit(id, { notes: 'x', reason: 'x' }, manager), 409, 'PERIOD_CLOSED');
+  await rejects(service.void(id, 'x', manager), 409, 'PERIOD_CLOSED');
+  await rejects(service.addMissedPunch({ email: ana.email, clockInTime: at(18, 8), clockOutTime: at(18, 12), reason: 'x' }, manager), 409, 'PERIOD_CLOSED');
+  // Nor can a record from an open week be moved into it
+  await rejects(service.edit(open, { clockInTime: at(17, 7), clockOutTime: at(17, 9), reason: 'x' }, manager), 409, 'PERIOD_CLOSED');
+
+  await service.setPeriodStatus('2026-03-16', 'pending', manager);
+  assert.equal((await service.edit(id, { notes: 'ok', reason: 'x' }, manager)).notes, 'ok');
+
+  await service.setPeriodStatus('2026-03-22', 'approved', manager);
+  assert.equal((await service.setPeriodStatus('2026-03-22', 'locked', manager)).status, 'locked');
+  await rejects(service.setPeriodStatus('2026-03-22', 'pending', manager), 409, 'PERIOD_CLOSED');
+  await rejects(service.setPeriodStatus('2026-03-22', 'done', manager), 400);
+});
+
+test('clocking out into a closed week flags the shift instead of recording hours', async () => {
+  const id = await onTheClock(db, ana, at(24, 8));
+  await service.setPeriodStatus('2026-03-24', 'approved', manager);
+
+  await rejects(service.startBreak(ana.email, 'meal', false), 409, 'PERIOD_CLOSED');
+  const out = await service.clockOut(ana.email);
+  assert.deepEqual([out.timeRecordId, out.totalHours, out.periodClosed], [id, null, true]);
+  assert.equal(await db.getActiveSession(ana.email), undefined);
+
+  const record = await db.getTimeRecordById(id);
+  assert.deepEqual([record.status, record.clock_out_time, record.needs_review], ['active', null, 1]);
+  assert.match(record.review_reason, /after the pay period was closed/);
+  await rejects(service.clockOut(ana.email), 404, 'NOT_CLOCKED_IN');
+});
+
+test('no clocking in to a closed week', async () => {
+  const bo = await db.createUser('bo@example.com');
+  const today = ymd(new Date());
+  await service.setPeriodStatus(today, 'approved', manager);
+
+  await rejects(service.clockIn(bo.email), 409, 'PERIOD_CLOSED');
+  assert.equal(await db.getActiveSession(bo.email), undefined);
+  assert.deepEqual(await db.getTimeRecordsForUser(bo.email), []);
+
+  await service.setPeriodStatus(today, 'pending', manager);
+  const clock = await service.clockIn(bo.email);
+  assert.equal((await db.getActiveSession(bo.email)).time_record_id, clock.timeRecordId);
+});
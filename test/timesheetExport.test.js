@@ -0,0 +1,61 @@
+// middleware/timesheetExport.js: per-week overtime and the payroll CSV
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTimesheets, toCsv } = require('../middleware/timesheetExport');
+
+// A shift starting at 08:00 local time on 2026-03-<day> (the 2nd and 9th are Mondays)
+const on = (day, hours, email = 'ana@example.com') => ({
+  email, first_name: 'Ana', last_name: 'Diaz', department: 'Crew',
+  clock_in_time: new Date(2026, 2, day, 8).toISOString(), total_hours: hours,
+});
+
+test('overtime is the part of each week over the threshold', () => {
+  const sheet = buildTimesheets([
+    // Week of the 2nd: 5 × 9h + 3h on Saturday = 48h
+    ...[2, 3, 4, 5, 6].map(d => on(d, 9)), on(7, 3),
+    // Week of the 9th: 38h — under the threshold, and the first week's hours don't carry over
+    ...[9, 10, 11, 12].map(d => on(d, 9.5)),
+  ]);
+  const [ana] = sheet.employees;
+  assert.deepEqual(ana.weeks.map(w => [w.weekStart, w.weekEnd, w.total, w.regular, w.overtime]), [
+    ['2026-03-02', '2026-03-08', 48, 40, 8],
+    ['2026-03-09', '2026-03-15', 38, 38, 0],
+  ]);
+  assert.deepEqual(ana.weeks[0].days, [9, 9, 9, 9, 9, 3, 0]);
+  assert.deepEqual([ana.totals.total, ana.totals.regular, ana.totals.overtime], [86, 78, 8]);
+  assert.deepEqual(sheet.grandTotal, ana.totals);
+});
+
+test('the threshold is configurable and shifts add up per day', () => {
+  const sheet = buildTimesheets([on(2, 6), on(2, 4.25), on(3, 10)], { overtimeThreshold: 8 });
+  const [week] = sheet.employees[0].weeks;
+  assert.deepEqual([week.days[0], week.days[1], week.total, week.regular, week.overtime], [10.25, 10, 20.25, 8, 12.25]);
+  assert.equal(sheet.overtimeThreshold, 8);
+});
+
+test('open shifts are left out and employees are grouped by email and sorted by name', () => {
+  const sheet = buildTimesheets([
+    on(2, 8, 'ANA@example.com'), on(3, 8), on(4, null),
+    { ...on(2, 5, 'bo@example.com'), first_name: 'Bo', last_name: null, department: null },
+    { ...on(2, 7, 'zed@example.com'), first_name: null, last_name: null },
+  ]);
+  assert.deepEqual(sheet.employees.map(e => [e.name, e.department, e.totals.total]),
+    [['Ana Diaz', 'Crew', 16], ['Bo', '', 5], ['zed@example.com', 'Crew', 7]]);
+  assert.equal(sheet.grandTotal.total, 28);
+});
+
+test('CSV cells that a spreadsheet would run as a formula are escaped', () => {
+  const csv = toCsv(buildTimesheets([
+    { ...on(2, 8, 'a@example.com'), first_name: '=HYPERLINK("http://evil.example","pay")', last_name: 'X', department: '+1+1' },
+    { ...on(2, 8, 'b@example.com'), first_name: '@SUM(A1)', last_name: 'X', department: '-2' },
+    { ...on(2, 8, 'c@example.com'), first_name: 'Plain', last_name: 'X', department: 'Night, late' },
+  ]));
+  const rows = csv.trim().split('\r\n');
+
+  assert.ok(rows.some(r => r.startsWith(`"'=HYPERLINK(""http://evil.example"",""pay"") X",a@example.com,'+1+1,`)), csv);
+  assert.ok(rows.some(r => r.startsWith("'@SUM(A1) X,b@example.com,'-2,")), csv);
+  assert.ok(rows.some(r => r.startsWith('Plain X,c@example.com,"Night, late",')), csv);
+  assert.ok(rows.every(r => !/(^|,)[=+\-@]/.test(r)), csv);
+  // Hours stay numbers
+  assert.match(rows.at(-1), /^GRAND TOTAL,,,,,24,0,0,0,0,0,0,24,24,0$/);
+});
@@ -0,0 +1,91 @@
+// middleware/w9.js on its own: field names across revisions, EINs, scans, flattened forms and filling in
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { inspectW9, assessW9, fillW9, fieldKey } = require('../middleware/w9');
+const { buildPdf, w9Pdf } = require('./helpers/pdf');
+
+test('field names from both IRS revisions and other tools', () => {
+  assert.equal(fieldKey('topmostSubform[0].Page1[0].f1_01[0]'), 'f1_1');
+  assert.equal(fieldKey('topmostSubform[0].Page1[0].f1_1[0]'), 'f1_1');
+  assert.equal(fieldKey('topmostSubform[0].Page1[0].f1_11[0]'), 'f1_11');
+  assert.equal(fieldKey('Signature Date'), 'signaturedate');
+});
+
+test('reads a Rev. October 2018 W-9 with an EIN', async () => {
+  const pdf = buildPdf({
+    title: 'Form W-9 (Rev. October 2018)',
+    fields: [
+      { name: 'f1_1[0]', value: 'Jo Smith' },
+      { name: 'f1_2[0]', value: 'Smith Roofing' },
+      { name: 'c1_1[1]', checkbox: true, value: true, export: '2' },
+      { name: 'f1_11[0]', value: '' }, { name: 'f1_12[0]', value: '' }, { name: 'f1_13[0]', value: '' },
+      { name: 'f1_14[0]', value: '12' }, { name: 'f1_15[0]', value: '3456789' },
+    ],
+  });
+  const result = await inspectW9(pdf);
+  assert.equal(result.isW9, true);
+  assert.equal(result.revision, 'October 2018');
+  assert.deepEqual(result.fields, {
+    name: 'Jo Smith', businessName: 'Smith Roofing', taxClassification: 'C corporation',
+    tinType: 'ein', tinLast4: '6789', tinComplete: true, signatureDate: null,
+  });
+  assert.deepEqual(assessW9(result), { accept: true, check: 'ok', flags: [] });
+});
+
+test('a scan is accepted unverified; a flattened W-9 is flagged', async () => {
+  const scan = await inspectW9(buildPdf());
+  assert.deepEqual(assessW9(scan), { accept: true, check: 'unverified', flags: ['scanned'] });
+
+  const flattened = await inspectW9(buildPdf({ lines: ['Form W-9 (Rev. March 2024)', 'Request for Taxpayer Identification Number and Certification'] }));
+  assert.equal(flattened.isW9, true);
+  assert.deepEqual(assessW9(flattened), { accept: true, check: 'flagged', flags: ['no_form_fields'] });
+});
+
+test('fillW9 paints the values onto the page and leaves no fields', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w9-fill-'));
+  try {
+    const template = path.join(dir, 'w9.pdf');
+    fs.writeFileSync(template, w9Pdf({ blank: true }));
+    const { pdf, result } = await fillW9(template, { name: 'Sam (Lee)', taxClassification: 'llc', llcClassification: 's', ein: '12-3456789' });
+    assert.equal(result.fields.taxClassification, 'LLC (S)');
+    assert.equal(result.fields.tinLast4, '6789');
+
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const doc = await pdfjs.getDocument({ data: new Uint8Array(pdf), verbosity: 0 }).promise;
+    const text = (await (await doc.getPage(1)).getTextContent()).items.map(i => i.str).filter(Boolean);
+    assert.deepEqual(text.slice(3), ['Sam (Lee)', 'S', '12', '3456789']);
+    assert.equal(await doc.getFieldObjects(), null);
+    await doc.destroy();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the w9.PDF documents.html links to: its TextN fields are filled in digit by digit', async () => {
+  const template = path.join(__dirname, '..', 'w9.PDF');
+  const blank = await inspectW9(template);
+  assert.equal(blank.isW9, true);
+  assert.equal(assessW9(blank).code, 'BLANK_W9');
+
+  const { pdf, result } = await fillW9(template, { name: 'Ana Test', taxClassification: 'individual', address: '1 Main St', cityStateZip: 'Atlanta, GA 30301', ssn: '123-45-6789' });
+  assert.deepEqual(result.fields, {
+    name: 'Ana Test', businessName: null, taxClassification: null,
+    tinType: 'ssn', tinLast4: '6789', tinComplete: true, signatureDate: null,
+  });
+  assert.deepEqual(assessW9(result), { accept: true, check: 'flagged', flags: ['missing_signature_date'] });
+
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(pdf), verbosity: 0 }).promise;
+  const text = (await (await doc.getPage(1)).getTextContent()).items.map(i => i.str);
+  for (const s of ['Ana Test', '1 Main St', 'Atlanta, GA 30301']) assert.ok(text.includes(s), s);
+  assert.equal(await doc.getFieldObjects(), null);
+  await doc.destroy();
+
+  await assert.rejects(fillW9(template, { name: 'Ana Test', taxClassification: 'llc', ein: '12-3456789' }), { code: 'EIN_NOT_SUPPORTED' });
+  await assert.rejects(fillW9(template, { name: 'Nguyễn Văn An', taxClassification: 'individual', ssn: '123-45-6789' }),
+    { code: 'VALIDATION_FAILED', details: { field: 'name' } });
+  assert.equal((await fillW9(template, { name: 'José Muñoz', taxClassification: 'individual', ssn: '123-45-6789' })).result.fields.name, 'José Muñoz');
+});